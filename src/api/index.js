@@ -1,16 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const chalk = require('chalk');
+const { JobQueue } = require('../core/job-queue');
+const { readCliConfigSync } = require('../core/cli-config');
 
 // Import route handlers
 const templatesRouter = require('./templates');
 const projectsRouter = require('./projects');
 const cacheRouter = require('./cache');
 const registriesRouter = require('./registries');
+const jobsRouter = require('./jobs');
 
 // Create Express app
 const app = express();
 
+// Background queue for long operations (project creation); `jobs.concurrency` and
+// `jobs.maxQueued` in the CLI configuration size it
+app.locals.jobQueue = new JobQueue(readCliConfigSync().jobs || {});
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -42,6 +49,7 @@ app.use('/templates', templatesRouter);
 app.use('/projects', projectsRouter);
 app.use('/cache', cacheRouter);
 app.use('/registries', registriesRouter);
+app.use('/jobs', jobsRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,42 @@
+const express = require('express');
+const { JOB_STATUS } = require('../core/job-queue');
+
+const router = express.Router();
+
+// GET /jobs/:jobId - Get job status, progress and logs
+router.get('/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = req.app.locals.jobQueue.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job "${jobId}" not found`
+    });
+  }
+
+  return res.json(job.toJSON());
+});
+
+// DELETE /jobs/:jobId - Cancel a job and roll back what it did
+router.delete('/:jobId', (req, res) => {
+  try {
+    const job = req.app.locals.jobQueue.cancel(req.params.jobId);
+
+    // Running jobs stop at their next step; poll the job until it is cancelled
+    return res.status(job.status === JOB_STATUS.CANCELLED ? 200 : 202).json(job.toJSON());
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return res.status(404).json({ error: 'Job not found', message: error.message });
+    }
+    if (error.code === 'JOB_FINISHED') {
+      return res.status(409).json({ error: 'Job already finished', message: error.message });
+    }
+    return res.status(500).json({
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,45 @@
 const express = require('express');
-const ProjectService = require('../services/project-service');
+const path = require('path');
+const { ProjectService } = require('../services/project-service');
+const { ProjectConfiguration } = require('../models/config');
 const ProjectInstance = require('../models/project');
+const { SECRET_ACTIONS } = require('../utils/secretScanner');
 
 const router = express.Router();
 
-// POST /projects - Create new project
+// Comment lines sent to keep idle event streams open through proxies
+const KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * Create a project in a background job, reporting steps and log lines to the job. The project
+ * gets the job's id, so GET /projects/:id/events works with the id POST /projects returns.
+ * @param {ProjectConfiguration} projectConfig - Project configuration
+ * @param {Object} options - Creation options
+ * @param {string} options.secrets - What to do with secrets in the generated files (abort, redact, continue)
+ * @returns {Function} async (job) => project summary
+ */
+function createProjectJob(projectConfig, options = {}) {
+  return async(job) => {
+    const projectService = new ProjectService({ onLog: entry => job.log(entry.message, entry.level) });
+    const project = await projectService.createProject(projectConfig, {
+      projectId: job.id,
+      secrets: options.secrets,
+      signal: job.signal,
+      onEvent: event => job.report(event)
+    });
+
+    return {
+      ...project.getSummary(),
+      projectPath: project.projectPath,
+      files: project.files.map(file => file.path)
+    };
+  };
+}
+
+// POST /projects - Queue project creation; GET /jobs/:jobId reports its progress
 router.post('/', async(req, res) => {
   try {
-    const { templateId, templateVersion, config, dryRun = false } = req.body;
+    const { templateId, templateVersion, config, dryRun = false, secrets } = req.body;
 
     if (!templateId || !config) {
       return res.status(400).json({
@@ -15,48 +47,126 @@ router.post('/', async(req, res) => {
         message: 'templateId and config are required'
       });
     }
-
-    const projectService = new ProjectService();
+    if (secrets && !SECRET_ACTIONS.includes(secrets)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `secrets must be one of: ${SECRET_ACTIONS.join(', ')}`
+      });
+    }
 
     // Convert request format to project service format
-    const projectConfig = {
-      template: templateId,
-      version: templateVersion,
-      name: config.projectName,
-      path: config.projectPath,
-      config: config.configValues || {},
-      registry: config.registry,
-      authToken: config.authToken,
-      dryRun
-    };
+    let projectConfig;
+    try {
+      projectConfig = new ProjectConfiguration({
+        templateId,
+        version: templateVersion,
+        projectName: config.projectName,
+        projectPath: config.projectPath ? path.resolve(config.projectPath) : null,
+        configValues: config.configValues || {},
+        registry: config.registry,
+        authToken: config.authToken
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
 
-    const result = await projectService.createProject(projectConfig);
+    // Previews are quick, they are answered right away
+    if (dryRun) {
+      const preview = await new ProjectService().previewProject(projectConfig);
+      return res.json({ dryRun: true, ...preview });
+    }
 
-    // Convert result to API format
-    const projectInstance = new ProjectInstance();
-    const response = {
-      id: result.projectId || projectInstance.generateId(),
-      projectName: config.projectName,
-      projectPath: result.projectPath,
-      templateId,
-      templateVersion,
-      status: result.success ? 'created' : 'failed',
-      createdAt: new Date().toISOString(),
-      lastModified: new Date().toISOString(),
-      files: result.files || [],
-      error: result.success ? undefined : result.error
-    };
+    let job;
+    try {
+      job = req.app.locals.jobQueue.add(createProjectJob(projectConfig, { secrets }), {
+        type: 'createProject',
+        data: {
+          templateId,
+          templateVersion: projectConfig.version,
+          projectName: projectConfig.projectName,
+          projectPath: projectConfig.projectPath
+        }
+      });
+    } catch (error) {
+      if (error.code === 'QUEUE_FULL') {
+        return res.status(503).set('Retry-After', '30').json({
+          error: 'Too many pending projects',
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
-    const statusCode = result.success ? 200 : 500;
-    res.status(statusCode).json(response);
+    return res.status(202).location(`/jobs/${job.id}`).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/projects/${job.id}/events`
+    });
   } catch (error) {
-    res.status(500).json({
+    return res.status(500).json({
       error: 'Failed to create project',
       message: error.message
     });
   }
 });
 
+/**
+ * Format an event for a Server-Sent Events stream
+ * @param {Object} event - Job event with `id` and `type`
+ * @returns {string} Event message
+ */
+function formatServerSentEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// GET /projects/:projectId/events - Stream creation progress as Server-Sent Events
+router.get('/:projectId/events', (req, res) => {
+  const { projectId } = req.params;
+  const job = req.app.locals.jobQueue.get(projectId);
+
+  if (!job || job.type !== 'createProject') {
+    return res.status(404).json({
+      error: 'Project not found',
+      message: `No project creation "${projectId}" is known`
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Replay what happened so far; a reconnecting client only gets what it missed
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  job.events.filter(event => event.id > lastEventId).forEach(event => res.write(formatServerSentEvent(event)));
+  if (job.isFinished()) {
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+  const onEvent = (event) => {
+    res.write(formatServerSentEvent(event));
+    if (event.type === 'result') {
+      stop();
+      res.end();
+    }
+  };
+  const stop = () => {
+    clearInterval(keepAlive);
+    job.off('event', onEvent);
+  };
+  job.on('event', onEvent);
+  req.on('close', stop);
+  return null;
+});
+
 // GET /projects/:projectId - Get project status
 router.get('/:projectId', async(req, res) => {
   try {
@@ -0,0 +1,74 @@
+const { program } = require('commander');
+const path = require('path');
+const chalk = require('chalk');
+const ora = require('ora');
+const { AdvisoryDatabase } = require('../../core/advisory-database');
+
+const advisoriesCommand = program
+  .createCommand('advisories')
+  .description('Manage the local security advisory database used by dependency audits')
+  .addCommand(
+    program
+      .createCommand('import')
+      .description('Import advisories from a JSON dump (GitHub REST or OSV format)')
+      .argument('<file>', 'Advisory dump file')
+      .action(async(file) => {
+        const spinner = ora(`Importing advisories from ${file}...`).start();
+
+        try {
+          const database = new AdvisoryDatabase();
+          const result = await database.importAdvisories(path.resolve(file));
+
+          spinner.succeed(chalk.green(`Imported ${result.imported} advisories`));
+          if (result.skipped > 0) {
+            console.log(chalk.yellow(`Skipped ${result.skipped} entries without npm packages or version ranges`));
+          }
+          console.log(chalk.gray(`${result.total} records in ${database.dbPath}`));
+        } catch (error) {
+          spinner.fail(chalk.red('Failed to import advisories'));
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('list')
+      .alias('ls')
+      .description('List stored advisories')
+      .argument('[package]', 'Only show advisories for this package')
+      .option('--json', 'Output in JSON format')
+      .action(async(packageName, options) => {
+        try {
+          const database = new AdvisoryDatabase();
+          const data = await database.load();
+          const advisories = packageName
+            ? await database.getAdvisories(packageName)
+            : data.advisories;
+
+          if (options.json) {
+            console.log(JSON.stringify(advisories, null, 2));
+            return;
+          }
+
+          if (advisories.length === 0) {
+            console.log(chalk.yellow('No advisories found.'));
+            console.log(chalk.gray('Import a dump with: create-ai-project advisories import <file>'));
+            return;
+          }
+
+          advisories.forEach(advisory => {
+            const fixed = advisory.patchedVersions.length > 0 ? advisory.patchedVersions.join(', ') : 'none';
+            console.log(`${chalk.bold(advisory.package)} ${chalk.gray(advisory.vulnerableRange)} ${chalk.magenta(advisory.severity)}`);
+            console.log(`  ${advisory.id}: ${advisory.title}`);
+            console.log(chalk.gray(`  Fixed in: ${fixed}`));
+          });
+          console.log(chalk.gray(`\n${advisories.length} advisories, updated ${data.updatedAt || 'never'}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  );
+
+module.exports = advisoriesCommand;
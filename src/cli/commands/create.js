@@ -5,8 +5,45 @@ const inquirer = require('inquirer');
 const path = require('path');
 const fs = require('fs-extra');
 const TemplateManager = require('../../core/template-manager');
-const ProjectService = require('../../services/project-service');
-const ConfigValidator = require('../../core/config-validator');
+const { ProjectService } = require('../../services/project-service');
+const { ConfigValidator } = require('../../core/config-validator');
+const SchemaPrompter = require('../../core/schema-prompter');
+const { formatFileTree } = require('../../utils/fileTree');
+const { readLockfile, resolveLockAnswers } = require('../../core/project-lock');
+const { formatAuditFinding } = require('../../core/advisory-database');
+const { formatSecretFinding } = require('../../utils/secretScanner');
+
+/**
+ * Print the findings of a dependency audit
+ * @param {Object} audit - Audit report from AdvisoryDatabase.audit()
+ */
+function printAuditFindings(audit) {
+  if (audit.findings.length === 0) {
+    return;
+  }
+
+  console.log(chalk.yellow(`\n⚠ ${audit.findings.length} known vulnerabilit${audit.findings.length === 1 ? 'y' : 'ies'} in template dependencies:`));
+  audit.findings.forEach(finding => {
+    const color = finding.severity === 'critical' || finding.severity === 'high' ? chalk.red : chalk.yellow;
+    console.log(`  ${color(formatAuditFinding(finding))}`);
+  });
+}
+
+/**
+ * Spinner text for a project creation event, the same events streamed by GET /projects/:id/events
+ * @param {Object} event - Step or log event from ProjectService
+ * @param {string} current - Current spinner text, kept for other events
+ * @returns {string} Spinner text
+ */
+function formatProgressEvent(event, current) {
+  if (event.type === 'step' && event.status === 'started') {
+    return `${event.description} (${event.index + 1}/${event.total})`;
+  }
+  if (event.type === 'log' && event.source === 'npm') {
+    return `Installing dependencies: ${chalk.gray(event.message.slice(0, 60))}`;
+  }
+  return current;
+}
 
 const createCommand = program
   .createCommand('create')
@@ -22,16 +59,29 @@ const createCommand = program
   .option('--interactive', 'Force interactive mode')
   .option('--non-interactive', 'Force non-interactive mode')
   .option('--dry-run', 'Preview without creating files')
+  .option('--no-hooks', 'Do not run template lifecycle hooks')
+  .option('--force', 'Generate into an existing directory (restored if creation fails)')
+  .option('--from-lock <file>', 'Reproduce a project from an .ai-project.lock.json file')
+  .option('--policy <file>', 'Organization policy file (defaults to the global policy.json)')
+  .option('--assistant-context <formats>', 'Assistant context files to write: agents, claude, cursor (comma-separated) or none (default: assistantContext.formats in the CLI configuration)')
+  .option('--fail-on <severity>', 'Refuse templates whose dependencies have known vulnerabilities of this severity or higher (critical, high, medium, low)')
+  .option('--secrets <action>', 'What to do with secrets found in the generated files: abort, redact (move them to .env) or continue (default: abort, or ask in interactive mode)')
   .action(async(template, options) => {
     const spinner = ora('Initializing project creation...').start();
 
     try {
-      const templateManager = new TemplateManager();
-      const projectService = new ProjectService();
+      const templateManager = new TemplateManager({ policyPath: options.policy });
+      const projectService = new ProjectService({ policyPath: options.policy });
       const configValidator = new ConfigValidator();
 
+      // Reproducing from a lockfile pins the template, its version and all answers
+      const lock = options.fromLock ? await readLockfile(path.resolve(options.fromLock)) : null;
+      if (lock && template && template !== lock.template.id) {
+        throw new Error(`Lockfile was generated from ${lock.template.id}, not ${template}`);
+      }
+
       // Determine if interactive mode should be used
-      const isInteractive = options.interactive || (!template && !options.nonInteractive);
+      const isInteractive = !lock && (options.interactive || (!template && !options.nonInteractive));
 
       const projectConfig = {
         template: template,
@@ -45,16 +95,22 @@ const createCommand = program
         dryRun: options.dryRun
       };
 
+      if (lock) {
+        projectConfig.template = lock.template.id;
+        projectConfig.name = projectConfig.name || lock.projectName;
+        projectConfig.registry = projectConfig.registry || lock.registry;
+      }
+
       // Interactive mode
       if (isInteractive) {
         spinner.stop();
 
         // Step 1: Select template
         if (!projectConfig.template) {
-          const templates = await templateManager.listTemplates(options);
+          const { templates } = await templateManager.listTemplates();
           const templateChoices = templates.map(t => ({
             name: `${t.name} - ${t.description}`,
-            value: t.name,
+            value: t.id,
             short: t.name
           }));
 
@@ -79,7 +135,7 @@ const createCommand = program
             default: projectConfig.name,
             validate: (input) => {
               const validationResult = configValidator.validateProjectName(input);
-              return validationResult.valid ? true : validationResult.errors.join(', ');
+              return validationResult.isValid ? true : validationResult.errors.join(', ');
             }
           },
           {
@@ -87,9 +143,11 @@ const createCommand = program
             name: 'path',
             message: 'Target directory:',
             default: projectConfig.path || `./${projectConfig.name}`,
-            validate: (input) => {
-              const validationResult = configValidator.validateProjectPath(input);
-              return validationResult.valid ? true : validationResult.errors.join(', ');
+            validate: async(input) => {
+              const validationResult = await configValidator.validateProjectPath(input, {
+                allowOverwrite: Boolean(options.force)
+              });
+              return validationResult.isValid ? true : validationResult.errors.join(', ');
             }
           }
         ]);
@@ -97,67 +155,114 @@ const createCommand = program
         projectConfig.name = projectAnswers.name;
         projectConfig.path = projectAnswers.path;
 
-        // Step 3: Get template-specific configuration
+        // Step 3: Ask the questions declared by the template's configSchema
         const templateInfo = await templateManager.getTemplate(projectConfig.template, options);
-        if (templateInfo.config && Object.keys(templateInfo.config).length > 0) {
+        const prompter = new SchemaPrompter(templateInfo.configSchema || {}, { prompt: inquirer.prompt });
+        if (Object.keys(prompter.getActiveProperties(projectConfig.config).properties).length > 0) {
           console.log(chalk.blue('\nConfigure your project:'));
-          const configQuestions = [];
-
-          for (const [key, config] of Object.entries(templateInfo.config)) {
-            if (config.type === 'boolean') {
-              configQuestions.push({
-                type: 'confirm',
-                name: key,
-                message: config.description || key,
-                default: config.default || false
-              });
-            } else if (config.enum) {
-              configQuestions.push({
-                type: 'list',
-                name: key,
-                message: config.description || key,
-                choices: config.enum,
-                default: config.default
-              });
-            } else {
-              configQuestions.push({
-                type: 'input',
-                name: key,
-                message: config.description || key,
-                default: config.default || ''
-              });
-            }
-          }
-
-          const configAnswers = await inquirer.prompt(configQuestions);
-          projectConfig.config = { ...projectConfig.config, ...configAnswers };
+          projectConfig.config = await prompter.run(projectConfig.config);
         }
 
         spinner.start('Creating project...');
       }
 
+      // Map CLI options onto the project configuration model
+      const serviceConfig = {
+        templateId: projectConfig.template,
+        projectName: projectConfig.name,
+        projectPath: path.resolve(projectConfig.path || `./${projectConfig.name}`),
+        configValues: projectConfig.configFile
+          ? { ...(await fs.readJson(projectConfig.configFile)), ...projectConfig.config }
+          : projectConfig.config
+      };
+      if (projectConfig.registry) {
+        serviceConfig.registry = projectConfig.registry;
+      }
+      if (lock) {
+        // --config / --config-file only supply values for redacted secrets
+        serviceConfig.version = lock.template.version;
+        serviceConfig.configValues = resolveLockAnswers(lock, serviceConfig.configValues);
+      }
+
+      // Nothing is asked without a terminal, so the template's defaults fill in the answers, including
+      // properties switched on by other answers through dependencies or if/then
+      if (!isInteractive && !lock) {
+        const templatePackage = await projectService.getTemplatePackage(serviceConfig.templateId, serviceConfig.version);
+        if (templatePackage) {
+          serviceConfig.configValues = new SchemaPrompter(templatePackage.configSchema)
+            .applyDefaults(serviceConfig.configValues);
+        }
+      }
+
       // Validate configuration
-      const validationResult = configValidator.validateConfiguration(projectConfig);
-      if (!validationResult.valid) {
+      const validationResult = configValidator.validateConfiguration(serviceConfig, 'project-config');
+      if (!validationResult.isValid) {
         throw new Error(`Configuration validation failed: ${validationResult.errors.join(', ')}`);
       }
 
-      // Create project
-      const result = await projectService.createProject(projectConfig);
+      // Dry run: show the files the template would generate
+      if (options.dryRun) {
+        const preview = await projectService.previewProject(
+          serviceConfig,
+          options.assistantContext ? { assistantContext: options.assistantContext } : {}
+        );
+        spinner.succeed(chalk.green(`Dry run: ${preview.files.length} files would be created`));
+        console.log(formatFileTree(preview.files, { rootName: chalk.bold(preview.projectPath) }));
+        console.log(chalk.yellow('\nDry run completed - no files were created.'));
+        return;
+      }
+
+      // Create project; the service audits template dependencies and enforces the --fail-on gate
+      const createOptions = {
+        skipHooks: options.hooks === false,
+        allowOverwrite: Boolean(options.force),
+        lock,
+        failOn: options.failOn,
+        secrets: options.secrets,
+        onAudit: (audit) => {
+          if (audit.findings.length > 0) {
+            spinner.stop();
+            printAuditFindings(audit);
+            spinner.start('Creating project...');
+          }
+        },
+        onEvent: event => {
+          spinner.text = formatProgressEvent(event, spinner.text);
+        }
+      };
+      if (isInteractive && !options.secrets) {
+        createOptions.onSecrets = async(findings) => {
+          spinner.stop();
+          console.log(chalk.yellow(`\n⚠ ${findings.length} secret(s) found in the generated files:`));
+          findings.forEach(finding => console.log(`  ${chalk.yellow(formatSecretFinding(finding))}`));
+          const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: 'What should be done with them?',
+            choices: [
+              { name: 'Move them into a git-ignored .env file', value: 'redact' },
+              { name: 'Keep them in the files', value: 'continue' },
+              { name: 'Abort', value: 'abort' }
+            ]
+          }]);
+          spinner.start('Creating project...');
+          return action;
+        };
+      }
+      if (options.assistantContext) {
+        createOptions.assistantContext = options.assistantContext;
+      }
+      const result = await projectService.createProject(serviceConfig, createOptions);
 
       spinner.succeed(chalk.green('Project created successfully!'));
 
-      if (!options.dryRun) {
-        console.log(chalk.bold('\nNext steps:'));
-        console.log(chalk.gray(`  cd ${result.projectPath}`));
-        console.log(chalk.gray('  npm install'));
-        if (result.scripts && Object.keys(result.scripts).length > 0) {
-          console.log(chalk.gray(`  npm run ${Object.keys(result.scripts)[0]}`));
-        }
-        console.log(chalk.blue(`\nProject created at: ${result.projectPath}`));
-      } else {
-        console.log(chalk.yellow('\nDry run completed - no files were created.'));
+      console.log(chalk.bold('\nNext steps:'));
+      console.log(chalk.gray(`  cd ${result.projectPath}`));
+      console.log(chalk.gray('  npm install'));
+      if (result.scripts && Object.keys(result.scripts).length > 0) {
+        console.log(chalk.gray(`  npm run ${Object.keys(result.scripts)[0]}`));
       }
+      console.log(chalk.blue(`\nProject created at: ${result.projectPath}`));
     } catch (error) {
       spinner.fail(chalk.red('Failed to create project'));
       console.error(chalk.red('Error:'), error.message);
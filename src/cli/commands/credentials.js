@@ -0,0 +1,84 @@
+const { program } = require('commander');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { getDefaultCredentialStore } = require('../../utils/credentialStore');
+
+const credentialsCommand = program
+  .createCommand('credentials')
+  .description('Manage registry and git tokens in the encrypted credential store')
+  .addCommand(
+    program
+      .createCommand('set')
+      .description('Save the token for a registry URL or git host')
+      .argument('<key>', 'Registry URL (https://templates.internal) or git host (github.com)')
+      .option('--token <token>', 'Token (prompted for when omitted)')
+      .action(async(key, options) => {
+        try {
+          let token = options.token;
+          if (!token) {
+            ({ token } = await inquirer.prompt([
+              {
+                type: 'password',
+                name: 'token',
+                message: `Token for ${key}:`,
+                mask: '*',
+                validate: input => input.length > 0 || 'A token is required'
+              }
+            ]));
+          }
+
+          const storedKey = getDefaultCredentialStore().set(key, token);
+          console.log(chalk.green(`Saved the token for ${storedKey}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('list')
+      .alias('ls')
+      .description('List the registry URLs and git hosts with a saved token')
+      .option('--json', 'Output in JSON format')
+      .action((options) => {
+        try {
+          const entries = getDefaultCredentialStore().list();
+
+          if (options.json) {
+            console.log(JSON.stringify(entries, null, 2));
+            return;
+          }
+
+          if (entries.length === 0) {
+            console.log(chalk.yellow('No saved tokens.'));
+            return;
+          }
+
+          entries.forEach(({ key, updatedAt }) => {
+            console.log(`${chalk.bold(key)} ${chalk.gray(`saved ${updatedAt}`)}`);
+          });
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('remove')
+      .alias('rm')
+      .description('Remove the token for a registry URL or git host')
+      .argument('<key>', 'Registry URL or git host, as it was saved')
+      .action((key) => {
+        try {
+          const removed = getDefaultCredentialStore().delete(key);
+          console.log(removed ? chalk.green(`Removed the token for ${key}`) : chalk.yellow(`No token saved for ${key}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  );
+
+module.exports = credentialsCommand;
@@ -1,19 +1,89 @@
 const { program } = require('commander');
+const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const table = require('table');
 const TemplateManager = require('../../core/template-manager');
 const NpmService = require('../../services/npm-service');
 const GitService = require('../../services/git-service');
+const { readLockfile, LOCKFILE_NAME } = require('../../core/project-lock');
+const { formatAuditFinding } = require('../../core/advisory-database');
+
+/**
+ * Print the provenance recorded in a project's lockfile
+ * @param {Object} lock - Lockfile contents
+ * @param {string} lockPath - Where the lockfile was read from
+ */
+function printProjectLock(lock, lockPath) {
+  console.log(chalk.bold.blue(`\n🔒 ${lock.projectName || 'Project'}`));
+  console.log(chalk.gray('━'.repeat(50)));
+
+  console.log(chalk.bold('Template:'));
+  console.log(`  ${chalk.green(lock.template.id)}@${chalk.magenta(lock.template.version)}`);
+  if (lock.template.source) {
+    console.log(`  Source: ${chalk.cyan(lock.template.source)}`);
+  }
+  if (lock.template.integrity) {
+    console.log(`  Integrity: ${chalk.gray(lock.template.integrity)}`);
+  }
+  if (lock.template.commit) {
+    console.log(`  Commit: ${chalk.gray(lock.template.commit)}`);
+  }
+
+  if (lock.registry) {
+    console.log(chalk.bold('\nRegistry:'));
+    console.log(`  ${chalk.blue(lock.registry)}`);
+  }
+
+  if (lock.cli) {
+    console.log(chalk.bold('\nGenerated with:'));
+    console.log(`  ${lock.cli.name}@${lock.cli.version}`);
+  }
+
+  const answers = Object.entries(lock.answers || {});
+  if (answers.length > 0) {
+    console.log(chalk.bold('\nAnswers:'));
+    answers.forEach(([key, value]) => {
+      console.log(`  ${chalk.green(key)}: ${chalk.gray(JSON.stringify(value))}`);
+    });
+  }
+
+  console.log(chalk.bold('\nFiles:'));
+  console.log(`  ${Object.keys(lock.files).length} generated files recorded in ${chalk.gray(lockPath)}`);
+}
 
 const infoCommand = program
   .createCommand('info')
   .description('Show detailed information about a template')
-  .argument('<template>', 'Template name or package')
+  .argument('[template]', 'Template name or package')
+  .option('--project <path>', `Show how a project was generated (reads its ${LOCKFILE_NAME})`)
   .option('--json', 'Output in JSON format')
   .option('--versions', 'Show available versions')
   .option('--dependencies', 'Show template dependencies')
+  .option('--audit', 'Check template dependencies against the local advisory database')
+  .option('--fail-on <severity>', 'With --audit, exit with an error if a vulnerability of this severity or higher is found')
   .action(async(template, options) => {
+    if (options.project) {
+      try {
+        const lockPath = path.resolve(options.project);
+        const lock = await readLockfile(lockPath);
+        if (options.json) {
+          console.log(JSON.stringify(lock, null, 2));
+        } else {
+          printProjectLock(lock, lockPath);
+        }
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!template) {
+      console.error(chalk.red('Error:'), 'Template name or --project <path> is required');
+      process.exit(1);
+    }
+
     const spinner = ora(`Loading template information for ${template}...`).start();
 
     try {
@@ -43,6 +113,12 @@ const infoCommand = program
         }
       }
 
+      if (options.audit) {
+        additionalInfo.audit = await templateManager.auditTemplateDependencies(templateInfo, {
+          failOn: options.failOn
+        });
+      }
+
       spinner.stop();
 
       if (options.json) {
@@ -131,6 +207,25 @@ const infoCommand = program
           });
         }
 
+        // Display dependency audit if requested
+        if (additionalInfo.audit) {
+          const { findings, unchecked } = additionalInfo.audit;
+          console.log(chalk.bold('\nSecurity Audit:'));
+          if (findings.length === 0) {
+            console.log(`  ${chalk.green('No known vulnerabilities')} in ${additionalInfo.audit.dependencies} dependencies`);
+          }
+          findings.forEach(finding => {
+            const color = finding.severity === 'critical' || finding.severity === 'high' ? chalk.red : chalk.yellow;
+            console.log(`  ${color(formatAuditFinding(finding))}`);
+            if (finding.fixInRange) {
+              console.log(`    ${chalk.gray('The declared range also allows a fixed version')}`);
+            }
+          });
+          unchecked.forEach(dependency => {
+            console.log(`  ${chalk.gray(`Not checked: ${dependency.package}@${dependency.range} (not a semver range)`)}`);
+          });
+        }
+
         // Display compatibility information
         if (templateInfo.compatibility) {
           console.log(chalk.bold('\nCompatibility:'));
@@ -144,6 +239,11 @@ const infoCommand = program
 
         console.log(chalk.gray(`\nLast updated: ${new Date(templateInfo.updatedAt || Date.now()).toLocaleDateString()}`));
       }
+
+      if (additionalInfo.audit && !additionalInfo.audit.passed) {
+        console.error(chalk.red(`\nVulnerabilities of ${options.failOn} severity or higher found`));
+        process.exit(1);
+      }
     } catch (error) {
       spinner.fail(chalk.red(`Failed to load template information for ${template}`));
       console.error(chalk.red('Error:'), error.message);
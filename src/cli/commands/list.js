@@ -11,16 +11,17 @@ const listCommand = program
   .description('List available project templates')
   .option('-s, --search <term>', 'Search templates by name or keywords')
   .option('-t, --type <type>', 'Filter by template type (react-next, node-api, vue-app)')
-  .option('-r, --registry <url>', 'Filter by registry')
+  .option('-r, --registry <id>', 'Filter by registry ID')
+  .option('--policy <file>', 'Organization policy file (defaults to the global policy.json)')
   .option('--json', 'Output in JSON format')
   .action(async(options) => {
     const spinner = ora('Loading available templates...').start();
 
     try {
-      const templateManager = new TemplateManager();
+      const templateManager = new TemplateManager({ policyPath: options.policy });
       const cacheManager = new CacheManager();
 
-      let templates = await templateManager.listTemplates(options);
+      let { templates } = await templateManager.listTemplates(options);
 
       // Apply filters
       if (options.search) {
@@ -35,13 +36,7 @@ const listCommand = program
       if (options.type) {
         templates = templates.filter(template =>
           template.type === options.type ||
-          template.tags.includes(options.type)
-        );
-      }
-
-      if (options.registry) {
-        templates = templates.filter(template =>
-          template.registry === options.registry
+          (template.tags || []).includes(options.type)
         );
       }
 
@@ -0,0 +1,51 @@
+const { program } = require('commander');
+const chalk = require('chalk');
+const TemplateManager = require('../../core/template-manager');
+const CacheManager = require('../../core/cache-manager');
+const { ProjectService } = require('../../services/project-service');
+const { McpServer, serveStdio } = require('../../mcp/server');
+
+/**
+ * Logger for TemplateManager that keeps stdout free for protocol messages
+ * @param {boolean} debug - Also write info and debug messages
+ * @returns {Object} Logger
+ */
+function createStderrLogger(debug) {
+  const write = level => (message) => {
+    if (debug || level === 'WARN' || level === 'ERROR') {
+      process.stderr.write(`[${level}] ${message}\n`);
+    }
+  };
+  return { debug: write('DEBUG'), info: write('INFO'), warn: write('WARN'), error: write('ERROR') };
+}
+
+const mcpCommand = program
+  .createCommand('mcp')
+  .description('Run a Model Context Protocol server on stdio, exposing template operations as tools for AI assistants')
+  .option('--policy <file>', 'Organization policy file (defaults to the global policy.json)')
+  .action(async(options, command) => {
+    try {
+      // With the global --debug option, template lookups are logged to stderr
+      const { debug } = command.optsWithGlobals();
+      const cacheManager = new CacheManager();
+      // The server runs for the whole session, so local registries are watched for templates added or removed
+      const templateManager = new TemplateManager({
+        policyPath: options.policy,
+        logger: createStderrLogger(debug),
+        watchRegistries: true
+      });
+      const projectService = new ProjectService({ policyPath: options.policy, watchRegistries: true });
+      const server = new McpServer({ templateManager, projectService, cacheManager });
+      await serveStdio(server);
+
+      // The client closed stdin; stop the cleanup timer and the watchers so the process can exit
+      cacheManager.destroy();
+      templateManager.close();
+      projectService.close();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+module.exports = mcpCommand;
@@ -0,0 +1,416 @@
+const { program } = require('commander');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { pathToFileURL } = require('url');
+const { mirrorRegistry, indexDirectory } = require('../../core/registry-mirror');
+const { createRegistry, createConfiguredRegistry, getIndexCachePath } = require('../../core/local-registry');
+const { readCliConfig, updateCliConfig } = require('../../core/cli-config');
+const { isSameRegistry } = require('../../core/registry-resolver');
+const { getDefaultCredentialStore } = require('../../utils/credentialStore');
+
+const REGISTRY_TYPES = ['public', 'private', 'local'];
+
+/**
+ * Find a registry in the global CLI configuration
+ * @param {Object} config - Global CLI configuration
+ * @param {string} id - Registry id
+ * @returns {Object} Registry configuration
+ * @throws {Error} If no registry has the id
+ */
+function getRegistryEntry(config, id) {
+  const entry = (config.registries || []).find(registry => registry.id === id);
+  if (!entry) {
+    throw new Error(`Registry ${id} is not configured. Run: create-ai-project registry list`);
+  }
+  return entry;
+}
+
+/**
+ * Describe whether a registry needs and has a token
+ * @param {Object} info - Registry info from TemplateRegistry.getInfo()
+ * @returns {string} Auth state
+ */
+function formatAuthState(info) {
+  if (info.authenticated) {
+    return chalk.green('logged in');
+  }
+  return info.authRequired ? chalk.yellow('required, not logged in') : chalk.gray('not required');
+}
+
+/**
+ * Save what a sync learned about a registry, so the next command starts from it
+ * @param {string} id - Registry id
+ * @param {TemplateRegistry} registry - Synchronized registry
+ * @returns {Promise<Object>} Updated configuration
+ */
+function saveSyncState(id, registry) {
+  const { lastSync, templateCount, status, etag, lastModified } = registry.toJSON();
+  return updateCliConfig(config => {
+    Object.assign(getRegistryEntry(config, id), { lastSync, templateCount, status, etag, lastModified });
+  });
+}
+
+/**
+ * Move tokens that earlier versions saved in the global configuration into the credential store
+ * @returns {Promise<void>}
+ */
+async function migrateSavedTokens() {
+  const config = await readCliConfig();
+  if (!(config.registries || []).some(entry => entry.authToken)) {
+    return;
+  }
+
+  const credentialStore = getDefaultCredentialStore();
+  await updateCliConfig(latest => {
+    (latest.registries || []).filter(entry => entry.authToken).forEach(entry => {
+      credentialStore.set(entry.url, entry.authToken);
+      delete entry.authToken;
+    });
+  });
+}
+
+/**
+ * Print templates that could not be mirrored or indexed
+ * @param {Array<Object>} errors - { template, error }
+ * @param {Array<Object>} skipped - Template folders left out of the index { template, path }
+ */
+function printProblems(errors, skipped) {
+  skipped.forEach(({ template, path: folder }) => {
+    console.log(chalk.yellow(`  Not indexed: ${template} is a template folder (${folder})`));
+  });
+  errors.forEach(({ template, error }) => {
+    console.error(chalk.red(`  Failed: ${template}: ${error}`));
+  });
+}
+
+const registryCommand = program
+  .createCommand('registry')
+  .description('Manage template registries and static registry indexes')
+  .addCommand(
+    program
+      .createCommand('list')
+      .alias('ls')
+      .description('List configured registries with their status, last sync, template count and auth state')
+      .option('--check', 'Check that each registry can be reached')
+      .option('--json', 'Output in JSON format')
+      .action(async(options) => {
+        try {
+          await migrateSavedTokens();
+          const config = await readCliConfig();
+          const registries = await Promise.all((config.registries || []).map(async(entry) => {
+            const registry = createConfiguredRegistry(entry);
+            const info = registry.getInfo();
+            return options.check ? { ...info, available: await registry.isAvailable() } : info;
+          }));
+
+          if (options.json) {
+            console.log(JSON.stringify(registries, null, 2));
+            return;
+          }
+
+          if (registries.length === 0) {
+            console.log(chalk.yellow('No registries configured.'));
+            console.log(chalk.gray('Add one with: create-ai-project registry add <id> <url>'));
+            return;
+          }
+
+          registries.forEach(info => {
+            const status = info.status === 'active' ? chalk.green(info.status) : chalk.red(info.status);
+            console.log(`${chalk.bold(info.id)} ${info.name} ${status}`);
+            console.log(chalk.gray(`  URL: ${info.url}`));
+            console.log(chalk.gray(`  Type: ${info.type} (${info.format})`));
+            console.log(chalk.gray(`  Templates: ${info.templateCount}`));
+            console.log(chalk.gray(`  Last sync: ${info.lastSync ? info.lastSync.toISOString() : 'never'}`));
+            console.log(`  ${chalk.gray('Auth:')} ${formatAuthState(info)}`);
+            if (options.check) {
+              console.log(`  ${chalk.gray('Available:')} ${info.available ? chalk.green('yes') : chalk.red('no')}`);
+            }
+          });
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('add')
+      .description('Add a registry to the global configuration')
+      .argument('<id>', 'Registry id')
+      .argument('<url>', 'Registry URL, index.json URL or path, or template directory')
+      .option('-t, --type <type>', `Registry type (${REGISTRY_TYPES.join(', ')}; default: local for paths, private otherwise)`)
+      .option('-n, --name <name>', 'Name to show for the registry (default: the id)')
+      .option('--format <format>', 'How the registry is read: api, index or directory (default: from the URL and type)')
+      .option('--auth-required', 'The registry needs a token, set with: registry login')
+      .option('--cache-policy <policy>', 'Caching strategy: aggressive, conservative, default or none')
+      .option('-s, --scope <scope...>', 'Look templates in these scopes (@scope) up in this registry only')
+      .action(async(id, location, options) => {
+        try {
+          const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(location);
+          const url = isUrl ? location : pathToFileURL(path.resolve(location)).href;
+          const type = options.type || (url.startsWith('file:') ? 'local' : 'private');
+          if (!REGISTRY_TYPES.includes(type)) {
+            throw new Error(`Invalid registry type ${type}, expected one of: ${REGISTRY_TYPES.join(', ')}`);
+          }
+
+          const entry = {
+            id,
+            name: options.name || id,
+            url,
+            type,
+            ...(options.format && { format: options.format }),
+            ...(options.authRequired && { authRequired: true }),
+            ...(options.cachePolicy && { cachePolicy: options.cachePolicy })
+          };
+          // Fail on an invalid configuration before it is saved
+          const registry = createRegistry(entry);
+          const scopes = options.scope || [];
+          const invalidScope = scopes.find(scope => !/^@[^/:]+$/.test(scope));
+          if (invalidScope) {
+            throw new Error(`Invalid scope ${invalidScope}, expected @scope`);
+          }
+
+          await updateCliConfig(config => {
+            config.registries = config.registries || [];
+            if (config.registries.some(existing => existing.id === id)) {
+              throw new Error(`Registry ${id} is already configured`);
+            }
+            config.registries.push(entry);
+            // Routed the way .npmrc does it, so every command sends the scope here only
+            scopes.forEach(scope => {
+              config.npmrc = { ...config.npmrc, [`${scope}:registry`]: url };
+            });
+          });
+
+          console.log(chalk.green(`Added registry ${id} (${registry.format}): ${url}`));
+          scopes.forEach(scope => console.log(chalk.gray(`  ${scope}/* templates are looked up here only`)));
+          if (entry.authRequired) {
+            console.log(chalk.gray(`Log in with: create-ai-project registry login ${id}`));
+          }
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('remove')
+      .alias('rm')
+      .description('Remove a registry from the global configuration and its token from the credential store')
+      .argument('<id>', 'Registry id')
+      .action(async(id) => {
+        try {
+          let url = null;
+          await updateCliConfig(config => {
+            const entry = getRegistryEntry(config, id);
+            url = entry.url;
+            config.registries = config.registries.filter(registry => registry !== entry);
+            Object.keys(config.npmrc || {}).forEach(key => {
+              if (key.endsWith(':registry') && isSameRegistry(config.npmrc[key], entry.url)) {
+                delete config.npmrc[key];
+              }
+            });
+          });
+          await fs.remove(getIndexCachePath(id));
+          getDefaultCredentialStore().delete(url);
+
+          console.log(chalk.green(`Removed registry ${id}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('sync')
+      .description('Synchronize one or every configured registry')
+      .argument('[id]', 'Registry id (default: all)')
+      .option('--json', 'Output in JSON format')
+      .action(async(id, options) => {
+        try {
+          await migrateSavedTokens();
+          const config = await readCliConfig();
+          const entries = id ? [getRegistryEntry(config, id)] : (config.registries || []);
+          const results = [];
+
+          // One at a time, so each result is saved before the next registry is contacted
+          for (const entry of entries) {
+            const registry = createConfiguredRegistry(entry);
+            let result;
+            try {
+              result = { id: entry.id, ...await registry.sync() };
+            } catch (error) {
+              result = { id: entry.id, success: false, message: error.message };
+            }
+            await saveSyncState(entry.id, registry);
+            results.push(result);
+
+            if (options.json) {
+              continue;
+            }
+            if (!result.success) {
+              console.error(chalk.red(`✗ ${entry.id}: ${result.message}`));
+              continue;
+            }
+            console.log(chalk.green(`✓ ${entry.id}: ${result.message} (${result.templateCount} templates)`));
+            if (result.changes) {
+              const { added, updated, removed } = result.changes;
+              added.forEach(version => console.log(chalk.green(`  + ${version}`)));
+              updated.forEach(version => console.log(chalk.yellow(`  ~ ${version}`)));
+              removed.forEach(version => console.log(chalk.red(`  - ${version}`)));
+            }
+          }
+
+          if (options.json) {
+            console.log(JSON.stringify(results, null, 2));
+          } else if (entries.length === 0) {
+            console.log(chalk.yellow('No registries configured.'));
+          }
+
+          if (results.some(result => !result.success)) {
+            process.exit(1);
+          }
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('login')
+      .description('Check a token against a registry and save it to the encrypted credential store')
+      .argument('<id>', 'Registry id')
+      .option('--token <token>', 'Token (prompted for when omitted)')
+      .action(async(id, options) => {
+        try {
+          await migrateSavedTokens();
+          const entry = getRegistryEntry(await readCliConfig(), id);
+          if (entry.type === 'local') {
+            throw new Error(`Registry ${id} is a local registry and does not use a token`);
+          }
+
+          let token = options.token;
+          if (!token) {
+            ({ token } = await inquirer.prompt([
+              {
+                type: 'password',
+                name: 'token',
+                message: `Token for ${entry.url}:`,
+                mask: '*',
+                validate: input => input.length > 0 || 'A token is required'
+              }
+            ]));
+          }
+
+          const registry = createConfiguredRegistry({ ...entry, authRequired: true });
+          await registry.authenticate(token);
+
+          getDefaultCredentialStore().set(entry.url, token);
+          await updateCliConfig(config => {
+            getRegistryEntry(config, id).authRequired = true;
+          });
+          // Static indexes are fetched to check the token, which is as good as a sync
+          if (registry.format === 'index') {
+            await saveSyncState(id, registry);
+          }
+
+          console.log(chalk.green(`Logged in to ${id}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('logout')
+      .description('Remove the saved token of a registry')
+      .argument('<id>', 'Registry id')
+      .action(async(id) => {
+        try {
+          await migrateSavedTokens();
+          const entry = getRegistryEntry(await readCliConfig(), id);
+          const hadToken = getDefaultCredentialStore().delete(entry.url);
+
+          console.log(hadToken ? chalk.green(`Logged out of ${id}`) : chalk.yellow(`Not logged in to ${id}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('mirror')
+      .description('Download templates and an index.json into a directory for static hosting or air-gapped use')
+      .argument('<source>', 'index.json URL or path, template directory, npm registry URL, or "npm"')
+      .argument('<dir>', 'Mirror directory')
+      .option('-t, --template <spec...>', 'Templates to mirror, as id or id@range (default: all, required for npm)')
+      .option('--all-versions', 'Mirror every version instead of the latest')
+      .option('-n, --name <name>', 'Name to write to the index')
+      .option('--json', 'Output in JSON format')
+      .action(async(source, dir, options) => {
+        try {
+          const result = await mirrorRegistry(source, dir, {
+            templates: options.template,
+            allVersions: options.allVersions,
+            name: options.name,
+            onProgress: options.json ? null : ({ id, version, status }) => {
+              if (status === 'mirrored' || status === 'up-to-date') {
+                console.log(`${status === 'mirrored' ? chalk.green('✓') : chalk.gray('=')} ${id}@${version}`);
+              }
+            }
+          });
+
+          if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            console.log(chalk.green(`\nMirrored ${result.mirrored.length} template version(s), ` +
+              `${result.upToDate.length} already up to date`));
+            console.log(chalk.gray(`Index: ${result.indexPath}`));
+            printProblems(result.errors, result.skipped);
+          }
+
+          if (result.errors.length > 0) {
+            process.exit(1);
+          }
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('index')
+      .description('Write the index.json for a directory of template tarballs')
+      .argument('<dir>', 'Directory of template tarballs')
+      .option('-n, --name <name>', 'Name to write to the index')
+      .option('--json', 'Output in JSON format')
+      .action(async(dir, options) => {
+        try {
+          const result = await indexDirectory(dir, { name: options.name });
+
+          if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            console.log(chalk.green(`Indexed ${Object.keys(result.index.templates).length} template(s): ${result.indexPath}`));
+            printProblems(result.errors, result.skipped);
+          }
+
+          if (result.errors.length > 0) {
+            process.exit(1);
+          }
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  );
+
+module.exports = registryCommand;
@@ -0,0 +1,152 @@
+const { program } = require('commander');
+const chalk = require('chalk');
+const path = require('path');
+const TemplateManager = require('../../core/template-manager');
+const { SpecWorkspace, DEFAULT_SPECS_DIR } = require('../../core/spec-workspace');
+
+const PROGRESS_BAR_WIDTH = 20;
+const NEXT_TASKS_SHOWN = 5;
+
+/**
+ * Create a workspace that takes skeletons from the template a project was generated from
+ * @returns {SpecWorkspace} Spec workspace
+ */
+function createWorkspace() {
+  let templateManager = null;
+  return new SpecWorkspace({
+    getTemplateDir: async(templateId, version) => {
+      templateManager = templateManager || new TemplateManager();
+      return (await templateManager.downloadTemplate(templateId, version)).path;
+    }
+  });
+}
+
+/**
+ * Render a progress bar
+ * @param {number} percent - Percentage done
+ * @returns {string} Progress bar
+ */
+function formatProgressBar(percent) {
+  const filled = Math.round((percent / 100) * PROGRESS_BAR_WIDTH);
+  return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(PROGRESS_BAR_WIDTH - filled));
+}
+
+const specCommand = program
+  .createCommand('spec')
+  .description('Create, validate and track numbered spec folders (specs/NNN-feature/)')
+  .addCommand(
+    program
+      .createCommand('new')
+      .description('Create the next numbered spec folder from the template\'s spec skeletons')
+      .argument('<feature-name>', 'Feature name, e.g. user-login')
+      .option('-p, --project <dir>', 'Project directory', '.')
+      .option('--dir <dir>', 'Specs directory inside the project', DEFAULT_SPECS_DIR)
+      .option('--dry-run', 'Show the files that would be created without writing them')
+      .option('--json', 'Output in JSON format')
+      .action(async(featureName, options) => {
+        try {
+          const projectDir = path.resolve(options.project);
+          const spec = await createWorkspace().create(projectDir, featureName, { dir: options.dir, dryRun: options.dryRun });
+
+          if (options.json) {
+            console.log(JSON.stringify(spec, null, 2));
+            return;
+          }
+
+          const location = path.relative(process.cwd(), spec.path) || '.';
+          const source = spec.source === 'template' ? 'template skeletons' : 'built-in skeletons';
+          console.log(chalk.green(`✓ ${options.dryRun ? 'Would create' : 'Created'} ${location}/ (${source})`));
+          spec.files.forEach(file => console.log(`  ${file}`));
+          if (!options.dryRun) {
+            console.log(chalk.gray('\nFill in spec.md first, then plan.md and tasks.md. Check progress with: create-ai-project spec status'));
+          }
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('validate')
+      .description('Check that spec folders have their required sections and tasks')
+      .argument('[spec]', 'Spec number, feature name or folder (default: all)')
+      .option('-p, --project <dir>', 'Project directory', '.')
+      .option('--dir <dir>', 'Specs directory inside the project', DEFAULT_SPECS_DIR)
+      .option('--json', 'Output in JSON format')
+      .action(async(ref, options) => {
+        try {
+          const results = await createWorkspace().validate(path.resolve(options.project), ref, { dir: options.dir });
+          if (results.some(result => !result.valid)) {
+            process.exitCode = 1;
+          }
+
+          if (options.json) {
+            console.log(JSON.stringify(results, null, 2));
+            return;
+          }
+          if (results.length === 0) {
+            console.log(chalk.gray(`No spec folders in ${options.dir}/. Create one with: create-ai-project spec new <feature-name>`));
+            return;
+          }
+
+          results.forEach(result => {
+            console.log(result.valid ? chalk.green(`✓ ${result.dir}`) : chalk.red(`✗ ${result.dir}`));
+            result.errors.forEach(issue => console.log(`  ${chalk.red('error')}   ${issue.file}: ${issue.message}`));
+            result.warnings.forEach(issue => console.log(`  ${chalk.yellow('warning')} ${issue.file}: ${issue.message}`));
+          });
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('status')
+      .description('Show progress from the checkbox tasks in tasks.md')
+      .argument('[spec]', 'Spec number, feature name or folder (default: all)')
+      .option('-p, --project <dir>', 'Project directory', '.')
+      .option('--dir <dir>', 'Specs directory inside the project', DEFAULT_SPECS_DIR)
+      .option('--json', 'Output in JSON format')
+      .action(async(ref, options) => {
+        try {
+          const results = await createWorkspace().progress(path.resolve(options.project), ref, { dir: options.dir });
+
+          if (options.json) {
+            console.log(JSON.stringify(results, null, 2));
+            return;
+          }
+          if (results.length === 0) {
+            console.log(chalk.gray(`No spec folders in ${options.dir}/. Create one with: create-ai-project spec new <feature-name>`));
+            return;
+          }
+
+          results.forEach(result => {
+            if (!result.hasTasks) {
+              console.log(`${chalk.bold(result.dir)} ${chalk.gray('- no tasks.md yet')}`);
+              return;
+            }
+            console.log(`${chalk.bold(result.dir)} ${formatProgressBar(result.percent)} ${result.percent}% (${result.done}/${result.total} tasks)`);
+            result.phases.forEach(phase => {
+              const color = phase.done === phase.total ? chalk.green : chalk.yellow;
+              console.log(`  ${phase.title || 'Tasks'} ${color(`${phase.done}/${phase.total}`)}`);
+            });
+            if (results.length === 1 && result.remaining.length > 0) {
+              console.log(chalk.bold('  Next:'));
+              result.remaining.slice(0, NEXT_TASKS_SHOWN).forEach(task => {
+                console.log(`    ${task.id ? chalk.cyan(task.id) + ' ' : ''}${task.description}`);
+              });
+              if (result.remaining.length > NEXT_TASKS_SHOWN) {
+                console.log(chalk.gray(`    ... and ${result.remaining.length - NEXT_TASKS_SHOWN} more`));
+              }
+            }
+          });
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  );
+
+module.exports = specCommand;
@@ -0,0 +1,181 @@
+const { program } = require('commander');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  TrustStore,
+  SIGNATURE_EXTENSION,
+  signData,
+  tagSignaturePayload,
+  formatTagSignature
+} = require('../../core/trust-store');
+const { updateCliConfig, getCliConfigPath } = require('../../core/cli-config');
+
+/**
+ * Work out which policy list a target belongs to
+ * @param {string} target - @scope, registry URL or git host/path prefix
+ * @returns {string} 'scopes', 'registries' or 'repositories'
+ */
+function getPolicyList(target) {
+  if (target.startsWith('@')) {
+    return 'scopes';
+  }
+  return /^https?:\/\//.test(target) ? 'registries' : 'repositories';
+}
+
+const trustCommand = program
+  .createCommand('trust')
+  .description('Manage the keys trusted to sign templates and the signature policy')
+  .addCommand(
+    program
+      .createCommand('add-key')
+      .description('Trust an ed25519 public key (PEM)')
+      .argument('<file>', 'Public key file')
+      .option('-n, --name <name>', 'Name to show for the key')
+      .action(async(file, options) => {
+        try {
+          const trustStore = new TrustStore();
+          const key = await trustStore.addKey(await fs.readFile(path.resolve(file), 'utf8'), { name: options.name });
+
+          console.log(chalk.green(`Trusted key ${key.id} (${key.name})`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('list')
+      .alias('ls')
+      .description('List trusted and revoked keys')
+      .option('--json', 'Output in JSON format')
+      .action(async(options) => {
+        try {
+          const trustStore = new TrustStore();
+          const keys = await trustStore.listKeys();
+
+          if (options.json) {
+            console.log(JSON.stringify(keys, null, 2));
+            return;
+          }
+
+          if (keys.length === 0) {
+            console.log(chalk.yellow('No trusted keys.'));
+            console.log(chalk.gray('Add one with: create-ai-project trust add-key <file>'));
+            return;
+          }
+
+          keys.forEach(key => {
+            const status = key.revokedAt ? chalk.red(`revoked ${key.revokedAt}`) : chalk.green('trusted');
+            console.log(`${chalk.bold(key.id)} ${key.name} ${status}`);
+            console.log(chalk.gray(`  Added: ${key.addedAt}`));
+          });
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('revoke')
+      .description('Revoke a key; templates signed by it are rejected')
+      .argument('<keyId>', 'Key id or unique prefix')
+      .action(async(keyId) => {
+        try {
+          const trustStore = new TrustStore();
+          const key = await trustStore.revokeKey(keyId);
+
+          console.log(chalk.green(`Revoked key ${key.id} (${key.name})`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('sign')
+      .description(`Sign a template tarball, writing the detached signature to <file>${SIGNATURE_EXTENSION}`)
+      .argument('<file>', 'Template tarball')
+      .requiredOption('-k, --key <file>', 'ed25519 private key (PEM)')
+      .action(async(file, options) => {
+        try {
+          const privateKey = await fs.readFile(path.resolve(options.key), 'utf8');
+          const signature = signData(await fs.readFile(path.resolve(file)), privateKey);
+          const output = `${path.resolve(file)}${SIGNATURE_EXTENSION}`;
+
+          await fs.writeJson(output, signature, { spaces: 2 });
+          console.log(chalk.green(`Signed with key ${signature.keyId}: ${output}`));
+          console.log(chalk.gray('Publish the signature next to the tarball in the registry'));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('sign-tag')
+      .description('Print the signature block to include in an annotated git tag message')
+      .argument('<tag>', 'Tag name')
+      .argument('<commit>', 'Full commit hash the tag points to')
+      .requiredOption('-k, --key <file>', 'ed25519 private key (PEM)')
+      .action(async(tag, commit, options) => {
+        try {
+          const privateKey = await fs.readFile(path.resolve(options.key), 'utf8');
+          const signature = signData(tagSignaturePayload(tag, commit), privateKey);
+
+          process.stdout.write(formatTagSignature(signature));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  )
+  .addCommand(
+    program
+      .createCommand('policy')
+      .description('Show or change which scopes, registries and repositories require signed templates')
+      .option('--require <target>', 'Require signatures for a @scope, registry URL or git host/path prefix')
+      .option('--remove <target>', 'Stop requiring signatures for a target')
+      .option('--json', 'Output in JSON format')
+      .action(async(options) => {
+        try {
+          const config = await updateCliConfig(current => {
+            const trust = current.trust || {};
+            const rules = trust.requireSignatures || {};
+
+            if (options.require) {
+              const list = getPolicyList(options.require);
+              rules[list] = [...new Set([...(rules[list] || []), options.require])];
+            }
+            if (options.remove) {
+              const list = getPolicyList(options.remove);
+              rules[list] = (rules[list] || []).filter(entry => entry !== options.remove);
+            }
+
+            return { ...current, trust: { ...trust, requireSignatures: rules } };
+          });
+          const rules = config.trust.requireSignatures;
+
+          if (options.json) {
+            console.log(JSON.stringify(config.trust, null, 2));
+            return;
+          }
+
+          console.log(chalk.bold('Signatures required for:'));
+          ['scopes', 'registries', 'repositories'].forEach(list => {
+            const entries = rules[list] || [];
+            console.log(`  ${list}: ${entries.length > 0 ? entries.join(', ') : chalk.gray('none')}`);
+          });
+          console.log(chalk.gray(`\nConfiguration: ${getCliConfigPath()}`));
+        } catch (error) {
+          console.error(chalk.red('Error:'), error.message);
+          process.exit(1);
+        }
+      })
+  );
+
+module.exports = trustCommand;
@@ -0,0 +1,111 @@
+const { program } = require('commander');
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+const TemplateManager = require('../../core/template-manager');
+const { ProjectUpdater } = require('../../core/project-updater');
+const { AssistantContext } = require('../../core/assistant-context');
+const { readProjectMetadata } = require('../../core/project-metadata');
+
+/**
+ * Print a group of files from the update summary
+ * @param {string} title - Group title
+ * @param {Array<Object>} files - Per-file results
+ * @param {Function} color - Chalk color function
+ */
+function printGroup(title, files, color) {
+  if (files.length === 0) {
+    return;
+  }
+  console.log(chalk.bold(`\n${title} (${files.length}):`));
+  files.forEach(file => {
+    const detail = file.reason || (file.conflicts > 0 ? `${file.conflicts} conflict${file.conflicts > 1 ? 's' : ''}` : '');
+    console.log(`  ${color(file.path)}${detail ? chalk.gray(` - ${detail}`) : ''}`);
+  });
+}
+
+const updateCommand = program
+  .createCommand('update')
+  .description('Apply a newer template version to a generated project')
+  .argument('[path]', 'Project directory', '.')
+  .option('--to <version>', 'Template version to update to (default: latest)')
+  .option('--dry-run', 'Show what would change without modifying files')
+  .option('--force', 'Re-apply the template even if the project is already at the target version')
+  .option('--json', 'Output in JSON format')
+  .action(async(projectPath, options) => {
+    const projectDir = path.resolve(projectPath);
+    const spinner = ora(`Checking ${projectDir}...`).start();
+
+    try {
+      const templateManager = new TemplateManager();
+      const metadata = await readProjectMetadata(projectDir);
+      if (!metadata || !metadata.template) {
+        throw new Error(`${projectDir} was not generated by create-ai-project (no .xagi-project.json)`);
+      }
+
+      const version = options.to || (await templateManager.getTemplate(metadata.template)).version;
+
+      const status = `Updating ${metadata.template} ${metadata.templateVersion} → ${version}`;
+      spinner.text = `${status}...`;
+      const onProgress = ({ bytes, files }) => {
+        spinner.text = `${status} (extracted ${files} files, ${(bytes / 1024).toFixed(0)} KB)...`;
+      };
+      const updater = new ProjectUpdater({
+        render: (templateId, templateVersion, targetDir, answers) =>
+          templateManager.renderTemplate(templateId, templateVersion, targetDir, answers, { onProgress }),
+        logger: templateManager.logger,
+        assistantContext: new AssistantContext(),
+        getTemplateDir: async(templateId, templateVersion) => (await templateManager.downloadTemplate(templateId, templateVersion)).path
+      });
+      const result = await updater.update(projectDir, {
+        version,
+        dryRun: options.dryRun,
+        force: options.force
+      });
+
+      spinner.stop();
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      if (result.upToDate) {
+        console.log(chalk.green(`✓ Already using ${result.templateId}@${result.toVersion}`));
+        return;
+      }
+
+      const byStatus = (...statuses) => result.files.filter(file => statuses.includes(file.status));
+      console.log(chalk.bold.blue(`\n🔄 ${result.templateId} ${result.fromVersion} → ${result.toVersion}`));
+      printGroup('Changed', byStatus('updated', 'merged'), chalk.yellow);
+      printGroup('Added', byStatus('added'), chalk.green);
+      printGroup('Removed', byStatus('removed'), chalk.gray);
+      printGroup('Conflicted', byStatus('conflict'), chalk.red);
+      printGroup('Assistant context', (result.assistantContext || [])
+        .filter(file => file.status !== 'unchanged')
+        .map(file => ({
+          path: file.path,
+          reason: file.preserved.length > 0 ? `${file.status}, kept your edits to ${file.preserved.join(', ')}` : file.status
+        })), chalk.cyan);
+
+      const { changed, added, removed, conflicted } = result.summary;
+      if (changed.length + added.length + removed.length + conflicted.length === 0) {
+        console.log(chalk.gray('\nNo template changes affect this project.'));
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('\nDry run completed - no files were modified.'));
+      } else if (conflicted.length > 0) {
+        console.log(chalk.yellow('\nResolve the conflict markers (<<<<<<< / >>>>>>>) in the files above, then review the result.'));
+        process.exitCode = 1;
+      } else {
+        console.log(chalk.green('\n✓ Project updated successfully'));
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Failed to update project'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+module.exports = updateCommand;
@@ -15,6 +15,13 @@ const createCommand = require('./commands/create');
 const infoCommand = require('./commands/info');
 const cacheCommand = require('./commands/cache');
 const configCommand = require('./commands/config');
+const updateCommand = require('./commands/update');
+const advisoriesCommand = require('./commands/advisories');
+const trustCommand = require('./commands/trust');
+const registryCommand = require('./commands/registry');
+const credentialsCommand = require('./commands/credentials');
+const mcpCommand = require('./commands/mcp');
+const specCommand = require('./commands/spec');
 
 // CLI Configuration
 program
@@ -31,6 +38,14 @@ ${chalk.bold('Examples:')}
   ${chalk.green('create-ai-project create @xagi/ai-template-react-next-app')}  Create React Next.js project
   ${chalk.green('create-ai-project info @xagi/ai-template-react-next-app')}     Show template details
   ${chalk.green('create-ai-project cache clear')}                      Clear template cache
+  ${chalk.green('create-ai-project update ./my-app')}                  Apply the latest template version to a project
+  ${chalk.green('create-ai-project advisories import advisories.json')}  Import advisories for dependency audits
+  ${chalk.green('create-ai-project trust add-key platform.pub')}        Trust a template signing key
+  ${chalk.green('create-ai-project registry add platform https://templates.example.com/index.json')}  Add a template registry
+  ${chalk.green('create-ai-project registry mirror ./templates ./mirror')}  Mirror templates for offline use
+  ${chalk.green('create-ai-project credentials set github.com')}       Save a git token, encrypted
+  ${chalk.green('create-ai-project mcp')}                             Serve templates to AI assistants over MCP (stdio)
+  ${chalk.green('create-ai-project spec new user-login')}             Start a numbered spec folder for a feature
 
 ${chalk.bold('Documentation:')}
   ${chalk.blue('https://github.com/xagi/create-ai-project')}
@@ -50,6 +65,13 @@ program.addCommand(createCommand);
 program.addCommand(infoCommand);
 program.addCommand(cacheCommand);
 program.addCommand(configCommand);
+program.addCommand(updateCommand);
+program.addCommand(advisoriesCommand);
+program.addCommand(trustCommand);
+program.addCommand(registryCommand);
+program.addCommand(credentialsCommand);
+program.addCommand(mcpCommand);
+program.addCommand(specCommand);
 
 // Error handling
 program.exitOverride();
@@ -0,0 +1,372 @@
+/**
+ * Advisory Database
+ * A locally stored database of npm security advisories, used to audit template dependencies
+ * offline. Advisories are imported from JSON dumps in either of GitHub's formats:
+ *
+ * - REST (`GET /advisories`): { ghsa_id, cve_id, summary, severity, html_url,
+ *     vulnerabilities: [{ package: { ecosystem, name }, vulnerable_version_range, first_patched_version }] }
+ * - OSV (github/advisory-database): { id, aliases, summary, database_specific: { severity },
+ *     affected: [{ package: { ecosystem, name }, ranges: [{ events: [{ introduced }, { fixed }] }] }] }
+ *
+ * A dump may be a single advisory, an array of advisories or `{ advisories: [...] }`.
+ * Only npm advisories are kept, as one record per advisory and affected package.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const { SEVERITY_LEVELS, compareSeverity, isAtLeast } = require('../utils/securityScanner');
+const { CONFIG_DIR } = require('./cli-config');
+
+const DEFAULT_DATABASE_PATH = path.join(CONFIG_DIR, 'advisories.json');
+const DATABASE_VERSION = 1;
+
+/**
+ * Error raised for unreadable databases and dumps
+ */
+class AdvisoryDatabaseError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'AdvisoryDatabaseError';
+    this.code = code;
+    this.details = details;
+    this.isAdvisoryDatabaseError = true;
+  }
+}
+
+/**
+ * Map an advisory severity onto the scanner's levels (GitHub uses "moderate")
+ * @param {string} severity - Severity from the dump
+ * @returns {string} One of SEVERITY_LEVELS
+ */
+function normalizeSeverity(severity) {
+  const level = String(severity || '').toLowerCase();
+  if (level === 'moderate') {
+    return 'medium';
+  }
+  return SEVERITY_LEVELS.includes(level) ? level : 'medium';
+}
+
+/**
+ * Convert a GitHub version range (`>= 1.0.0, < 1.2.3`) into a semver range
+ * @param {string} range - GitHub range
+ * @returns {string|null} Semver range, or null if it cannot be parsed
+ */
+function toSemverRange(range) {
+  if (!range) {
+    return null;
+  }
+  return semver.validRange(String(range).replace(/,/g, ' '));
+}
+
+/**
+ * Convert OSV range events into a semver range
+ * @param {Array<Object>} events - [{ introduced }, { fixed } | { last_affected }, ...]
+ * @returns {Object} { range, fixed }
+ */
+function osvEventsToRange(events = []) {
+  const parts = [];
+  const fixed = [];
+  let introduced = null;
+  let open = false;
+
+  const lowerBound = () => (introduced ? `>=${introduced} ` : '');
+
+  for (const event of events) {
+    if (Object.prototype.hasOwnProperty.call(event, 'introduced')) {
+      introduced = event.introduced === '0' ? null : event.introduced;
+      open = true;
+    } else if (event.fixed) {
+      parts.push(`${lowerBound()}<${event.fixed}`);
+      fixed.push(event.fixed);
+      open = false;
+    } else if (event.last_affected) {
+      parts.push(`${lowerBound()}<=${event.last_affected}`);
+      open = false;
+    }
+  }
+
+  // Affected from `introduced` onwards, with no fix yet
+  if (open) {
+    parts.push(introduced ? `>=${introduced}` : '*');
+  }
+
+  return { range: parts.length > 0 ? semver.validRange(parts.join(' || ')) : null, fixed };
+}
+
+/**
+ * Normalize one advisory from a dump into database records
+ * @param {Object} advisory - Advisory in GitHub REST or OSV format
+ * @returns {Array<Object>} Records { id, aliases, title, severity, url, package, vulnerableRange, patchedVersions }
+ */
+function normalizeAdvisory(advisory) {
+  if (!advisory || typeof advisory !== 'object') {
+    return [];
+  }
+
+  const isNpm = pkg => pkg && String(pkg.ecosystem).toLowerCase() === 'npm' && pkg.name;
+
+  // GitHub REST format
+  if (Array.isArray(advisory.vulnerabilities)) {
+    const id = advisory.ghsa_id || advisory.id;
+    return advisory.vulnerabilities
+      .filter(vulnerability => isNpm(vulnerability.package))
+      .map(vulnerability => {
+        const patched = vulnerability.first_patched_version;
+        const patchedVersion = patched && typeof patched === 'object' ? patched.identifier : patched;
+        return {
+          id,
+          aliases: [advisory.cve_id].filter(Boolean),
+          title: advisory.summary || id,
+          severity: normalizeSeverity(advisory.severity),
+          url: advisory.html_url || null,
+          package: vulnerability.package.name,
+          vulnerableRange: toSemverRange(vulnerability.vulnerable_version_range),
+          patchedVersions: patchedVersion ? [patchedVersion] : []
+        };
+      })
+      .filter(record => record.id && record.vulnerableRange);
+  }
+
+  // OSV format
+  if (Array.isArray(advisory.affected)) {
+    const severity = advisory.database_specific && advisory.database_specific.severity;
+    const reference = (advisory.references || []).find(ref => ref.type === 'ADVISORY') || (advisory.references || [])[0];
+
+    return advisory.affected
+      .filter(affected => isNpm(affected.package))
+      .map(affected => {
+        const ranges = (affected.ranges || []).map(range => osvEventsToRange(range.events));
+        const explicit = (affected.versions || []).filter(version => semver.valid(version));
+        const vulnerableRange = semver.validRange([
+          ...ranges.map(range => range.range).filter(Boolean),
+          ...explicit
+        ].join(' || '));
+
+        return {
+          id: advisory.id,
+          aliases: advisory.aliases || [],
+          title: advisory.summary || advisory.id,
+          severity: normalizeSeverity(severity),
+          url: reference ? reference.url : null,
+          package: affected.package.name,
+          vulnerableRange,
+          patchedVersions: ranges.flatMap(range => range.fixed)
+        };
+      })
+      .filter(record => record.id && record.vulnerableRange);
+  }
+
+  return [];
+}
+
+class AdvisoryDatabase {
+  /**
+   * @param {Object} options - Database options
+   * @param {string} options.dbPath - Database file (defaults to ~/.xagi/create-ai-project/advisories.json)
+   */
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || DEFAULT_DATABASE_PATH;
+    this.data = null;
+  }
+
+  /**
+   * Load the database from disk; a missing file is an empty database
+   * @returns {Promise<Object>} { version, updatedAt, advisories }
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!await fs.pathExists(this.dbPath)) {
+      this.data = { version: DATABASE_VERSION, updatedAt: null, advisories: [] };
+      return this.data;
+    }
+
+    try {
+      const data = await fs.readJson(this.dbPath);
+      if (!Array.isArray(data.advisories)) {
+        throw new Error('missing advisories');
+      }
+      this.data = data;
+      return this.data;
+    } catch (error) {
+      throw new AdvisoryDatabaseError(
+        `Invalid advisory database ${this.dbPath}: ${error.message}`,
+        'ADVISORY_DB_INVALID'
+      );
+    }
+  }
+
+  /**
+   * Write the database to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.dbPath));
+    await fs.writeJson(this.dbPath, this.data, { spaces: 2 });
+  }
+
+  /**
+   * Import advisories from a JSON dump, replacing records with the same id and package
+   * @param {string|Object|Array} source - Dump file path, or parsed dump
+   * @returns {Promise<Object>} { imported, skipped, total }
+   */
+  async importAdvisories(source) {
+    let dump = source;
+    if (typeof source === 'string') {
+      try {
+        dump = await fs.readJson(source);
+      } catch (error) {
+        throw new AdvisoryDatabaseError(`Cannot read advisory dump ${source}: ${error.message}`, 'ADVISORY_DUMP_INVALID');
+      }
+    }
+
+    let advisories = [dump];
+    if (Array.isArray(dump)) {
+      advisories = dump;
+    } else if (dump && Array.isArray(dump.advisories)) {
+      advisories = dump.advisories;
+    }
+
+    const data = await this.load();
+    const records = new Map(data.advisories.map(record => [`${record.id}:${record.package}`, record]));
+    let imported = 0;
+    let skipped = 0;
+
+    for (const advisory of advisories) {
+      const normalized = normalizeAdvisory(advisory);
+      if (normalized.length === 0) {
+        skipped++;
+        continue;
+      }
+
+      // One advisory can list several ranges for the same package
+      const byPackage = new Map();
+      for (const record of normalized) {
+        const existing = byPackage.get(record.package);
+        byPackage.set(record.package, existing ? {
+          ...existing,
+          vulnerableRange: semver.validRange(`${existing.vulnerableRange} || ${record.vulnerableRange}`),
+          patchedVersions: [...existing.patchedVersions, ...record.patchedVersions]
+        } : record);
+      }
+
+      byPackage.forEach(record => records.set(`${record.id}:${record.package}`, record));
+      imported++;
+    }
+
+    data.advisories = [...records.values()].sort((a, b) =>
+      a.package.localeCompare(b.package) || a.id.localeCompare(b.id));
+    data.updatedAt = new Date().toISOString();
+    await this.save();
+
+    return { imported, skipped, total: data.advisories.length };
+  }
+
+  /**
+   * Get the advisories recorded for a package
+   * @param {string} name - Package name
+   * @returns {Promise<Array<Object>>} Advisory records
+   */
+  async getAdvisories(name) {
+    const data = await this.load();
+    return data.advisories.filter(record => record.package === name);
+  }
+
+  /**
+   * Audit declared dependency ranges
+   *
+   * A dependency is affected when its declared range can resolve to a vulnerable version.
+   * `fixInRange` tells whether the declared range also admits a non-vulnerable version.
+   *
+   * @param {Object} dependencies - { dependencies, devDependencies } or a flat { name: range } map
+   * @param {Object} options - Audit options
+   * @param {string} options.failOn - Lowest severity that fails the audit
+   * @returns {Promise<Object>} Report { auditedAt, dependencies, failOn, passed, severity, summary, findings, unchecked }
+   */
+  async audit(dependencies = {}, options = {}) {
+    const { failOn = null } = options;
+    if (failOn && !SEVERITY_LEVELS.includes(failOn)) {
+      throw new AdvisoryDatabaseError(`Invalid severity threshold: ${failOn}`, 'INVALID_SEVERITY');
+    }
+
+    const groups = dependencies.dependencies || dependencies.devDependencies
+      ? { dependencies: dependencies.dependencies || {}, devDependencies: dependencies.devDependencies || {} }
+      : { dependencies };
+    const findings = [];
+    const unchecked = [];
+    let count = 0;
+
+    for (const [type, group] of Object.entries(groups)) {
+      for (const [name, range] of Object.entries(group)) {
+        count++;
+        const advisories = await this.getAdvisories(name);
+        if (advisories.length === 0) {
+          continue;
+        }
+
+        // Tags, URLs and workspace references cannot be matched offline
+        if (!semver.validRange(range)) {
+          unchecked.push({ package: name, range, dependencyType: type });
+          continue;
+        }
+
+        for (const advisory of advisories) {
+          if (semver.intersects(range, advisory.vulnerableRange)) {
+            findings.push({
+              package: name,
+              range,
+              dependencyType: type,
+              id: advisory.id,
+              aliases: advisory.aliases,
+              title: advisory.title,
+              severity: advisory.severity,
+              url: advisory.url,
+              vulnerableRange: advisory.vulnerableRange,
+              patchedVersions: advisory.patchedVersions,
+              fixInRange: !semver.subset(range, advisory.vulnerableRange)
+            });
+          }
+        }
+      }
+    }
+
+    findings.sort((a, b) => compareSeverity(a.severity, b.severity) || a.package.localeCompare(b.package));
+
+    return {
+      auditedAt: new Date().toISOString(),
+      dependencies: count,
+      failOn,
+      passed: !failOn || !findings.some(finding => isAtLeast(finding.severity, failOn)),
+      severity: findings.length > 0 ? findings[0].severity : null,
+      summary: SEVERITY_LEVELS.reduce((counts, level) => {
+        counts[level] = findings.filter(finding => finding.severity === level).length;
+        return counts;
+      }, {}),
+      findings,
+      unchecked
+    };
+  }
+}
+
+/**
+ * Format an audit finding for logs and error messages
+ * @param {Object} finding - Audit finding
+ * @returns {string} One-line description
+ */
+function formatAuditFinding(finding) {
+  const fixed = finding.patchedVersions.length > 0
+    ? `fixed in ${finding.patchedVersions.join(', ')}`
+    : 'no fix available';
+  return `[${finding.severity}] ${finding.package}@${finding.range}: ${finding.title} (${finding.id}, affected ${finding.vulnerableRange}, ${fixed})`;
+}
+
+module.exports = {
+  AdvisoryDatabase,
+  AdvisoryDatabaseError,
+  DEFAULT_DATABASE_PATH,
+  normalizeAdvisory,
+  formatAuditFinding
+};
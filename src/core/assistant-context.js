@@ -0,0 +1,457 @@
+/**
+ * AssistantContext
+ * Writes context files for AI coding assistants (AGENTS.md, CLAUDE.md, .cursorrules) into
+ * generated projects. The content comes from facts detected in the project (package.json
+ * scripts, test setup, directory layout, lint configuration) and from fragments the template
+ * ships in `_assistant/*.md`, rendered with the project's answers.
+ *
+ * Every generated section is wrapped in markers carrying a hash of what was generated:
+ *
+ *   <!-- create-ai-project:begin commands hash=3f2a9c01b7d4 -->
+ *   ## Commands
+ *   ...
+ *   <!-- create-ai-project:end commands -->
+ *
+ * Regenerating (`update`) replaces a section only while its content still matches the hash.
+ * Sections the user edited, and everything outside the markers, are left as they are.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { TemplateManifest } = require('./template-manifest');
+const { TemplateEngine } = require('./template-engine');
+const { readCliConfigSync } = require('./cli-config');
+const { readProjectMetadata } = require('./project-metadata');
+
+const ASSISTANT_FORMATS = {
+  agents: 'AGENTS.md',
+  claude: 'CLAUDE.md',
+  cursor: '.cursorrules'
+};
+
+const DEFAULT_FORMATS = ['agents'];
+
+const CONTEXT_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged'
+};
+
+const MARKER = 'create-ai-project';
+const SECTION_PATTERN = new RegExp(
+  `<!-- ${MARKER}:begin (\\S+) hash=([0-9a-f]+) -->\\n([\\s\\S]*?)<!-- ${MARKER}:end \\1 -->\\n?`,
+  'g'
+);
+
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm']
+];
+
+// Checked in order, the first one found in the dependencies is reported
+const TEST_FRAMEWORKS = [
+  ['vitest', 'Vitest', 'npx vitest run <file>'],
+  ['jest', 'Jest', 'npx jest <file>'],
+  ['mocha', 'Mocha', 'npx mocha <file>'],
+  ['@playwright/test', 'Playwright', 'npx playwright test <file>'],
+  ['cypress', 'Cypress', 'npx cypress run --spec <file>']
+];
+
+const TEST_DIRECTORIES = ['tests', 'test', '__tests__', 'spec', 'e2e'];
+
+const LINT_TOOLS = [
+  {
+    name: 'ESLint',
+    files: ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', '.eslintrc', '.eslintrc.js',
+      '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml'],
+    packageKey: 'eslintConfig',
+    script: 'lint'
+  },
+  {
+    name: 'Prettier',
+    files: ['.prettierrc', '.prettierrc.json', '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.yml',
+      '.prettierrc.yaml', 'prettier.config.js', 'prettier.config.cjs'],
+    packageKey: 'prettier',
+    script: 'format'
+  },
+  { name: 'Stylelint', files: ['.stylelintrc', '.stylelintrc.json', '.stylelintrc.js', 'stylelint.config.js'], script: 'lint:css' },
+  { name: 'TypeScript', files: ['tsconfig.json'], script: 'typecheck' },
+  { name: 'EditorConfig', files: ['.editorconfig'] }
+];
+
+const DIRECTORY_DESCRIPTIONS = {
+  src: 'application source',
+  lib: 'library source',
+  app: 'app router pages and layouts',
+  pages: 'pages, one per route',
+  components: 'UI components',
+  routes: 'HTTP route handlers',
+  middleware: 'middleware',
+  public: 'static assets served as-is',
+  styles: 'stylesheets',
+  tests: 'tests',
+  test: 'tests',
+  __tests__: 'tests',
+  e2e: 'end-to-end tests',
+  docs: 'documentation',
+  scripts: 'build and maintenance scripts',
+  config: 'configuration'
+};
+
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage'];
+
+/**
+ * Error raised for unknown formats and unreadable fragments
+ */
+class AssistantContextError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'AssistantContextError';
+    this.code = code;
+    this.details = details;
+    this.isAssistantContextError = true;
+  }
+}
+
+/**
+ * Normalize a list of formats
+ * @param {Array<string>|string|boolean} formats - Format names, a comma-separated string, or false/'none' for none
+ * @returns {Array<string>} Known format names without duplicates
+ * @throws {AssistantContextError} If a format is unknown
+ */
+function normalizeFormats(formats) {
+  if (formats === false || formats === null || formats === 'none') {
+    return [];
+  }
+  const list = (Array.isArray(formats) ? formats : String(formats).split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = list.filter(format => !ASSISTANT_FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new AssistantContextError(
+      `Unknown assistant context format: ${unknown.join(', ')} (expected ${Object.keys(ASSISTANT_FORMATS).join(', ')} or none)`,
+      'INVALID_FORMAT',
+      { formats: unknown }
+    );
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Get the formats chosen in the global CLI configuration (`assistantContext.formats`)
+ * @returns {Array<string>} Format names, DEFAULT_FORMATS when none are configured
+ */
+function getConfiguredFormats() {
+  const settings = readCliConfigSync().assistantContext || {};
+  return 'formats' in settings ? normalizeFormats(settings.formats) : [...DEFAULT_FORMATS];
+}
+
+/**
+ * Hash section content the way it is recorded in the begin marker
+ * @param {string} content - Section content
+ * @returns {string} Short hex hash
+ */
+function hashSection(content) {
+  return crypto.createHash('sha256').update(content.trim()).digest('hex').slice(0, 12);
+}
+
+/**
+ * Wrap a section in its markers
+ * @param {Object} section - { id, content }
+ * @returns {string} Marked section
+ */
+function formatSection(section) {
+  const content = `${section.content.trim()}\n`;
+  return `<!-- ${MARKER}:begin ${section.id} hash=${hashSection(content)} -->\n${content}<!-- ${MARKER}:end ${section.id} -->\n`;
+}
+
+/**
+ * Merge generated sections into an existing context file
+ * @param {string|null} existing - Current file contents, null if the file does not exist
+ * @param {Array<Object>} sections - Generated sections { id, content }, in order
+ * @param {string} title - First line of a new file
+ * @returns {Object} { content, preserved } where preserved lists the ids of user-edited sections kept as they were
+ */
+function mergeSections(existing, sections, title) {
+  if (existing === null) {
+    const intro = `Sections between \`${MARKER}\` markers are regenerated by \`create-ai-project update\`. ` +
+      'Add your own notes outside them; edited sections are kept as you left them.';
+    return {
+      content: `${title}\n\n${intro}\n\n${sections.map(formatSection).join('\n')}`,
+      preserved: []
+    };
+  }
+
+  const generated = new Map(sections.map(section => [section.id, section]));
+  const preserved = [];
+  const written = new Set();
+  let lastEnd = -1;
+
+  let content = existing.replace(SECTION_PATTERN, (block, id, hash, body, offset) => {
+    lastEnd = offset + block.length;
+    if (hashSection(body) !== hash) {
+      preserved.push(id);
+      written.add(id);
+      return block;
+    }
+    const section = generated.get(id);
+    if (!section) {
+      // The section is no longer generated, e.g. the template dropped a fragment
+      return '';
+    }
+    written.add(id);
+    return formatSection(section);
+  });
+
+  // New sections go after the last generated one, or at the end of the file
+  const added = sections.filter(section => !written.has(section.id)).map(formatSection);
+  if (added.length > 0) {
+    if (lastEnd === -1) {
+      content = `${content.replace(/\n*$/, '\n\n')}${added.join('\n')}`;
+    } else {
+      const insertAt = content.length - (existing.length - lastEnd);
+      content = `${content.slice(0, insertAt)}\n${added.join('\n')}${content.slice(insertAt)}`;
+    }
+  }
+
+  return { content, preserved };
+}
+
+/**
+ * Read a JSON file if it exists
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Parsed contents or null
+ */
+async function readJsonIfExists(filePath) {
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the facts the context files describe
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object>} { name, description, template, packageManager, scripts, testing, directories, lintTools }
+ */
+async function detectProjectFacts(projectDir) {
+  const packageJson = await readJsonIfExists(path.join(projectDir, 'package.json')) || {};
+  const metadata = await readProjectMetadata(projectDir).catch(() => null);
+  const entries = await fs.readdir(projectDir, { withFileTypes: true });
+  const names = new Set(entries.map(entry => entry.name));
+
+  const lockfile = LOCKFILES.find(([file]) => names.has(file));
+  const scripts = packageJson.scripts || {};
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+  // npm init writes a test script that only fails
+  const testScript = scripts.test && !/no test specified/.test(scripts.test) ? scripts.test : null;
+  const framework = TEST_FRAMEWORKS.find(([dependency]) => dependencies[dependency]);
+
+  const directories = [];
+  for (const entry of entries.filter(item => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.includes(entry.name)) {
+      continue;
+    }
+    const children = (await fs.readdir(path.join(projectDir, entry.name), { withFileTypes: true }))
+      .filter(child => child.isDirectory() && !child.name.startsWith('.'))
+      .map(child => child.name)
+      .sort();
+    directories.push({ name: entry.name, description: DIRECTORY_DESCRIPTIONS[entry.name] || null, children });
+  }
+
+  const lintTools = LINT_TOOLS
+    .map(tool => {
+      const file = tool.files.find(candidate => names.has(candidate))
+        || (tool.packageKey && packageJson[tool.packageKey] ? `package.json (${tool.packageKey})` : null);
+      return file ? { name: tool.name, file, script: tool.script && scripts[tool.script] ? tool.script : null } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    name: packageJson.name || (metadata && metadata.name) || path.basename(projectDir),
+    description: packageJson.description || null,
+    template: metadata && metadata.template ? { id: metadata.template, version: metadata.templateVersion } : null,
+    packageManager: lockfile ? lockfile[1] : 'npm',
+    scripts,
+    testing: {
+      script: testScript,
+      framework: framework ? { name: framework[1], singleFile: framework[2] } : null,
+      directories: TEST_DIRECTORIES.filter(dir => names.has(dir))
+    },
+    directories,
+    lintTools
+  };
+}
+
+/**
+ * Get the command that runs a package.json script
+ * @param {string} packageManager - npm, yarn or pnpm
+ * @param {string} script - Script name
+ * @returns {string} Command
+ */
+function runCommand(packageManager, script) {
+  if (packageManager !== 'npm') {
+    return `${packageManager} ${script}`;
+  }
+  return ['start', 'test'].includes(script) ? `npm ${script}` : `npm run ${script}`;
+}
+
+/**
+ * Build the sections describing detected facts
+ * @param {Object} facts - Result of detectProjectFacts()
+ * @returns {Array<Object>} Sections { id, content }
+ */
+function buildFactSections(facts) {
+  const sections = [];
+  const run = script => runCommand(facts.packageManager, script);
+
+  const overview = [`## Project\n\n${facts.name}${facts.description ? `: ${facts.description}` : ''}`];
+  if (facts.template) {
+    overview.push(`Generated from the \`${facts.template.id}@${facts.template.version}\` template.`);
+  }
+  sections.push({ id: 'project', content: overview.join('\n\n') });
+
+  const commands = [`- \`${facts.packageManager} install\`: install dependencies`]
+    .concat(Object.entries(facts.scripts).map(([name, command]) => `- \`${run(name)}\`: \`${command}\``));
+  sections.push({ id: 'commands', content: `## Commands\n\n${commands.join('\n')}` });
+
+  const testing = [];
+  if (facts.testing.script) {
+    testing.push(`Run the tests with \`${run('test')}\` before finishing a change.`);
+  } else {
+    testing.push('No test script is configured yet.');
+  }
+  if (facts.testing.framework) {
+    testing.push(`Tests use ${facts.testing.framework.name}; run a single file with \`${facts.testing.framework.singleFile}\`.`);
+  }
+  if (facts.testing.directories.length > 0) {
+    testing.push(`Tests live in ${facts.testing.directories.map(dir => `\`${dir}/\``).join(', ')}.`);
+  }
+  sections.push({ id: 'testing', content: `## Testing\n\n${testing.join(' ')}` });
+
+  if (facts.directories.length > 0) {
+    const layout = facts.directories.map(dir => {
+      const details = [dir.description, dir.children.length > 0 ? dir.children.map(child => `${child}/`).join(', ') : null]
+        .filter(Boolean);
+      return `- \`${dir.name}/\`${details.length > 0 ? `: ${details.join('; ')}` : ''}`;
+    });
+    sections.push({ id: 'layout', content: `## Layout\n\n${layout.join('\n')}` });
+  }
+
+  if (facts.lintTools.length > 0) {
+    const style = facts.lintTools.map(tool =>
+      `- ${tool.name} (\`${tool.file}\`)${tool.script ? `: run \`${run(tool.script)}\`` : ''}`
+    );
+    sections.push({ id: 'code-style', content: `## Code style\n\nFollow the configured tools:\n\n${style.join('\n')}` });
+  }
+
+  return sections;
+}
+
+class AssistantContext {
+  /**
+   * @param {Object} options - Options
+   * @param {TemplateEngine} options.templateEngine - Engine fragments are rendered with
+   */
+  constructor(options = {}) {
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+  }
+
+  /**
+   * Load and render the fragments a template ships for assistant context files
+   * @param {string|null} templateDir - Template source directory
+   * @param {Object} answers - Variables to render the fragments with
+   * @returns {Promise<Array<Object>>} Sections { id, content }, ordered by file name
+   * @throws {AssistantContextError} If a fragment fails to render
+   */
+  async loadFragments(templateDir, answers = {}) {
+    if (!templateDir) {
+      return [];
+    }
+    const manifest = await TemplateManifest.load(templateDir);
+    const fragmentsDir = path.join(templateDir, manifest.assistantDir);
+    if (!await fs.pathExists(fragmentsDir)) {
+      return [];
+    }
+
+    const files = (await fs.readdir(fragmentsDir)).filter(file => file.endsWith('.md')).sort();
+    const fragments = [];
+    for (const file of files) {
+      const source = await fs.readFile(path.join(fragmentsDir, file), 'utf8');
+      try {
+        fragments.push({
+          id: `template-${path.basename(file, '.md').toLowerCase().replace(/[^a-z0-9-]+/g, '-')}`,
+          content: this.templateEngine.render(source, answers, { filename: `${manifest.assistantDir}/${file}` })
+        });
+      } catch (error) {
+        throw new AssistantContextError(`Failed to render assistant fragment ${file}: ${error.message}`, 'FRAGMENT_FAILED', { file });
+      }
+    }
+    return fragments.filter(fragment => fragment.content.trim());
+  }
+
+  /**
+   * Write or regenerate the context files of a project
+   * @param {string} projectDir - Project directory
+   * @param {Object} options - Options
+   * @param {Array<string>} options.formats - Formats to write (default: getConfiguredFormats())
+   * @param {Object} options.template - { id, version } of the template, instead of the one in .xagi-project.json
+   * @param {string|null} options.templateDir - Template source directory with `_assistant/` fragments
+   * @param {Object} options.answers - Variables the fragments are rendered with
+   * @param {boolean} options.dryRun - Compute the result without writing
+   * @returns {Promise<Array<Object>>} Per-file results { format, path, status, preserved }
+   */
+  async generate(projectDir, options = {}) {
+    const formats = normalizeFormats('formats' in options ? options.formats : getConfiguredFormats());
+    if (formats.length === 0) {
+      return [];
+    }
+
+    const facts = await detectProjectFacts(projectDir);
+    if (options.template) {
+      facts.template = options.template;
+    }
+    const sections = [
+      ...buildFactSections(facts),
+      ...await this.loadFragments(options.templateDir || null, options.answers || {})
+    ];
+
+    const results = [];
+    for (const format of formats) {
+      const file = ASSISTANT_FORMATS[format];
+      const filePath = path.join(projectDir, file);
+      const existing = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : null;
+      const { content, preserved } = mergeSections(existing, sections, `# ${facts.name}`);
+
+      let status = CONTEXT_STATUS.UNCHANGED;
+      if (existing === null) {
+        status = CONTEXT_STATUS.CREATED;
+      } else if (content !== existing) {
+        status = CONTEXT_STATUS.UPDATED;
+      }
+      if (status !== CONTEXT_STATUS.UNCHANGED && !options.dryRun) {
+        await fs.writeFile(filePath, content);
+      }
+      results.push({ format, path: file, status, preserved });
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  AssistantContext,
+  AssistantContextError,
+  ASSISTANT_FORMATS,
+  DEFAULT_FORMATS,
+  CONTEXT_STATUS,
+  normalizeFormats,
+  getConfiguredFormats,
+  detectProjectFacts,
+  buildFactSections,
+  mergeSections
+};
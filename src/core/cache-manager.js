@@ -2,8 +2,10 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const CacheStore = require('../models/cache');
 const { validateFilePath } = require('../utils/validation');
+const { assertIntegrity } = require('../utils/integrityVerifier');
 
 /**
  * CacheManager Service
@@ -12,6 +14,9 @@ const { validateFilePath } = require('../utils/validation');
  * and cleanup of cached template packages. Implements cache policies, performance
  * monitoring, and persistent storage.
  *
+ * Emits `entryUpdated` with the new CacheStore when an entry is written or refreshed, and
+ * `entryRemoved` with `{ templateId, version }` when one is removed.
+ *
  * @class CacheManager
  * @property {string} cacheDir - Root cache directory path
  * @property {Object} config - Cache configuration
@@ -19,7 +24,7 @@ const { validateFilePath } = require('../utils/validation');
  * @property {Object} metrics - Performance metrics and statistics
  * @property {Object} policies - Cache policies (TTL, size limits, etc.)
  */
-class CacheManager {
+class CacheManager extends EventEmitter {
   /**
    * Create a new CacheManager instance
    *
@@ -41,6 +46,7 @@ class CacheManager {
     enableMetrics = true,
     lruSize = 50
   } = {}) {
+    super();
     this.cacheDir = cacheDir || path.join(os.homedir(), '.xagi', 'create-ai-project', 'cache');
     this.config = {
       ttl,
@@ -136,9 +142,15 @@ class CacheManager {
       const cacheId = this.generateCacheId(templateId, version);
       const cachePath = path.join(this.cacheDir, cacheId);
 
-      // Check LRU cache first
+      // Check LRU cache first (entries are re-verified on every read)
       if (this.lruCache.has(cacheId)) {
         const cacheEntry = this.lruCache.get(cacheId);
+        if (!(await this.validateCacheEntry(cacheEntry))) {
+          await this.removeCacheEntry(templateId, version);
+          this.metrics.misses++;
+          return null;
+        }
+
         await cacheEntry.touch();
         this.updateLruCache(cacheId, cacheEntry);
 
@@ -190,15 +202,22 @@ class CacheManager {
    * Set cache entry for a specific template and version
    *
    * Creates or updates a cache entry with the specified template data.
-   * Enforces cache policies and size limits.
+   * Enforces cache policies and size limits. When integrity information is given,
+   * the package tarball is verified before it is cached and kept in the entry so
+   * getCacheEntry() can verify it again on read.
    *
    * @param {string} templateId - Template identifier
    * @param {string} version - Template version
-   * @param {string} sourcePath - Source path to template files
+   * @param {string} sourcePath - Source path to template files, or a package tarball
+   * @param {Object} [options] - Integrity options
+   * @param {string} [options.integrity] - Expected SRI string of the tarball (`dist.integrity`)
+   * @param {string} [options.shasum] - Expected sha1 of the tarball (`dist.shasum`)
+   * @param {string} [options.tarball] - Tarball a source directory was extracted from
    * @returns {Promise<CacheStore>} Created cache entry
+   * @throws {IntegrityError} If the tarball does not match the expected integrity
    * @throws {Error} If cache creation fails
    */
-  async setCacheEntry(templateId, version, sourcePath) {
+  async setCacheEntry(templateId, version, sourcePath, options = {}) {
     const startTime = Date.now();
 
     try {
@@ -218,6 +237,23 @@ class CacheManager {
         throw new Error(`Source path does not exist: ${sourcePath}`);
       }
 
+      // Verify the tarball before anything is written to the cache
+      const sourceIsTarball = (await fs.stat(sourcePath)).isFile();
+      const tarballPath = sourceIsTarball ? sourcePath : options.tarball;
+      let integrity = null;
+      if (options.integrity || options.shasum) {
+        if (!tarballPath) {
+          throw new Error('Integrity can only be verified for a package tarball');
+        }
+        const verification = assertIntegrity(await fs.readFile(tarballPath), options, `${templateId}@${version}`);
+        integrity = {
+          integrity: options.integrity || null,
+          shasum: options.shasum || null,
+          algorithm: verification.metadata.algorithm,
+          verifiedAt: verification.metadata.verifiedAt
+        };
+      }
+
       // Generate cache entry ID and path
       const cacheId = this.generateCacheId(templateId, version);
       const cachePath = path.join(this.cacheDir, cacheId);
@@ -234,10 +270,15 @@ class CacheManager {
       await fs.ensureDir(cachePath);
 
       // Copy template files to cache
-      await fs.copy(sourcePath, cachePath);
+      if (!sourceIsTarball) {
+        await fs.copy(sourcePath, cachePath);
+      }
+      if (tarballPath) {
+        await fs.copy(tarballPath, path.join(cachePath, CacheStore.PACKAGE_TARBALL));
+      }
 
       // Calculate checksum
-      const checksum = await this.calculateDirectoryChecksum(sourcePath);
+      const checksum = await this.calculateDirectoryChecksum(cachePath);
 
       // Create cache entry
       const cacheEntry = new CacheStore({
@@ -247,7 +288,8 @@ class CacheManager {
         path: cachePath,
         checksum,
         isValid: true,
-        accessCount: 0
+        accessCount: 0,
+        integrity
       });
 
       // Save cache entry metadata
@@ -260,6 +302,8 @@ class CacheManager {
       this.updateSizeMetrics();
       this.updateAccessMetrics(Date.now() - startTime);
 
+      this.emit('entryUpdated', cacheEntry);
+
       return cacheEntry;
     } catch (error) {
       this.metrics.errors++;
@@ -305,6 +349,8 @@ class CacheManager {
       this.updateSizeMetrics();
       this.updateAccessMetrics(Date.now() - startTime);
 
+      this.emit('entryRemoved', { templateId, version });
+
       return true;
     } catch (error) {
       this.metrics.errors++;
@@ -827,6 +873,11 @@ class CacheManager {
     files.sort();
 
     for (const file of files) {
+      // Written by CacheStore.touch()
+      if (file === '.cache-metadata.json') {
+        continue;
+      }
+
       const filePath = path.join(dirPath, file);
       const stats = await fs.stat(filePath);
 
@@ -910,6 +961,8 @@ class CacheManager {
     // Clear performance data
     this.performance.accessTimes = [];
     this.performance.operationTimes.clear();
+
+    this.removeAllListeners();
   }
 }
 
@@ -0,0 +1,90 @@
+/**
+ * CLI Configuration
+ * Reads and writes the global CLI configuration at ~/.xagi/create-ai-project/config.json.
+ * The location can be changed with the XAGI_CONFIG_PATH environment variable.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = path.join(os.homedir(), '.xagi', 'create-ai-project');
+const DEFAULT_CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+
+/**
+ * Get the path of the global CLI configuration file
+ * @returns {string} Configuration file path
+ */
+function getCliConfigPath() {
+  return process.env.XAGI_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+}
+
+/**
+ * Read the global CLI configuration
+ * @param {string} configPath - Configuration file (defaults to getCliConfigPath())
+ * @returns {Promise<Object>} Configuration, empty if the file does not exist
+ * @throws {Error} If the file is not valid JSON
+ */
+async function readCliConfig(configPath = getCliConfigPath()) {
+  if (!await fs.pathExists(configPath)) {
+    return {};
+  }
+
+  try {
+    return await fs.readJson(configPath);
+  } catch (error) {
+    throw new Error(`Invalid CLI configuration ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the global CLI configuration synchronously, for use in constructors
+ * @param {string} configPath - Configuration file (defaults to getCliConfigPath())
+ * @returns {Object} Configuration, empty if the file does not exist
+ * @throws {Error} If the file is not valid JSON
+ */
+function readCliConfigSync(configPath = getCliConfigPath()) {
+  if (!fs.pathExistsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return fs.readJsonSync(configPath);
+  } catch (error) {
+    throw new Error(`Invalid CLI configuration ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the global CLI configuration
+ * @param {Object} config - Configuration
+ * @param {string} configPath - Configuration file (defaults to getCliConfigPath())
+ * @returns {Promise<void>}
+ */
+async function writeCliConfig(config, configPath = getCliConfigPath()) {
+  await fs.ensureDir(path.dirname(configPath));
+  await fs.writeJson(configPath, config, { spaces: 2 });
+}
+
+/**
+ * Read, modify and write the global CLI configuration
+ * @param {Function} update - Receives the configuration and modifies it in place or returns a new one
+ * @param {string} configPath - Configuration file (defaults to getCliConfigPath())
+ * @returns {Promise<Object>} Updated configuration
+ */
+async function updateCliConfig(update, configPath = getCliConfigPath()) {
+  const config = await readCliConfig(configPath);
+  const updated = (await update(config)) || config;
+  await writeCliConfig(updated, configPath);
+  return updated;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  DEFAULT_CONFIG_PATH,
+  getCliConfigPath,
+  readCliConfig,
+  readCliConfigSync,
+  writeCliConfig,
+  updateCliConfig
+};
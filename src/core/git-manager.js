@@ -13,6 +13,8 @@ const path = require('path');
 const fs = require('fs-extra');
 const os = require('os');
 const { validateGitUrl, validateFilePath } = require('../utils/validation');
+const { REDACTED, redactUrlCredentials } = require('../utils/redaction');
+const { getDefaultCredentialStore } = require('../utils/credentialStore');
 // const chalk = require('chalk'); // Disabled for Jest compatibility
 const ora = require('ora');
 const tempy = require('tempy');
@@ -73,6 +75,8 @@ class GitManager {
       authMethod: options.authMethod || 'ssh', // 'ssh' or 'https'
       sshKeyPath: options.sshKeyPath,
       authToken: options.authToken,
+      // Tokens for remotes are looked up by git host when no authToken is given
+      credentialStore: 'credentialStore' in options ? options.credentialStore : getDefaultCredentialStore(),
       debug: options.debug || false,
       ...options
     };
@@ -88,44 +92,67 @@ class GitManager {
     return {
       info: (message) => {
         if (this.options.debug) {
-          console.log('[GitManager]', message);
+          console.log('[GitManager]', this.redact(message));
         }
       },
       warn: (message) => {
         if (this.options.debug) {
-          console.log('[GitManager] WARN:', message);
+          console.log('[GitManager] WARN:', this.redact(message));
         }
       },
       error: (message) => {
-        console.error('[GitManager] ERROR:', message);
+        console.error('[GitManager] ERROR:', this.redact(message));
       },
       debug: (message) => {
         if (this.options.debug) {
-          console.log('[GitManager] DEBUG:', message);
+          console.log('[GitManager] DEBUG:', this.redact(message));
         }
       }
     };
   }
 
   /**
-   * Create a configured git instance
+   * Remove the auth token and URL passwords from a log message
    * @private
    */
-  createGitInstance(repoPath = null) {
-    const git = simpleGit(repoPath || this.options.tempDir);
+  redact(message) {
+    const text = redactUrlCredentials(message);
+    return this.options.authToken ? text.split(this.options.authToken).join(REDACTED) : text;
+  }
 
-    // Configure git environment
+  /**
+   * Get the token for a remote: the configured authToken, or the one stored for its host
+   * @param {string} remoteUrl - Remote repository URL
+   * @returns {string|null} Token
+   * @private
+   */
+  getAuthToken(remoteUrl) {
     if (this.options.authToken) {
-      // Configure HTTP authentication
-      git.env('GIT_ASKPASS', 'echo');
-      git.env('GIT_TERMINAL_PROMPT', '0');
+      return this.options.authToken;
+    }
+    return remoteUrl && this.options.credentialStore ? this.options.credentialStore.get(remoteUrl) : null;
+  }
 
-      if (this.options.authMethod === 'https') {
-        git.env('GIT_USERNAME', 'token');
-        git.env('GIT_PASSWORD', this.options.authToken);
-      }
+  /**
+   * Create a configured git instance
+   * @param {string} repoPath - Working directory (default: the temp directory)
+   * @param {string} remoteUrl - Remote the instance talks to, used to find its stored token
+   * @private
+   */
+  createGitInstance(repoPath = null, remoteUrl = null) {
+    const authToken = this.getAuthToken(remoteUrl);
+    const config = [];
+
+    // git reads no password from the environment, so the token is sent as an Authorization header,
+    // scoped to the remote's origin when the remote is known
+    if (authToken && (remoteUrl ? /^https?:\/\//i.test(remoteUrl) : this.options.authMethod === 'https')) {
+      const key = remoteUrl ? `http.${new URL(remoteUrl).origin}/.extraHeader` : 'http.extraHeader';
+      const credentials = Buffer.from(`token:${authToken}`).toString('base64');
+      config.push(`${key}=Authorization: Basic ${credentials}`);
     }
 
+    const git = simpleGit(repoPath || this.options.tempDir, { config });
+
     if (this.options.sshKeyPath && this.options.authMethod === 'ssh') {
       git.env('GIT_SSH_COMMAND', `ssh -i "${this.options.sshKeyPath}" -o StrictHostKeyChecking=no`);
     }
@@ -161,7 +188,7 @@ class GitManager {
       this.logger.info(`Cloning repository: ${url}`);
       this.logger.debug('Clone options:', cloneOptions);
 
-      const git = this.createGitInstance();
+      const git = this.createGitInstance(null, url);
 
       // Prepare clone arguments
       const cloneArgs = [];
@@ -369,7 +396,7 @@ class GitManager {
 
       try {
         // Clone with minimal depth to get basic info
-        const git = this.createGitInstance();
+        const git = this.createGitInstance(null, url);
 
         spinner.text = 'Cloning repository to get information...';
         await git.clone(url, tempDir, ['--depth', '1', '--filter', 'tree:0']);
@@ -441,7 +468,7 @@ class GitManager {
 
       this.logger.info(`Validating repository: ${url}`);
 
-      const git = this.createGitInstance();
+      const git = this.createGitInstance(null, url);
 
       // Try to list remote branches (lightweight validation)
       spinner.text = 'Checking repository accessibility...';
@@ -532,7 +559,7 @@ class GitManager {
 
       this.logger.info(`Getting branches for: ${url}`);
 
-      const git = this.createGitInstance();
+      const git = this.createGitInstance(null, url);
 
       // List remote branches
       spinner.text = 'Fetching remote branches...';
@@ -589,7 +616,7 @@ class GitManager {
 
       this.logger.info(`Getting tags for: ${url}`);
 
-      const git = this.createGitInstance();
+      const git = this.createGitInstance(null, url);
 
       // List remote tags
       spinner.text = 'Fetching remote tags...';
@@ -0,0 +1,450 @@
+/**
+ * HookRunner
+ * Runs template lifecycle hooks (`preGenerate`, `postGenerate`, `postInstall`) declared
+ * in a template's `template.json`:
+ *
+ *   { "hooks": { "postGenerate": "hooks/post-generate.js" } }
+ *
+ * A hook script either exports a function receiving the hook API or uses the global `api`:
+ *
+ *   module.exports = async(api) => {
+ *     if (api.answers.useTypescript) {
+ *       await api.rename('src/index.js', 'src/index.ts');
+ *     }
+ *     await api.exec('npm', ['run', 'format']);
+ *   };
+ *
+ * Scripts run in a separate process (see hook-sandbox.js) with a timeout. They can only
+ * read the answers, read/write/rename files inside the project directory and run commands
+ * from an allow-list, with the arguments allowed for each. Files that decide what those commands
+ * run (package.json, package manager configuration, .git/ and node_modules/) cannot be written.
+ * Commands get a minimal environment, so tokens in the caller's environment never reach them.
+ * Hook output and errors are collected into the returned result.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { fork, execFile } = require('child_process');
+
+const HOOK_NAMES = ['preGenerate', 'postGenerate', 'postInstall'];
+
+/**
+ * Commands hooks may run, each with the argument lists it accepts. In a pattern, `<name>`
+ * matches one argument that is not an option, `<text>` any one argument and `<paths...>` one
+ * or more arguments that are not options. Commands that run code given as arguments
+ * (`node -e`, `npx`, `npm exec`) are deliberately absent; `run` only runs the scripts the
+ * template's package.json declared, since hooks cannot write package.json.
+ */
+const DEFAULT_ALLOWED_COMMANDS = {
+  npm: ['install', 'ci', 'test', 'run <name>'],
+  yarn: ['install', 'test', 'run <name>'],
+  pnpm: ['install', 'test', 'run <name>'],
+  git: ['init', 'add <paths...>', 'commit -m <text>']
+};
+
+/**
+ * Paths in the project hooks may not write or rename onto: they decide which scripts the allowed
+ * commands run and how npm, yarn, pnpm and git are configured
+ */
+const PROTECTED_PATHS = ['package.json', '.npmrc', '.yarnrc', '.yarnrc.yml', '.pnpmfile.cjs', '.git', 'node_modules'];
+
+/**
+ * Arguments added to allowed commands, so dependency install scripts never run; git commands
+ * also get `-c core.hooksPath=/dev/null` so repository hooks never run
+ */
+const HARDENED_ARGUMENTS = {
+  npm: { install: ['--ignore-scripts'], ci: ['--ignore-scripts'] },
+  yarn: { install: ['--ignore-scripts'] },
+  pnpm: { install: ['--ignore-scripts'] }
+};
+
+// Environment variables passed on to hooks and their commands; npm settings are kept unless they hold credentials
+const ENV_VARIABLES = ['PATH', 'HOME', 'TMPDIR', 'TEMP', 'TMP', 'LANG', 'SYSTEMROOT', 'USERPROFILE'];
+const CREDENTIAL_PATTERN = /auth|token|password|passphrase|secret|_key$/i;
+
+const DEFAULT_TIMEOUT = 60 * 1000;
+const SANDBOX_PATH = path.join(__dirname, 'hook-sandbox.js');
+
+/**
+ * Error raised when a hook API call is rejected
+ */
+class HookError extends Error {
+  constructor(message, hook = null) {
+    super(message);
+    this.name = 'HookError';
+    this.hook = hook;
+    this.isHookError = true;
+  }
+}
+
+/**
+ * Check command arguments against an allowed pattern
+ * @param {string} pattern - Pattern such as 'run <name>', see DEFAULT_ALLOWED_COMMANDS
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if the arguments match
+ */
+function matchArguments(pattern, args) {
+  const tokens = pattern.split(' ').filter(Boolean);
+  const isOption = arg => arg.startsWith('-');
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.endsWith('...>')) {
+      const rest = args.slice(i);
+      return rest.length > 0 && !rest.some(isOption);
+    }
+    if (i >= args.length) {
+      return false;
+    }
+    if (token === '<text>') {
+      continue;
+    }
+    if (token.startsWith('<') ? isOption(args[i]) : args[i] !== token) {
+      return false;
+    }
+  }
+  return args.length === tokens.length;
+}
+
+/**
+ * Build the environment hooks and their commands run with
+ * @param {Object} env - Environment to take the variables from (default: process.env)
+ * @returns {Object} PATH, HOME and the like, plus npm settings that are not credentials
+ */
+function getHookEnv(env = process.env) {
+  const hookEnv = {};
+  for (const [name, value] of Object.entries(env)) {
+    const isNpmSetting = name.toLowerCase().startsWith('npm_config_') && !CREDENTIAL_PATTERN.test(name.slice(11));
+    if (ENV_VARIABLES.includes(name) || isNpmSetting) {
+      hookEnv[name] = value;
+    }
+  }
+  return hookEnv;
+}
+
+/**
+ * HookRunner class
+ */
+class HookRunner {
+  /**
+   * Create a new HookRunner
+   * @param {Object} options - Runner options
+   * @param {number} options.timeout - Maximum run time per hook in milliseconds
+   * @param {Object<string, Array<string>>} options.allowedCommands - Commands hooks may run through
+   *   `api.exec`, with their allowed argument patterns (see DEFAULT_ALLOWED_COMMANDS)
+   * @param {Object} options.logger - Logger with debug/info/warn/error methods
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.allowedCommands = options.allowedCommands || DEFAULT_ALLOWED_COMMANDS;
+    this.logger = options.logger || null;
+  }
+
+  /**
+   * Run a hook script
+   * @param {string} hook - Hook name (preGenerate, postGenerate, postInstall)
+   * @param {string} scriptPath - Absolute path of the hook script
+   * @param {Object} context - Hook context
+   * @param {string} context.projectDir - Project directory the hook operates on
+   * @param {Object} context.answers - Configuration answers
+   * @returns {Promise<Object>} Result { hook, script, success, output, error, duration }
+   */
+  async run(hook, scriptPath, context = {}) {
+    const startTime = Date.now();
+    const output = [];
+    const result = {
+      hook,
+      script: scriptPath,
+      success: false,
+      output,
+      error: null,
+      duration: 0
+    };
+
+    try {
+      if (!HOOK_NAMES.includes(hook)) {
+        throw new HookError(`Unknown hook: ${hook}`, hook);
+      }
+      if (!context.projectDir) {
+        throw new HookError('Project directory is required to run hooks', hook);
+      }
+
+      const source = await fs.readFile(scriptPath, 'utf8');
+      await this.execute(hook, source, scriptPath, context, output);
+      result.success = true;
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    result.duration = Date.now() - startTime;
+    this.log(result.success ? 'debug' : 'warn', `Hook ${hook} ${result.success ? 'completed' : 'failed'}`, {
+      script: scriptPath,
+      duration: result.duration,
+      error: result.error
+    });
+    return result;
+  }
+
+  /**
+   * Execute a hook in the sandbox process
+   * @private
+   * @param {string} hook - Hook name
+   * @param {string} source - Hook source code
+   * @param {string} scriptPath - Hook script path (for stack traces)
+   * @param {Object} context - Hook context
+   * @param {Array<string>} output - Output lines collected from the hook
+   * @returns {Promise<void>}
+   */
+  execute(hook, source, scriptPath, context, output) {
+    return new Promise((resolve, reject) => {
+      const deadline = Date.now() + this.timeout;
+      let settled = false;
+
+      const child = fork(SANDBOX_PATH, [], {
+        execArgv: this.getSandboxFlags(),
+        env: getHookEnv(),
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+      });
+
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (child.exitCode === null) {
+          child.kill('SIGKILL');
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish(new HookError(`Hook ${hook} timed out after ${this.timeout}ms`, hook));
+      }, this.timeout);
+
+      child.stdout.on('data', data => output.push(...data.toString().split('\n').filter(Boolean)));
+      child.stderr.on('data', data => {
+        data.toString().split('\n')
+          .filter(line => line && !line.includes('ExperimentalWarning'))
+          .forEach(line => output.push(line));
+      });
+
+      child.on('error', error => finish(error));
+      child.on('exit', (code, signal) => {
+        finish(new HookError(`Hook ${hook} exited unexpectedly (${signal || `code ${code}`})`, hook));
+      });
+
+      child.on('message', (message) => {
+        switch (message.type) {
+        case 'ready':
+          child.send({
+            type: 'run',
+            hook,
+            source,
+            filename: scriptPath,
+            answers: context.answers || {}
+          });
+          break;
+        case 'log':
+          output.push(message.level === 'info' ? message.message : `[${message.level}] ${message.message}`);
+          break;
+        case 'call':
+          this.handleCall(message.method, message.args, context, deadline, hook)
+            .then(value => !settled && child.send({ type: 'result', id: message.id, value }))
+            .catch(error => !settled && child.send({ type: 'result', id: message.id, error: error.message }));
+          break;
+        case 'done':
+          finish(null);
+          break;
+        case 'failed':
+          finish(new HookError(message.error, hook));
+          break;
+        default:
+          break;
+        }
+      });
+    });
+  }
+
+  /**
+   * Perform an API call on behalf of a hook
+   * @private
+   * @param {string} method - API method
+   * @param {Array} args - Method arguments
+   * @param {Object} context - Hook context
+   * @param {number} deadline - Timestamp after which the hook is killed
+   * @param {string} hook - Hook name
+   * @returns {Promise<*>} Call result
+   */
+  async handleCall(method, args, context, deadline, hook) {
+    const [first, second] = Array.isArray(args) ? args : [];
+
+    switch (method) {
+    case 'readFile':
+      return fs.readFile(this.resolvePath(context.projectDir, first, hook), 'utf8');
+    case 'writeFile': {
+      const target = await this.resolveWritablePath(context.projectDir, first, hook);
+      await fs.outputFile(target, String(second));
+      return true;
+    }
+    case 'rename': {
+      const from = await this.resolveWritablePath(context.projectDir, first, hook);
+      const to = await this.resolveWritablePath(context.projectDir, second, hook);
+      await fs.move(from, to, { overwrite: true });
+      return true;
+    }
+    case 'exists':
+      return fs.pathExists(this.resolvePath(context.projectDir, first, hook));
+    case 'exec':
+      return this.runCommand(first, second || [], context.projectDir, deadline, hook);
+    default:
+      throw new HookError(`Unknown hook API method: ${method}`, hook);
+    }
+  }
+
+  /**
+   * Run an allow-listed command inside the project directory
+   * @private
+   * @param {string} command - Command name
+   * @param {Array<string>} args - Command arguments
+   * @param {string} cwd - Working directory
+   * @param {number} deadline - Timestamp after which the command is killed
+   * @param {string} hook - Hook name
+   * @returns {Promise<Object>} { stdout, stderr, exitCode }
+   */
+  runCommand(command, args, cwd, deadline, hook) {
+    const patterns = Object.prototype.hasOwnProperty.call(this.allowedCommands, command)
+      ? this.allowedCommands[command]
+      : null;
+    if (!patterns) {
+      return Promise.reject(new HookError(
+        `Command "${command}" is not allowed in hooks (allowed: ${Object.keys(this.allowedCommands).join(', ')})`,
+        hook
+      ));
+    }
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      return Promise.reject(new HookError('Command arguments must be an array of strings', hook));
+    }
+    if (!patterns.some(pattern => matchArguments(pattern, args))) {
+      return Promise.reject(new HookError(
+        `Arguments "${args.join(' ')}" are not allowed for "${command}" in hooks (allowed: ${patterns.map(pattern => `${command} ${pattern}`).join(', ')})`,
+        hook
+      ));
+    }
+
+    const hardened = (HARDENED_ARGUMENTS[command] || {})[args[0]] || [];
+    const commandArgs = command === 'git' ? ['-c', 'core.hooksPath=/dev/null', ...args] : [...args, ...hardened];
+
+    return new Promise((resolve) => {
+      execFile(command, commandArgs, {
+        cwd,
+        env: getHookEnv(),
+        timeout: Math.max(deadline - Date.now(), 1),
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        resolve({
+          stdout: String(stdout),
+          stderr: String(stderr),
+          exitCode: error ? (typeof error.code === 'number' ? error.code : 1) : 0
+        });
+      });
+    });
+  }
+
+  /**
+   * Resolve a hook-supplied path inside the project directory
+   * @private
+   * @param {string} projectDir - Project directory
+   * @param {string} filePath - Relative path supplied by the hook
+   * @param {string} hook - Hook name
+   * @returns {string} Absolute path
+   * @throws {HookError} If the path escapes the project directory
+   */
+  resolvePath(projectDir, filePath, hook) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new HookError('File path must be a non-empty string', hook);
+    }
+
+    const root = path.resolve(projectDir);
+    const resolved = path.resolve(root, filePath);
+    if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+      throw new HookError(`Path "${filePath}" is outside the project directory`, hook);
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve a path a hook writes or renames, refusing the protected paths. Symbolic links are
+   * followed, so a link inside the project cannot point a write at a protected path.
+   * @private
+   * @param {string} projectDir - Project directory
+   * @param {string} filePath - Relative path supplied by the hook
+   * @param {string} hook - Hook name
+   * @returns {Promise<string>} Absolute path
+   * @throws {HookError} If the path is outside the project directory or protected
+   */
+  async resolveWritablePath(projectDir, filePath, hook) {
+    const resolved = this.resolvePath(projectDir, filePath, hook);
+
+    // The deepest part of the path that exists decides where a write really lands
+    let existing = resolved;
+    while (!await fs.pathExists(existing) && existing !== path.dirname(existing)) {
+      existing = path.dirname(existing);
+    }
+    const root = await fs.realpath(projectDir);
+    const real = path.join(await fs.realpath(existing), path.relative(existing, resolved));
+    // Compared case-insensitively, since package.json and PACKAGE.JSON are one file on some systems
+    const relative = path.relative(root, real).toLowerCase();
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new HookError(`Path "${filePath}" is outside the project directory`, hook);
+    }
+    const protectedPath = PROTECTED_PATHS.find(name => relative === name || relative.startsWith(`${name}${path.sep}`));
+    if (protectedPath || relative === '') {
+      throw new HookError(`Hooks may not write "${filePath}"`, hook);
+    }
+    return resolved;
+  }
+
+  /**
+   * Node.js flags that lock down the sandbox process when the permission model is available
+   * @private
+   * @returns {Array<string>} execArgv for the sandbox process
+   */
+  getSandboxFlags() {
+    const flags = process.allowedNodeEnvironmentFlags;
+    if (flags.has('--permission')) {
+      return ['--permission', `--allow-fs-read=${SANDBOX_PATH}`];
+    }
+    if (flags.has('--experimental-permission')) {
+      return ['--experimental-permission', `--allow-fs-read=${SANDBOX_PATH}`, '--no-warnings'];
+    }
+    return [];
+  }
+
+  /**
+   * Log through the configured logger
+   * @private
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} meta - Metadata
+   */
+  log(level, message, meta) {
+    if (this.logger && typeof this.logger[level] === 'function') {
+      this.logger[level](message, meta);
+    }
+  }
+}
+
+module.exports = {
+  HookRunner,
+  HookError,
+  HOOK_NAMES,
+  DEFAULT_ALLOWED_COMMANDS,
+  PROTECTED_PATHS,
+  getHookEnv
+};
@@ -0,0 +1,158 @@
+/**
+ * Hook Sandbox
+ * Child process entry point that executes a single template hook script.
+ *
+ * The script runs inside a fresh `vm` context without `require`, `process` or timers
+ * beyond what is listed below. Every side effect (file access, commands) goes through
+ * the `api` object, whose calls are forwarded over IPC to the parent `HookRunner`, which
+ * validates and performs them. When the Node.js permission model is available the parent
+ * also starts this process with file system and child process access disabled.
+ *
+ * Objects from this process handed to the script would lead back to its `Function`
+ * (`api.log.constructor('return process')()`), so `api`, `console` and `module` are built
+ * by setupHookGlobals inside the context, and only strings cross between the two.
+ */
+
+const vm = require('vm');
+
+let nextCallId = 0;
+const pendingCalls = new Map();
+
+/**
+ * Forward an API call to the parent process
+ * @param {string} method - API method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<*>} Result returned by the parent
+ */
+function callParent(method, args) {
+  const id = ++nextCallId;
+  return new Promise((resolve, reject) => {
+    pendingCalls.set(id, { resolve, reject });
+    process.send({ type: 'call', id, method, args });
+  });
+}
+
+/**
+ * Define the hook globals. This function is compiled inside the hook's context, so it must
+ * not use anything from this module; `host` is only reachable through its closures.
+ * @param {Object} host - Callbacks into this process, taking and passing strings only
+ * @param {string} hook - Hook name
+ * @param {string} answersJson - Configuration answers as JSON
+ * @returns {Function} Runs the compiled hook script and reports the outcome to `host`
+ */
+function setupHookGlobals(host, hook, answersJson) {
+  'use strict';
+  const HookPromise = Promise;
+  const HookError = Error;
+  const { parse, stringify } = JSON;
+
+  const format = args => args.map((arg) => {
+    if (typeof arg === 'object' && arg !== null) {
+      try {
+        return stringify(arg);
+      } catch (error) {
+        return String(arg);
+      }
+    }
+    return String(arg);
+  }).join(' ');
+
+  const call = (method, args) => new HookPromise((resolve, reject) => {
+    host.call(method, stringify(args), value => resolve(parse(value).value), message => reject(new HookError(message)));
+  });
+
+  const answers = parse(answersJson);
+  const api = Object.freeze({
+    hook,
+    answers,
+    getAnswer: name => answers[name],
+    readFile: filePath => call('readFile', [filePath]),
+    writeFile: (filePath, content) => call('writeFile', [filePath, String(content)]),
+    rename: (from, to) => call('rename', [from, to]),
+    exists: filePath => call('exists', [filePath]),
+    exec: (command, args = []) => call('exec', [command, args]),
+    log: (...args) => host.log('info', format(args))
+  });
+
+  const module = { exports: {} };
+  globalThis.api = api;
+  globalThis.module = module;
+  globalThis.exports = module.exports;
+  globalThis.console = Object.freeze({
+    log: (...args) => host.log('info', format(args)),
+    info: (...args) => host.log('info', format(args)),
+    warn: (...args) => host.log('warn', format(args)),
+    error: (...args) => host.log('error', format(args))
+  });
+
+  return (script) => {
+    const fail = error => host.failed(error && error.message ? String(error.message) : String(error));
+    try {
+      script();
+      const exported = module.exports;
+      let run = null;
+      if (typeof exported === 'function') {
+        run = exported;
+      } else if (exported && typeof exported.default === 'function') {
+        run = exported.default;
+      }
+      HookPromise.resolve(run ? run(api) : null).then(() => host.done(), fail);
+    } catch (error) {
+      fail(error);
+    }
+  };
+}
+
+/**
+ * Run a hook script
+ * @param {Object} request - Run request from the parent
+ * @returns {Promise<void>}
+ */
+function runHook(request) {
+  return new Promise((resolve, reject) => {
+    const context = vm.createContext({}, {
+      codeGeneration: { strings: false, wasm: false }
+    });
+
+    const host = {
+      call: (method, argsJson, onValue, onError) => {
+        callParent(method, JSON.parse(argsJson))
+          .then(value => onValue(JSON.stringify({ value })), error => onError(error.message));
+      },
+      log: (level, message) => process.send({ type: 'log', level, message }),
+      done: () => resolve(),
+      failed: message => reject(new Error(message))
+    };
+
+    const setup = vm.runInContext(`(${setupHookGlobals})`, context);
+    const start = setup(host, request.hook, JSON.stringify(request.answers || {}));
+    const script = vm.compileFunction(request.source, [], {
+      filename: request.filename,
+      parsingContext: context
+    });
+    start(script);
+  });
+}
+
+process.on('message', (message) => {
+  if (message.type === 'result') {
+    const pending = pendingCalls.get(message.id);
+    if (pending) {
+      pendingCalls.delete(message.id);
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.value);
+      }
+    }
+    return;
+  }
+
+  if (message.type === 'run') {
+    runHook(message)
+      .then(() => process.send({ type: 'done' }))
+      .catch(error => process.send({ type: 'failed', error: error && error.message ? error.message : String(error) }));
+  }
+});
+
+process.send({ type: 'ready' });
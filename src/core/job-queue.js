@@ -0,0 +1,337 @@
+/**
+ * JobQueue
+ * Runs long operations, such as project creation with dependency installs, in the background
+ * so API requests can return right away. At most `concurrency` jobs run at once; the others wait
+ * in a queue of at most `maxQueued` jobs, beyond which new jobs are refused.
+ *
+ * A job's run function receives the job and reports through it:
+ *
+ *   queue.add(async(job) => {
+ *     job.setProgress({ step: 'Installing dependencies', percent: 60 });
+ *     job.log('npm install finished');
+ *     return doWork({ signal: job.signal });
+ *   });
+ *
+ * Cancelling a running job aborts `job.signal`; the run function is expected to stop and undo
+ * its work (createProject rolls its transaction back). Finished jobs are kept for polling until
+ * more than `maxFinished` have piled up.
+ *
+ * Everything a job reports is also an event, emitted as 'event' and kept in `job.events` so
+ * late subscribers can catch up (the SSE stream of GET /projects/:id/events):
+ *
+ *   { id: 1, timestamp, type: 'status', status: 'running' }
+ *   { id: 2, timestamp, type: 'step', status: 'started', description, index, total, percent }
+ *   { id: 3, timestamp, type: 'log', level: 'info', message, source }
+ *   { id: 9, timestamp, type: 'result', status: 'succeeded', result, error }   (always last)
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  CANCELLING: 'cancelling',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 50;
+const DEFAULT_MAX_FINISHED = 100;
+const MAX_LOG_ENTRIES = 500;
+const MAX_EVENTS = 1000;
+
+/**
+ * Error raised for jobs that cannot be queued, found or cancelled
+ */
+class JobQueueError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'JobQueueError';
+    this.code = code;
+    this.details = details;
+    this.isJobQueueError = true;
+  }
+}
+
+/**
+ * A queued or running operation and what it reported
+ */
+class Job extends EventEmitter {
+  /**
+   * Create a new job
+   * @param {Function} run - async (job) => result
+   * @param {Object} options - Options
+   * @param {string} options.type - Job type, e.g. 'createProject'
+   * @param {Object} options.data - Public description of the job, returned with its status
+   */
+  constructor(run, options = {}) {
+    super();
+    this.id = crypto.randomUUID();
+    this.type = options.type || 'job';
+    this.data = options.data || {};
+    this.run = run;
+    this.status = JOB_STATUS.QUEUED;
+    this.createdAt = new Date();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.progress = { step: null, stepIndex: null, totalSteps: null, percent: 0 };
+    this.logs = [];
+    this.droppedLogs = 0;
+    this.events = [];
+    this.lastEventId = 0;
+    this.result = null;
+    this.error = null;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Signal aborted when the job is cancelled
+   * @returns {AbortSignal} Abort signal
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Check whether the job has finished, successfully or not
+   * @returns {boolean} True if finished
+   */
+  isFinished() {
+    return FINISHED_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Record an event and emit it; only the last MAX_EVENTS are kept. Step events also update
+   * the progress, and log events the logs.
+   * @param {Object} event - Event with a `type`
+   * @returns {Object} Recorded event, with its `id` and `timestamp`
+   */
+  report(event) {
+    const entry = { id: ++this.lastEventId, timestamp: new Date().toISOString(), ...event };
+    this.events.push(entry);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.shift();
+    }
+
+    if (event.type === 'step') {
+      Object.assign(this.progress, { step: event.description, stepIndex: event.index + 1, totalSteps: event.total, percent: event.percent });
+    } else if (event.type === 'log') {
+      this.logs.push({ timestamp: entry.timestamp, level: event.level || 'info', message: event.message });
+      if (this.logs.length > MAX_LOG_ENTRIES) {
+        this.logs.shift();
+        this.droppedLogs++;
+      }
+    }
+
+    this.emit('event', entry);
+    return entry;
+  }
+
+  /**
+   * Record a log line
+   * @param {string} message - Message
+   * @param {string} level - Log level
+   */
+  log(message, level = 'info') {
+    this.report({ type: 'log', level, message });
+  }
+
+  /**
+   * Update the reported progress without a step event
+   * @param {Object} progress - Fields to change: step, stepIndex, totalSteps, percent
+   */
+  setProgress(progress) {
+    Object.assign(this.progress, progress);
+  }
+
+  /**
+   * Change the status; a finished job reports its result as the last event
+   * @param {string} status - New status
+   */
+  setStatus(status) {
+    this.status = status;
+    if (this.isFinished()) {
+      this.finishedAt = new Date();
+      this.report({ type: 'result', status, result: this.result, error: this.error });
+    } else {
+      this.report({ type: 'status', status });
+    }
+  }
+
+  /**
+   * Convert to the status returned by the API
+   * @returns {Object} Job status
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      status: this.status,
+      data: this.data,
+      createdAt: this.createdAt.toISOString(),
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+      progress: { ...this.progress },
+      logs: this.logs.slice(),
+      droppedLogs: this.droppedLogs,
+      result: this.result,
+      error: this.error
+    };
+  }
+}
+
+/**
+ * JobQueue class
+ */
+class JobQueue {
+  /**
+   * Create a new job queue
+   * @param {Object} options - Options
+   * @param {number} options.concurrency - Jobs run at the same time
+   * @param {number} options.maxQueued - Jobs waiting to run before new ones are refused
+   * @param {number} options.maxFinished - Finished jobs kept for polling
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxQueued = options.maxQueued || DEFAULT_MAX_QUEUED;
+    this.maxFinished = options.maxFinished || DEFAULT_MAX_FINISHED;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {Function} run - async (job) => result
+   * @param {Object} options - Job options, see Job
+   * @returns {Job} Queued job, possibly already running
+   * @throws {JobQueueError} If the queue is full
+   */
+  add(run, options = {}) {
+    if (this.pending.length >= this.maxQueued) {
+      throw new JobQueueError(
+        `Too many jobs waiting (${this.pending.length}), try again later`,
+        'QUEUE_FULL',
+        { maxQueued: this.maxQueued }
+      );
+    }
+
+    const job = new Job(run, options);
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job id
+   * @returns {Job|null} Job, or null if unknown or pruned
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a job. A queued job is cancelled right away; a running one is aborted and reported
+   * as cancelled once its run function has stopped.
+   * @param {string} id - Job id
+   * @returns {Job} Cancelled or cancelling job
+   * @throws {JobQueueError} If the job is unknown or already finished
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new JobQueueError(`Job "${id}" not found`, 'JOB_NOT_FOUND', { id });
+    }
+    if (job.isFinished()) {
+      throw new JobQueueError(`Job "${id}" has already ${job.status === JOB_STATUS.CANCELLED ? 'been cancelled' : 'finished'}`, 'JOB_FINISHED', { id, status: job.status });
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pending = this.pending.filter(candidate => candidate !== job);
+      job.controller.abort();
+      job.setStatus(JOB_STATUS.CANCELLED);
+      this.prune();
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      job.log('Cancellation requested', 'warn');
+      job.setStatus(JOB_STATUS.CANCELLING);
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} { queued, running, finished, concurrency }
+   */
+  getStats() {
+    const jobs = [...this.jobs.values()];
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      finished: jobs.filter(job => job.isFinished()).length,
+      concurrency: this.concurrency
+    };
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  /**
+   * Run a job and record its outcome
+   * @param {Job} job - Job to run
+   * @returns {Promise<void>} Resolves when the job has finished; never rejects
+   */
+  async start(job) {
+    this.running++;
+    job.startedAt = new Date();
+    job.setStatus(JOB_STATUS.RUNNING);
+
+    let status;
+    try {
+      job.result = await job.run(job);
+      status = JOB_STATUS.SUCCEEDED;
+      if (job.signal.aborted) {
+        job.log('Cancellation came too late, the job had already completed', 'warn');
+      }
+    } catch (error) {
+      status = job.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+      job.error = { message: error.message, code: error.code || null };
+    } finally {
+      this.running--;
+    }
+
+    job.setStatus(status);
+    this.prune();
+    this.drain();
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond maxFinished
+   */
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => job.isFinished())
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+    finished.slice(0, Math.max(0, finished.length - this.maxFinished)).forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JobQueueError,
+  Job,
+  JOB_STATUS
+};
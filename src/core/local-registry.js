@@ -0,0 +1,450 @@
+/**
+ * Local Registry
+ * A template registry backed by a directory on disk (or a network share), so templates can
+ * be listed, inspected and generated without any network access. The directory holds:
+ *
+ *   templates/
+ *     react-starter/            template folder with a package.json (and optional template.json)
+ *     @xagi/ai-template-vue/    scoped folders are looked up one level down
+ *     api-template-1.2.0.tgz    tarballs as produced by `npm pack`
+ *
+ * The template name, type, configSchema and supportedVersions can be set in template.json;
+ * everything else comes from package.json. Several versions of a template may be present.
+ * Tarballs are extracted once into a cache directory keyed by their path, size and mtime.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL, fileURLToPath } = require('url');
+const semver = require('semver');
+const TemplateRegistry = require('../models/registry');
+const { MANIFEST_FILE } = require('./template-manifest');
+const { extractTarball } = require('./tarball-extractor');
+const { CONFIG_DIR, readCliConfigSync } = require('./cli-config');
+const { isIndexUrl } = require('../utils/registryIndex');
+
+const DEFAULT_CACHE_DIR = path.join(CONFIG_DIR, 'cache', 'local-registry');
+const INDEX_CACHE_DIR = path.join(CONFIG_DIR, 'cache', 'registry-indexes');
+const TARBALL_EXTENSION = '.tgz';
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+// Changes are reported once a burst of file system events has settled
+const WATCH_DEBOUNCE = 100;
+
+/**
+ * Error raised for missing registry directories and unknown templates
+ */
+class LocalRegistryError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'LocalRegistryError';
+    this.code = code;
+    this.details = details;
+    this.isLocalRegistryError = true;
+  }
+}
+
+class LocalRegistry extends TemplateRegistry {
+  /**
+   * @param {Object} config - Registry configuration, see TemplateRegistry
+   * @param {string} config.path - Template directory (or config.url as a file:/// URL)
+   * @param {string} config.cacheDir - Where tarballs are extracted (default: ~/.xagi/create-ai-project/cache/local-registry)
+   * @param {Object} config.extractLimits - Caps for tarball extraction, see extractTarball()
+   */
+  constructor(config = {}) {
+    if (!config.path && !config.url) {
+      throw new LocalRegistryError('Local registry path is required', 'INVALID_CONFIG');
+    }
+
+    const root = path.resolve(config.path || fileURLToPath(config.url));
+    super({
+      ...config,
+      id: config.id || `local-${crypto.createHash('sha256').update(root).digest('hex').slice(0, 8)}`,
+      name: config.name || path.basename(root),
+      url: pathToFileURL(root).href,
+      type: 'local',
+      format: 'directory'
+    });
+
+    /**
+     * Template directory
+     * @type {string}
+     */
+    this.path = root;
+
+    /**
+     * Directory tarballs are extracted into
+     * @type {string}
+     */
+    this.cacheDir = config.cacheDir || DEFAULT_CACHE_DIR;
+
+    /**
+     * Caps for tarball extraction
+     * @type {Object}
+     */
+    this.extractLimits = config.extractLimits || {};
+
+    /**
+     * Templates found by the last scan, by id, newest version first
+     * @type {Map<string, Array<Object>>|null}
+     * @private
+     */
+    this._index = null;
+
+    /**
+     * Entries that could not be read during the last scan
+     * @type {Array<Object>}
+     */
+    this.indexErrors = [];
+  }
+
+  /**
+   * Scan the directory, reusing the previous scan unless it changed or a refresh is forced
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Scan again
+   * @returns {Promise<Map<string, Array<Object>>>} Entries by template id, newest version first
+   * @throws {LocalRegistryError} If the directory does not exist
+   */
+  async index(options = {}) {
+    if (this._index && !options.forceRefresh) {
+      return this._index;
+    }
+
+    if (!await fs.pathExists(this.path)) {
+      this.status = 'error';
+      throw new LocalRegistryError(`Local registry directory not found: ${this.path}`, 'REGISTRY_NOT_FOUND');
+    }
+
+    const entries = [];
+    const errors = [];
+    const read = async(entryPath, reader) => {
+      try {
+        entries.push(await reader(entryPath));
+      } catch (error) {
+        errors.push({ path: entryPath, error: error.message });
+      }
+    };
+
+    for (const dirent of await fs.readdir(this.path, { withFileTypes: true })) {
+      const entryPath = path.join(this.path, dirent.name);
+      if (dirent.isFile() && dirent.name.endsWith(TARBALL_EXTENSION)) {
+        await read(entryPath, file => this.readTarball(file));
+      } else if (dirent.isDirectory() && !dirent.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(dirent.name)) {
+        const folders = dirent.name.startsWith('@')
+          ? (await fs.readdir(entryPath, { withFileTypes: true }))
+            .filter(scoped => scoped.isDirectory())
+            .map(scoped => path.join(entryPath, scoped.name))
+          : [entryPath];
+        for (const folder of folders) {
+          if (await fs.pathExists(path.join(folder, 'package.json'))) {
+            await read(folder, dir => this.readDirectory(dir));
+          }
+        }
+      }
+    }
+
+    const index = new Map();
+    for (const entry of entries) {
+      index.set(entry.id, [...(index.get(entry.id) || []), entry]);
+    }
+    for (const versions of index.values()) {
+      versions.sort((a, b) => compareVersions(b.version, a.version));
+    }
+
+    this._index = index;
+    this.indexErrors = errors;
+    this.templateCount = index.size;
+    this.lastSync = new Date();
+    this.status = 'active';
+    return index;
+  }
+
+  /**
+   * Get the newest version of every template
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Scan the directory again
+   * @param {string} options.filter - Only templates whose name or description contain this text
+   * @returns {Promise<Array<Object>>} Template data for TemplatePackage
+   */
+  async getTemplates(options = {}) {
+    const { forceRefresh = false, filter = null } = options;
+    const index = await this.index({ forceRefresh });
+
+    const templates = [...index.values()].map(versions => ({
+      ...versions[0].data,
+      versions: versions.map(entry => entry.version)
+    }));
+
+    if (!filter) {
+      return templates;
+    }
+    const term = filter.toLowerCase();
+    return templates.filter(template =>
+      template.name.toLowerCase().includes(term) || template.description.toLowerCase().includes(term));
+  }
+
+  /**
+   * Whether the registry has a template
+   * @param {string} templateId - Template id
+   * @returns {Promise<boolean>} True if any version is present
+   */
+  async hasTemplate(templateId) {
+    return (await this.index()).has(templateId);
+  }
+
+  /**
+   * Find the entry for a template version
+   * @param {string} templateId - Template id
+   * @param {string} version - Exact version, semver range or `latest`
+   * @returns {Promise<Object|null>} Entry { id, version, source, path, data }, or null if not present
+   */
+  async resolveTemplate(templateId, version = 'latest') {
+    const versions = (await this.index()).get(templateId) || [];
+    if (!version || version === 'latest') {
+      return versions[0] || null;
+    }
+
+    const exact = versions.find(entry => entry.version === version);
+    if (exact || !semver.validRange(version)) {
+      return exact || null;
+    }
+    const best = semver.maxSatisfying(versions.map(entry => entry.version).filter(v => semver.valid(v)), version);
+    return versions.find(entry => entry.version === best) || null;
+  }
+
+  /**
+   * Get the directory holding a template's files, extracting its tarball if needed
+   * @param {string} templateId - Template id
+   * @param {string} version - Exact version, semver range or `latest`
+   * @returns {Promise<Object>} { dir, entry }
+   * @throws {LocalRegistryError} If the template version is not present
+   */
+  async getTemplateDir(templateId, version = 'latest') {
+    const entry = await this.resolveTemplate(templateId, version);
+    if (!entry) {
+      throw new LocalRegistryError(
+        `Template ${templateId}@${version} not found in local registry ${this.path}`,
+        'TEMPLATE_NOT_FOUND'
+      );
+    }
+
+    if (entry.source === 'tarball') {
+      return { dir: await this.extractToCache(entry.path), entry };
+    }
+    return { dir: entry.path, entry };
+  }
+
+  /**
+   * Watch the directory and re-scan it on the next request after a change
+   * @param {Function} listener - Called with { eventType, filename } after each burst of changes
+   * @returns {fs.FSWatcher} Watcher; call close() to stop watching
+   */
+  watch(listener = null) {
+    let timer = null;
+    const watcher = fs.watch(this.path, { recursive: true, persistent: false }, (eventType, filename) => {
+      this._index = null;
+      clearTimeout(timer);
+      timer = setTimeout(() => listener && listener({ eventType, filename }), WATCH_DEBOUNCE);
+    });
+
+    watcher.on('error', () => {
+      this._index = null;
+      this.status = 'error';
+    });
+    watcher.on('close', () => clearTimeout(timer));
+    return watcher;
+  }
+
+  /**
+   * Re-scan the directory
+   * @returns {Promise<Object>} Synchronization result
+   */
+  async sync() {
+    const index = await this.index({ forceRefresh: true });
+    return {
+      success: true,
+      message: 'Registry synchronized successfully',
+      templateCount: index.size,
+      lastSync: this.lastSync,
+      errors: this.indexErrors
+    };
+  }
+
+  /**
+   * Local registries do not authenticate
+   * @returns {Promise<Object>} Authentication result
+   */
+  async authenticate() {
+    return { success: true, message: 'Authentication not required for this registry' };
+  }
+
+  /**
+   * Check that the directory exists
+   * @returns {Promise<boolean>} Whether the registry is available
+   */
+  async isAvailable() {
+    return fs.pathExists(this.path);
+  }
+
+  /**
+   * Read a template folder
+   * @private
+   * @param {string} dir - Template folder
+   * @returns {Promise<Object>} Entry
+   */
+  async readDirectory(dir) {
+    return {
+      ...await this.describe(dir, (await fs.stat(dir)).mtime),
+      source: 'directory',
+      path: dir
+    };
+  }
+
+  /**
+   * Read a template tarball
+   * @private
+   * @param {string} file - Tarball
+   * @returns {Promise<Object>} Entry
+   */
+  async readTarball(file) {
+    return {
+      ...await this.describe(await this.extractToCache(file), (await fs.stat(file)).mtime),
+      source: 'tarball',
+      path: file
+    };
+  }
+
+  /**
+   * Build the template data for a template's files
+   * @private
+   * @param {string} dir - Template files
+   * @param {Date} modified - Last modification time
+   * @returns {Promise<Object>} { id, version, data }
+   */
+  async describe(dir, modified) {
+    const packageJson = await fs.readJson(path.join(dir, 'package.json'));
+    if (!packageJson.name) {
+      throw new LocalRegistryError(`${path.join(dir, 'package.json')} has no name`, 'INVALID_TEMPLATE');
+    }
+
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    const manifest = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath) : {};
+    const typeMatch = packageJson.name.match(/ai-template-(.+)$/);
+    const version = packageJson.version || '0.0.0';
+
+    return {
+      id: packageJson.name,
+      version,
+      data: {
+        id: packageJson.name,
+        name: manifest.name || packageJson.name,
+        version,
+        description: packageJson.description || '',
+        type: manifest.type || (typeMatch ? typeMatch[1] : ''),
+        author: typeof packageJson.author === 'object' ? packageJson.author.name : packageJson.author || '',
+        keywords: packageJson.keywords || [],
+        dependencies: packageJson.dependencies || {},
+        devDependencies: packageJson.devDependencies || {},
+        configSchema: manifest.configSchema || {},
+        supportedVersions: manifest.supportedVersions,
+        createdAt: modified.toISOString(),
+        updatedAt: modified.toISOString(),
+        registry: this.id
+      }
+    };
+  }
+
+  /**
+   * Extract a tarball into the cache unless the same file was extracted before
+   * @private
+   * @param {string} file - Tarball
+   * @returns {Promise<string>} Directory with the tarball's files
+   */
+  async extractToCache(file) {
+    const stats = await fs.stat(file);
+    const key = crypto.createHash('sha256')
+      .update(`${file}\0${stats.size}\0${stats.mtimeMs}`)
+      .digest('hex')
+      .slice(0, 16);
+    const dir = path.join(this.cacheDir, `${path.basename(file, TARBALL_EXTENSION)}-${key}`);
+
+    if (!await fs.pathExists(dir)) {
+      // npm pack puts every file under package/
+      await extractTarball(file, dir, { ...this.extractLimits, strip: 1 });
+    }
+    return dir;
+  }
+
+  /**
+   * Serialize registry to JSON
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return { ...super.toJSON(), path: this.path };
+  }
+}
+
+/**
+ * Order versions, putting versions that are not valid semver first
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Comparison result
+ */
+function compareVersions(a, b) {
+  const validA = semver.valid(a);
+  const validB = semver.valid(b);
+  if (validA && validB) {
+    return semver.compare(validA, validB);
+  }
+  return Number(Boolean(validA)) - Number(Boolean(validB));
+}
+
+/**
+ * Create a registry from its configuration
+ * @param {Object} config - Registry configuration
+ * @returns {TemplateRegistry} A static index registry when the url or path is an index.json (or
+ *   format is `index`), LocalRegistry for other type local registries, TemplateRegistry otherwise
+ */
+function createRegistry(config) {
+  const url = config.url || (config.path ? pathToFileURL(path.resolve(config.path)).href : null);
+  if (url && (config.format === 'index' || isIndexUrl(url))) {
+    return new TemplateRegistry({ ...config, name: config.name || url, url, format: 'index' });
+  }
+  return config.type === 'local' ? new LocalRegistry(config) : new TemplateRegistry(config);
+}
+
+/**
+ * Get the file the static index of a configured registry is kept in between runs
+ * @param {string} id - Registry id
+ * @returns {string} Index cache file
+ */
+function getIndexCachePath(id) {
+  return path.join(INDEX_CACHE_DIR, `${encodeURIComponent(id)}.json`);
+}
+
+/**
+ * Create a registry listed in the global CLI configuration, keeping its static index between runs
+ * @param {Object} config - Registry configuration from the `registries` list
+ * @returns {TemplateRegistry} Registry
+ */
+function createConfiguredRegistry(config) {
+  return createRegistry(config.id ? { indexCachePath: getIndexCachePath(config.id), ...config } : config);
+}
+
+/**
+ * Create the registries listed under `registries` in the global CLI configuration
+ * @returns {Array<TemplateRegistry>} Configured registries
+ */
+function getConfiguredRegistries() {
+  return (readCliConfigSync().registries || []).map(createConfiguredRegistry);
+}
+
+module.exports = {
+  LocalRegistry,
+  LocalRegistryError,
+  createRegistry,
+  createConfiguredRegistry,
+  getIndexCachePath,
+  getConfiguredRegistries
+};
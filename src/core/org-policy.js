@@ -0,0 +1,337 @@
+/**
+ * Organization Policy
+ * Restricts which templates can be listed and scaffolded. The policy is read from
+ * ~/.xagi/create-ai-project/policy.json, or from the file passed with `--policy`:
+ *
+ *   {
+ *     "registries": { "allowed": ["https://registry.npmjs.org"], "allowedHosts": ["*.corp.example.com"] },
+ *     "templates": {
+ *       "allowedScopes": ["@xagi"],
+ *       "allowed": ["github.com/xagi/*"],
+ *       "denied": ["@xagi/legacy-*"],
+ *       "minimumVersions": { "@xagi/ai-template-react-next-app": "2.0.0" }
+ *     },
+ *     "dependencies": { "banned": ["request", "lodash@<4.17.21"] },
+ *     "requiredFiles": ["LICENSE", "CODEOWNERS"]
+ *   }
+ *
+ * Every section is optional; an empty allow-list allows everything. Violations name the
+ * rule that was broken so engineers know which entry of the policy to ask about.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const Ajv = require('ajv');
+const { CONFIG_DIR } = require('./cli-config');
+const { validateRegistryUrl } = require('../utils/validation');
+
+const DEFAULT_POLICY_PATH = path.join(CONFIG_DIR, 'policy.json');
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    registries: {
+      type: 'object',
+      properties: { allowed: stringList, allowedHosts: stringList },
+      additionalProperties: false
+    },
+    templates: {
+      type: 'object',
+      properties: {
+        allowedScopes: stringList,
+        allowed: stringList,
+        denied: stringList,
+        minimumVersions: { type: 'object', additionalProperties: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    dependencies: {
+      type: 'object',
+      properties: { banned: stringList },
+      additionalProperties: false
+    },
+    requiredFiles: stringList
+  },
+  additionalProperties: false
+};
+
+const validatePolicySchema = new Ajv({ allErrors: true }).compile(POLICY_SCHEMA);
+
+/**
+ * Error raised for unreadable policies and templates that violate the policy
+ */
+class PolicyError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code;
+    this.details = details;
+    this.isPolicyError = true;
+  }
+}
+
+/**
+ * Match a template id against a policy pattern (`*` matches any characters). Git URLs
+ * also match in host/path form, so `github.com/xagi/*` covers https://github.com/xagi/t.git.
+ * @param {string} pattern - Template id or pattern
+ * @param {string} templateId - Template id
+ * @returns {boolean} Whether the id matches
+ */
+function matchesPattern(pattern, templateId) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  const location = templateId.replace(/^[a-z+]+:\/\/([^@/]+@)?/i, '').replace(/\.git$/, '');
+  return regex.test(templateId) || regex.test(location);
+}
+
+/**
+ * Match a hostname against an allowed host (`*.example.com` matches subdomains)
+ * @param {string} pattern - Host or wildcard host
+ * @param {string} hostname - Hostname
+ * @returns {boolean} Whether the host matches
+ */
+function matchesHost(pattern, hostname) {
+  const host = hostname.toLowerCase();
+  const allowed = pattern.toLowerCase();
+  if (allowed.startsWith('*.')) {
+    return host.endsWith(allowed.slice(1));
+  }
+  return host === allowed;
+}
+
+/**
+ * Split a banned dependency entry into name and version range (`lodash@<4.17.21`)
+ * @param {string} entry - Banned dependency
+ * @returns {Object} { name, range }
+ */
+function parseBannedDependency(entry) {
+  const at = entry.lastIndexOf('@');
+  if (at > 0) {
+    return { name: entry.slice(0, at), range: entry.slice(at + 1) };
+  }
+  return { name: entry, range: null };
+}
+
+class OrgPolicy {
+  /**
+   * @param {Object} policy - Policy document
+   * @param {string} policyPath - File the policy was loaded from
+   */
+  constructor(policy = {}, policyPath = null) {
+    if (!validatePolicySchema(policy)) {
+      const errors = validatePolicySchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+      throw new PolicyError(
+        `Invalid organization policy${policyPath ? ` ${policyPath}` : ''}: ${errors.join(', ')}`,
+        'POLICY_INVALID',
+        { errors }
+      );
+    }
+
+    this.policy = policy;
+    this.policyPath = policyPath;
+  }
+
+  /**
+   * Load a policy file. Without an explicit path the global policy is used if it exists.
+   * @param {string} policyPath - Policy file (defaults to ~/.xagi/create-ai-project/policy.json)
+   * @returns {Promise<OrgPolicy>} Policy; empty (allow everything) if there is no global policy
+   * @throws {PolicyError} If an explicit policy file is missing, or a policy file is invalid
+   */
+  static async load(policyPath = null) {
+    const file = policyPath ? path.resolve(policyPath) : DEFAULT_POLICY_PATH;
+
+    if (!await fs.pathExists(file)) {
+      if (policyPath) {
+        throw new PolicyError(`Policy file not found: ${file}`, 'POLICY_NOT_FOUND');
+      }
+      return new OrgPolicy();
+    }
+
+    let policy;
+    try {
+      policy = await fs.readJson(file);
+    } catch (error) {
+      throw new PolicyError(`Invalid organization policy ${file}: ${error.message}`, 'POLICY_INVALID');
+    }
+    return new OrgPolicy(policy, file);
+  }
+
+  /**
+   * Whether the policy has any rules
+   * @returns {boolean} True if the policy restricts anything
+   */
+  isEmpty() {
+    return Object.keys(this.policy).length === 0;
+  }
+
+  /**
+   * Check a registry URL
+   * @param {string} url - Registry URL
+   * @returns {Array<Object>} Violations as { rule, message }
+   */
+  checkRegistry(url) {
+    const { allowed = [], allowedHosts = [] } = this.policy.registries || {};
+    if (allowed.length === 0 && allowedHosts.length === 0) {
+      return [];
+    }
+
+    const validation = validateRegistryUrl(url);
+    if (!validation.isValid) {
+      return [{ rule: 'registries', message: `Registry ${url} is invalid: ${validation.errors.join(', ')}` }];
+    }
+
+    const normalized = url.replace(/\/+$/, '');
+    const { hostname } = new URL(url);
+    const listed = allowed.some(entry => normalized === entry.replace(/\/+$/, '') ||
+      normalized.startsWith(`${entry.replace(/\/+$/, '')}/`));
+    if (listed || (hostname && allowedHosts.some(host => matchesHost(host, hostname)))) {
+      return [];
+    }
+
+    return [{
+      rule: 'registries.allowed',
+      message: `Registry ${url} is not listed in registries.allowed or registries.allowedHosts`
+    }];
+  }
+
+  /**
+   * Check a template id and version
+   * @param {string} templateId - Template id
+   * @param {string} version - Template version
+   * @returns {Array<Object>} Violations as { rule, message }
+   */
+  checkTemplate(templateId, version) {
+    const { allowedScopes = [], allowed = [], denied = [], minimumVersions = {} } = this.policy.templates || {};
+    const violations = [];
+
+    const deniedBy = denied.find(pattern => matchesPattern(pattern, templateId));
+    if (deniedBy) {
+      violations.push({ rule: 'templates.denied', message: `Template ${templateId} is denied by ${deniedBy}` });
+    }
+
+    if (allowedScopes.length > 0 || allowed.length > 0) {
+      const scope = templateId.startsWith('@') ? templateId.split('/')[0] : null;
+      const inScope = scope && allowedScopes.includes(scope);
+      if (!inScope && !allowed.some(pattern => matchesPattern(pattern, templateId))) {
+        violations.push({
+          rule: 'templates.allowed',
+          message: `Template ${templateId} is not in templates.allowedScopes or templates.allowed`
+        });
+      }
+    }
+
+    const minimumKey = Object.keys(minimumVersions).find(pattern => matchesPattern(pattern, templateId));
+    if (minimumKey) {
+      const minimum = minimumVersions[minimumKey];
+      if (!semver.valid(version)) {
+        violations.push({
+          rule: 'templates.minimumVersions',
+          message: `Template ${templateId} must be pinned to an exact version (${minimum} or later), got ${version}`
+        });
+      } else if (semver.lt(version, minimum)) {
+        violations.push({
+          rule: 'templates.minimumVersions',
+          message: `Template ${templateId}@${version} is older than the minimum version ${minimum}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check dependencies against the banned list
+   * @param {Object} dependencies - Map of package name to version range
+   * @returns {Array<Object>} Violations as { rule, message }
+   */
+  checkDependencies(dependencies = {}) {
+    const { banned = [] } = this.policy.dependencies || {};
+    const violations = [];
+
+    for (const entry of banned) {
+      const { name, range } = parseBannedDependency(entry);
+      if (!Object.prototype.hasOwnProperty.call(dependencies, name)) {
+        continue;
+      }
+      const requested = dependencies[name];
+
+      // A range that cannot be compared (git URL, tag) is treated as banned
+      const validRange = semver.validRange(requested);
+      if (!range || !validRange || semver.intersects(validRange, range)) {
+        violations.push({
+          rule: 'dependencies.banned',
+          message: `Dependency ${name}@${requested} is banned by ${entry}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check that a template ships the required files
+   * @param {string} templateDir - Template source directory
+   * @returns {Promise<Array<Object>>} Violations as { rule, message }
+   */
+  async checkRequiredFiles(templateDir) {
+    const violations = [];
+    for (const file of this.policy.requiredFiles || []) {
+      if (!await fs.pathExists(path.join(templateDir, file))) {
+        violations.push({ rule: 'requiredFiles', message: `Template does not include required file ${file}` });
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Check a template against every rule that applies to the information given
+   * @param {Object} subject - Template to check
+   * @param {string} subject.id - Template id
+   * @param {string} subject.version - Template version
+   * @param {string} subject.registry - Registry the template is downloaded from
+   * @param {Object} subject.dependencies - Dependencies, merged with devDependencies
+   * @param {string} subject.sourceDir - Template files, for the required file check
+   * @returns {Promise<Array<Object>>} Violations as { rule, message }
+   */
+  async evaluate(subject) {
+    const violations = [
+      ...(subject.registry ? this.checkRegistry(subject.registry) : []),
+      ...this.checkTemplate(subject.id, subject.version),
+      ...this.checkDependencies({ ...subject.devDependencies, ...subject.dependencies })
+    ];
+
+    if (subject.sourceDir) {
+      violations.push(...await this.checkRequiredFiles(subject.sourceDir));
+    }
+    return violations;
+  }
+
+  /**
+   * Throw if a template violates the policy
+   * @param {Object} subject - Template to check, see evaluate()
+   * @returns {Promise<void>}
+   * @throws {PolicyError} With code POLICY_VIOLATION and the violations in details
+   */
+  async assertAllowed(subject) {
+    const violations = await this.evaluate(subject);
+    if (violations.length === 0) {
+      return;
+    }
+
+    const lines = violations.map(violation => `  - [${violation.rule}] ${violation.message}`);
+    throw new PolicyError(
+      `Template ${subject.id} violates the organization policy${this.policyPath ? ` (${this.policyPath})` : ''}:\n${lines.join('\n')}`,
+      'POLICY_VIOLATION',
+      { violations }
+    );
+  }
+}
+
+module.exports = {
+  OrgPolicy,
+  PolicyError,
+  DEFAULT_POLICY_PATH
+};
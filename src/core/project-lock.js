@@ -0,0 +1,273 @@
+/**
+ * Project lockfile
+ * `.ai-project.lock.json` records the provenance of a generated project so it can be
+ * inspected (`info --project`) and reproduced byte-for-byte (`create --from-lock`):
+ *
+ *   {
+ *     "lockfileVersion": 1,
+ *     "projectName": "my-app",
+ *     "cli": { "name": "@xagi/create-ai-project", "version": "1.0.0" },
+ *     "template": { "id": "@xagi/ai-template-react", "version": "1.2.3", "source": "npm",
+ *                   "integrity": "sha512-...", "commit": null },
+ *     "registry": "https://registry.npmjs.org",
+ *     "answers": { "PROJECT_NAME": "my-app", "apiKey": "[REDACTED]" },
+ *     "redacted": ["apiKey"],
+ *     "files": { "README.md": "sha512-...", "src/index.js": "sha512-..." }
+ *   }
+ *
+ * `answers` is the complete variable set the template was rendered with; secret values are
+ * redacted and must be supplied again when reproducing. `files` hashes the generated
+ * output before dependencies are installed.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const { TemplateManifest } = require('./template-manifest');
+const { PROJECT_METADATA_FILE } = require('./project-metadata');
+const { redactSecrets, findRedacted } = require('../utils/redaction');
+
+const LOCKFILE_NAME = '.ai-project.lock.json';
+const LOCKFILE_VERSION = 1;
+const HASH_ALGORITHM = 'sha512';
+
+// Never part of the generated output
+const EXCLUDED_FILES = [LOCKFILE_NAME, PROJECT_METADATA_FILE];
+
+const LOCKFILE_SCHEMA = {
+  type: 'object',
+  required: ['lockfileVersion', 'template', 'answers', 'files'],
+  properties: {
+    lockfileVersion: { type: 'integer', const: LOCKFILE_VERSION },
+    projectName: { type: 'string' },
+    cli: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        version: { type: 'string' }
+      }
+    },
+    template: {
+      type: 'object',
+      required: ['id', 'version'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        version: { type: 'string', minLength: 1 },
+        source: { type: 'string' },
+        integrity: { type: ['string', 'null'] },
+        commit: { type: ['string', 'null'] }
+      }
+    },
+    registry: { type: ['string', 'null'] },
+    answers: { type: 'object' },
+    redacted: { type: 'array', items: { type: 'string' } },
+    files: {
+      type: 'object',
+      additionalProperties: { type: 'string', pattern: '^sha(256|384|512)-' }
+    }
+  }
+};
+
+/**
+ * Error raised for invalid or mismatching lockfiles
+ */
+class ProjectLockError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'ProjectLockError';
+    this.code = code;
+    this.details = details;
+    this.isProjectLockError = true;
+  }
+}
+
+let validateLockSchema = null;
+
+/**
+ * Compute the SRI hash of a buffer
+ * @param {Buffer|string} content - Content to hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {string} SRI string, e.g. `sha512-<base64>`
+ */
+function hashContent(content, algorithm = HASH_ALGORITHM) {
+  return `${algorithm}-${crypto.createHash(algorithm).update(content).digest('base64')}`;
+}
+
+/**
+ * Hash every generated file in a project directory
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object>} SRI hashes keyed by relative path, sorted by path
+ */
+async function hashProjectFiles(projectDir) {
+  const files = await TemplateManifest.listFiles(projectDir);
+  const hashes = {};
+
+  for (const file of files) {
+    if (!EXCLUDED_FILES.includes(file)) {
+      hashes[file] = hashContent(await fs.readFile(path.join(projectDir, file)));
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Compute a single integrity value for a directory tree (used for local template sources)
+ * @param {string} dir - Directory
+ * @returns {Promise<string>} SRI string
+ */
+async function hashDirectory(dir) {
+  const files = await TemplateManifest.listFiles(dir);
+  const hash = crypto.createHash(HASH_ALGORITHM);
+
+  for (const file of files) {
+    hash.update(`${file}\0${hashContent(await fs.readFile(path.join(dir, file)))}\n`);
+  }
+
+  return `${HASH_ALGORITHM}-${hash.digest('base64')}`;
+}
+
+/**
+ * Build a lockfile object
+ * @param {Object} data - Lock data
+ * @param {string} data.projectName - Project name
+ * @param {Object} data.cli - CLI { name, version }
+ * @param {Object} data.template - Template { id, version, source, integrity, commit }
+ * @param {string} data.registry - Registry URL
+ * @param {Object} data.answers - Answers the template was rendered with
+ * @param {Object} data.schema - Template configSchema, used to find secret answers
+ * @param {Object} data.files - File hashes from hashProjectFiles()
+ * @returns {Object} Lockfile contents
+ */
+function createLock(data) {
+  const redacted = [];
+  const answers = redactSecrets(data.answers || {}, { schema: data.schema || null, redacted });
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    projectName: data.projectName,
+    cli: data.cli,
+    template: {
+      id: data.template.id,
+      version: data.template.version,
+      source: data.template.source || null,
+      integrity: data.template.integrity || null,
+      commit: data.template.commit || null
+    },
+    registry: data.registry || null,
+    answers,
+    redacted,
+    files: data.files || {}
+  };
+}
+
+/**
+ * Write a lockfile into a project directory
+ * @param {string} projectDir - Project directory
+ * @param {Object} lock - Lockfile contents
+ * @returns {Promise<string>} Lockfile path
+ */
+async function writeLockfile(projectDir, lock) {
+  const lockPath = path.join(projectDir, LOCKFILE_NAME);
+  await fs.writeFile(lockPath, `${JSON.stringify(lock, null, 2)}\n`);
+  return lockPath;
+}
+
+/**
+ * Read and validate a lockfile
+ * @param {string} filePath - Lockfile path, or a project directory containing one
+ * @returns {Promise<Object>} Lockfile contents
+ * @throws {ProjectLockError} If the file is missing or invalid
+ */
+async function readLockfile(filePath) {
+  let lockPath = filePath;
+  if (await fs.pathExists(filePath) && (await fs.stat(filePath)).isDirectory()) {
+    lockPath = path.join(filePath, LOCKFILE_NAME);
+  }
+
+  if (!await fs.pathExists(lockPath)) {
+    throw new ProjectLockError(`Lockfile not found: ${lockPath}`, 'LOCK_NOT_FOUND');
+  }
+
+  let lock;
+  try {
+    lock = await fs.readJson(lockPath);
+  } catch (error) {
+    throw new ProjectLockError(`Invalid lockfile ${lockPath}: ${error.message}`, 'LOCK_INVALID');
+  }
+
+  if (!validateLockSchema) {
+    validateLockSchema = new Ajv({ allErrors: true }).compile(LOCKFILE_SCHEMA);
+  }
+  if (!validateLockSchema(lock)) {
+    const errors = validateLockSchema.errors.map(error => `${error.instancePath || 'lockfile'} ${error.message}`);
+    throw new ProjectLockError(`Invalid lockfile ${lockPath}: ${errors.join(', ')}`, 'LOCK_INVALID', { errors });
+  }
+
+  return lock;
+}
+
+/**
+ * Get answers from a lockfile, filling in redacted secrets
+ * @param {Object} lock - Lockfile contents
+ * @param {Object} secrets - Values for redacted answers, keyed by top-level answer name
+ * @returns {Object} Answers
+ * @throws {ProjectLockError} If a redacted answer has no value
+ */
+function resolveLockAnswers(lock, secrets = {}) {
+  const answers = { ...lock.answers, ...secrets };
+  const missing = findRedacted(answers);
+
+  if (missing.length > 0) {
+    throw new ProjectLockError(
+      `Values for redacted answers are required to reproduce this project: ${missing.join(', ')}`,
+      'LOCK_SECRETS_REQUIRED',
+      { missing }
+    );
+  }
+
+  return answers;
+}
+
+/**
+ * Compare generated file hashes with the ones recorded in a lockfile
+ * @param {Object} expected - Hashes from the lockfile
+ * @param {Object} actual - Hashes of the generated files
+ * @returns {Object} { isValid, changed, missing, extra }
+ */
+function compareFileHashes(expected, actual) {
+  const changed = [];
+  const missing = [];
+
+  for (const [file, hash] of Object.entries(expected)) {
+    if (!Object.prototype.hasOwnProperty.call(actual, file)) {
+      missing.push(file);
+    } else if (actual[file] !== hash) {
+      changed.push(file);
+    }
+  }
+
+  const extra = Object.keys(actual).filter(file => !Object.prototype.hasOwnProperty.call(expected, file));
+
+  return {
+    isValid: changed.length === 0 && missing.length === 0 && extra.length === 0,
+    changed,
+    missing,
+    extra
+  };
+}
+
+module.exports = {
+  LOCKFILE_NAME,
+  LOCKFILE_VERSION,
+  ProjectLockError,
+  hashContent,
+  hashProjectFiles,
+  hashDirectory,
+  createLock,
+  writeLockfile,
+  readLockfile,
+  resolveLockAnswers,
+  compareFileHashes
+};
@@ -0,0 +1,59 @@
+/**
+ * Project metadata
+ * Reads and writes `.xagi-project.json`, the file that records which template (and which
+ * version of it) a project was generated from and the answers used to render it. `update`
+ * relies on it to regenerate the original template output.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const PROJECT_METADATA_FILE = '.xagi-project.json';
+
+/**
+ * Get the metadata file path of a project
+ * @param {string} projectDir - Project directory
+ * @returns {string} Metadata file path
+ */
+function getMetadataPath(projectDir) {
+  return path.join(projectDir, PROJECT_METADATA_FILE);
+}
+
+/**
+ * Read project metadata
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object|null>} Metadata, or null if the project has none
+ * @throws {Error} If the metadata file exists but is not valid JSON
+ */
+async function readProjectMetadata(projectDir) {
+  const metadataPath = getMetadataPath(projectDir);
+  if (!await fs.pathExists(metadataPath)) {
+    return null;
+  }
+
+  try {
+    return await fs.readJson(metadataPath);
+  } catch (error) {
+    throw new Error(`Invalid ${PROJECT_METADATA_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Write project metadata, keeping fields not present in `metadata`
+ * @param {string} projectDir - Project directory
+ * @param {Object} metadata - Metadata fields to write
+ * @returns {Promise<Object>} Written metadata
+ */
+async function writeProjectMetadata(projectDir, metadata) {
+  const existing = await readProjectMetadata(projectDir).catch(() => null);
+  const merged = { ...(existing || {}), ...metadata };
+  await fs.outputJson(getMetadataPath(projectDir), merged, { spaces: 2 });
+  return merged;
+}
+
+module.exports = {
+  PROJECT_METADATA_FILE,
+  getMetadataPath,
+  readProjectMetadata,
+  writeProjectMetadata
+};
@@ -0,0 +1,336 @@
+/**
+ * ProjectTransaction
+ * Makes project creation all-or-nothing.
+ *
+ * Files are generated, processed and installed inside a staging directory that sits next
+ * to the target (so the final move is a same-filesystem rename). On commit:
+ *
+ * - a new target is created with a single atomic rename of the staging directory;
+ * - an existing target (allowed with `allowOverwrite`) is first copied into staging, then
+ *   moved aside as a backup and replaced by the staging directory with two renames.
+ *
+ * Every state change is recorded in a journal file before it happens, so a failure - or
+ * a crash detected later by `recover()` - restores the original directory exactly.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_PREFIX = '.xagi-transaction-';
+
+const TRANSACTION_STATES = {
+  STAGING: 'staging',
+  SWAPPING: 'swapping',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled-back'
+};
+
+/**
+ * Build a timestamped backup path for a project directory
+ * @param {string} projectPath - Project directory
+ * @param {string} backupDir - Directory for backups (defaults to `<parent>/.backups`)
+ * @returns {string} Backup path
+ */
+function createBackupPath(projectPath, backupDir = null) {
+  const resolved = path.resolve(projectPath);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(
+    backupDir || path.join(path.dirname(resolved), '.backups'),
+    `${path.basename(resolved)}-backup-${timestamp}`
+  );
+}
+
+/**
+ * Error raised for transaction failures
+ */
+class ProjectTransactionError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'ProjectTransactionError';
+    this.code = code;
+    this.details = details;
+    this.isProjectTransactionError = true;
+  }
+}
+
+/**
+ * ProjectTransaction class
+ */
+class ProjectTransaction {
+  /**
+   * Create a new transaction for a target directory
+   * @param {string} targetPath - Final project directory
+   * @param {Object} options - Transaction options
+   * @param {boolean} options.allowOverwrite - Allow replacing an existing, non-empty directory
+   * @param {boolean} options.keepBackup - Keep the backup of an overwritten directory after commit
+   * @param {string} options.backupDir - Directory for backups (defaults to `<parent>/.backups`)
+   */
+  constructor(targetPath, options = {}) {
+    if (!targetPath) {
+      throw new ProjectTransactionError('Target path is required', 'INVALID_TARGET');
+    }
+
+    this.targetPath = path.resolve(targetPath);
+    this.parentDir = path.dirname(this.targetPath);
+    this.name = path.basename(this.targetPath);
+    this.allowOverwrite = options.allowOverwrite || false;
+    this.keepBackup = options.keepBackup || false;
+    this.backupDir = options.backupDir || path.join(this.parentDir, '.backups');
+
+    this.id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.stagingPath = path.join(this.parentDir, `.${this.name}.staging-${this.id}`);
+    this.journalPath = path.join(this.parentDir, `${JOURNAL_PREFIX}${this.name}-${this.id}.json`);
+    this.backupPath = null;
+    this.targetExisted = false;
+    this.state = null;
+  }
+
+  /**
+   * Prepare the staging directory
+   * @returns {Promise<string>} Staging directory path
+   * @throws {ProjectTransactionError} If the target exists and overwriting is not allowed
+   */
+  async begin() {
+    if (this.state) {
+      throw new ProjectTransactionError('Transaction already started', 'INVALID_STATE');
+    }
+
+    await fs.ensureDir(this.parentDir);
+
+    if (await fs.pathExists(this.targetPath)) {
+      const stats = await fs.stat(this.targetPath);
+      if (!stats.isDirectory()) {
+        throw new ProjectTransactionError(`Target exists and is not a directory: ${this.targetPath}`, 'TARGET_NOT_DIRECTORY');
+      }
+      const entries = await fs.readdir(this.targetPath);
+      if (entries.length > 0 && !this.allowOverwrite) {
+        throw new ProjectTransactionError(
+          `Target directory already exists and is not empty: ${this.targetPath}`,
+          'TARGET_EXISTS'
+        );
+      }
+      this.targetExisted = true;
+    }
+
+    await this.writeJournal(TRANSACTION_STATES.STAGING);
+
+    if (this.targetExisted) {
+      // Start from the current contents so files the template does not generate are preserved
+      await fs.copy(this.targetPath, this.stagingPath, { preserveTimestamps: true });
+    } else {
+      await fs.ensureDir(this.stagingPath);
+    }
+
+    return this.stagingPath;
+  }
+
+  /**
+   * Move the staging directory into place
+   * @returns {Promise<Object>} Commit result { targetPath, backupPath, replaced }
+   */
+  async commit() {
+    this.assertState(TRANSACTION_STATES.STAGING);
+
+    if (this.targetExisted) {
+      await fs.ensureDir(this.backupDir);
+      this.backupPath = createBackupPath(this.targetPath, this.backupDir);
+
+      // Journal first: if the process dies between the renames, recover() can undo them
+      await this.writeJournal(TRANSACTION_STATES.SWAPPING);
+      await fs.rename(this.targetPath, this.backupPath);
+      await fs.rename(this.stagingPath, this.targetPath);
+    } else {
+      await fs.rename(this.stagingPath, this.targetPath);
+    }
+
+    await this.writeJournal(TRANSACTION_STATES.COMMITTED);
+
+    const backupPath = this.backupPath;
+    if (this.backupPath && !this.keepBackup) {
+      await fs.remove(this.backupPath);
+      await this.removeEmptyBackupDir();
+    }
+    await fs.remove(this.journalPath);
+
+    return {
+      targetPath: this.targetPath,
+      backupPath: this.keepBackup ? backupPath : null,
+      replaced: this.targetExisted
+    };
+  }
+
+  /**
+   * Undo the transaction, restoring the target directory to its original state
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    if (!this.state || this.state === TRANSACTION_STATES.ROLLED_BACK) {
+      return;
+    }
+    if (this.state === TRANSACTION_STATES.COMMITTED) {
+      throw new ProjectTransactionError('Cannot roll back a committed transaction', 'INVALID_STATE');
+    }
+
+    await ProjectTransaction.restore(await this.readJournal());
+    this.state = TRANSACTION_STATES.ROLLED_BACK;
+  }
+
+  /**
+   * Roll back transactions left behind by a crashed process in a directory
+   * @param {string} parentDir - Directory that contains project directories
+   * @returns {Promise<Array<string>>} Target paths that were restored
+   */
+  static async recover(parentDir) {
+    if (!await fs.pathExists(parentDir)) {
+      return [];
+    }
+
+    const restored = [];
+    const entries = await fs.readdir(parentDir);
+
+    for (const entry of entries) {
+      if (!entry.startsWith(JOURNAL_PREFIX) || !entry.endsWith('.json')) {
+        continue;
+      }
+
+      const journalPath = path.join(parentDir, entry);
+      let journal;
+      try {
+        journal = await fs.readJson(journalPath);
+      } catch (error) {
+        continue;
+      }
+
+      if (journal.pid && journal.pid !== process.pid && ProjectTransaction.isProcessAlive(journal.pid)) {
+        continue; // Another process is still working on it
+      }
+
+      if (journal.state === TRANSACTION_STATES.COMMITTED) {
+        if (journal.backupPath && !journal.keepBackup) {
+          await fs.remove(journal.backupPath);
+        }
+        await fs.remove(journalPath);
+      } else {
+        await ProjectTransaction.restore({ ...journal, journalPath });
+      }
+      restored.push(journal.targetPath);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Restore the original state described by a journal
+   * @private
+   * @param {Object} journal - Journal contents
+   * @returns {Promise<void>}
+   */
+  static async restore(journal) {
+    if (journal.state === TRANSACTION_STATES.SWAPPING && journal.backupPath &&
+      await fs.pathExists(journal.backupPath)) {
+      // The original directory was moved aside; whatever sits at the target now is new
+      if (await fs.pathExists(journal.targetPath)) {
+        await fs.remove(journal.targetPath);
+      }
+      await fs.rename(journal.backupPath, journal.targetPath);
+    }
+
+    await fs.remove(journal.stagingPath);
+    await fs.remove(journal.journalPath);
+  }
+
+  /**
+   * Check whether a process is still running
+   * @private
+   * @param {number} pid - Process id
+   * @returns {boolean} True if alive
+   */
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Persist the journal
+   * @private
+   * @param {string} state - New transaction state
+   * @returns {Promise<void>}
+   */
+  async writeJournal(state) {
+    this.state = state;
+    await fs.writeJson(this.journalPath, {
+      id: this.id,
+      pid: process.pid,
+      state,
+      targetPath: this.targetPath,
+      stagingPath: this.stagingPath,
+      backupPath: this.backupPath,
+      targetExisted: this.targetExisted,
+      keepBackup: this.keepBackup,
+      updatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Read the journal, falling back to in-memory state
+   * @private
+   * @returns {Promise<Object>} Journal contents
+   */
+  async readJournal() {
+    const fallback = {
+      state: this.state,
+      targetPath: this.targetPath,
+      stagingPath: this.stagingPath,
+      backupPath: this.backupPath
+    };
+
+    try {
+      return { ...fallback, ...(await fs.readJson(this.journalPath)), journalPath: this.journalPath };
+    } catch (error) {
+      return { ...fallback, journalPath: this.journalPath };
+    }
+  }
+
+  /**
+   * Remove the backup directory if it is empty
+   * @private
+   * @returns {Promise<void>}
+   */
+  async removeEmptyBackupDir() {
+    try {
+      const entries = await fs.readdir(this.backupDir);
+      if (entries.length === 0) {
+        await fs.remove(this.backupDir);
+      }
+    } catch (error) {
+      // Backup directory cleanup is best effort
+    }
+  }
+
+  /**
+   * Ensure the transaction is in an expected state
+   * @private
+   * @param {string} expected - Expected state
+   * @throws {ProjectTransactionError} If the state differs
+   */
+  assertState(expected) {
+    if (this.state !== expected) {
+      throw new ProjectTransactionError(
+        `Transaction is ${this.state || 'not started'}, expected ${expected}`,
+        'INVALID_STATE'
+      );
+    }
+  }
+}
+
+module.exports = {
+  ProjectTransaction,
+  ProjectTransactionError,
+  TRANSACTION_STATES,
+  createBackupPath
+};
@@ -0,0 +1,325 @@
+/**
+ * ProjectUpdater
+ * Re-applies a newer template version to a project generated from an older one.
+ *
+ * The template id, version and answers recorded in `.xagi-project.json` are used to render
+ * the old version (the merge base) and the new version side by side in a temporary
+ * directory. Every file the template produces is then merged into the working tree:
+ *
+ * - unchanged locally      -> replaced by the new template output
+ * - changed locally only   -> kept
+ * - changed on both sides  -> three-way merged, with conflict markers where edits overlap
+ *
+ * Files the template never generated are not touched. With an AssistantContext, the assistant
+ * context files (AGENTS.md and others) are regenerated afterwards, keeping sections the user edited.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TemplateManifest } = require('./template-manifest');
+const { mergeText } = require('./three-way-merge');
+const { PROJECT_METADATA_FILE, readProjectMetadata, writeProjectMetadata } = require('./project-metadata');
+const { getConfiguredFormats } = require('./assistant-context');
+
+const UPDATE_STATUS = {
+  UPDATED: 'updated',
+  MERGED: 'merged',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CONFLICT: 'conflict',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * Error raised when a project cannot be updated
+ */
+class ProjectUpdateError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'ProjectUpdateError';
+    this.code = code;
+    this.details = details;
+    this.isProjectUpdateError = true;
+  }
+}
+
+/**
+ * ProjectUpdater class
+ */
+class ProjectUpdater {
+  /**
+   * Create a new ProjectUpdater
+   * @param {Object} options - Updater options
+   * @param {Function} options.render - async (templateId, version, targetDir, answers) rendering a
+   *   template version into an empty directory
+   * @param {Object} options.logger - Logger with debug/info/warn/error methods
+   * @param {AssistantContext} options.assistantContext - Regenerates assistant context files after the merge
+   * @param {Function} options.getTemplateDir - async (templateId, version) returning the template source
+   *   directory, for the `_assistant/` fragments of the new version
+   */
+  constructor(options = {}) {
+    if (typeof options.render !== 'function') {
+      throw new ProjectUpdateError('A render function is required', 'INVALID_OPTIONS');
+    }
+    this.render = options.render;
+    this.logger = options.logger || null;
+    this.assistantContext = options.assistantContext || null;
+    this.getTemplateDir = options.getTemplateDir || null;
+  }
+
+  /**
+   * Update a project to another template version
+   * @param {string} projectDir - Project directory
+   * @param {Object} options - Update options
+   * @param {string} options.version - Target template version
+   * @param {boolean} options.dryRun - Compute the result without writing to the project
+   * @param {boolean} options.force - Re-apply even if the project is already at the target version
+   * @returns {Promise<Object>} Result { templateId, fromVersion, toVersion, files, summary, upToDate,
+   *   assistantContext } where assistantContext lists the regenerated context files (see AssistantContext.generate())
+   */
+  async update(projectDir, options = {}) {
+    const { version, dryRun = false, force = false } = options;
+    const metadata = await readProjectMetadata(projectDir);
+
+    if (!metadata || !metadata.template) {
+      throw new ProjectUpdateError(
+        `No ${PROJECT_METADATA_FILE} found in ${projectDir}; only generated projects can be updated`,
+        'NOT_A_GENERATED_PROJECT'
+      );
+    }
+    if (!metadata.templateVersion || metadata.templateVersion === 'latest') {
+      throw new ProjectUpdateError(
+        'The template version this project was generated from is unknown',
+        'UNKNOWN_BASE_VERSION'
+      );
+    }
+    if (!version) {
+      throw new ProjectUpdateError('Target template version is required', 'INVALID_VERSION');
+    }
+
+    const result = {
+      templateId: metadata.template,
+      fromVersion: metadata.templateVersion,
+      toVersion: version,
+      files: [],
+      summary: null,
+      upToDate: false,
+      dryRun
+    };
+
+    if (metadata.templateVersion === version && !force) {
+      result.upToDate = true;
+      result.summary = this.summarize(result.files);
+      return result;
+    }
+
+    const answers = metadata.answers || {};
+    // Answers recorded by `create` include the template version, which each version renders with its own
+    const answersFor = templateVersion => ('TEMPLATE_VERSION' in answers ? { ...answers, TEMPLATE_VERSION: templateVersion } : answers);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xagi-update-'));
+
+    try {
+      const baseDir = path.join(workDir, 'base');
+      const theirsDir = path.join(workDir, 'theirs');
+      await fs.ensureDir(baseDir);
+      await fs.ensureDir(theirsDir);
+
+      this.log('info', 'Rendering template versions', { templateId: metadata.template, from: metadata.templateVersion, to: version });
+      await this.render(metadata.template, metadata.templateVersion, baseDir, answersFor(metadata.templateVersion));
+      await this.render(metadata.template, version, theirsDir, answersFor(version));
+
+      const labels = {
+        oursLabel: 'current',
+        theirsLabel: `${metadata.template}@${version}`
+      };
+      result.files = await this.mergeTrees(baseDir, theirsDir, projectDir, { dryRun, labels });
+    } finally {
+      await fs.remove(workDir);
+    }
+
+    result.summary = this.summarize(result.files);
+
+    let contextFormats = null;
+    if (this.assistantContext) {
+      // Projects created before assistant context files existed get the configured formats
+      contextFormats = Array.isArray(metadata.assistantContext) ? metadata.assistantContext : getConfiguredFormats();
+      this.log('info', 'Regenerating assistant context files', { formats: contextFormats });
+      result.assistantContext = await this.assistantContext.generate(projectDir, {
+        formats: contextFormats,
+        template: { id: metadata.template, version },
+        templateDir: this.getTemplateDir ? await this.getTemplateDir(metadata.template, version) : null,
+        answers: answersFor(version),
+        dryRun
+      });
+    }
+
+    if (!dryRun) {
+      const history = Array.isArray(metadata.templateUpdates) ? metadata.templateUpdates : [];
+      await writeProjectMetadata(projectDir, {
+        ...(contextFormats ? { assistantContext: contextFormats } : {}),
+        templateVersion: version,
+        lastUpdated: new Date().toISOString(),
+        templateUpdates: [...history, {
+          timestamp: new Date().toISOString(),
+          from: metadata.templateVersion,
+          to: version,
+          conflicts: result.summary.conflicted
+        }]
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge the difference between two rendered template versions into a project
+   * @param {string} baseDir - Old template output
+   * @param {string} theirsDir - New template output
+   * @param {string} projectDir - Project directory (working tree)
+   * @param {Object} options - Merge options
+   * @param {boolean} options.dryRun - Do not write changes
+   * @param {Object} options.labels - Conflict marker labels { oursLabel, theirsLabel }
+   * @returns {Promise<Array<Object>>} Per-file results { path, status, conflicts, reason }
+   */
+  async mergeTrees(baseDir, theirsDir, projectDir, options = {}) {
+    const { dryRun = false, labels = {} } = options;
+    const baseFiles = await TemplateManifest.listFiles(baseDir);
+    const theirsFiles = await TemplateManifest.listFiles(theirsDir);
+    const allFiles = [...new Set([...baseFiles, ...theirsFiles])]
+      .filter(file => file !== PROJECT_METADATA_FILE)
+      .sort();
+
+    const results = [];
+    for (const file of allFiles) {
+      const fileResult = await this.mergeFile(file, {
+        base: await this.readOptional(path.join(baseDir, file)),
+        theirs: await this.readOptional(path.join(theirsDir, file)),
+        ours: await this.readOptional(path.join(projectDir, file))
+      }, labels);
+
+      if (fileResult.status !== UPDATE_STATUS.UNCHANGED && !dryRun) {
+        const target = path.join(projectDir, file);
+        if (fileResult.content === null) {
+          await fs.remove(target);
+        } else if (typeof fileResult.content !== 'undefined') {
+          await fs.outputFile(target, fileResult.content);
+        }
+      }
+
+      delete fileResult.content;
+      results.push(fileResult);
+    }
+
+    return results;
+  }
+
+  /**
+   * Decide the outcome for a single file
+   * @private
+   * @param {string} file - Relative path
+   * @param {Object} versions - File contents { base, theirs, ours } as Buffers, null if missing
+   * @param {Object} labels - Conflict marker labels
+   * @returns {Object} { path, status, conflicts, reason, content } where content is the new
+   *   file content, null to delete the file or undefined to leave it alone
+   */
+  mergeFile(file, versions, labels) {
+    const { base, theirs, ours } = versions;
+    const same = (left, right) => left !== null && right !== null && left.equals(right);
+    const result = { path: file, status: UPDATE_STATUS.UNCHANGED, conflicts: 0, reason: null };
+
+    // Template did not change this file: local state wins
+    if ((base === null && theirs === null) || same(base, theirs)) {
+      return result;
+    }
+
+    if (ours === null) {
+      if (base === null) {
+        return { ...result, status: UPDATE_STATUS.ADDED, content: theirs };
+      }
+      if (theirs === null) {
+        return result;
+      }
+      return { ...result, status: UPDATE_STATUS.CONFLICT, reason: 'deleted locally but changed in the template' };
+    }
+
+    if (same(ours, theirs)) {
+      return result;
+    }
+
+    if (theirs === null) {
+      if (same(ours, base)) {
+        return { ...result, status: UPDATE_STATUS.REMOVED, content: null };
+      }
+      return { ...result, status: UPDATE_STATUS.CONFLICT, reason: 'removed from the template but changed locally' };
+    }
+
+    if (same(ours, base)) {
+      return { ...result, status: UPDATE_STATUS.UPDATED, content: theirs };
+    }
+
+    if ([base, ours, theirs].some(content => content !== null && content.includes(0))) {
+      return { ...result, status: UPDATE_STATUS.CONFLICT, reason: 'binary file changed locally and in the template' };
+    }
+
+    const merged = mergeText(base === null ? '' : base.toString('utf8'), ours.toString('utf8'), theirs.toString('utf8'), labels);
+    return {
+      ...result,
+      status: merged.clean ? UPDATE_STATUS.MERGED : UPDATE_STATUS.CONFLICT,
+      conflicts: merged.conflicts,
+      content: merged.content
+    };
+  }
+
+  /**
+   * Summarize per-file results
+   * @param {Array<Object>} files - Per-file results
+   * @returns {Object} { changed, added, removed, conflicted, unchanged } lists of paths
+   */
+  summarize(files) {
+    const pick = (...statuses) => files.filter(file => statuses.includes(file.status)).map(file => file.path);
+    return {
+      changed: pick(UPDATE_STATUS.UPDATED, UPDATE_STATUS.MERGED),
+      added: pick(UPDATE_STATUS.ADDED),
+      removed: pick(UPDATE_STATUS.REMOVED),
+      conflicted: pick(UPDATE_STATUS.CONFLICT),
+      unchanged: pick(UPDATE_STATUS.UNCHANGED)
+    };
+  }
+
+  /**
+   * Read a file if it exists
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<Buffer|null>} File content or null
+   */
+  async readOptional(filePath) {
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log through the configured logger
+   * @private
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} meta - Metadata
+   */
+  log(level, message, meta) {
+    if (this.logger && typeof this.logger[level] === 'function') {
+      this.logger[level](message, meta);
+    }
+  }
+}
+
+module.exports = {
+  ProjectUpdater,
+  ProjectUpdateError,
+  UPDATE_STATUS
+};
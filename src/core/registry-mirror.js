@@ -0,0 +1,380 @@
+/**
+ * Registry Mirror
+ * Copies templates from a static index, a local template directory or an npm registry into a
+ * directory with an index.json, for serving from a static file server or for air-gapped use.
+ * The mirror is both a static index (point a registry at its index.json) and a local registry
+ * (point a registry at the directory):
+ *
+ *   mirror/
+ *     index.json
+ *     xagi-ai-template-react-next-1.2.0.tgz
+ *     xagi-ai-template-react-next-1.2.0.tgz.sig    copied when the source publishes one
+ *
+ * Tarballs already in the mirror are kept when their integrity matches the source, so running
+ * a mirror again only downloads what changed.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { LocalRegistry } = require('./local-registry');
+const { SIGNATURE_EXTENSION } = require('./trust-store');
+const { computeIntegrity } = require('../utils/integrityVerifier');
+const {
+  INDEX_FILE,
+  createIndex,
+  fetchIndex,
+  fetchTarball,
+  fetchText,
+  isIndexUrl,
+  resolveLocation,
+  resolveSignatureLocation,
+  resolveVersion
+} = require('../utils/registryIndex');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_NPM_REGISTRY = 'https://registry.npmjs.org';
+
+/**
+ * Error raised for unusable mirror sources
+ */
+class RegistryMirrorError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'RegistryMirrorError';
+    this.code = code;
+    this.details = details;
+    this.isRegistryMirrorError = true;
+  }
+}
+
+/**
+ * Work out what kind of source to mirror from
+ * @param {string} source - index.json URL or path, directory, npm registry URL, or `npm`
+ * @returns {Promise<Object>} { kind: 'index'|'directory'|'npm', url, path }
+ * @throws {RegistryMirrorError} If a local source does not exist
+ */
+async function resolveMirrorSource(source) {
+  if (source === 'npm') {
+    return { kind: 'npm', url: process.env.npm_config_registry || DEFAULT_NPM_REGISTRY };
+  }
+  if (/^https?:\/\//.test(source)) {
+    return isIndexUrl(source) ? { kind: 'index', url: source } : { kind: 'npm', url: source };
+  }
+
+  const sourcePath = path.resolve(source.startsWith('file:') ? fileURLToPath(source) : source);
+  const stats = await fs.stat(sourcePath).catch(() => null);
+  if (!stats) {
+    throw new RegistryMirrorError(`Mirror source not found: ${sourcePath}`, 'SOURCE_NOT_FOUND');
+  }
+  if (stats.isFile()) {
+    return { kind: 'index', url: pathToFileURL(sourcePath).href };
+  }
+  if (await fs.pathExists(path.join(sourcePath, INDEX_FILE))) {
+    return { kind: 'index', url: pathToFileURL(path.join(sourcePath, INDEX_FILE)).href };
+  }
+  return { kind: 'directory', url: pathToFileURL(sourcePath).href, path: sourcePath };
+}
+
+/**
+ * Split a template spec into id and version range
+ * @param {string} spec - `id`, `id@range` or `@scope/id@range`
+ * @returns {Object} { id, range }
+ */
+function parseTemplateSpec(spec) {
+  const at = spec.lastIndexOf('@');
+  return at > 0 ? { id: spec.slice(0, at), range: spec.slice(at + 1) } : { id: spec, range: 'latest' };
+}
+
+/**
+ * File name of a template tarball in a mirror, as `npm pack` names it
+ * @param {string} templateId - Template id
+ * @param {string} version - Version
+ * @returns {string} File name
+ */
+function getTarballName(templateId, version) {
+  return `${templateId.replace(/^@/, '').replace(/\//g, '-')}-${version}.tgz`;
+}
+
+/**
+ * Mirror templates into a directory and write its index.json
+ * @param {string} source - Where to mirror from, see resolveMirrorSource()
+ * @param {string} dir - Mirror directory
+ * @param {Object} options - Mirror options
+ * @param {Array<string>} options.templates - Template specs (`id` or `id@range`); all templates
+ *   of an index or directory by default, required for npm sources
+ * @param {boolean} options.allVersions - Mirror every version instead of the latest (index and directory sources)
+ * @param {string} options.name - Name written to the index
+ * @param {number} options.maxBytes - Refuse tarballs larger than this
+ * @param {Function} options.onProgress - Called with { id, version, status } as templates are mirrored
+ * @returns {Promise<Object>} { indexPath, index, mirrored, upToDate, skipped, errors }
+ * @throws {RegistryMirrorError} If the source cannot be read
+ */
+async function mirrorRegistry(source, dir, options = {}) {
+  const { templates = [], allVersions = false, maxBytes, onProgress = null } = options;
+  const mirrorDir = path.resolve(dir);
+  const resolved = await resolveMirrorSource(source);
+  const specs = templates.map(parseTemplateSpec);
+
+  const errors = [];
+  let candidates;
+  if (resolved.kind === 'index') {
+    candidates = await listIndexCandidates(resolved.url, specs, { allVersions, maxBytes, errors });
+  } else if (resolved.kind === 'directory') {
+    candidates = await listDirectoryCandidates(resolved.path, specs, { allVersions, errors });
+  } else {
+    if (specs.length === 0) {
+      throw new RegistryMirrorError('Choose the templates to mirror from an npm registry', 'TEMPLATES_REQUIRED');
+    }
+    candidates = listNpmCandidates(resolved.url, specs);
+  }
+
+  await fs.ensureDir(mirrorDir);
+  const mirrored = [];
+  const upToDate = [];
+  const report = (candidate, status) => onProgress && onProgress({ id: candidate.id, version: candidate.version, status });
+
+  for (const candidate of candidates) {
+    const label = `${candidate.id}@${candidate.version || candidate.range}`;
+    try {
+      report(candidate, 'downloading');
+      const target = candidate.version ? path.join(mirrorDir, getTarballName(candidate.id, candidate.version)) : null;
+      if (target && candidate.integrity && await fs.pathExists(target) &&
+          computeIntegrity(await fs.readFile(target)) === candidate.integrity) {
+        upToDate.push(label);
+        report(candidate, 'up-to-date');
+        continue;
+      }
+
+      const { version, file } = await candidate.fetch(mirrorDir);
+      const signature = await candidate.fetchSignature(version).catch(() => null);
+      if (signature) {
+        await fs.writeFile(`${file}${SIGNATURE_EXTENSION}`, signature);
+      }
+      mirrored.push(`${candidate.id}@${version}`);
+      report({ ...candidate, version }, 'mirrored');
+    } catch (error) {
+      errors.push({ template: label, error: error.message });
+      report(candidate, 'failed');
+    }
+  }
+
+  const { indexPath, index, skipped, errors: indexErrors } = await indexDirectory(mirrorDir, { name: options.name });
+  return { indexPath, index, mirrored, upToDate, skipped, errors: [...errors, ...indexErrors] };
+}
+
+/**
+ * Write the index.json for a directory of template tarballs
+ * @param {string} dir - Directory, read like a local registry
+ * @param {Object} options - Index options
+ * @param {string} options.name - Name written to the index (default: the existing index name or the directory name)
+ * @returns {Promise<Object>} { indexPath, index, skipped, errors }; template folders are skipped
+ *   because an index can only list tarballs
+ */
+async function indexDirectory(dir, options = {}) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  const previous = await fs.readJson(indexPath).catch(() => ({}));
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-index-'));
+
+  try {
+    const registry = new LocalRegistry({ path: dir, cacheDir });
+    const entries = await registry.index({ forceRefresh: true });
+    const index = createIndex({ name: options.name || previous.name || path.basename(dir) });
+    const skipped = [];
+
+    for (const [templateId, versions] of entries) {
+      const tarballs = versions.filter(entry => entry.source === 'tarball');
+      versions.filter(entry => entry.source !== 'tarball')
+        .forEach(entry => skipped.push({ template: `${templateId}@${entry.version}`, path: entry.path }));
+      if (tarballs.length === 0) {
+        continue;
+      }
+
+      // Template details come from the newest version
+      const { data } = tarballs[0];
+      index.templates[templateId] = {
+        name: data.name,
+        description: data.description,
+        type: data.type,
+        author: data.author,
+        keywords: data.keywords,
+        distTags: { latest: tarballs[0].version },
+        versions: {}
+      };
+
+      for (const entry of tarballs) {
+        const content = await fs.readFile(entry.path);
+        const tarball = path.relative(dir, entry.path).split(path.sep).join('/');
+        const version = {
+          tarball,
+          integrity: computeIntegrity(content),
+          size: content.length,
+          publishedAt: entry.data.updatedAt,
+          dependencies: entry.data.dependencies,
+          devDependencies: entry.data.devDependencies,
+          configSchema: entry.data.configSchema
+        };
+        if (entry.data.supportedVersions) {
+          version.supportedVersions = entry.data.supportedVersions;
+        }
+        if (await fs.pathExists(`${entry.path}${SIGNATURE_EXTENSION}`)) {
+          version.signature = `${tarball}${SIGNATURE_EXTENSION}`;
+        }
+        index.templates[templateId].versions[entry.version] = version;
+      }
+    }
+
+    await fs.writeJson(indexPath, index, { spaces: 2 });
+    return { indexPath, index, skipped, errors: registry.indexErrors.map(({ path: file, error }) => ({ template: file, error })) };
+  } finally {
+    await fs.remove(cacheDir);
+  }
+}
+
+/**
+ * List the versions to mirror from a static index
+ * @private
+ * @param {string} url - Index URL
+ * @param {Array<Object>} specs - Requested templates { id, range }, all when empty
+ * @param {Object} options - { allVersions, maxBytes, errors }
+ * @returns {Promise<Array<Object>>} Candidates
+ */
+async function listIndexCandidates(url, specs, options) {
+  const { index } = await fetchIndex(url);
+  const requested = specs.length > 0 ? specs : Object.keys(index.templates).map(id => ({ id, range: 'latest' }));
+  const candidates = [];
+
+  for (const { id, range } of requested) {
+    const template = index.templates[id];
+    const versions = template && options.allVersions && range === 'latest'
+      ? Object.keys(template.versions)
+      : [template && resolveVersion(index, id, range)];
+    if (!versions[0]) {
+      options.errors.push({ template: `${id}@${range}`, error: `Not found in ${url}` });
+      continue;
+    }
+
+    for (const version of versions) {
+      const entry = template.versions[version];
+      candidates.push({
+        id,
+        version,
+        integrity: entry.integrity,
+        fetch: async(mirrorDir) => {
+          const file = path.join(mirrorDir, getTarballName(id, version));
+          await fetchTarball(resolveLocation(url, entry.tarball), file, {
+            integrity: entry.integrity,
+            maxBytes: options.maxBytes,
+            label: `${id}@${version}`
+          });
+          return { version, file };
+        },
+        fetchSignature: () => fetchText(resolveSignatureLocation(url, entry))
+      });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * List the tarballs to mirror from a local template directory
+ * @private
+ * @param {string} sourceDir - Template directory
+ * @param {Array<Object>} specs - Requested templates { id, range }, all when empty
+ * @param {Object} options - { allVersions, errors }
+ * @returns {Promise<Array<Object>>} Candidates
+ */
+async function listDirectoryCandidates(sourceDir, specs, options) {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-mirror-'));
+
+  try {
+    const registry = new LocalRegistry({ path: sourceDir, cacheDir });
+    const entries = await registry.index();
+    const requested = specs.length > 0 ? specs : [...entries.keys()].map(id => ({ id, range: 'latest' }));
+    const candidates = [];
+
+    for (const { id, range } of requested) {
+      const matches = options.allVersions && range === 'latest'
+        ? entries.get(id) || []
+        : [await registry.resolveTemplate(id, range)].filter(Boolean);
+      if (matches.length === 0) {
+        options.errors.push({ template: `${id}@${range}`, error: `Not found in ${sourceDir}` });
+      }
+
+      for (const entry of matches) {
+        if (entry.source !== 'tarball') {
+          options.errors.push({
+            template: `${id}@${entry.version}`,
+            error: `${entry.path} is a template folder, pack it with npm pack to mirror it`
+          });
+          continue;
+        }
+        candidates.push({
+          id,
+          version: entry.version,
+          integrity: computeIntegrity(await fs.readFile(entry.path)),
+          fetch: async(mirrorDir) => {
+            const file = path.join(mirrorDir, getTarballName(id, entry.version));
+            await fs.copy(entry.path, file);
+            return { version: entry.version, file };
+          },
+          fetchSignature: async() => {
+            const signaturePath = `${entry.path}${SIGNATURE_EXTENSION}`;
+            return await fs.pathExists(signaturePath) ? fs.readFile(signaturePath, 'utf8') : null;
+          }
+        });
+      }
+    }
+    return candidates;
+  } finally {
+    await fs.remove(cacheDir);
+  }
+}
+
+/**
+ * List the packages to mirror from an npm registry. `npm pack` does the download so .npmrc
+ * auth applies and the tarball is checked against the registry integrity.
+ * @private
+ * @param {string} registryUrl - npm registry URL
+ * @param {Array<Object>} specs - Requested templates { id, range }
+ * @returns {Array<Object>} Candidates; the version is only known once packed
+ */
+function listNpmCandidates(registryUrl, specs) {
+  return specs.map(({ id, range }) => ({
+    id,
+    version: null,
+    range,
+    integrity: null,
+    fetch: async(mirrorDir) => {
+      const packDir = await fs.mkdtemp(path.join(mirrorDir, '.pack-'));
+      try {
+        const { stdout } = await execFileAsync('npm', ['pack', `${id}@${range}`, '--json', '--registry', registryUrl], {
+          cwd: packDir
+        });
+        const [packInfo] = JSON.parse(stdout);
+        const file = path.join(mirrorDir, getTarballName(id, packInfo.version));
+        await fs.move(path.join(packDir, packInfo.filename), file, { overwrite: true });
+        return { version: packInfo.version, file };
+      } finally {
+        await fs.remove(packDir);
+      }
+    },
+    fetchSignature: version => {
+      const tarballName = `${id.split('/').pop()}-${version}.tgz`;
+      return fetchText(`${registryUrl.replace(/\/+$/, '')}/${id}/-/${tarballName}${SIGNATURE_EXTENSION}`);
+    }
+  }));
+}
+
+module.exports = {
+  RegistryMirrorError,
+  resolveMirrorSource,
+  parseTemplateSpec,
+  getTarballName,
+  mirrorRegistry,
+  indexDirectory
+};
@@ -0,0 +1,296 @@
+/**
+ * Registry Resolver
+ * Routes package and template names to a registry by scope, the way npm does:
+ *
+ *   registry=https://registry.npmjs.org/
+ *   @xagi:registry=https://templates.internal/
+ *   //templates.internal/:_authToken=${XAGI_TOKEN}
+ *
+ * Settings are merged from, highest precedence first, the `npmrc` section of the global CLI
+ * configuration, npm_config_* environment variables, the project .npmrc and the user .npmrc
+ * (~/.npmrc or $NPM_CONFIG_USERCONFIG). `${VAR}` in values is replaced from the environment.
+ * Names in a routed scope only ever resolve to that scope's registry; the rest use the default.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readCliConfigSync } = require('./cli-config');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+const NPMRC_FILE = '.npmrc';
+
+/**
+ * Parse .npmrc content
+ * @param {string} content - File content
+ * @param {Object} env - Environment used for `${VAR}` substitution
+ * @returns {Object} Settings by key
+ */
+function parseNpmrc(content, env = process.env) {
+  const settings = {};
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    const separator = trimmed.indexOf('=');
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';') || separator <= 0) {
+      return;
+    }
+
+    let value = trimmed.slice(separator + 1).trim();
+    if (/^(["']).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    settings[trimmed.slice(0, separator).trim()] = expandEnv(value, env);
+  });
+  return settings;
+}
+
+/**
+ * Replace `${VAR}` with environment variables, leaving unknown variables empty as npm does
+ * @param {string} value - Setting value
+ * @param {Object} env - Environment
+ * @returns {string} Expanded value
+ */
+function expandEnv(value, env) {
+  return value.replace(/\$\{([^}]+)\}/g, (match, name) => env[name] || '');
+}
+
+/**
+ * Whether two URLs point at the same registry
+ * @param {string} a - Registry URL
+ * @param {string} b - Registry URL
+ * @returns {boolean} True when they only differ by trailing slashes
+ */
+function isSameRegistry(a, b) {
+  return Boolean(a && b) && a.replace(/\/+$/, '') === b.replace(/\/+$/, '');
+}
+
+/**
+ * Get the scope of a package or template name
+ * @param {string} name - Package name such as `@xagi/ai-template-vue`
+ * @returns {string|null} Scope such as `@xagi`, or null for unscoped names
+ */
+function getScope(name) {
+  const match = /^(@[^/]+)\//.exec(name || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the project root npm would use: the nearest directory with a package.json
+ * @param {string} cwd - Starting directory
+ * @returns {string} Project root, or cwd when there is none
+ */
+function findProjectRoot(cwd) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    if (fs.pathExistsSync(path.join(dir, 'package.json'))) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) {
+      return path.resolve(cwd);
+    }
+  }
+}
+
+class RegistryResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} options.cwd - Directory the project .npmrc is looked up from (default: process.cwd())
+   * @param {Object} options.env - Environment (default: process.env)
+   * @param {string} options.userConfig - User .npmrc (default: $NPM_CONFIG_USERCONFIG or ~/.npmrc)
+   * @param {Object} options.settings - Settings in .npmrc keys that win over every file
+   *   (default: the `npmrc` section of the global CLI configuration)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.userConfig = options.userConfig || this.getEnvSetting('userconfig') || path.join(os.homedir(), NPMRC_FILE);
+    this.overrides = options.settings || null;
+
+    // Merged settings, read on first use
+    this._settings = null;
+  }
+
+  /**
+   * Read an npm_config_* environment variable, which npm matches case-insensitively
+   * @param {string} key - Setting key
+   * @returns {string|null} Value
+   * @private
+   */
+  getEnvSetting(key) {
+    const name = Object.keys(this.env).find(envKey => envKey.toLowerCase() === `npm_config_${key}`);
+    return name ? this.env[name] : null;
+  }
+
+  /**
+   * Read a .npmrc file
+   * @param {string} file - File path
+   * @returns {Object} Settings, empty when the file does not exist
+   * @private
+   */
+  readNpmrc(file) {
+    try {
+      return parseNpmrc(fs.readFileSync(file, 'utf8'), this.env);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Get the merged settings
+   * @returns {Object} Settings by .npmrc key
+   */
+  getSettings() {
+    if (this._settings) {
+      return this._settings;
+    }
+
+    // Only registry settings can be written as environment variables
+    const envSettings = {};
+    Object.keys(this.env).forEach(envKey => {
+      const key = envKey.slice('npm_config_'.length);
+      if (envKey.toLowerCase().startsWith('npm_config_') && /(^|:)registry$/i.test(key)) {
+        envSettings[key.toLowerCase()] = this.env[envKey];
+      }
+    });
+
+    let configured = this.overrides;
+    if (!configured) {
+      try {
+        configured = readCliConfigSync().npmrc || {};
+      } catch (error) {
+        configured = {};
+      }
+    }
+    const configuredSettings = {};
+    Object.entries(configured).forEach(([key, value]) => {
+      configuredSettings[key] = expandEnv(String(value), this.env);
+    });
+
+    this._settings = {
+      ...this.readNpmrc(this.userConfig),
+      ...this.readNpmrc(path.join(findProjectRoot(this.cwd), NPMRC_FILE)),
+      ...envSettings,
+      ...configuredSettings
+    };
+    return this._settings;
+  }
+
+  /**
+   * Get the registry used for unscoped names
+   * @returns {string} Registry URL
+   */
+  getDefaultRegistry() {
+    return this.getSettings().registry || DEFAULT_REGISTRY;
+  }
+
+  /**
+   * Get the scopes routed to a registry
+   * @returns {Object} Registry URL by scope
+   */
+  getScopes() {
+    const scopes = {};
+    Object.entries(this.getSettings()).forEach(([key, value]) => {
+      const match = /^(@[^:]+):registry$/.exec(key);
+      if (match && value) {
+        scopes[match[1]] = value;
+      }
+    });
+    return scopes;
+  }
+
+  /**
+   * Get the registry a name's scope is routed to
+   * @param {string} name - Package or template name
+   * @returns {string|null} Registry URL, or null when the name is unscoped or its scope is not routed
+   */
+  getScopeRegistry(name) {
+    const scope = getScope(name);
+    return scope ? this.getScopes()[scope] || null : null;
+  }
+
+  /**
+   * Get the registry a name resolves to
+   * @param {string} name - Package or template name
+   * @returns {string} Scope registry, or the default registry
+   */
+  getRegistryUrl(name) {
+    return this.getScopeRegistry(name) || this.getDefaultRegistry();
+  }
+
+  /**
+   * Pick the registries a name may be looked up in
+   * @param {string} name - Package or template name
+   * @param {Array<TemplateRegistry>} registries - Candidate registries
+   * @returns {Array<TemplateRegistry>} Only the registries at the scope's URL for routed scopes, all of them otherwise
+   */
+  filterRegistries(name, registries) {
+    const routed = this.getScopeRegistry(name);
+    return routed ? registries.filter(registry => isSameRegistry(registry.url, routed)) : registries;
+  }
+
+  /**
+   * Get the credentials for a registry, matching `//host/path/:_authToken` from the longest path down
+   * @param {string} registryUrl - Registry or tarball URL
+   * @returns {Object|null} { token } or { basic } (base64 user:password), null when there are none
+   * @private
+   */
+  getCredentials(registryUrl) {
+    let parsed;
+    try {
+      parsed = new URL(registryUrl);
+    } catch (error) {
+      return null;
+    }
+
+    const settings = this.getSettings();
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    for (let length = segments.length; length >= 0; length--) {
+      const prefix = `//${parsed.host}/${segments.slice(0, length).map(segment => `${segment}/`).join('')}`;
+      if (settings[`${prefix}:_authToken`]) {
+        return { token: settings[`${prefix}:_authToken`] };
+      }
+      if (settings[`${prefix}:_auth`]) {
+        return { basic: settings[`${prefix}:_auth`] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the bearer token for a registry
+   * @param {string} registryUrl - Registry or tarball URL
+   * @returns {string|null} Token
+   */
+  getAuthToken(registryUrl) {
+    const credentials = this.getCredentials(registryUrl);
+    return credentials && credentials.token ? credentials.token : null;
+  }
+
+  /**
+   * Get the Authorization header for a registry
+   * @param {string} registryUrl - Registry or tarball URL
+   * @returns {Object} Headers, empty when there are no credentials
+   */
+  getAuthHeaders(registryUrl) {
+    const credentials = this.getCredentials(registryUrl);
+    if (!credentials) {
+      return {};
+    }
+    return { Authorization: credentials.token ? `Bearer ${credentials.token}` : `Basic ${credentials.basic}` };
+  }
+
+  /**
+   * Write the merged settings as .npmrc content, so npm commands see the same routing and tokens
+   * @returns {string} .npmrc content
+   */
+  toNpmrc() {
+    return Object.entries(this.getSettings()).map(([key, value]) => `${key}=${value}`).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  RegistryResolver,
+  DEFAULT_REGISTRY,
+  parseNpmrc,
+  isSameRegistry,
+  getScope
+};
@@ -0,0 +1,328 @@
+/**
+ * SchemaPrompter
+ * Turns a template's `configSchema` (JSON Schema) into interactive questions.
+ *
+ * - `enum` properties become lists
+ * - `boolean` properties become confirms
+ * - arrays whose items declare an `enum` become checkboxes
+ * - `format: password` / `writeOnly` strings become password prompts
+ * - `default`, `description`/`title` and `pattern`/length/range constraints are honored
+ *
+ * Follow-up questions are driven by `dependencies` (or `dependentSchemas`) and
+ * `if`/`then`/`else`, evaluated against the answers collected so far. The prompt
+ * function is injected so the questionnaire can run without a terminal.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * SchemaPrompter class
+ */
+class SchemaPrompter {
+  /**
+   * Create a new SchemaPrompter
+   * @param {Object} schema - Template configuration schema
+   * @param {Object} options - Prompter options
+   * @param {Function} options.prompt - Inquirer-compatible prompt function `(questions) => Promise<answers>`
+   * @param {number} options.maxRounds - Maximum number of follow-up rounds
+   */
+  constructor(schema = {}, options = {}) {
+    this.schema = schema || {};
+    this.prompt = options.prompt || null;
+    this.maxRounds = options.maxRounds || 10;
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.validators = new Map();
+  }
+
+  /**
+   * Ask every applicable question and return the collected answers
+   * @param {Object} initialAnswers - Answers that are already known (e.g. from `--config`); they are not asked again
+   * @returns {Promise<Object>} Answers
+   */
+  async run(initialAnswers = {}) {
+    if (typeof this.prompt !== 'function') {
+      throw new Error('A prompt function is required to run the questionnaire');
+    }
+
+    const answers = { ...initialAnswers };
+    const asked = new Set(Object.keys(initialAnswers));
+
+    for (let round = 0; round < this.maxRounds; round++) {
+      const questions = this.getQuestions(answers, asked);
+      if (questions.length === 0) {
+        break;
+      }
+
+      const roundAnswers = await this.prompt(questions);
+      for (const question of questions) {
+        asked.add(question.name);
+        if (Object.prototype.hasOwnProperty.call(roundAnswers, question.name)) {
+          answers[question.name] = roundAnswers[question.name];
+        }
+      }
+    }
+
+    return this.stripEmpty(answers);
+  }
+
+  /**
+   * Fill in defaults for every applicable property without asking (non-interactive mode)
+   * @param {Object} initialAnswers - Known answers
+   * @returns {Object} Answers with defaults applied
+   */
+  applyDefaults(initialAnswers = {}) {
+    const answers = { ...initialAnswers };
+
+    for (let round = 0; round < this.maxRounds; round++) {
+      let changed = false;
+      for (const [name, propertySchema] of Object.entries(this.getActiveProperties(answers).properties)) {
+        if (!Object.prototype.hasOwnProperty.call(answers, name) &&
+          Object.prototype.hasOwnProperty.call(propertySchema, 'default')) {
+          answers[name] = propertySchema.default;
+          changed = true;
+        }
+      }
+      if (!changed) {
+        break;
+      }
+    }
+
+    return answers;
+  }
+
+  /**
+   * Build the questions that still need to be asked for the current answers
+   * @param {Object} answers - Answers collected so far
+   * @param {Set<string>} asked - Property names already asked or provided
+   * @returns {Array<Object>} Inquirer questions
+   */
+  getQuestions(answers = {}, asked = new Set()) {
+    const { properties, required } = this.getActiveProperties(answers);
+
+    return Object.entries(properties)
+      .filter(([name]) => !asked.has(name) && !Object.prototype.hasOwnProperty.call(answers, name))
+      .map(([name, propertySchema]) => this.buildQuestion(name, propertySchema, required.has(name)));
+  }
+
+  /**
+   * Collect the properties that apply for the given answers, following
+   * `dependencies`, `dependentSchemas`, `if`/`then`/`else` and `allOf`
+   * @param {Object} answers - Answers collected so far
+   * @returns {Object} { properties, required }
+   */
+  getActiveProperties(answers = {}) {
+    const properties = {};
+    const required = new Set();
+
+    const visit = (schema) => {
+      if (!schema || typeof schema !== 'object') {
+        return;
+      }
+
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        properties[name] = { ...(properties[name] || {}), ...propertySchema };
+      }
+      (schema.required || []).forEach(name => required.add(name));
+
+      const dependencies = { ...(schema.dependencies || {}), ...(schema.dependentSchemas || {}) };
+      for (const [trigger, dependency] of Object.entries(dependencies)) {
+        if (!this.hasMeaningfulAnswer(answers, trigger)) {
+          continue;
+        }
+        if (Array.isArray(dependency)) {
+          dependency.forEach(name => required.add(name));
+        } else {
+          visit(dependency);
+        }
+      }
+
+      if (schema.if) {
+        // An `if` only applies once every property it inspects has been answered
+        const inspected = Object.keys(schema.if.properties || {});
+        const decidable = inspected.every(name => Object.prototype.hasOwnProperty.call(answers, name));
+        if (decidable) {
+          visit(this.matches(schema.if, answers) ? schema.then : schema.else);
+        }
+      }
+
+      (schema.allOf || []).forEach(visit);
+    };
+
+    visit(this.schema);
+    return { properties, required };
+  }
+
+  /**
+   * Build a single inquirer question from a property schema
+   * @param {string} name - Property name
+   * @param {Object} propertySchema - Property schema
+   * @param {boolean} isRequired - Whether an answer is required
+   * @returns {Object} Inquirer question
+   */
+  buildQuestion(name, propertySchema, isRequired = false) {
+    const message = propertySchema.description || propertySchema.title || name;
+    const question = { name, message: `${message}:` };
+    const hasDefault = Object.prototype.hasOwnProperty.call(propertySchema, 'default');
+    const type = Array.isArray(propertySchema.type) ? propertySchema.type[0] : propertySchema.type;
+
+    if (propertySchema.enum) {
+      question.type = 'list';
+      question.choices = this.buildChoices(propertySchema.enum, propertySchema.enumNames);
+      if (hasDefault) {
+        question.default = propertySchema.default;
+      }
+      return question;
+    }
+
+    if (type === 'boolean') {
+      question.type = 'confirm';
+      question.default = hasDefault ? propertySchema.default : false;
+      return question;
+    }
+
+    if (type === 'array' && propertySchema.items && propertySchema.items.enum) {
+      const defaults = hasDefault ? propertySchema.default : [];
+      question.type = 'checkbox';
+      question.choices = this.buildChoices(propertySchema.items.enum, propertySchema.items.enumNames)
+        .map(choice => ({ ...choice, checked: defaults.includes(choice.value) }));
+      question.validate = (value) => this.validateValue(name, propertySchema, value, isRequired);
+      return question;
+    }
+
+    if (type === 'number' || type === 'integer') {
+      question.type = 'number';
+    } else if (type === 'string' && (propertySchema.format === 'password' || propertySchema.writeOnly)) {
+      question.type = 'password';
+      question.mask = '*';
+    } else {
+      question.type = 'input';
+    }
+
+    if (hasDefault) {
+      question.default = propertySchema.default;
+    }
+
+    if (type === 'array') {
+      // Free-form arrays are entered as comma separated values
+      question.filter = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+      if (hasDefault && Array.isArray(propertySchema.default)) {
+        question.default = propertySchema.default.join(', ');
+      }
+    }
+
+    question.validate = (value) => this.validateValue(name, propertySchema, this.coerce(value, type), isRequired);
+    return question;
+  }
+
+  /**
+   * Build list/checkbox choices from enum values
+   * @private
+   * @param {Array} values - Enum values
+   * @param {Array<string>} names - Optional display names
+   * @returns {Array<Object>} Choices
+   */
+  buildChoices(values, names = []) {
+    return values.map((value, index) => ({
+      name: (names && names[index]) || String(value),
+      value,
+      short: String(value)
+    }));
+  }
+
+  /**
+   * Validate an answer against its property schema
+   * @param {string} name - Property name
+   * @param {Object} propertySchema - Property schema
+   * @param {*} value - Answer
+   * @param {boolean} isRequired - Whether an answer is required
+   * @returns {boolean|string} True when valid, otherwise an error message
+   */
+  validateValue(name, propertySchema, value, isRequired = false) {
+    const isEmpty = value === '' || value === null || typeof value === 'undefined' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (isEmpty) {
+      return isRequired ? `${name} is required` : true;
+    }
+
+    if (typeof value === 'number' && Number.isNaN(value)) {
+      return `${name} must be a number`;
+    }
+
+    const cacheKey = JSON.stringify(propertySchema);
+    if (!this.validators.has(cacheKey)) {
+      this.validators.set(cacheKey, this.ajv.compile(propertySchema));
+    }
+    const validate = this.validators.get(cacheKey);
+
+    if (validate(value)) {
+      return true;
+    }
+
+    const [error] = validate.errors;
+    if (error.keyword === 'pattern') {
+      return propertySchema.patternMessage || `${name} must match pattern ${propertySchema.pattern}`;
+    }
+    return `${name} ${error.message}`;
+  }
+
+  /**
+   * Check whether answers satisfy a schema
+   * @private
+   * @param {Object} schema - Schema to test
+   * @param {Object} answers - Answers
+   * @returns {boolean} True if valid
+   */
+  matches(schema, answers) {
+    return this.ajv.validate(schema, answers);
+  }
+
+  /**
+   * Whether an answer should trigger dependent questions
+   * @private
+   * @param {Object} answers - Answers
+   * @param {string} name - Property name
+   * @returns {boolean} True for answers other than false, empty strings and empty arrays
+   */
+  hasMeaningfulAnswer(answers, name) {
+    if (!Object.prototype.hasOwnProperty.call(answers, name)) {
+      return false;
+    }
+    const value = answers[name];
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== false && value !== '' && value !== null;
+  }
+
+  /**
+   * Coerce a raw answer to the schema type before validation
+   * @private
+   * @param {*} value - Raw answer
+   * @param {string} type - Schema type
+   * @returns {*} Coerced value
+   */
+  coerce(value, type) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Drop unanswered optional inputs so they do not override template defaults
+   * @private
+   * @param {Object} answers - Answers
+   * @returns {Object} Cleaned answers
+   */
+  stripEmpty(answers) {
+    return Object.fromEntries(
+      Object.entries(answers).filter(([, value]) => value !== '' && !(typeof value === 'number' && Number.isNaN(value)))
+    );
+  }
+}
+
+module.exports = SchemaPrompter;
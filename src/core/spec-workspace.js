@@ -0,0 +1,491 @@
+/**
+ * SpecWorkspace
+ * Creates, validates and tracks numbered spec folders (`specs/NNN-feature/`) in a project.
+ * A new folder is filled from markdown skeletons: the ones the project's template ships in
+ * `_specs/` (another directory can be set with `"specs"` in `template.json`), or the built-in
+ * ones in src/data/spec-templates (spec.md, plan.md, tasks.md, research.md, data-model.md,
+ * contracts/).
+ *
+ * Skeletons mark the sections every spec must fill in, as this repository's own specs do:
+ *
+ *   ## Requirements *(mandatory)*
+ *
+ * Validation checks those sections exist and were filled in, and that `tasks.md` has checkbox
+ * tasks (`- [ ] T001 ...`), which the progress summary is computed from.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { TemplateManifest } = require('./template-manifest');
+const { TemplateEngine } = require('./template-engine');
+const { readProjectMetadata } = require('./project-metadata');
+
+const DEFAULT_SPECS_DIR = 'specs';
+const BUILTIN_SKELETON_DIR = path.join(__dirname, '..', 'data', 'spec-templates');
+const TASKS_FILE = 'tasks.md';
+
+const SPEC_DIR_PATTERN = /^(\d+)-(.+)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const MANDATORY_PATTERN = /\*\(mandatory\)\*/i;
+const TASK_PATTERN = /^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const CLARIFICATION_MARKER = '[NEEDS CLARIFICATION:';
+
+/**
+ * Error raised for spec folders that cannot be created or found
+ */
+class SpecWorkspaceError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'SpecWorkspaceError';
+    this.code = code;
+    this.details = details;
+    this.isSpecWorkspaceError = true;
+  }
+}
+
+/**
+ * Turn a feature name into the slug used in its folder name
+ * @param {string} featureName - Feature name, e.g. "User login" or "user-login"
+ * @returns {string} Slug, e.g. "user-login"
+ * @throws {SpecWorkspaceError} If nothing usable is left of the name
+ */
+function slugifyFeatureName(featureName) {
+  const slug = String(featureName || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (!slug) {
+    throw new SpecWorkspaceError(`Invalid feature name "${featureName}": use letters and digits`, 'INVALID_NAME');
+  }
+  return slug;
+}
+
+/**
+ * Title for a feature: the name as typed if it has spaces, otherwise the slug in words
+ * @param {string} featureName - Feature name as given
+ * @param {string} slug - Feature slug
+ * @returns {string} Feature title
+ */
+function getFeatureTitle(featureName, slug) {
+  const name = String(featureName || '').trim();
+  if (/\s/.test(name)) {
+    return name;
+  }
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Normalize a heading for comparison: no `*(...)*` annotations, lower case, single spaces
+ * @param {string} title - Heading text
+ * @returns {string} Normalized heading
+ */
+function normalizeHeading(title) {
+  return title.replace(/\*\([^)]*\)\*/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Strip the `*(...)*` annotations from a heading for display
+ * @param {string} title - Heading text
+ * @returns {string} Heading without annotations
+ */
+function displayHeading(title) {
+  return title.replace(/\*\([^)]*\)\*/g, '').trim();
+}
+
+/**
+ * Split markdown into its lines, flagging the ones inside fenced code blocks
+ * @param {string} content - Markdown
+ * @returns {Array<Object>} Lines { text, fenced }
+ */
+function scanLines(content) {
+  let fenced = false;
+  return content.split(/\r?\n/).map(text => {
+    if (FENCE_PATTERN.test(text)) {
+      fenced = !fenced;
+      return { text, fenced: true };
+    }
+    return { text, fenced };
+  });
+}
+
+/**
+ * Parse the sections of a markdown document. A section's body runs until the next heading
+ * of the same or a higher level, so it includes its subsections.
+ * @param {string} content - Markdown
+ * @returns {Array<Object>} Sections { level, title, name, mandatory, body }
+ */
+function parseSections(content) {
+  const lines = scanLines(content);
+  const headings = [];
+  lines.forEach((line, index) => {
+    const match = !line.fenced && HEADING_PATTERN.exec(line.text);
+    if (match) {
+      headings.push({ index, level: match[1].length, title: match[2] });
+    }
+  });
+
+  return headings.map((heading, position) => {
+    const next = headings.slice(position + 1).find(candidate => candidate.level <= heading.level);
+    const body = lines.slice(heading.index + 1, next ? next.index : lines.length).map(line => line.text).join('\n');
+    return {
+      level: heading.level,
+      title: displayHeading(heading.title),
+      name: normalizeHeading(heading.title),
+      mandatory: MANDATORY_PATTERN.test(heading.title),
+      body: body.trim()
+    };
+  });
+}
+
+/**
+ * Parse the checkbox tasks of a tasks.md into a progress summary. Tasks are grouped by the
+ * `##` heading (phase) they appear under.
+ * @param {string} content - tasks.md contents
+ * @returns {Object} Progress { total, done, percent, phases: [{ title, total, done }], remaining }
+ */
+function parseTasks(content) {
+  const tasks = [];
+  let phase = null;
+  for (const line of scanLines(content)) {
+    if (line.fenced) {
+      continue;
+    }
+    const heading = HEADING_PATTERN.exec(line.text);
+    if (heading && heading[1].length === 2) {
+      phase = displayHeading(heading[2]);
+      continue;
+    }
+    const task = TASK_PATTERN.exec(line.text);
+    if (task) {
+      const text = task[2].trim();
+      const id = /^(T\d+)\b/.exec(text);
+      const description = text.replace(/^T\d+\s*/, '');
+      tasks.push({
+        id: id ? id[1] : null,
+        description: description.replace(/^\[P\]\s*/, ''),
+        parallel: description.startsWith('[P]'),
+        done: task[1] !== ' ',
+        phase
+      });
+    }
+  }
+
+  const phases = [];
+  for (const task of tasks) {
+    let entry = phases.find(candidate => candidate.title === task.phase);
+    if (!entry) {
+      entry = { title: task.phase, total: 0, done: 0 };
+      phases.push(entry);
+    }
+    entry.total++;
+    entry.done += task.done ? 1 : 0;
+  }
+
+  const done = tasks.filter(task => task.done).length;
+  return {
+    total: tasks.length,
+    done,
+    percent: tasks.length > 0 ? Math.floor((done / tasks.length) * 100) : 0,
+    phases,
+    remaining: tasks.filter(task => !task.done)
+  };
+}
+
+/**
+ * List the files of a directory recursively, relative to it
+ * @param {string} dir - Directory
+ * @param {string} relativePath - Path inside the directory being listed
+ * @returns {Promise<Array<string>>} Relative POSIX paths, sorted
+ */
+async function listFiles(dir, relativePath = '') {
+  const files = [];
+  for (const item of (await fs.readdir(path.join(dir, relativePath))).sort()) {
+    const itemPath = relativePath ? `${relativePath}/${item}` : item;
+    if ((await fs.stat(path.join(dir, itemPath))).isDirectory()) {
+      files.push(...await listFiles(dir, itemPath));
+    } else {
+      files.push(itemPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * SpecWorkspace class
+ */
+class SpecWorkspace {
+  /**
+   * Create a new spec workspace
+   * @param {Object} options - Options
+   * @param {Function} options.getTemplateDir - async (templateId, version) returning the source
+   *   directory of the template a project was generated from; without it the built-in skeletons are used
+   * @param {TemplateEngine} options.templateEngine - Engine used to render skeletons
+   */
+  constructor(options = {}) {
+    this.getTemplateDir = options.getTemplateDir || null;
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+  }
+
+  /**
+   * Find the skeletons for a project's specs
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} { dir, source: 'template'|'builtin', answers }
+   * @throws {SpecWorkspaceError} If the project's template cannot be loaded
+   */
+  async resolveSkeletons(projectDir) {
+    const metadata = await readProjectMetadata(projectDir);
+    const answers = (metadata && metadata.answers) || {};
+
+    if (metadata && metadata.template && this.getTemplateDir) {
+      let dir;
+      try {
+        const templateDir = await this.getTemplateDir(metadata.template, metadata.templateVersion);
+        const manifest = await TemplateManifest.load(templateDir);
+        dir = path.join(templateDir, manifest.specsDir);
+      } catch (error) {
+        throw new SpecWorkspaceError(
+          `Failed to load spec skeletons from ${metadata.template}@${metadata.templateVersion}: ${error.message}`,
+          'SKELETONS_UNAVAILABLE',
+          { template: metadata.template, version: metadata.templateVersion }
+        );
+      }
+      if (await fs.pathExists(dir)) {
+        return { dir, source: 'template', answers };
+      }
+    }
+    return { dir: BUILTIN_SKELETON_DIR, source: 'builtin', answers };
+  }
+
+  /**
+   * Render the skeletons for one spec folder
+   * @param {Object} skeletons - Result of resolveSkeletons()
+   * @param {Object} variables - Spec variables (featureTitle, featureName, specNumber, specName, specDir, date)
+   * @returns {Promise<Array<Object>>} Files { path, content }; only markdown files are rendered
+   * @throws {SpecWorkspaceError} If a skeleton fails to render
+   */
+  async renderSkeletons(skeletons, variables) {
+    const data = { ...skeletons.answers, ...variables };
+    const files = [];
+    for (const file of await listFiles(skeletons.dir)) {
+      const source = await fs.readFile(path.join(skeletons.dir, file), 'utf8');
+      if (!file.endsWith('.md')) {
+        files.push({ path: file, content: source });
+        continue;
+      }
+      try {
+        files.push({ path: file, content: this.templateEngine.render(source, data, { filename: file }) });
+      } catch (error) {
+        throw new SpecWorkspaceError(`Failed to render spec skeleton ${file}: ${error.message}`, 'SKELETON_FAILED', { file });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * List the spec folders of a project, in number order
+   * @param {string} projectDir - Project directory
+   * @param {Object} options - Options
+   * @param {string} options.dir - Specs directory relative to the project (default: specs)
+   * @returns {Promise<Array<Object>>} Specs { number, name, dir, path }
+   */
+  async list(projectDir, options = {}) {
+    const specsDir = path.join(projectDir, options.dir || DEFAULT_SPECS_DIR);
+    if (!await fs.pathExists(specsDir)) {
+      return [];
+    }
+
+    const specs = [];
+    for (const entry of await fs.readdir(specsDir, { withFileTypes: true })) {
+      const match = entry.isDirectory() && SPEC_DIR_PATTERN.exec(entry.name);
+      if (match) {
+        specs.push({ number: match[1], name: match[2], dir: entry.name, path: path.join(specsDir, entry.name) });
+      }
+    }
+    return specs.sort((a, b) => parseInt(a.number, 10) - parseInt(b.number, 10) || a.dir.localeCompare(b.dir));
+  }
+
+  /**
+   * Find spec folders by number ("2", "002"), feature name or folder name
+   * @param {string} projectDir - Project directory
+   * @param {string|null} ref - Spec to find, or null for all of them
+   * @param {Object} options - Options, as for list()
+   * @returns {Promise<Array<Object>>} Matching specs
+   * @throws {SpecWorkspaceError} If `ref` matches no spec
+   */
+  async find(projectDir, ref = null, options = {}) {
+    const specs = await this.list(projectDir, options);
+    if (!ref) {
+      return specs;
+    }
+
+    const matches = specs.filter(spec => spec.dir === ref || spec.name === ref ||
+      (/^\d+$/.test(ref) && parseInt(spec.number, 10) === parseInt(ref, 10)));
+    if (matches.length === 0) {
+      throw new SpecWorkspaceError(`No spec matches "${ref}" in ${options.dir || DEFAULT_SPECS_DIR}/`, 'SPEC_NOT_FOUND', { ref });
+    }
+    return matches;
+  }
+
+  /**
+   * Create the next numbered spec folder for a feature
+   * @param {string} projectDir - Project directory
+   * @param {string} featureName - Feature name
+   * @param {Object} options - Options
+   * @param {string} options.dir - Specs directory relative to the project (default: specs)
+   * @param {boolean} options.dryRun - Compute the result without writing
+   * @returns {Promise<Object>} { number, name, dir, path, files, source }
+   * @throws {SpecWorkspaceError} If the name is invalid or a spec for the feature exists
+   */
+  async create(projectDir, featureName, options = {}) {
+    const specsDir = options.dir || DEFAULT_SPECS_DIR;
+    const slug = slugifyFeatureName(featureName);
+    const specs = await this.list(projectDir, options);
+
+    const existing = specs.find(spec => spec.name === slug);
+    if (existing) {
+      throw new SpecWorkspaceError(`A spec for ${slug} already exists: ${specsDir}/${existing.dir}`, 'SPEC_EXISTS', { dir: existing.dir });
+    }
+
+    const next = specs.reduce((max, spec) => Math.max(max, parseInt(spec.number, 10)), 0) + 1;
+    const width = specs.reduce((max, spec) => Math.max(max, spec.number.length), 3);
+    const number = String(next).padStart(width, '0');
+    const dir = `${number}-${slug}`;
+    const specPath = path.join(projectDir, specsDir, dir);
+
+    const skeletons = await this.resolveSkeletons(projectDir);
+    const files = await this.renderSkeletons(skeletons, {
+      featureTitle: getFeatureTitle(featureName, slug),
+      featureName: slug,
+      specNumber: number,
+      specName: dir,
+      specDir: `${specsDir.split(path.sep).join('/')}/${dir}`,
+      date: new Date().toISOString().slice(0, 10)
+    });
+
+    if (!options.dryRun) {
+      for (const file of files) {
+        await fs.outputFile(path.join(specPath, file.path), file.content);
+      }
+    }
+
+    return {
+      number,
+      name: slug,
+      dir,
+      path: specPath,
+      files: files.map(file => file.path),
+      source: skeletons.source
+    };
+  }
+
+  /**
+   * Check spec folders against the skeletons: mandatory sections must exist and be filled in,
+   * and tasks.md must have checkbox tasks. Unresolved [NEEDS CLARIFICATION] markers are warnings.
+   * @param {string} projectDir - Project directory
+   * @param {string|null} ref - Spec to validate, or null for all of them
+   * @param {Object} options - Options, as for list()
+   * @returns {Promise<Array<Object>>} Per-spec results { dir, path, valid, errors, warnings },
+   *   where errors and warnings are { file, message }
+   */
+  async validate(projectDir, ref = null, options = {}) {
+    const specs = await this.find(projectDir, ref, options);
+    if (specs.length === 0) {
+      return [];
+    }
+    const skeletons = await this.resolveSkeletons(projectDir);
+    const specsDir = options.dir || DEFAULT_SPECS_DIR;
+
+    const results = [];
+    for (const spec of specs) {
+      const skeletonFiles = await this.renderSkeletons(skeletons, {
+        featureTitle: getFeatureTitle(spec.name, spec.name),
+        featureName: spec.name,
+        specNumber: spec.number,
+        specName: spec.dir,
+        specDir: `${specsDir.split(path.sep).join('/')}/${spec.dir}`,
+        date: new Date().toISOString().slice(0, 10)
+      });
+      results.push(await this.validateSpec(spec, skeletonFiles));
+    }
+    return results;
+  }
+
+  /**
+   * Validate one spec folder
+   * @param {Object} spec - Spec from list()
+   * @param {Array<Object>} skeletonFiles - Rendered skeletons { path, content }
+   * @returns {Promise<Object>} { dir, path, valid, errors, warnings }
+   */
+  async validateSpec(spec, skeletonFiles) {
+    const errors = [];
+    const warnings = [];
+
+    for (const skeleton of skeletonFiles.filter(file => file.path.endsWith('.md'))) {
+      const required = parseSections(skeleton.content).filter(section => section.mandatory);
+      const isTasks = skeleton.path === TASKS_FILE;
+      const filePath = path.join(spec.path, skeleton.path);
+      if (!await fs.pathExists(filePath)) {
+        if (required.length > 0 || isTasks) {
+          errors.push({ file: skeleton.path, message: 'File is missing' });
+        }
+        continue;
+      }
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const sections = parseSections(content);
+      for (const expected of required) {
+        const section = sections.find(candidate => candidate.name === expected.name);
+        if (!section) {
+          errors.push({ file: skeleton.path, message: `Missing section "${expected.title}"` });
+        } else if (!section.body.replace(/<!--[\s\S]*?-->/g, '').trim()) {
+          errors.push({ file: skeleton.path, message: `Section "${expected.title}" is empty` });
+        } else if (section.body === expected.body) {
+          warnings.push({ file: skeleton.path, message: `Section "${expected.title}" still has the skeleton text` });
+        }
+      }
+
+      if (isTasks && parseTasks(content).total === 0) {
+        errors.push({ file: skeleton.path, message: 'No checkbox tasks (- [ ] T001 ...)' });
+      }
+
+      // Markers the skeleton itself shows as examples do not count
+      const skeletonLines = new Set(skeleton.content.split(/\r?\n/));
+      const markers = content.split(/\r?\n/).filter(line => line.includes(CLARIFICATION_MARKER) && !skeletonLines.has(line));
+      if (markers.length > 0) {
+        warnings.push({ file: skeleton.path, message: `${markers.length} unresolved [NEEDS CLARIFICATION] marker${markers.length > 1 ? 's' : ''}` });
+      }
+    }
+
+    return { dir: spec.dir, path: spec.path, valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Summarize the progress of spec folders from the checkbox tasks in their tasks.md
+   * @param {string} projectDir - Project directory
+   * @param {string|null} ref - Spec to summarize, or null for all of them
+   * @param {Object} options - Options, as for list()
+   * @returns {Promise<Array<Object>>} Per-spec progress { dir, path, hasTasks, total, done, percent, phases, remaining }
+   */
+  async progress(projectDir, ref = null, options = {}) {
+    const results = [];
+    for (const spec of await this.find(projectDir, ref, options)) {
+      const tasksPath = path.join(spec.path, TASKS_FILE);
+      const hasTasks = await fs.pathExists(tasksPath);
+      const progress = parseTasks(hasTasks ? await fs.readFile(tasksPath, 'utf8') : '');
+      results.push({ dir: spec.dir, path: spec.path, hasTasks, ...progress });
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  SpecWorkspace,
+  SpecWorkspaceError,
+  DEFAULT_SPECS_DIR,
+  BUILTIN_SKELETON_DIR,
+  TASKS_FILE,
+  slugifyFeatureName,
+  parseSections,
+  parseTasks
+};
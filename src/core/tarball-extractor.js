@@ -0,0 +1,438 @@
+/**
+ * Tarball Extractor
+ * Streams a gzipped tarball into a directory without buffering it in memory, enforcing
+ * caps on the uncompressed size, the number of entries and the path depth. Absolute and
+ * `..` paths, symlinks, hardlinks and device entries are rejected.
+ *
+ * Entries are written to a staging directory next to the target, which only replaces the
+ * target once the whole archive has been extracted, so a rejected archive leaves nothing behind.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+const DEFAULT_LIMITS = {
+  maxBytes: 100 * 1024 * 1024, // Uncompressed archive size
+  maxFiles: 10000, // Entries, including directories
+  maxDepth: 32 // Path segments after stripping
+};
+
+// Type flags from the ustar, GNU and pax formats
+const ENTRY_TYPES = {
+  '0': 'file',
+  '\0': 'file',
+  '7': 'file',
+  '5': 'directory',
+  '1': 'hardlink',
+  '2': 'symlink',
+  '3': 'character-device',
+  '4': 'block-device',
+  '6': 'fifo',
+  'x': 'pax-header',
+  'g': 'pax-global-header',
+  'L': 'gnu-long-name',
+  'K': 'gnu-long-link'
+};
+
+/**
+ * Error raised for unsafe, oversized or malformed archives
+ */
+class TarballExtractionError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'TarballExtractionError';
+    this.code = code;
+    this.details = details;
+    this.isTarballExtractionError = true;
+  }
+}
+
+/**
+ * Read a NUL-terminated string field
+ * @param {Buffer} block - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric field, octal or GNU base-256
+ * @param {Buffer} block - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Field value
+ */
+function readNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    let value = 0;
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = value * 256 + block[i];
+    }
+    return value;
+  }
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parse a tar header block
+ * @param {Buffer} block - 512 byte header
+ * @returns {Object|null} Header { name, mode, size, type, linkname }, or null for an end-of-archive block
+ * @throws {TarballExtractionError} If the header checksum does not match
+ */
+function parseHeader(block) {
+  if (block.every(byte => byte === 0)) {
+    return null;
+  }
+
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += i >= 148 && i < 156 ? 32 : block[i];
+  }
+  if (checksum !== readNumber(block, 148, 8)) {
+    throw new TarballExtractionError('Invalid tar header checksum', 'INVALID_TARBALL');
+  }
+
+  const name = readString(block, 0, 100);
+  const prefix = readString(block, 257, 6).startsWith('ustar') ? readString(block, 345, 155) : '';
+  const flag = String.fromCharCode(block[156]);
+
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    mode: readNumber(block, 100, 8),
+    size: readNumber(block, 124, 12),
+    type: ENTRY_TYPES[flag] || `unknown (${JSON.stringify(flag)})`,
+    linkname: readString(block, 157, 100)
+  };
+}
+
+/**
+ * Parse pax extended header records (`<length> <key>=<value>\n`)
+ * @param {Buffer} data - Header content
+ * @returns {Object} Records by key
+ */
+function parsePaxHeaders(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.subarray(offset, space).toString(), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Check an entry name and resolve it inside the target directory
+ * @param {string} name - Entry name from the archive
+ * @param {number} strip - Leading path segments to remove
+ * @param {number} maxDepth - Maximum path segments after stripping
+ * @returns {string|null} Relative path, or null if nothing is left after stripping
+ * @throws {TarballExtractionError} If the path is absolute, traverses upwards or is too deep
+ */
+function resolveEntryPath(name, strip, maxDepth) {
+  if (name.includes('\0') || path.isAbsolute(name) || /^([a-zA-Z]:|[\\/])/.test(name)) {
+    throw new TarballExtractionError(`Refusing absolute path in archive: ${name}`, 'UNSAFE_PATH', { entry: name });
+  }
+
+  const segments = name.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new TarballExtractionError(`Refusing path traversal in archive: ${name}`, 'UNSAFE_PATH', { entry: name });
+  }
+
+  const kept = segments.slice(strip);
+  if (kept.length > maxDepth) {
+    throw new TarballExtractionError(
+      `Archive entry ${name} is nested deeper than ${maxDepth} directories`,
+      'LIMIT_DEPTH',
+      { entry: name, maxDepth }
+    );
+  }
+  return kept.length > 0 ? kept.join(path.sep) : null;
+}
+
+/**
+ * Writable stream consuming an uncompressed tar stream and writing its entries
+ * @private
+ */
+class TarWriter extends Writable {
+  constructor(targetDir, options) {
+    super();
+    this.targetDir = targetDir;
+    this.options = options;
+    this.buffer = Buffer.alloc(0);
+    this.entry = null; // { header, remaining, padding, file, content }
+    this.overrides = {};
+    this.ended = false;
+    this.bytes = 0;
+    this.entries = 0;
+    this.files = [];
+  }
+
+  _write(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    if (this.bytes > this.options.maxBytes) {
+      callback(new TarballExtractionError(
+        `Archive exceeds the maximum extracted size of ${this.options.maxBytes} bytes`,
+        'LIMIT_BYTES',
+        { maxBytes: this.options.maxBytes }
+      ));
+      return;
+    }
+
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this.consume()
+      .then(() => {
+        this.reportProgress();
+        callback();
+      })
+      .catch(callback);
+  }
+
+  _final(callback) {
+    const finish = this.entry && this.entry.file ? this.closeFile() : Promise.resolve();
+    finish
+      .then(() => {
+        if (this.entry && this.entry.remaining > 0) {
+          throw new TarballExtractionError('Unexpected end of archive', 'INVALID_TARBALL');
+        }
+        callback();
+      })
+      .catch(callback);
+  }
+
+  _destroy(error, callback) {
+    if (this.entry && this.entry.file) {
+      this.entry.file.destroy();
+    }
+    callback(error);
+  }
+
+  reportProgress() {
+    if (this.options.onProgress) {
+      this.options.onProgress({ bytes: this.bytes, files: this.files.length });
+    }
+  }
+
+  async consume() {
+    while (!this.ended) {
+      if (this.entry) {
+        if (!await this.consumeEntryData()) {
+          return;
+        }
+      } else {
+        if (this.buffer.length < BLOCK_SIZE) {
+          return;
+        }
+        const block = this.buffer.subarray(0, BLOCK_SIZE);
+        this.buffer = this.buffer.subarray(BLOCK_SIZE);
+
+        const header = parseHeader(block);
+        if (!header) {
+          // Trailing padding after the end-of-archive marker is ignored
+          this.ended = true;
+          return;
+        }
+        await this.startEntry(header);
+      }
+    }
+  }
+
+  async startEntry(block) {
+    const isMetadata = ['pax-header', 'pax-global-header', 'gnu-long-name', 'gnu-long-link'].includes(block.type);
+    const header = isMetadata ? block : { ...block, ...this.overrides };
+    const entry = {
+      header,
+      remaining: header.size,
+      padding: (BLOCK_SIZE - (header.size % BLOCK_SIZE)) % BLOCK_SIZE,
+      file: null,
+      content: null
+    };
+    this.entry = entry;
+
+    // Metadata entries describe the entry that follows them
+    if (isMetadata) {
+      entry.content = [];
+      return;
+    }
+    this.overrides = {};
+
+    this.entries++;
+    if (this.entries > this.options.maxFiles) {
+      throw new TarballExtractionError(
+        `Archive contains more than ${this.options.maxFiles} entries`,
+        'LIMIT_FILES',
+        { maxFiles: this.options.maxFiles }
+      );
+    }
+
+    const { name, type, size, mode, linkname } = entry.header;
+    if (type === 'symlink' || type === 'hardlink') {
+      throw new TarballExtractionError(
+        `Refusing ${type} in archive: ${name} -> ${linkname}`,
+        'LINK_ENTRY',
+        { entry: name, linkname }
+      );
+    }
+    if (type !== 'file' && type !== 'directory') {
+      throw new TarballExtractionError(`Refusing ${type} entry in archive: ${name}`, 'UNSUPPORTED_ENTRY', { entry: name });
+    }
+    if (size > this.options.maxBytes) {
+      throw new TarballExtractionError(
+        `Archive entry ${name} exceeds the maximum extracted size of ${this.options.maxBytes} bytes`,
+        'LIMIT_BYTES',
+        { entry: name, maxBytes: this.options.maxBytes }
+      );
+    }
+
+    const relativePath = resolveEntryPath(name, this.options.strip, this.options.maxDepth);
+    if (!relativePath) {
+      return;
+    }
+    const destination = path.join(this.targetDir, relativePath);
+
+    if (type === 'directory') {
+      await fs.ensureDir(destination);
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(destination));
+    entry.file = fs.createWriteStream(destination, { mode: mode & 0o111 ? 0o755 : 0o644 });
+    this.files.push(relativePath.split(path.sep).join('/'));
+  }
+
+  async consumeEntryData() {
+    const entry = this.entry;
+
+    if (entry.remaining > 0) {
+      if (this.buffer.length === 0) {
+        return false;
+      }
+      const data = this.buffer.subarray(0, Math.min(entry.remaining, this.buffer.length));
+      this.buffer = this.buffer.subarray(data.length);
+      entry.remaining -= data.length;
+
+      if (entry.content) {
+        entry.content.push(data);
+      } else if (entry.file && !entry.file.write(data)) {
+        await new Promise((resolve, reject) => {
+          entry.file.once('drain', resolve);
+          entry.file.once('error', reject);
+        });
+      }
+      if (entry.remaining > 0) {
+        return false;
+      }
+    }
+
+    if (this.buffer.length < entry.padding) {
+      return false;
+    }
+    this.buffer = this.buffer.subarray(entry.padding);
+
+    if (entry.content) {
+      this.applyMetadata(entry.header.type, Buffer.concat(entry.content));
+    }
+    if (entry.file) {
+      await this.closeFile();
+    }
+    this.entry = null;
+    return true;
+  }
+
+  applyMetadata(type, content) {
+    if (type === 'pax-header') {
+      const records = parsePaxHeaders(content);
+      if (records.path) {
+        this.overrides.name = records.path;
+      }
+      if (records.linkpath) {
+        this.overrides.linkname = records.linkpath;
+      }
+      if (records.size) {
+        this.overrides.size = parseInt(records.size, 10);
+      }
+    } else if (type === 'gnu-long-name') {
+      this.overrides.name = content.toString('utf8').replace(/\0+$/, '');
+    } else if (type === 'gnu-long-link') {
+      this.overrides.linkname = content.toString('utf8').replace(/\0+$/, '');
+    }
+  }
+
+  closeFile() {
+    const { file } = this.entry;
+    this.entry.file = null;
+    return new Promise((resolve, reject) => {
+      file.once('error', reject);
+      file.end(resolve);
+    });
+  }
+}
+
+/**
+ * Extract a gzipped tarball into a directory
+ * @param {string|stream.Readable} source - Tarball path, or a stream of the gzipped tarball
+ * @param {string} targetDir - Directory to extract into; replaced once extraction succeeds
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxBytes - Maximum uncompressed archive size
+ * @param {number} options.maxFiles - Maximum number of entries
+ * @param {number} options.maxDepth - Maximum path depth after stripping
+ * @param {number} options.strip - Leading path segments to remove (1 for npm's `package/`)
+ * @param {Function} options.onProgress - Called with { bytes, files } as the archive is extracted
+ * @returns {Promise<Object>} { targetDir, files, bytes }
+ * @throws {TarballExtractionError} If the archive is unsafe, exceeds a limit or is malformed
+ */
+async function extractTarball(source, targetDir, options = {}) {
+  const settings = {
+    maxBytes: options.maxBytes || DEFAULT_LIMITS.maxBytes,
+    maxFiles: options.maxFiles || DEFAULT_LIMITS.maxFiles,
+    maxDepth: options.maxDepth || DEFAULT_LIMITS.maxDepth,
+    strip: options.strip || 0,
+    onProgress: options.onProgress || null
+  };
+  const stagingDir = path.join(
+    path.dirname(path.resolve(targetDir)),
+    `.${path.basename(targetDir)}.extract-${crypto.randomBytes(4).toString('hex')}`
+  );
+  const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+  const writer = new TarWriter(stagingDir, settings);
+
+  try {
+    await fs.ensureDir(stagingDir);
+    await pipeline(input, zlib.createGunzip(), writer);
+
+    await fs.remove(targetDir);
+    await fs.move(stagingDir, targetDir);
+  } catch (error) {
+    await fs.remove(stagingDir);
+    if (error.isTarballExtractionError) {
+      throw error;
+    }
+    throw new TarballExtractionError(`Failed to extract tarball: ${error.message}`, 'INVALID_TARBALL');
+  }
+
+  return { targetDir, files: writer.files, bytes: writer.bytes };
+}
+
+module.exports = {
+  extractTarball,
+  TarballExtractionError,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,1091 @@
+/**
+ * TemplateEngine
+ * Renders template files using a small mustache-style language:
+ *
+ *   {{ name }}                      variable output
+ *   {{ name | kebab }}              output with filters (chainable, `filter: arg` for arguments)
+ *   {{#if expr}} ... {{else if expr}} ... {{else}} ... {{/if}}
+ *   {{#each list as item}} ... {{else}} ... {{/each}}
+ *   {{> partialName}}               partial inclusion
+ *   {{! comment }}                  comment, produces no output
+ *   \{{ literal }}                  escaped braces, emitted as `{{ literal }}`
+ *
+ * The legacy `<%= name %>` form is accepted as an alias for `{{ name }}`.
+ * Output tags that are not valid expressions (JSX `style={{ color: 'red' }}`, Vue
+ * `{{ count + 1 }}`), that use variables which are not defined (GitHub Actions
+ * `${{ github.ref == 'main' }}`) or that are never closed (`const open = "{{";`) are left
+ * untouched unless `strict` is enabled, so files that legitimately contain mustache syntax
+ * (Vue, Angular, Handlebars samples) survive rendering.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Error raised for template syntax or rendering problems
+ */
+class TemplateEngineError extends Error {
+  constructor(message, filename = null, line = null) {
+    const location = filename ? `${filename}${line ? `:${line}` : ''}` : (line ? `line ${line}` : null);
+    super(location ? `${message} (${location})` : message);
+    this.name = 'TemplateEngineError';
+    this.reason = message;
+    this.filename = filename;
+    this.line = line;
+    this.isTemplateEngineError = true;
+  }
+}
+
+/**
+ * Built-in filters available to every engine instance
+ */
+const DEFAULT_FILTERS = {
+  camelCase: value => String(value)
+    .replace(/[-_\s]+(.)?/g, (_, c) => c ? c.toUpperCase() : '')
+    .replace(/^[A-Z]/, c => c.toLowerCase()),
+  pascalCase: value => {
+    const camel = DEFAULT_FILTERS.camelCase(value);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+  },
+  kebab: value => String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[\s_]+/g, '-')
+    .toLowerCase(),
+  snakeCase: value => String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  capitalize: value => {
+    const str = String(value);
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  },
+  trim: value => String(value).trim(),
+  json: (value, indent = 0) => JSON.stringify(value, null, indent),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : String(value)),
+  default: (value, fallback = '') => (value === null || typeof value === 'undefined' || value === '' ? fallback : value)
+};
+DEFAULT_FILTERS.kebabCase = DEFAULT_FILTERS.kebab;
+DEFAULT_FILTERS.upperCase = DEFAULT_FILTERS.upper;
+DEFAULT_FILTERS.lowerCase = DEFAULT_FILTERS.lower;
+
+/**
+ * Tokenize an expression used in `{{#if}}`, `{{#each}}` and output tags
+ * @private
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const operator = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||']
+      .find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    if ('!()<>,'.includes(char)) {
+      tokens.push({ type: char === ',' ? 'comma' : 'op', value: char });
+      i++;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new Error(`Unterminated string in expression "${source}"`);
+      }
+      tokens.push({ type: 'literal', value });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[@A-Za-z_$][\w$-]*(\.[A-Za-z_$][\w$-]*|\.\d+)*/.exec(source.slice(i));
+    if (word) {
+      const value = word[0];
+      if (value === 'true' || value === 'false') {
+        tokens.push({ type: 'literal', value: value === 'true' });
+      } else if (value === 'null') {
+        tokens.push({ type: 'literal', value: null });
+      } else if (value === 'contains' || value === 'in' || value === 'and' || value === 'or' || value === 'not') {
+        tokens.push({ type: 'op', value: { and: '&&', or: '||', not: '!' }[value] || value });
+      } else {
+        tokens.push({ type: 'path', value });
+      }
+      i += value.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" in expression "${source}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST.
+ *
+ * Grammar (lowest to highest precedence):
+ *   or      := and ('||' and)*
+ *   and     := unary ('&&' unary)*
+ *   unary   := '!' unary | compare
+ *   compare := primary (('===' | '!==' | '==' | '!=' | '>' | '<' | '>=' | '<=' | 'contains' | 'in') primary)?
+ *   primary := literal | path | '(' or ')'
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} Expression AST
+ */
+function parseExpression(source) {
+  const tokens = tokenizeExpression(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error(`Unexpected end of expression "${source}"`);
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'path') {
+      return { type: 'path', value: token.value };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr();
+      if (!isOp(')')) {
+        throw new Error(`Missing closing parenthesis in expression "${source}"`);
+      }
+      position++;
+      return inner;
+    }
+    throw new Error(`Unexpected token "${token.value}" in expression "${source}"`);
+  };
+
+  const parseCompare = () => {
+    const left = parsePrimary();
+    const token = peek();
+    const comparators = ['===', '!==', '==', '!=', '>', '<', '>=', '<=', 'contains', 'in'];
+    if (token && token.type === 'op' && comparators.includes(token.value)) {
+      position++;
+      return { type: 'binary', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('!')) {
+      position++;
+      return { type: 'not', argument: parseUnary() };
+    }
+    return parseCompare();
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (isOp('&&')) {
+      position++;
+      node = { type: 'binary', operator: '&&', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp('||')) {
+      position++;
+      node = { type: 'binary', operator: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Empty expression');
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${tokens[position].value}" in expression "${source}"`);
+  }
+  return ast;
+}
+
+/**
+ * Resolve a dotted path against a scope chain
+ * @private
+ * @param {string} pathExpr - Path such as `user.name`, `this` or `@index`
+ * @param {Array<Object>} scopes - Scope chain, innermost last
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function resolvePath(pathExpr, scopes) {
+  const [head, ...rest] = pathExpr.split('.');
+  let found = false;
+  let value;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+      found = true;
+      value = scope[head];
+      break;
+    }
+  }
+
+  for (const segment of rest) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return { found: false, value: null };
+    }
+    value = value[segment];
+  }
+
+  return { found, value };
+}
+
+/**
+ * List the variable paths an expression reads
+ * @private
+ * @param {Object} node - Expression AST
+ * @returns {Array<string>} Paths
+ */
+function collectPaths(node) {
+  switch (node.type) {
+  case 'path':
+    return [node.value];
+  case 'not':
+    return collectPaths(node.argument);
+  case 'binary':
+    return [...collectPaths(node.left), ...collectPaths(node.right)];
+  default:
+    return [];
+  }
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} node - Expression AST
+ * @param {Object|Array<Object>} scopes - Data object or scope chain
+ * @returns {*} Expression value
+ */
+function evaluateExpression(node, scopes) {
+  const chain = Array.isArray(scopes) ? scopes : [scopes];
+
+  switch (node.type) {
+  case 'literal':
+    return node.value;
+  case 'path':
+    return resolvePath(node.value, chain).value;
+  case 'not':
+    return !evaluateExpression(node.argument, chain);
+  case 'binary': {
+    if (node.operator === '&&') {
+      return evaluateExpression(node.left, chain) && evaluateExpression(node.right, chain);
+    }
+    if (node.operator === '||') {
+      return evaluateExpression(node.left, chain) || evaluateExpression(node.right, chain);
+    }
+
+    const left = evaluateExpression(node.left, chain);
+    const right = evaluateExpression(node.right, chain);
+
+    switch (node.operator) {
+    case '===':
+    case '==':
+      return left === right;
+    case '!==':
+    case '!=':
+      return left !== right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    case 'contains':
+      return (Array.isArray(left) || typeof left === 'string') ? left.includes(right) : false;
+    case 'in':
+      return (Array.isArray(right) || typeof right === 'string') ? right.includes(left) : false;
+    default:
+      throw new Error(`Unknown operator "${node.operator}"`);
+    }
+  }
+  default:
+    throw new Error(`Unknown expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Template engine with conditionals, loops, filters and partials
+ */
+class TemplateEngine {
+  /**
+   * Create a new template engine
+   * @param {Object} options - Engine options
+   * @param {Object} options.partials - Partial sources keyed by name
+   * @param {Object} options.filters - Additional filters keyed by name
+   * @param {boolean} options.strict - Throw on undefined variables instead of leaving them untouched
+   */
+  constructor(options = {}) {
+    this.partials = new Map(Object.entries(options.partials || {}));
+    this.filters = { ...DEFAULT_FILTERS, ...(options.filters || {}) };
+    this.strict = options.strict || false;
+    this.compiledCache = new Map();
+  }
+
+  /**
+   * Register a partial template
+   * @param {string} name - Partial name used in `{{> name}}`
+   * @param {string} source - Partial source
+   * @returns {TemplateEngine} This engine
+   */
+  registerPartial(name, source) {
+    if (!name || typeof name !== 'string') {
+      throw new TemplateEngineError('Partial name is required and must be a string');
+    }
+    this.partials.set(name, String(source));
+    return this;
+  }
+
+  /**
+   * Create an engine with this engine's partials, filters and options. What is registered on
+   * the copy stays there, so one template's partials do not leak into the next render.
+   * @returns {TemplateEngine} New engine
+   */
+  fork() {
+    const engine = new TemplateEngine({ filters: this.filters, strict: this.strict });
+    engine.partials = new Map(this.partials);
+    return engine;
+  }
+
+  /**
+   * Register every file in a directory as a partial, named after the file without its extension
+   * (`_partials/license-header.md` becomes `{{> license-header}}`)
+   * @param {string} dirPath - Partials directory
+   * @returns {Promise<Array<string>>} Registered partial names
+   */
+  async registerPartialsFromDirectory(dirPath) {
+    const names = [];
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (!entry.isFile()) {
+        continue;
+      }
+      const name = path.basename(entry.name, path.extname(entry.name));
+      this.registerPartial(name, await fs.readFile(path.join(dirPath, entry.name), 'utf8'));
+      names.push(name);
+    }
+
+    return names;
+  }
+
+  /**
+   * Register a filter
+   * @param {string} name - Filter name used in `{{ value | name }}`
+   * @param {Function} fn - Filter function `(value, ...args) => result`
+   * @returns {TemplateEngine} This engine
+   */
+  registerFilter(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new TemplateEngineError(`Filter "${name}" must be a function`);
+    }
+    this.filters[name] = fn;
+    return this;
+  }
+
+  /**
+   * Render a template source
+   * @param {string} source - Template source
+   * @param {Object} data - Template variables
+   * @param {Object} options - Render options
+   * @param {string} options.filename - File name used in error messages
+   * @returns {string} Rendered output
+   * @throws {TemplateEngineError} On syntax or rendering errors
+   */
+  render(source, data = {}, options = {}) {
+    const filename = options.filename || null;
+    const ast = this.compile(source, { filename });
+    return this.renderNodes(ast, [data], { filename, depth: 0 });
+  }
+
+  /**
+   * Check whether a source contains any template syntax
+   * @param {string} source - Template source
+   * @returns {boolean} True if the source needs rendering
+   */
+  hasTemplateSyntax(source) {
+    return source.includes('{{') || source.includes('<%=');
+  }
+
+  /**
+   * Compile a template source into an AST (cached by source)
+   * @param {string} source - Template source
+   * @param {Object} options - Compile options
+   * @param {string} options.filename - File name used in error messages
+   * @returns {Array<Object>} Template AST
+   * @throws {TemplateEngineError} On syntax errors
+   */
+  compile(source, options = {}) {
+    const cacheKey = `${options.filename || ''}\u0000${source}`;
+    if (this.compiledCache.has(cacheKey)) {
+      return this.compiledCache.get(cacheKey);
+    }
+
+    const tokens = this.tokenize(String(source), options.filename || null);
+    const ast = this.parse(tokens, options.filename || null);
+
+    if (this.compiledCache.size > 500) {
+      this.compiledCache.clear();
+    }
+    this.compiledCache.set(cacheKey, ast);
+    return ast;
+  }
+
+  /**
+   * Split source into text and tag tokens
+   * @private
+   * @param {string} source - Template source
+   * @param {string|null} filename - File name for errors
+   * @returns {Array<Object>} Tokens
+   */
+  tokenize(source, filename) {
+    const tokens = [];
+    let text = '';
+    let line = 1;
+    let i = 0;
+
+    const pushText = () => {
+      if (text) {
+        tokens.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (i < source.length) {
+      if (source.startsWith('\\{{', i)) {
+        text += '{{';
+        i += 3;
+        continue;
+      }
+
+      const isMustache = source.startsWith('{{', i);
+      const isLegacy = !isMustache && source.startsWith('<%=', i);
+
+      if (!isMustache && !isLegacy) {
+        if (source[i] === '\n') {
+          line++;
+        }
+        text += source[i];
+        i++;
+        continue;
+      }
+
+      const close = isMustache ? '}}' : '%>';
+      const start = i;
+      const end = source.indexOf(close, i + (isMustache ? 2 : 3));
+      // An opener whose closing braces belong to a later tag was never closed itself
+      const next = isMustache ? source.indexOf('{{', i + 2) : -1;
+      if (end === -1 || (next !== -1 && next < end)) {
+        if (this.strict) {
+          throw new TemplateEngineError(`Unclosed tag "${source.slice(i, i + 20)}"`, filename, line);
+        }
+        const open = isMustache ? '{{' : '<%=';
+        text += open;
+        i += open.length;
+        continue;
+      }
+
+      const raw = source.slice(start, end + close.length);
+      const content = source.slice(i + (isMustache ? 2 : 3), end);
+
+      pushText();
+      tokens.push({ ...this.classifyTag(content, isLegacy, filename, line), raw, line });
+
+      line += (raw.match(/\n/g) || []).length;
+      i = end + close.length;
+    }
+
+    pushText();
+    this.stripStandaloneLines(tokens);
+    return tokens;
+  }
+
+  /**
+   * Classify the content of a tag
+   * @private
+   * @param {string} content - Tag content without delimiters
+   * @param {boolean} isLegacy - Whether the tag used `<%= %>` delimiters
+   * @param {string|null} filename - File name for errors
+   * @param {number} line - Line number
+   * @returns {Object} Tag token
+   */
+  classifyTag(content, isLegacy, filename, line) {
+    const inner = content.trim();
+    if (isLegacy) {
+      return { type: 'output', content: inner };
+    }
+
+    // `{{! note }}` is a comment, `{{ !loading }}` a (Vue) expression
+    if (content.startsWith('!')) {
+      return { type: 'comment' };
+    }
+
+    if (inner.startsWith('#')) {
+      const match = /^#(\w+)\s*([\s\S]*)$/.exec(inner);
+      if (!match || !['if', 'each', 'unless'].includes(match[1])) {
+        throw new TemplateEngineError(`Unknown block "{{${inner}}}"`, filename, line);
+      }
+      return { type: 'open', name: match[1], content: match[2].trim() };
+    }
+
+    if (inner.startsWith('/')) {
+      return { type: 'close', name: inner.slice(1).trim() };
+    }
+
+    if (inner === 'else' || inner.startsWith('else ')) {
+      const rest = inner.slice(4).trim();
+      if (rest && !rest.startsWith('if ')) {
+        throw new TemplateEngineError(`Invalid else tag "{{${inner}}}"`, filename, line);
+      }
+      return { type: 'else', content: rest ? rest.slice(3).trim() : null };
+    }
+
+    if (inner.startsWith('>')) {
+      const name = inner.slice(1).trim();
+      if (!name) {
+        throw new TemplateEngineError('Partial tag is missing a name', filename, line);
+      }
+      return { type: 'partial', name };
+    }
+
+    return { type: 'output', content: inner };
+  }
+
+  /**
+   * Remove the surrounding whitespace and newline of block tags that sit alone on a line,
+   * so that `{{#if}}` lines do not leave blank lines in the output
+   * @private
+   * @param {Array<Object>} tokens - Tokens to adjust in place
+   */
+  stripStandaloneLines(tokens) {
+    const blockTypes = ['open', 'close', 'else', 'comment', 'partial'];
+    const cuts = tokens.map(token => (token.type === 'text' ? { start: 0, end: token.value.length } : null));
+
+    tokens.forEach((token, index) => {
+      if (!blockTypes.includes(token.type)) {
+        return;
+      }
+
+      const prev = tokens[index - 1];
+      const next = tokens[index + 1];
+
+      let prevCut = null;
+      if (!prev) {
+        prevCut = -1;
+      } else if (prev.type === 'text') {
+        const lastNewline = prev.value.lastIndexOf('\n');
+        const tail = prev.value.slice(lastNewline + 1);
+        if (/^[ \t]*$/.test(tail) && (lastNewline !== -1 || index === 1)) {
+          prevCut = lastNewline + 1;
+        }
+      }
+
+      let nextCut = null;
+      if (!next) {
+        nextCut = -1;
+      } else if (next.type === 'text') {
+        const match = /^[ \t]*(\r?\n|$)/.exec(next.value);
+        if (match) {
+          nextCut = match[0].length;
+        }
+      }
+
+      if (prevCut === null || nextCut === null) {
+        return;
+      }
+
+      if (prev) {
+        cuts[index - 1].end = Math.min(cuts[index - 1].end, prevCut);
+      }
+      if (next) {
+        cuts[index + 1].start = Math.max(cuts[index + 1].start, nextCut);
+      }
+    });
+
+    tokens.forEach((token, index) => {
+      if (token.type === 'text') {
+        const { start, end } = cuts[index];
+        token.value = start >= end ? '' : token.value.slice(start, end);
+      }
+    });
+  }
+
+  /**
+   * Build an AST from tokens
+   * @private
+   * @param {Array<Object>} tokens - Tokens
+   * @param {string|null} filename - File name for errors
+   * @returns {Array<Object>} AST nodes
+   */
+  parse(tokens, filename) {
+    const root = { children: [] };
+    const stack = [];
+    let current = root.children;
+
+    const wrap = (fn, line) => {
+      try {
+        return fn();
+      } catch (error) {
+        throw new TemplateEngineError(error.message, filename, line);
+      }
+    };
+
+    for (const token of tokens) {
+      switch (token.type) {
+      case 'text':
+        if (token.value) {
+          current.push({ type: 'text', value: token.value });
+        }
+        break;
+      case 'comment':
+        break;
+      case 'output': {
+        // Tags that are not engine expressions belong to the file's own syntax (JSX, Vue)
+        let output = null;
+        try {
+          output = this.parseOutput(token.content);
+        } catch (error) {
+          if (this.strict) {
+            throw new TemplateEngineError(error.message, filename, token.line);
+          }
+        }
+        current.push(output
+          ? { type: 'output', raw: token.raw, line: token.line, ...output }
+          : { type: 'text', value: token.raw });
+        break;
+      }
+      case 'partial':
+        current.push({ type: 'partial', name: token.name, line: token.line });
+        break;
+      case 'open': {
+        let node;
+        if (token.name === 'each') {
+          const match = /^([\s\S]+?)(?:\s+as\s+([A-Za-z_$][\w$]*))?$/.exec(token.content);
+          if (!token.content || !match) {
+            throw new TemplateEngineError('{{#each}} requires a list expression', filename, token.line);
+          }
+          node = {
+            type: 'each',
+            expression: wrap(() => parseExpression(match[1]), token.line),
+            alias: match[2] || null,
+            body: [],
+            elseBody: null,
+            line: token.line
+          };
+          stack.push({ node, target: 'body' });
+          current = node.body;
+        } else {
+          if (!token.content) {
+            throw new TemplateEngineError(`{{#${token.name}}} requires a condition`, filename, token.line);
+          }
+          let condition = wrap(() => parseExpression(token.content), token.line);
+          if (token.name === 'unless') {
+            condition = { type: 'not', argument: condition };
+          }
+          node = {
+            type: 'if',
+            name: token.name,
+            branches: [{ condition, body: [] }],
+            elseBody: null,
+            line: token.line
+          };
+          stack.push({ node });
+          current = node.branches[0].body;
+        }
+        break;
+      }
+      case 'else': {
+        const frame = stack[stack.length - 1];
+        if (!frame) {
+          throw new TemplateEngineError('{{else}} without an open block', filename, token.line);
+        }
+        const { node } = frame;
+        if (node.elseBody) {
+          throw new TemplateEngineError(`Duplicate {{else}} in block opened at line ${node.line}`, filename, token.line);
+        }
+        if (token.content) {
+          if (node.type !== 'if') {
+            throw new TemplateEngineError('{{else if}} is only allowed inside {{#if}}', filename, token.line);
+          }
+          const branch = { condition: wrap(() => parseExpression(token.content), token.line), body: [] };
+          node.branches.push(branch);
+          current = branch.body;
+        } else {
+          node.elseBody = [];
+          current = node.elseBody;
+        }
+        break;
+      }
+      case 'close': {
+        const frame = stack.pop();
+        if (!frame) {
+          throw new TemplateEngineError(`Unexpected {{/${token.name}}}`, filename, token.line);
+        }
+        const expected = frame.node.type === 'each' ? 'each' : frame.node.name;
+        if (token.name !== expected) {
+          throw new TemplateEngineError(
+            `Expected {{/${expected}}} to close block opened at line ${frame.node.line} but found {{/${token.name}}}`,
+            filename,
+            token.line
+          );
+        }
+        const parent = stack[stack.length - 1];
+        current = parent ? this.currentBody(parent.node) : root.children;
+        current.push(frame.node);
+        break;
+      }
+      default:
+        throw new TemplateEngineError(`Unknown token type "${token.type}"`, filename, token.line);
+      }
+    }
+
+    if (stack.length > 0) {
+      const { node } = stack[stack.length - 1];
+      const name = node.type === 'each' ? 'each' : node.name;
+      throw new TemplateEngineError(`Unclosed {{#${name}}} block`, filename, node.line);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Get the body that currently receives children of an open block
+   * @private
+   * @param {Object} node - Block node
+   * @returns {Array<Object>} Active body
+   */
+  currentBody(node) {
+    if (node.elseBody) {
+      return node.elseBody;
+    }
+    if (node.type === 'each') {
+      return node.body;
+    }
+    return node.branches[node.branches.length - 1].body;
+  }
+
+  /**
+   * Parse an output tag: `expression | filter | filter: arg1, arg2`
+   * @private
+   * @param {string} content - Tag content
+   * @returns {Object} Expression and filters
+   */
+  parseOutput(content) {
+    const segments = [];
+    let segment = '';
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === quote && content[i - 1] !== '\\') {
+          quote = null;
+        }
+        segment += char;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+        segment += char;
+      } else if (char === '|' && content[i + 1] !== '|' && content[i - 1] !== '|') {
+        segments.push(segment);
+        segment = '';
+      } else {
+        segment += char;
+      }
+    }
+    segments.push(segment);
+
+    const [expressionSource, ...filterSources] = segments.map(part => part.trim());
+    const filters = filterSources.map(source => {
+      const match = /^([A-Za-z_$][\w$]*)\s*(?::\s*([\s\S]*))?$/.exec(source);
+      if (!match) {
+        throw new Error(`Invalid filter "${source}"`);
+      }
+      const args = match[2]
+        ? this.splitArguments(match[2]).map(arg => parseExpression(arg))
+        : [];
+      return { name: match[1], args };
+    });
+
+    return { expression: parseExpression(expressionSource), filters };
+  }
+
+  /**
+   * Split comma separated filter arguments, respecting quotes
+   * @private
+   * @param {string} source - Argument source
+   * @returns {Array<string>} Argument sources
+   */
+  splitArguments(source) {
+    const args = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of source) {
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+        current += char;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+        current += char;
+      } else if (char === ',') {
+        args.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    args.push(current.trim());
+    return args.filter(Boolean);
+  }
+
+  /**
+   * Render AST nodes
+   * @private
+   * @param {Array<Object>} nodes - AST nodes
+   * @param {Array<Object>} scopes - Scope chain
+   * @param {Object} context - Render context ({ filename, depth })
+   * @returns {string} Output
+   */
+  renderNodes(nodes, scopes, context) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'output':
+        output += this.renderOutput(node, scopes, context);
+        break;
+      case 'if': {
+        const branch = node.branches.find(candidate =>
+          this.isTruthy(this.evaluate(candidate.condition, scopes, context, node.line))
+        );
+        if (branch) {
+          output += this.renderNodes(branch.body, scopes, context);
+        } else if (node.elseBody) {
+          output += this.renderNodes(node.elseBody, scopes, context);
+        }
+        break;
+      }
+      case 'each':
+        output += this.renderEach(node, scopes, context);
+        break;
+      case 'partial':
+        output += this.renderPartial(node, scopes, context);
+        break;
+      default:
+        throw new TemplateEngineError(`Unknown node type "${node.type}"`, context.filename, node.line);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Render an output node
+   * @private
+   * @param {Object} node - Output node
+   * @param {Array<Object>} scopes - Scope chain
+   * @param {Object} context - Render context
+   * @returns {string} Output
+   */
+  renderOutput(node, scopes, context) {
+    const hasDefault = node.filters.some(filter => filter.name === 'default');
+    const missing = collectPaths(node.expression).find(pathExpr => !resolvePath(pathExpr, scopes).found);
+
+    if (missing && !hasDefault) {
+      if (this.strict) {
+        throw new TemplateEngineError(`Undefined variable "${missing}"`, context.filename, node.line);
+      }
+      return node.raw;
+    }
+
+    let value = this.evaluate(node.expression, scopes, context, node.line);
+
+    for (const filter of node.filters) {
+      const fn = this.filters[filter.name];
+      if (!fn) {
+        throw new TemplateEngineError(`Unknown filter "${filter.name}"`, context.filename, node.line);
+      }
+      const args = filter.args.map(arg => this.evaluate(arg, scopes, context, node.line));
+      try {
+        value = fn(value, ...args);
+      } catch (error) {
+        throw new TemplateEngineError(`Filter "${filter.name}" failed: ${error.message}`, context.filename, node.line);
+      }
+    }
+
+    return this.stringify(value);
+  }
+
+  /**
+   * Render an each block
+   * @private
+   * @param {Object} node - Each node
+   * @param {Array<Object>} scopes - Scope chain
+   * @param {Object} context - Render context
+   * @returns {string} Output
+   */
+  renderEach(node, scopes, context) {
+    const collection = this.evaluate(node.expression, scopes, context, node.line);
+    let entries = [];
+
+    if (Array.isArray(collection)) {
+      entries = collection.map((item, index) => [index, item]);
+    } else if (collection !== null && typeof collection === 'object') {
+      entries = Object.entries(collection);
+    } else if (collection !== null && typeof collection !== 'undefined' && collection !== false) {
+      throw new TemplateEngineError('{{#each}} expects an array or object', context.filename, node.line);
+    }
+
+    if (entries.length === 0) {
+      return node.elseBody ? this.renderNodes(node.elseBody, scopes, context) : '';
+    }
+
+    return entries.map(([key, item], index) => {
+      const frame = {
+        this: item,
+        '@index': index,
+        '@key': key,
+        '@first': index === 0,
+        '@last': index === entries.length - 1
+      };
+      if (node.alias) {
+        frame[node.alias] = item;
+      }
+      const itemScope = item !== null && typeof item === 'object' && !Array.isArray(item) ? [item, frame] : [frame];
+      return this.renderNodes(node.body, [...scopes, ...itemScope], context);
+    }).join('');
+  }
+
+  /**
+   * Render a partial
+   * @private
+   * @param {Object} node - Partial node
+   * @param {Array<Object>} scopes - Scope chain
+   * @param {Object} context - Render context
+   * @returns {string} Output
+   */
+  renderPartial(node, scopes, context) {
+    if (!this.partials.has(node.name)) {
+      throw new TemplateEngineError(`Unknown partial "${node.name}"`, context.filename, node.line);
+    }
+    if (context.depth >= MAX_PARTIAL_DEPTH) {
+      throw new TemplateEngineError(`Partial "${node.name}" exceeds maximum nesting depth`, context.filename, node.line);
+    }
+
+    const partialName = `partial:${node.name}`;
+    const ast = this.compile(this.partials.get(node.name), { filename: partialName });
+    return this.renderNodes(ast, scopes, { filename: partialName, depth: context.depth + 1 });
+  }
+
+  /**
+   * Evaluate an expression, attaching location information to errors
+   * @private
+   * @param {Object} expression - Expression AST
+   * @param {Array<Object>} scopes - Scope chain
+   * @param {Object} context - Render context
+   * @param {number} line - Line number for errors
+   * @returns {*} Value
+   */
+  evaluate(expression, scopes, context, line) {
+    try {
+      return evaluateExpression(expression, scopes);
+    } catch (error) {
+      throw new TemplateEngineError(error.message, context.filename, line);
+    }
+  }
+
+  /**
+   * Determine truthiness; empty arrays and objects are falsy
+   * @private
+   * @param {*} value - Value
+   * @returns {boolean} Truthiness
+   */
+  isTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return Boolean(value);
+  }
+
+  /**
+   * Convert a value to output text
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Text
+   */
+  stringify(value) {
+    if (value === null || typeof value === 'undefined') {
+      return '';
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+}
+
+/**
+ * Evaluate an expression source string against data
+ * @param {string} source - Expression source, e.g. `features contains 'auth'`
+ * @param {Object} data - Variables
+ * @returns {*} Expression value
+ */
+function evaluate(source, data = {}) {
+  return evaluateExpression(parseExpression(source), [data]);
+}
+
+module.exports = {
+  TemplateEngine,
+  TemplateEngineError,
+  parseExpression,
+  evaluateExpression,
+  evaluate,
+  DEFAULT_FILTERS
+};
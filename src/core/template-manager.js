@@ -13,16 +13,33 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const simpleGit = require('simple-git');
 const axios = require('axios');
-const glob = require('glob');
 const tempy = require('tempy');
 
 const TemplatePackage = require('../models/template');
 const TemplateRegistry = require('../models/registry');
 const CacheStore = require('../models/cache');
+const { TemplateEngine } = require('./template-engine');
+const { TemplateManifest } = require('./template-manifest');
+const { writeProjectMetadata } = require('./project-metadata');
+const { createLock, writeLockfile, hashProjectFiles, hashDirectory } = require('./project-lock');
+const { AdvisoryDatabase } = require('./advisory-database');
+const { TrustStore, TrustError, SIGNATURE_EXTENSION } = require('./trust-store');
+const { OrgPolicy } = require('./org-policy');
+const { extractTarball, DEFAULT_LIMITS } = require('./tarball-extractor');
+const { LocalRegistry, createRegistry, getConfiguredRegistries } = require('./local-registry');
+const { RegistryResolver, getScope } = require('./registry-resolver');
+const { redactSecrets } = require('../utils/redaction');
+const { computeIntegrity } = require('../utils/integrityVerifier');
+const { scanTemplate, isAtLeast, formatFinding } = require('../utils/securityScanner');
+const { checkGeneratedSecrets } = require('../utils/secretScanner');
+const cliPackage = require('../../package.json');
 const { validateFilePath, validateGitUrl } = require('../utils/validation');
 
 const execAsync = promisify(exec);
 
+// Written next to downloaded templates: exact version, integrity / commit of the download
+const RESOLVED_FILE = '.xagi-resolved.json';
+
 /**
  * TemplateManager Service Class
  *
@@ -38,6 +55,14 @@ class TemplateManager {
    * @param {number} options.cacheTTL - Cache time-to-live in milliseconds
    * @param {Object} options.logger - Logger instance
    * @param {boolean} options.enableCache - Whether to enable caching
+   * @param {TemplateEngine} options.templateEngine - Template engine used to render files
+   * @param {AdvisoryDatabase} options.advisoryDatabase - Advisory database used to audit dependencies
+   * @param {OrgPolicy} options.policy - Organization policy (defaults to the file at options.policyPath)
+   * @param {string} options.policyPath - Organization policy file (defaults to the global policy.json)
+   * @param {Object} options.extractLimits - Caps for tarball extraction { maxBytes, maxFiles, maxDepth }
+   * @param {RegistryResolver} options.registryResolver - Scope to registry routing from .npmrc and the CLI configuration
+   * @param {boolean} options.watchRegistries - Watch local registry directories for changes, for long-running
+   *   servers; call close() to stop watching
    */
   constructor(options = {}) {
     /**
@@ -82,6 +107,66 @@ class TemplateManager {
      */
     this.templatePackages = new Map();
 
+    /**
+     * Template engine used to render installed files
+     * @type {TemplateEngine}
+     */
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+
+    /**
+     * Local advisory database used to audit template dependencies
+     * @type {AdvisoryDatabase}
+     */
+    this.advisoryDatabase = options.advisoryDatabase || new AdvisoryDatabase();
+
+    /**
+     * Keyring and trust policy used to verify template signatures
+     * @type {TrustStore}
+     */
+    this.trustStore = options.trustStore || new TrustStore();
+
+    /**
+     * Organization policy, loaded on first use
+     * @type {OrgPolicy|null}
+     */
+    this.policy = options.policy || null;
+
+    /**
+     * Organization policy file
+     * @type {string|null}
+     */
+    this.policyPath = options.policyPath || null;
+
+    /**
+     * Caps applied when extracting template tarballs
+     * @type {Object}
+     */
+    this.extractLimits = { ...DEFAULT_LIMITS, ...options.extractLimits };
+
+    /**
+     * Scope to registry routing from .npmrc and the CLI configuration
+     * @type {RegistryResolver}
+     */
+    this.registryResolver = options.registryResolver || new RegistryResolver();
+
+    /**
+     * Registries created for routed scopes that no registry in the list serves
+     * @type {Map<string, TemplateRegistry>}
+     */
+    this.scopeRegistries = new Map();
+
+    /**
+     * Whether local registry directories are watched
+     * @type {boolean}
+     */
+    this.watchRegistries = Boolean(options.watchRegistries);
+
+    /**
+     * Watchers of local registry directories, by registry id
+     * @type {Map<string, fs.FSWatcher>}
+     */
+    this.registryWatchers = new Map();
+
     /**
      * Operation statistics
      * @type {Object}
@@ -114,6 +199,10 @@ class TemplateManager {
       this.initializeDefaultRegistries();
     }
 
+    if (this.watchRegistries) {
+      this.registries.forEach(registry => this.watchRegistry(registry));
+    }
+
     this.logger.info('TemplateManager initialized', {
       registries: this.registries.length,
       cacheEnabled: this.enableCache,
@@ -136,15 +225,22 @@ class TemplateManager {
   }
 
   /**
-   * Initialize default registries
+   * Initialize default registries, after the ones configured in the global CLI configuration
    * @private
    */
   initializeDefaultRegistries() {
+    let configuredRegistries = [];
+    try {
+      configuredRegistries = getConfiguredRegistries();
+    } catch (error) {
+      this.logger.warn('Ignoring configured registries', { error: error.message });
+    }
+
     const defaultRegistries = [
       new TemplateRegistry({
         id: 'npm-public',
         name: 'NPM Public Registry',
-        url: 'https://registry.npmjs.org',
+        url: this.registryResolver.getDefaultRegistry().replace(/\/+$/, ''),
         type: 'public',
         authRequired: false,
         cachePolicy: 'default'
@@ -159,7 +255,7 @@ class TemplateManager {
       })
     ];
 
-    this.registries = defaultRegistries;
+    this.registries = [...configuredRegistries, ...defaultRegistries];
   }
 
   /**
@@ -200,6 +296,7 @@ class TemplateManager {
 
       let allTemplates = [];
       const errors = [];
+      const templateRegistries = new Map();
 
       // Get templates from each registry
       for (const registryInstance of this.registries) {
@@ -214,6 +311,7 @@ class TemplateManager {
           });
 
           allTemplates = allTemplates.concat(registryTemplates);
+          registryTemplates.forEach(template => templateRegistries.set(template, registryInstance.id));
           this.logger.debug(`Retrieved ${registryTemplates.length} templates from ${registryInstance.name}`);
         } catch (error) {
           errors.push({
@@ -230,6 +328,20 @@ class TemplateManager {
         filteredTemplates = filteredTemplates.filter(template => template.type === type);
       }
 
+      // Hide templates the organization policy does not allow
+      const policy = await this.getPolicy();
+      const allowedTemplates = [];
+      for (const template of filteredTemplates) {
+        const violations = await policy.evaluate(this.getPolicySubject(template, templateRegistries.get(template)));
+        if (violations.length === 0) {
+          allowedTemplates.push(template);
+        } else {
+          this.logger.debug('Template hidden by organization policy', { templateId: template.id, violations });
+        }
+      }
+      const excludedByPolicy = filteredTemplates.length - allowedTemplates.length;
+      filteredTemplates = allowedTemplates;
+
       // Apply pagination
       const total = filteredTemplates.length;
       const paginatedTemplates = filteredTemplates.slice(offset, offset + limit);
@@ -252,6 +364,7 @@ class TemplateManager {
           offset,
           hasMore: offset + limit < total,
           filters: { type, registry },
+          policy: { path: policy.policyPath, excluded: excludedByPolicy },
           registries: this.registries.map(r => ({ id: r.id, name: r.name, type: r.type })),
           errors: errors.length > 0 ? errors : undefined
         }
@@ -263,6 +376,35 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Get the organization policy, loading it on first use
+   * @returns {Promise<OrgPolicy>} Organization policy
+   */
+  async getPolicy() {
+    if (!this.policy) {
+      this.policy = await OrgPolicy.load(this.policyPath);
+    }
+    return this.policy;
+  }
+
+  /**
+   * Describe a template for the organization policy checks
+   * @private
+   * @param {TemplatePackage} template - Template package
+   * @param {string} registryId - Registry the template was listed by
+   * @returns {Object} Policy subject, see OrgPolicy.evaluate()
+   */
+  getPolicySubject(template, registryId = null) {
+    const registry = this.registries.find(entry => entry.id === registryId);
+    return {
+      id: template.id,
+      version: template.version,
+      registry: registry && registry.type !== 'local' ? registry.url : null,
+      dependencies: template.dependencies,
+      devDependencies: template.devDependencies
+    };
+  }
+
   /**
    * Get templates from a specific registry
    * @private
@@ -273,9 +415,13 @@ class TemplateManager {
   async getTemplatesFromRegistry(registry, options = {}) {
     const { forceRefresh = false, type = null } = options;
 
+    // Local registries are read from disk and static indexes are only downloaded again when
+    // they changed, caching either would only hide changes
+    const useCache = this.enableCache && registry.format === 'api';
+
     // Check cache first
     const cacheKey = `templates_${registry.id}_${type || 'all'}`;
-    if (!forceRefresh && this.enableCache) {
+    if (!forceRefresh && useCache) {
       const cached = await this.getCachedData(cacheKey);
       if (cached) {
         this.stats.cacheHits++;
@@ -297,7 +443,7 @@ class TemplateManager {
     });
 
     // Cache the results
-    if (this.enableCache) {
+    if (useCache) {
       await this.setCachedData(cacheKey, templatePackages);
     }
 
@@ -328,8 +474,8 @@ class TemplateManager {
         return cachedTemplate;
       }
 
-      // Search in all registries
-      for (const registry of this.registries) {
+      // Search the registries the template's scope is routed to, or all of them
+      for (const registry of this.getRegistriesFor(templateId)) {
         try {
           const templates = await this.getTemplatesFromRegistry(registry, { forceRefresh });
           const template = templates.find(t => t.id === templateId);
@@ -432,10 +578,14 @@ class TemplateManager {
    * @param {Object} options - Download options
    * @param {boolean} options.forceDownload - Force re-download even if cached
    * @param {string} options.destination - Custom destination path
-   * @returns {Promise<Object>} Download result with path and metadata
+   * @param {Function} options.onProgress - Called with { bytes, files } while the tarball is extracted
+   * @param {string} options.keepTarball - Also keep the verified package tarball at this path, so it can be
+   *   cached with its integrity; the template is downloaded again when it is only cached as files
+   * @returns {Promise<Object>} Download result with path, metadata and `tarballPath` (null when the
+   *   template did not come from a tarball)
    */
   async downloadTemplate(templateId, version = 'latest', options = {}) {
-    const { forceDownload = false, destination = null } = options;
+    const { forceDownload = false, destination = null, onProgress = null, keepTarball = null } = options;
 
     if (!templateId) {
       throw new Error('Template ID is required');
@@ -447,17 +597,26 @@ class TemplateManager {
       // Get template information
       const template = await this.getTemplate(templateId);
 
+      // Templates in a local registry are already on disk and are never cached
+      const localRegistry = await this.findLocalRegistry(templateId);
+
+      // Static index registries come before npm, so mirrors work without network access
+      const indexRegistry = localRegistry ? null : await this.findIndexRegistry(templateId);
+
       // Check cache first
       const cacheKey = `${templateId}_${version}`;
-      if (!forceDownload && this.enableCache) {
+      if (!forceDownload && !keepTarball && this.enableCache && !localRegistry) {
         const cachedPath = await this.getCachedTemplatePath(templateId, version);
-        if (cachedPath) {
+        const cachedResolved = cachedPath ? await this.readResolvedInfo(cachedPath) : null;
+        if (cachedPath && await this.isCachedTemplateTrusted(templateId, cachedResolved)) {
           this.stats.cacheHits++;
           this.logger.info('Template found in cache', { templateId, version, path: cachedPath });
           return {
             success: true,
             path: cachedPath,
             template: template.toJSON(),
+            resolved: cachedResolved,
+            tarballPath: null,
             cached: true,
             message: 'Template loaded from cache'
           };
@@ -469,12 +628,17 @@ class TemplateManager {
       // Download template
       const downloadPath = destination || await this.getTemplateDownloadPath(templateId, version);
 
-      if (templateId.startsWith('@xagi/')) {
+      let resolved;
+      if (localRegistry) {
+        resolved = await this.copyLocalTemplate(localRegistry, templateId, version, downloadPath, { onProgress });
+      } else if (indexRegistry) {
+        resolved = await this.downloadIndexTemplate(indexRegistry, templateId, version, downloadPath, { onProgress, keepTarball });
+      } else if (templateId.startsWith('@xagi/')) {
         // NPM-based template
-        await this.downloadNpmTemplate(templateId, version, downloadPath);
+        resolved = await this.downloadNpmTemplate(templateId, version, downloadPath, { onProgress, keepTarball });
       } else if (templateId.includes('github.com') || templateId.includes('gitlab.com')) {
         // Git-based template
-        await this.downloadGitTemplate(templateId, version, downloadPath);
+        resolved = await this.downloadGitTemplate(templateId, version, downloadPath);
       } else {
         throw new Error(`Unsupported template type: ${templateId}`);
       }
@@ -482,8 +646,11 @@ class TemplateManager {
       // Validate downloaded template
       await this.validateDownloadedTemplate(downloadPath, template);
 
+      // Keep the provenance with the download so cache hits can report it too
+      await fs.writeJson(path.join(downloadPath, RESOLVED_FILE), resolved, { spaces: 2 });
+
       // Cache the template
-      if (this.enableCache) {
+      if (this.enableCache && !localRegistry) {
         await this.cacheDownloadedTemplate(templateId, version, downloadPath);
       }
 
@@ -498,6 +665,8 @@ class TemplateManager {
         success: true,
         path: downloadPath,
         template: template.toJSON(),
+        resolved,
+        tarballPath: keepTarball && ['npm', 'index'].includes(resolved.source) ? keepTarball : null,
         cached: false,
         message: 'Template downloaded successfully'
       };
@@ -518,52 +687,290 @@ class TemplateManager {
    * @param {string} templateId - Template ID
    * @param {string} version - Template version
    * @param {string} downloadPath - Download path
+   * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Called with { bytes, files } while the tarball is extracted
+   * @param {string} options.keepTarball - Copy the tarball here once it is verified
+   * @returns {Promise<Object>} Resolved package { source, version, integrity, shasum, registry }
    */
-  async downloadNpmTemplate(templateId, version, downloadPath) {
+  async downloadNpmTemplate(templateId, version, downloadPath, options = {}) {
+    // npm pack still does the download so .npmrc registries and auth apply, but the
+    // tarball goes to a scratch directory next to the cache entry rather than into it
+    await fs.ensureDir(path.dirname(downloadPath));
+    const packDir = await fs.mkdtemp(path.join(path.dirname(downloadPath), '.pack-'));
+
     try {
-      // Clean existing directory
       await fs.remove(downloadPath);
-      await fs.ensureDir(downloadPath);
+
+      // npm pack gets the merged settings, so scopes routed in the CLI configuration apply too
+      const npmrcPath = path.join(packDir, '.npmrc');
+      await fs.writeFile(npmrcPath, this.registryResolver.toNpmrc(), { mode: 0o600 });
 
       // Use npm pack to download the package
-      const packCommand = `npm pack ${templateId}@${version}`;
-      const { stdout } = await execAsync(packCommand, { cwd: downloadPath });
-
-      // Extract the package filename from npm pack output
-      const packageFile = stdout.trim();
-      const packagePath = path.join(downloadPath, packageFile);
-
-      // Extract the package
-      await execAsync(`tar -xzf "${packageFile}"`, { cwd: downloadPath });
-
-      // Remove the compressed file
-      await fs.remove(packagePath);
-
-      // The package is extracted in a subdirectory, move contents up
-      const extractedDir = path.join(downloadPath, 'package');
-      if (await fs.pathExists(extractedDir)) {
-        const files = await fs.readdir(extractedDir);
-        for (const file of files) {
-          await fs.move(
-            path.join(extractedDir, file),
-            path.join(downloadPath, file)
-          );
-        }
-        await fs.remove(extractedDir);
+      const packCommand = `npm pack ${templateId}@${version} --json --userconfig "${npmrcPath}"`;
+      const { stdout } = await execAsync(packCommand, { cwd: packDir });
+
+      // npm pack --json reports the file name, exact version and integrity of the tarball
+      const [packInfo] = JSON.parse(stdout);
+      const packagePath = path.join(packDir, packInfo.filename);
+      const registry = this.getNpmRegistryUrl(templateId);
+
+      // Check the signature before anything is extracted into the cache
+      const signature = await this.verifyNpmTemplateSignature(templateId, packInfo.version, registry, packagePath);
+
+      // Stream the tarball into place, dropping the package/ prefix npm puts on every entry
+      await extractTarball(packagePath, downloadPath, {
+        ...this.extractLimits,
+        strip: 1,
+        onProgress: options.onProgress
+      });
+      if (options.keepTarball) {
+        await fs.copy(packagePath, options.keepTarball);
       }
 
       this.logger.debug('NPM template downloaded', { templateId, version, path: downloadPath });
+
+      return {
+        source: 'npm',
+        version: packInfo.version,
+        integrity: packInfo.integrity || null,
+        shasum: packInfo.shasum || null,
+        registry,
+        signature
+      };
     } catch (error) {
+      // The download path is the cache entry, so a failed download must not be left behind
+      await fs.remove(downloadPath);
       throw new Error(`Failed to download NPM template: ${error.message}`);
+    } finally {
+      await fs.remove(packDir);
     }
   }
 
+  /**
+   * Get the registries a template may be looked up in. A scope routed to a registry by .npmrc or
+   * the CLI configuration only uses that registry, so private names are never sent to public ones.
+   * @private
+   * @param {string} templateId - Template ID
+   * @returns {Array<TemplateRegistry>} Registries in lookup order
+   */
+  getRegistriesFor(templateId) {
+    const routed = this.registryResolver.filterRegistries(templateId, this.registries);
+    const registryUrl = this.registryResolver.getScopeRegistry(templateId);
+    if (!registryUrl || routed.length > 0) {
+      return routed;
+    }
+
+    if (!this.scopeRegistries.has(registryUrl)) {
+      const scope = getScope(templateId);
+      const authToken = this.registryResolver.getAuthToken(registryUrl);
+      this.scopeRegistries.set(registryUrl, createRegistry({
+        id: `scope-${scope.slice(1)}`,
+        name: `${scope} registry`,
+        url: registryUrl,
+        type: registryUrl.startsWith('file:') ? 'local' : 'private',
+        authRequired: Boolean(authToken),
+        authToken
+      }));
+    }
+    return [this.scopeRegistries.get(registryUrl)];
+  }
+
+  /**
+   * Find the local registry that has a template
+   * @private
+   * @param {string} templateId - Template ID
+   * @returns {Promise<LocalRegistry|null>} Registry, or null if no local registry has the template
+   */
+  async findLocalRegistry(templateId) {
+    for (const registry of this.getRegistriesFor(templateId)) {
+      if (registry instanceof LocalRegistry && await registry.hasTemplate(templateId).catch(() => false)) {
+        return registry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the static index registry that lists a template
+   * @private
+   * @param {string} templateId - Template ID
+   * @returns {Promise<TemplateRegistry|null>} Registry, or null if no index lists the template
+   */
+  async findIndexRegistry(templateId) {
+    for (const registry of this.getRegistriesFor(templateId)) {
+      if (registry.format === 'index' && await registry.hasTemplate(templateId).catch(() => false)) {
+        return registry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Download a template listed in a static index registry
+   * @private
+   * @param {TemplateRegistry} registry - Static index registry
+   * @param {string} templateId - Template ID
+   * @param {string} version - Exact version, semver range, dist-tag or latest
+   * @param {string} downloadPath - Download path
+   * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Called with { bytes, files } while the tarball is extracted
+   * @param {string} options.keepTarball - Copy the tarball here once it is verified
+   * @returns {Promise<Object>} Resolved template { source, version, integrity, registry, tarball, signature }
+   */
+  async downloadIndexTemplate(registry, templateId, version, downloadPath, options = {}) {
+    await fs.ensureDir(path.dirname(downloadPath));
+    const packDir = await fs.mkdtemp(path.join(path.dirname(downloadPath), '.pack-'));
+
+    try {
+      await fs.remove(downloadPath);
+
+      // The tarball is verified against the index integrity while it downloads
+      const entry = await registry.downloadTemplate(templateId, version, path.join(packDir, 'template.tgz'), {
+        maxBytes: this.extractLimits.maxBytes
+      });
+      const signature = await this.verifyIndexTemplateSignature(registry, entry);
+
+      await extractTarball(entry.path, downloadPath, {
+        ...this.extractLimits,
+        strip: 1,
+        onProgress: options.onProgress
+      });
+      if (options.keepTarball) {
+        await fs.copy(entry.path, options.keepTarball);
+      }
+
+      this.logger.debug('Index template downloaded', { templateId, version: entry.version, tarball: entry.tarball });
+
+      return {
+        source: 'index',
+        version: entry.version,
+        integrity: entry.integrity,
+        registry: registry.url,
+        tarball: entry.tarball,
+        signature
+      };
+    } catch (error) {
+      await fs.remove(downloadPath);
+      throw new Error(`Failed to download template from registry index: ${error.message}`);
+    } finally {
+      await fs.remove(packDir);
+    }
+  }
+
+  /**
+   * Verify the signature of a template from a static index when the trust policy requires one
+   * @private
+   * @param {TemplateRegistry} registry - Static index registry
+   * @param {Object} entry - Downloaded entry from TemplateRegistry.downloadTemplate()
+   * @returns {Promise<Object|null>} Verified signer { keyId, name }, or null if no signature is required
+   * @throws {TrustError} If the signature is missing or not trusted
+   */
+  async verifyIndexTemplateSignature(registry, entry) {
+    const rule = await this.trustStore.requiresSignature({ packageName: entry.id, registry: registry.url });
+    if (!rule) {
+      return null;
+    }
+
+    const signature = await registry.fetchSignature(entry);
+    if (!signature) {
+      throw new TrustError(
+        `No signature published for ${entry.id}@${entry.version}, required by trust policy (${rule})`,
+        'SIGNATURE_MISSING'
+      );
+    }
+
+    const signer = await this.trustStore.verify(await fs.readFile(entry.path), signature);
+    this.logger.info('Template signature verified', { templateId: entry.id, version: entry.version, keyId: signer.keyId });
+    return signer;
+  }
+
+  /**
+   * Copy a template out of a local registry
+   * @private
+   * @param {LocalRegistry} registry - Local registry
+   * @param {string} templateId - Template ID
+   * @param {string} version - Exact version, semver range or latest
+   * @param {string} downloadPath - Download path
+   * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Called with { bytes, files } while a tarball is extracted
+   * @returns {Promise<Object>} Resolved template { source, version, integrity, registry, path }
+   */
+  async copyLocalTemplate(registry, templateId, version, downloadPath, options = {}) {
+    const entry = await registry.resolveTemplate(templateId, version);
+    if (!entry) {
+      throw new Error(`Template ${templateId}@${version} not found in local registry ${registry.path}`);
+    }
+
+    try {
+      const signature = await this.verifyLocalTemplateSignature(templateId, registry, entry);
+
+      if (entry.source === 'tarball') {
+        await extractTarball(entry.path, downloadPath, {
+          ...this.extractLimits,
+          strip: 1,
+          onProgress: options.onProgress
+        });
+      } else {
+        await fs.remove(downloadPath);
+        await fs.copy(entry.path, downloadPath, {
+          filter: source => !['node_modules', '.git'].includes(path.basename(source))
+        });
+      }
+
+      this.logger.debug('Local template copied', { templateId, version: entry.version, path: entry.path });
+
+      return {
+        source: 'local',
+        version: entry.version,
+        integrity: entry.source === 'tarball'
+          ? computeIntegrity(await fs.readFile(entry.path))
+          : await hashDirectory(entry.path),
+        registry: registry.url,
+        path: entry.path,
+        signature
+      };
+    } catch (error) {
+      await fs.remove(downloadPath);
+      throw new Error(`Failed to copy local template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify the `.sig` file next to a local template tarball when the trust policy requires one.
+   * Template folders cannot be signed, so they are refused when a signature is required.
+   * @private
+   * @param {string} templateId - Template ID
+   * @param {LocalRegistry} registry - Local registry
+   * @param {Object} entry - Registry entry from resolveTemplate()
+   * @returns {Promise<Object|null>} Verified signer { keyId, name }, or null if no signature is required
+   * @throws {TrustError} If the signature is missing or not trusted
+   */
+  async verifyLocalTemplateSignature(templateId, registry, entry) {
+    const rule = await this.trustStore.requiresSignature({ packageName: templateId, registry: registry.url });
+    if (!rule) {
+      return null;
+    }
+
+    const signaturePath = `${entry.path}${SIGNATURE_EXTENSION}`;
+    if (entry.source !== 'tarball' || !await fs.pathExists(signaturePath)) {
+      throw new TrustError(
+        `No signature found for ${templateId}@${entry.version} at ${signaturePath}, required by trust policy (${rule})`,
+        'SIGNATURE_MISSING'
+      );
+    }
+
+    const signer = await this.trustStore.verify(await fs.readFile(entry.path), await fs.readFile(signaturePath, 'utf8'));
+    this.logger.info('Template signature verified', { templateId, version: entry.version, keyId: signer.keyId });
+    return signer;
+  }
+
   /**
    * Download Git-based template
    * @private
    * @param {string} templateId - Template ID (Git URL)
    * @param {string} version - Git reference (branch, tag, commit)
    * @param {string} downloadPath - Download path
+   * @returns {Promise<Object>} Resolved checkout { source, version, commit }
    */
   async downloadGitTemplate(templateId, version, downloadPath) {
     try {
@@ -585,12 +992,117 @@ class TemplateManager {
         await git.cwd(downloadPath).checkout(version);
       }
 
-      this.logger.debug('Git template downloaded', { templateId, version, path: downloadPath });
+      const commit = (await simpleGit(downloadPath).revparse(['HEAD'])).trim();
+      const signature = await this.verifyGitTemplateSignature(templateId, version, downloadPath);
+
+      this.logger.debug('Git template downloaded', { templateId, version, commit, path: downloadPath });
+
+      return { source: 'git', version, commit, signature };
     } catch (error) {
+      await fs.remove(downloadPath);
       throw new Error(`Failed to download Git template: ${error.message}`);
     }
   }
 
+  /**
+   * Verify the detached signature of an npm template tarball when the trust policy requires one
+   * @private
+   * @param {string} templateId - Package name
+   * @param {string} version - Exact package version
+   * @param {string} registry - Registry URL
+   * @param {string} tarballPath - Downloaded tarball
+   * @returns {Promise<Object|null>} Verified signer { keyId, name }, or null if no signature is required
+   * @throws {TrustError} If the signature is missing or not trusted
+   */
+  async verifyNpmTemplateSignature(templateId, version, registry, tarballPath) {
+    const rule = await this.trustStore.requiresSignature({ packageName: templateId, registry });
+    if (!rule) {
+      return null;
+    }
+
+    const signature = await this.fetchTarballSignature(templateId, version, registry);
+    if (!signature) {
+      throw new TrustError(
+        `No signature published for ${templateId}@${version}, required by trust policy (${rule})`,
+        'SIGNATURE_MISSING'
+      );
+    }
+
+    const signer = await this.trustStore.verify(await fs.readFile(tarballPath), signature);
+    this.logger.info('Template signature verified', { templateId, version, keyId: signer.keyId });
+    return signer;
+  }
+
+  /**
+   * Fetch the detached signature published next to a package tarball
+   * @private
+   * @param {string} templateId - Package name
+   * @param {string} version - Exact package version
+   * @param {string} registry - Registry URL
+   * @returns {Promise<string|null>} Signature document, or null if none is published
+   */
+  async fetchTarballSignature(templateId, version, registry) {
+    const tarballName = `${templateId.split('/').pop()}-${version}.tgz`;
+    const url = `${registry.replace(/\/+$/, '')}/${templateId}/-/${tarballName}${SIGNATURE_EXTENSION}`;
+
+    const response = await axios.get(url, {
+      headers: this.registryResolver.getAuthHeaders(url),
+      responseType: 'text',
+      transformResponse: data => data,
+      timeout: 30000,
+      validateStatus: status => status === 200 || status === 404
+    });
+    return response.status === 200 ? response.data : null;
+  }
+
+  /**
+   * Verify the signed tag of a git template when the trust policy requires one
+   * @private
+   * @param {string} templateId - Git URL
+   * @param {string} version - Requested reference, which must be a signed tag
+   * @param {string} repoPath - Cloned repository
+   * @returns {Promise<Object|null>} Verified signer { keyId, name, tag, commit }, or null if no signature is required
+   * @throws {TrustError} If the tag is not signed or the signature is not trusted
+   */
+  async verifyGitTemplateSignature(templateId, version, repoPath) {
+    const rule = await this.trustStore.requiresSignature({ repository: templateId });
+    if (!rule) {
+      return null;
+    }
+
+    const tag = version && version !== 'latest' ? version : null;
+    const signer = await this.trustStore.verifyGitTag(repoPath, tag).catch(error => {
+      error.message = `${error.message}, required by trust policy (${rule})`;
+      throw error;
+    });
+    this.logger.info('Template signature verified', { templateId, tag, keyId: signer.keyId });
+    return signer;
+  }
+
+  /**
+   * Check that a cached template still satisfies the trust policy
+   * @private
+   * @param {string} templateId - Template ID
+   * @param {Object|null} resolved - Provenance recorded with the cached download
+   * @returns {Promise<boolean>} False if the template must be downloaded and verified again
+   */
+  async isCachedTemplateTrusted(templateId, resolved) {
+    const source = templateId.startsWith('@xagi/') || (resolved && resolved.source === 'index')
+      ? { packageName: templateId, registry: (resolved && resolved.registry) || this.getNpmRegistryUrl(templateId) }
+      : { repository: templateId };
+    if (!await this.trustStore.requiresSignature(source)) {
+      return true;
+    }
+
+    const keyId = resolved && resolved.signature && resolved.signature.keyId;
+    const key = keyId ? (await this.trustStore.listKeys()).find(entry => entry.id === keyId) : null;
+    if (!key || key.revokedAt) {
+      this.logger.info('Cached template is not signed by a trusted key, downloading again', { templateId });
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Validate downloaded template
    * @private
@@ -733,29 +1245,22 @@ class TemplateManager {
    * Validate template security
    * @private
    * @param {string} templatePath - Template path
+   * @returns {Promise<Object>} Security scan report
+   * @throws {Error} If the scan finds issues at or above the failure threshold
    */
   async validateTemplateSecurity(templatePath) {
-    // Check for potentially dangerous files
-    const dangerousPatterns = [
-      '**/*.exe',
-      '**/*.bat',
-      '**/*.cmd',
-      '**/*.sh',
-      '**/node_modules/**'
-    ];
+    const report = await scanTemplate(templatePath);
 
-    for (const pattern of dangerousPatterns) {
-      const files = await new Promise((resolve, reject) => {
-        glob(pattern, { cwd: templatePath, nodir: true }, (err, files) => {
-          if (err) {reject(err);}
-          else {resolve(files);}
-        });
-      });
+    report.findings
+      .filter(finding => !isAtLeast(finding.severity, report.failOn))
+      .forEach(finding => this.logger.warn(`Security scan: ${formatFinding(finding)}`));
 
-      if (files.length > 0) {
-        throw new Error(`Potentially dangerous files found: ${files.join(', ')}`);
-      }
+    if (!report.passed) {
+      const blocking = report.findings.filter(finding => isAtLeast(finding.severity, report.failOn));
+      throw new Error(`Template failed security scan:\n${blocking.map(formatFinding).join('\n')}`);
     }
+
+    return report;
   }
 
   /**
@@ -811,6 +1316,9 @@ class TemplateManager {
    * @param {string} config.targetDir - Target directory
    * @param {Object} config.variables - Template variables
    * @param {Object} options - Installation options
+   * @param {string} options.secrets - What to do with secrets found in the generated files:
+   *   abort (default), redact (move them into .env) or continue
+   * @param {Function} options.onSecrets - Called with the findings; resolves to one of the actions above
    * @returns {Promise<Object>} Installation result
    */
   async installTemplate(templateId, config, options = {}) {
@@ -840,6 +1348,16 @@ class TemplateManager {
       // Get template information
       const template = await this.getTemplate(templateId);
 
+      // Refuse templates the organization policy does not allow before downloading anything
+      const policy = await this.getPolicy();
+      const localRegistry = await this.findLocalRegistry(templateId);
+      const indexRegistry = localRegistry ? null : await this.findIndexRegistry(templateId);
+      let registryUrl = indexRegistry ? indexRegistry.url : null;
+      if (!localRegistry && !indexRegistry && templateId.startsWith('@xagi/')) {
+        registryUrl = this.getNpmRegistryUrl(templateId);
+      }
+      await policy.assertAllowed({ ...this.getPolicySubject(template), registry: registryUrl });
+
       // Validate configuration against template schema
       const configValidation = template.validateConfig(variables);
       if (!configValidation.isValid) {
@@ -848,7 +1366,18 @@ class TemplateManager {
 
       // Download template if not already cached
       const downloadResult = await this.downloadTemplate(templateId, 'latest', {
-        forceDownload: options.forceDownload
+        forceDownload: options.forceDownload,
+        onProgress: options.onProgress
+      });
+
+      // The downloaded package pins the exact version and dependencies, and has the files
+      const downloadedPackage = await fs.readJson(path.join(downloadResult.path, 'package.json'));
+      await policy.assertAllowed({
+        id: templateId,
+        version: (downloadResult.resolved && downloadResult.resolved.version) || downloadedPackage.version,
+        dependencies: downloadedPackage.dependencies,
+        devDependencies: downloadedPackage.devDependencies,
+        sourceDir: downloadResult.path
       });
 
       // Prepare target directory
@@ -856,14 +1385,21 @@ class TemplateManager {
       await this.prepareTargetDirectory(finalTargetDir, projectName);
 
       // Copy template files
-      await this.copyTemplateFiles(downloadResult.path, finalTargetDir);
+      const answers = { projectName, ...variables };
+      await this.copyTemplateFiles(downloadResult.path, finalTargetDir, answers);
 
       // Process template variables
-      await this.processTemplateVariables(finalTargetDir, {
-        projectName,
-        ...variables
+      await this.processTemplateVariables(finalTargetDir, answers);
+
+      // Nothing is recorded or committed while the files still contain credentials
+      await this.checkGeneratedSecrets(finalTargetDir, {
+        secrets: options.secrets,
+        onSecrets: options.onSecrets
       });
 
+      // Record provenance and output hashes before dependencies are installed
+      await this.writeProjectLock(finalTargetDir, template, projectName, answers, downloadResult.resolved);
+
       // Install dependencies
       if (!skipInstall) {
         await this.installDependencies(finalTargetDir, template);
@@ -875,7 +1411,7 @@ class TemplateManager {
       }
 
       // Generate project info
-      const projectInfo = await this.generateProjectInfo(finalTargetDir, template, projectName);
+      const projectInfo = await this.generateProjectInfo(finalTargetDir, template, projectName, answers);
 
       this.stats.templatesInstalled++;
       this.logger.info('Template installed successfully', {
@@ -899,6 +1435,9 @@ class TemplateManager {
         projectName,
         error: error.message
       });
+      if (error.isSecretsFoundError) {
+        throw error;
+      }
       throw new Error(`Failed to install template: ${error.message}`);
     }
   }
@@ -927,41 +1466,68 @@ class TemplateManager {
   }
 
   /**
-   * Copy template files
+   * Copy template files, applying the template manifest (`template.json`) include rules and renames
    * @private
    * @param {string} sourceDir - Source directory
    * @param {string} targetDir - Target directory
+   * @param {Object} answers - Configuration answers the manifest rules are evaluated against
+   * @returns {Promise<Array<Object>>} Copied files as { source, target }
    */
-  async copyTemplateFiles(sourceDir, targetDir) {
+  async copyTemplateFiles(sourceDir, targetDir, answers = {}) {
     try {
-      // Copy all files except hidden files and cache files
-      const files = await fs.readdir(sourceDir);
+      const manifest = await TemplateManifest.load(sourceDir);
+      const files = await this.getTemplateSourceFiles(sourceDir);
+      const resolvedFiles = manifest.resolveFiles(files, answers);
 
-      for (const file of files) {
-        if (file.startsWith('.') && file !== '.gitignore') {
-          continue; // Skip hidden files except .gitignore
-        }
-
-        const sourcePath = path.join(sourceDir, file);
-        const targetPath = path.join(targetDir, file);
-        const stats = await fs.stat(sourcePath);
+      for (const file of resolvedFiles) {
+        await fs.copy(path.join(sourceDir, file.source), path.join(targetDir, file.target));
+      }
 
-        if (stats.isDirectory()) {
-          await fs.copy(sourcePath, targetPath);
-        } else {
-          await fs.copy(sourcePath, targetPath);
-        }
+      // Partials are rendered from the target directory and removed afterwards
+      const partialsDir = path.join(sourceDir, manifest.partialsDir);
+      if (await fs.pathExists(partialsDir)) {
+        await fs.copy(partialsDir, path.join(targetDir, '_partials'));
       }
 
       this.logger.debug('Template files copied', {
         source: sourceDir,
-        target: targetDir
+        target: targetDir,
+        files: resolvedFiles.length,
+        manifest: manifest.exists()
       });
+
+      return resolvedFiles;
     } catch (error) {
       throw new Error(`Failed to copy template files: ${error.message}`);
     }
   }
 
+  /**
+   * Plan the files a template would generate without writing anything
+   * @param {string} sourceDir - Template source directory
+   * @param {Object} answers - Configuration answers
+   * @returns {Promise<Array<string>>} Target paths relative to the project root
+   */
+  async planTemplateFiles(sourceDir, answers = {}) {
+    const manifest = await TemplateManifest.load(sourceDir);
+    const files = await this.getTemplateSourceFiles(sourceDir);
+    return manifest.resolveFiles(files, answers).map(file => file.target).sort();
+  }
+
+  /**
+   * List template source files, skipping hidden top-level entries except .gitignore
+   * @private
+   * @param {string} sourceDir - Template source directory
+   * @returns {Promise<Array<string>>} Relative file paths
+   */
+  async getTemplateSourceFiles(sourceDir) {
+    const files = await TemplateManifest.listFiles(sourceDir);
+    return files.filter(file => {
+      const topLevel = file.split('/')[0];
+      return !topLevel.startsWith('.') || topLevel === '.gitignore';
+    });
+  }
+
   /**
    * Process template variables
    * @private
@@ -970,20 +1536,28 @@ class TemplateManager {
    */
   async processTemplateVariables(targetDir, variables) {
     try {
+      // Partials live in the template's _partials directory and are not part of the output;
+      // they are registered on a copy of the engine so they stay with this template
+      const engine = this.templateEngine.fork();
+      const partialsDir = path.join(targetDir, '_partials');
+      if (await fs.pathExists(partialsDir)) {
+        await engine.registerPartialsFromDirectory(partialsDir);
+        await fs.remove(partialsDir);
+      }
+
       const files = await this.getTemplateFiles(targetDir);
 
       for (const file of files) {
         const filePath = path.join(targetDir, file);
         const content = await fs.readFile(filePath, 'utf8');
-        let processedContent = content;
 
-        // Replace variables in content
-        for (const [key, value] of Object.entries(variables)) {
-          const pattern = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-          processedContent = processedContent.replace(pattern, value);
+        // Leave binary files and files without template syntax untouched
+        if (content.includes('\u0000') || !engine.hasTemplateSyntax(content)) {
+          continue;
         }
 
         // Write processed content back
+        const processedContent = engine.render(content, variables, { filename: file });
         await fs.writeFile(filePath, processedContent, 'utf8');
       }
 
@@ -1084,20 +1658,42 @@ class TemplateManager {
   }
 
   /**
-   * Generate project information
+   * Scan the generated files for secrets, before the lockfile records their hashes and
+   * before anything is committed
+   * @private
+   * @param {string} targetDir - Project directory
+   * @param {Object} options - Options
+   * @param {string} options.secrets - abort (default), redact or continue
+   * @param {Function} options.onSecrets - Called with the findings; resolves to the action
+   * @returns {Promise<Array<Object>>} Findings
+   * @throws {SecretsFoundError} If secrets are found and the action is abort
+   */
+  async checkGeneratedSecrets(targetDir, options = {}) {
+    const { findings } = await checkGeneratedSecrets(targetDir, {
+      secrets: options.secrets,
+      onSecrets: options.onSecrets,
+      log: (level, message) => this.logger[level](message)
+    });
+    return findings;
+  }
+
+  /**
+   * Generate project information and record it in the project's metadata file
    * @private
    * @param {string} targetDir - Target directory
    * @param {TemplatePackage} template - Template package
    * @param {string} projectName - Project name
+   * @param {Object} answers - Answers the template was rendered with
    * @returns {Promise<Object>} Project information
    */
-  async generateProjectInfo(targetDir, template, projectName) {
+  async generateProjectInfo(targetDir, template, projectName, answers = {}) {
+    let projectInfo;
     try {
       // Read package.json
       const packageJsonPath = path.join(targetDir, 'package.json');
       const packageJson = await fs.readJSON(packageJsonPath);
 
-      return {
+      projectInfo = {
         name: projectName,
         version: packageJson.version || '1.0.0',
         description: packageJson.description || '',
@@ -1115,7 +1711,7 @@ class TemplateManager {
         targetDir,
         error: error.message
       });
-      return {
+      projectInfo = {
         name: projectName,
         template: template.id,
         templateVersion: template.version,
@@ -1124,6 +1720,103 @@ class TemplateManager {
         path: targetDir
       };
     }
+
+    // `update` regenerates the template from these fields
+    try {
+      await writeProjectMetadata(targetDir, {
+        name: projectInfo.name,
+        template: projectInfo.template,
+        templateVersion: projectInfo.templateVersion,
+        templateType: projectInfo.templateType,
+        createdAt: projectInfo.createdAt,
+        answers: redactSecrets(answers, { schema: template.configSchema })
+      });
+    } catch (error) {
+      this.logger.warn('Failed to write project metadata', {
+        targetDir,
+        error: error.message
+      });
+    }
+
+    return projectInfo;
+  }
+
+  /**
+   * Write the project lockfile
+   * @private
+   * @param {string} targetDir - Target directory
+   * @param {TemplatePackage} template - Template package
+   * @param {string} projectName - Project name
+   * @param {Object} answers - Answers the template was rendered with
+   * @param {Object} resolved - Resolved download info from downloadTemplate()
+   * @returns {Promise<Object>} Lockfile contents
+   */
+  async writeProjectLock(targetDir, template, projectName, answers, resolved = {}) {
+    const lock = createLock({
+      projectName,
+      cli: { name: cliPackage.name, version: cliPackage.version },
+      template: {
+        id: template.id,
+        version: resolved.version && resolved.version !== 'latest' ? resolved.version : template.version,
+        source: resolved.source,
+        integrity: resolved.integrity,
+        commit: resolved.commit
+      },
+      registry: resolved.registry || null,
+      answers,
+      schema: template.configSchema,
+      files: await hashProjectFiles(targetDir)
+    });
+
+    await writeLockfile(targetDir, lock);
+    return lock;
+  }
+
+  /**
+   * Read the resolved download info stored with a downloaded template
+   * @private
+   * @param {string} templatePath - Downloaded template path
+   * @returns {Promise<Object>} Resolved info, empty if unknown
+   */
+  async readResolvedInfo(templatePath) {
+    try {
+      return await fs.readJson(path.join(templatePath, RESOLVED_FILE));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Get the URL of the npm registry a package is downloaded from
+   * @private
+   * @param {string} templateId - Package name
+   * @returns {string} Registry its scope is routed to, or the configured npm registry
+   */
+  getNpmRegistryUrl(templateId) {
+    const scopeRegistry = this.registryResolver.getScopeRegistry(templateId);
+    if (scopeRegistry) {
+      return scopeRegistry;
+    }
+    const registry = this.registries.find(entry => entry.id === 'npm-public');
+    return registry ? registry.url : this.registryResolver.getDefaultRegistry();
+  }
+
+  /**
+   * Render a template version into a directory without installing or initializing git
+   * @param {string} templateId - Template ID
+   * @param {string} version - Template version
+   * @param {string} targetDir - Empty target directory
+   * @param {Object} answers - Answers to render the template with
+   * @param {Object} options - Render options
+   * @param {Function} options.onProgress - Called with { bytes, files } while the tarball is extracted
+   * @returns {Promise<Array<Object>>} Rendered files as { source, target }
+   */
+  async renderTemplate(templateId, version, targetDir, answers = {}, options = {}) {
+    const downloadResult = await this.downloadTemplate(templateId, version, { onProgress: options.onProgress });
+    await fs.ensureDir(targetDir);
+    const files = await this.copyTemplateFiles(downloadResult.path, targetDir, answers);
+    await this.processTemplateVariables(targetDir, answers);
+    return files;
   }
 
   /**
@@ -1132,10 +1825,12 @@ class TemplateManager {
    * @param {Object} options - Options
    * @param {boolean} options.includeFiles - Include file list
    * @param {boolean} options.includeDependencies - Include dependency details
+   * @param {boolean} options.includeAudit - Audit dependencies against the local advisory database
+   * @param {string} options.failOn - Lowest audit severity that marks the audit as failed
    * @returns {Promise<Object>} Template information
    */
   async getTemplateInfo(templateId, options = {}) {
-    const { includeFiles = false, includeDependencies = false } = options;
+    const { includeFiles = false, includeDependencies = false, includeAudit = false, failOn = null } = options;
 
     if (!templateId) {
       throw new Error('Template ID is required');
@@ -1183,6 +1878,11 @@ class TemplateManager {
         });
       }
 
+      // Add known vulnerabilities if requested
+      if (includeAudit) {
+        templateInfo.audit = await this.auditTemplateDependencies(template, { failOn });
+      }
+
       // Add usage statistics
       templateInfo.stats = {
         downloadCount: template.downloadCount,
@@ -1250,15 +1950,30 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Audit template dependencies against the local advisory database
+   * @param {TemplatePackage} template - Template package
+   * @param {Object} options - Audit options
+   * @param {string} options.failOn - Lowest severity that fails the audit
+   * @returns {Promise<Object>} Audit report, see AdvisoryDatabase.audit()
+   */
+  async auditTemplateDependencies(template, options = {}) {
+    return this.advisoryDatabase.audit({
+      dependencies: template.dependencies || {},
+      devDependencies: template.devDependencies || {}
+    }, options);
+  }
+
   /**
    * Get dependency information
    * @private
    * @param {Object} dependencies - Dependencies object
-   * @returns {Promise<Object>} Dependency information
+   * @returns {Promise<Object>} Dependency information, including known vulnerabilities
    */
   async getDependencyInfo(dependencies) {
     try {
       const dependencyInfo = {};
+      const audit = await this.advisoryDatabase.audit(dependencies);
 
       for (const [name, version] of Object.entries(dependencies)) {
         try {
@@ -1284,6 +1999,8 @@ class TemplateManager {
             error: 'Failed to fetch package information'
           };
         }
+
+        dependencyInfo[name].vulnerabilities = audit.findings.filter(finding => finding.package === name);
       }
 
       return dependencyInfo;
@@ -1497,6 +2214,9 @@ class TemplateManager {
     }
 
     this.registries.push(registry);
+    if (this.watchRegistries) {
+      this.watchRegistry(registry);
+    }
     this.logger.info('Registry added', { registryId: registry.id });
   }
 
@@ -1511,9 +2231,44 @@ class TemplateManager {
     }
 
     this.registries.splice(index, 1);
+    if (this.registryWatchers.has(registryId)) {
+      this.registryWatchers.get(registryId).close();
+      this.registryWatchers.delete(registryId);
+    }
     this.logger.info('Registry removed', { registryId });
   }
 
+  /**
+   * Watch a local registry directory, so templates added or removed there are seen on the next request
+   * @private
+   * @param {TemplateRegistry} registry - Registry; only local registries are watched
+   */
+  watchRegistry(registry) {
+    if (!(registry instanceof LocalRegistry) || this.registryWatchers.has(registry.id)) {
+      return;
+    }
+
+    try {
+      this.registryWatchers.set(registry.id, registry.watch(({ filename }) => {
+        // Template packages found in the registry may be gone or have a newer version
+        this.templatePackages.clear();
+        this.logger.debug('Local registry changed', { registryId: registry.id, filename });
+      }));
+    } catch (error) {
+      this.logger.warn('Cannot watch local registry', { registryId: registry.id, error: error.message });
+    }
+  }
+
+  /**
+   * Stop watching local registry directories
+   */
+  close() {
+    for (const watcher of this.registryWatchers.values()) {
+      watcher.close();
+    }
+    this.registryWatchers.clear();
+  }
+
   /**
    * Get registry by ID
    * @param {string} registryId - Registry ID
@@ -0,0 +1,409 @@
+/**
+ * TemplateManifest
+ * Loads and applies a template's `template.json` manifest, which declares which files
+ * and directories end up in a generated project depending on the configuration answers.
+ *
+ * Example manifest:
+ *
+ *   {
+ *     "files": [
+ *       { "include": "src/auth/**", "when": "features contains 'auth'" },
+ *       { "exclude": "tests/**", "when": "!withTests" }
+ *     ],
+ *     "rename": { "_gitignore": ".gitignore" },
+ *     "ignore": ["*.log"],
+ *     "hooks": { "postGenerate": "hooks/post-generate.js" }
+ *   }
+ *
+ * Like partials (`_partials/`), the assistant context fragments in `_assistant/` (see
+ * assistant-context.js) and the spec skeletons in `_specs/` (see spec-workspace.js) are never
+ * copied into projects; `partials`, `assistant` and `specs` move them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { TemplateEngine, parseExpression, evaluateExpression } = require('./template-engine');
+
+const MANIFEST_FILE = 'template.json';
+
+const patternSchema = {
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+  ]
+};
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          include: patternSchema,
+          exclude: patternSchema,
+          when: { type: 'string', minLength: 1 }
+        },
+        oneOf: [
+          { required: ['include'], not: { required: ['exclude'] } },
+          { required: ['exclude'], not: { required: ['include'] } }
+        ],
+        additionalProperties: false
+      }
+    },
+    rename: {
+      type: 'object',
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    ignore: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    },
+    partials: { type: 'string', minLength: 1 },
+    assistant: { type: 'string', minLength: 1 },
+    specs: { type: 'string', minLength: 1 },
+    hooks: {
+      type: 'object',
+      properties: {
+        preGenerate: { type: 'string', minLength: 1 },
+        postGenerate: { type: 'string', minLength: 1 },
+        postInstall: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: true
+};
+
+/**
+ * Error raised for invalid manifests or rules that cannot be applied
+ */
+class TemplateManifestError extends Error {
+  constructor(message, manifestPath = null, details = null) {
+    super(manifestPath ? `${message} (${manifestPath})` : message);
+    this.name = 'TemplateManifestError';
+    this.manifestPath = manifestPath;
+    this.details = details;
+    this.isTemplateManifestError = true;
+  }
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `**`, `*`, `?` and `{a,b}`; patterns without a slash match at any depth.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching relative POSIX paths
+ */
+function globToRegExp(pattern) {
+  let normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (normalized.endsWith('/')) {
+    normalized += '**';
+  }
+  const anyDepth = !normalized.includes('/');
+
+  let source = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      if (normalized[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = normalized.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+      } else {
+        const options = normalized.slice(i + 1, close).split(',')
+          .map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+        source += `(?:${options.join('|')})`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${anyDepth ? '(?:.*/)?' : ''}${source}$`);
+}
+
+/**
+ * Check whether a relative path matches a pattern. A pattern without glob characters
+ * also matches everything below it when it names a directory.
+ * @param {string} relativePath - Relative POSIX path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+function matchesPattern(relativePath, pattern) {
+  const normalizedPath = relativePath.split(path.sep).join('/');
+  if (globToRegExp(pattern).test(normalizedPath)) {
+    return true;
+  }
+  if (!/[*?{]/.test(pattern)) {
+    const prefix = pattern.replace(/\/+$/, '').replace(/^\.\//, '');
+    return normalizedPath.startsWith(`${prefix}/`);
+  }
+  return false;
+}
+
+/**
+ * TemplateManifest class
+ */
+class TemplateManifest {
+  /**
+   * Create a new manifest
+   * @param {Object} data - Manifest contents
+   * @param {string|null} manifestPath - Path the manifest was loaded from
+   * @throws {TemplateManifestError} If the manifest is invalid
+   */
+  constructor(data = {}, manifestPath = null) {
+    this.data = data;
+    this.manifestPath = manifestPath;
+
+    const validation = TemplateManifest.validate(data);
+    if (!validation.isValid) {
+      throw new TemplateManifestError(
+        `Invalid template manifest: ${validation.errors.join(', ')}`,
+        manifestPath,
+        { errors: validation.errors }
+      );
+    }
+
+    this.rules = (data.files || []).map((rule, index) => {
+      const patterns = [].concat(rule.include || rule.exclude);
+      let condition = null;
+      if (rule.when) {
+        try {
+          condition = parseExpression(rule.when);
+        } catch (error) {
+          throw new TemplateManifestError(
+            `Invalid condition in files[${index}]: ${error.message}`,
+            manifestPath,
+            { rule: index }
+          );
+        }
+      }
+      return { index, type: rule.include ? 'include' : 'exclude', patterns, condition, when: rule.when || null };
+    });
+    this.renames = data.rename || {};
+    this.ignore = data.ignore || [];
+    this.partialsDir = data.partials || '_partials';
+    this.assistantDir = data.assistant || '_assistant';
+    this.specsDir = data.specs || '_specs';
+    this.hooks = data.hooks || {};
+    this.engine = new TemplateEngine();
+  }
+
+  /**
+   * Validate manifest contents against the manifest schema
+   * @param {Object} data - Manifest contents
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  static validate(data) {
+    const ajv = new Ajv({ allErrors: true });
+    const validate = ajv.compile(MANIFEST_SCHEMA);
+    const isValid = validate(data);
+
+    return {
+      isValid,
+      errors: isValid ? [] : validate.errors.map(error => `${error.instancePath || 'manifest'} ${error.message}`)
+    };
+  }
+
+  /**
+   * Load the manifest of a template directory; templates without one get an empty manifest
+   * @param {string} templateDir - Template root directory
+   * @returns {Promise<TemplateManifest>} Manifest
+   * @throws {TemplateManifestError} If the manifest cannot be parsed or is invalid
+   */
+  static async load(templateDir) {
+    const manifestPath = path.join(templateDir, MANIFEST_FILE);
+
+    if (!await fs.pathExists(manifestPath)) {
+      return new TemplateManifest({}, null);
+    }
+
+    let data;
+    try {
+      data = await fs.readJson(manifestPath);
+    } catch (error) {
+      throw new TemplateManifestError(`Failed to parse template manifest: ${error.message}`, manifestPath);
+    }
+
+    return new TemplateManifest(data, manifestPath);
+  }
+
+  /**
+   * Whether the manifest declares any rules
+   * @returns {boolean} True if a manifest file was found
+   */
+  exists() {
+    return this.manifestPath !== null;
+  }
+
+  /**
+   * Check whether a template file should be part of the generated project
+   * @param {string} relativePath - Path relative to the template root
+   * @param {Object} answers - Configuration answers
+   * @returns {boolean} True if the file is included
+   */
+  isIncluded(relativePath, answers = {}) {
+    const normalizedPath = relativePath.split(path.sep).join('/');
+
+    if (normalizedPath === MANIFEST_FILE || this.isHookScript(normalizedPath)) {
+      return false;
+    }
+
+    if (this.ignore.some(pattern => matchesPattern(normalizedPath, pattern))) {
+      return false;
+    }
+
+    return this.rules.every(rule => {
+      if (!rule.patterns.some(pattern => matchesPattern(normalizedPath, pattern))) {
+        return true;
+      }
+      const conditionMet = rule.condition ? this.evaluateRule(rule, answers) : true;
+      return rule.type === 'include' ? conditionMet : !conditionMet;
+    });
+  }
+
+  /**
+   * Get the script path of a lifecycle hook
+   * @param {string} name - Hook name (preGenerate, postGenerate, postInstall)
+   * @returns {string|null} Script path relative to the template root
+   */
+  getHook(name) {
+    return this.hooks[name] || null;
+  }
+
+  /**
+   * Whether a template file is a hook script (hook scripts are never copied into projects)
+   * @param {string} relativePath - Path relative to the template root
+   * @returns {boolean} True for hook scripts
+   */
+  isHookScript(relativePath) {
+    return Object.values(this.hooks)
+      .some(hookPath => path.posix.normalize(hookPath.replace(/\\/g, '/')) === relativePath);
+  }
+
+  /**
+   * Evaluate a rule condition
+   * @private
+   * @param {Object} rule - Parsed rule
+   * @param {Object} answers - Configuration answers
+   * @returns {boolean} Condition result
+   */
+  evaluateRule(rule, answers) {
+    try {
+      const value = evaluateExpression(rule.condition, answers);
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    } catch (error) {
+      throw new TemplateManifestError(
+        `Failed to evaluate condition "${rule.when}" in files[${rule.index}]: ${error.message}`,
+        this.manifestPath,
+        { rule: rule.index }
+      );
+    }
+  }
+
+  /**
+   * Get the path a template file is written to in the generated project
+   * @param {string} relativePath - Path relative to the template root
+   * @param {Object} answers - Configuration answers, used to render templated names
+   * @returns {string} Target path relative to the project root
+   * @throws {TemplateManifestError} If the renamed path escapes the project directory
+   */
+  getTargetPath(relativePath, answers = {}) {
+    const segments = relativePath.split(path.sep).join('/').split('/');
+    let target = null;
+
+    // Exact path or directory prefix renames take precedence over file name renames
+    const fullPath = segments.join('/');
+    for (let i = segments.length; i > 0 && target === null; i--) {
+      const prefix = segments.slice(0, i).join('/');
+      if (Object.prototype.hasOwnProperty.call(this.renames, prefix)) {
+        target = [this.renames[prefix], ...segments.slice(i)].join('/');
+      }
+    }
+
+    if (target === null) {
+      target = segments
+        .map(segment => (Object.prototype.hasOwnProperty.call(this.renames, segment) ? this.renames[segment] : segment))
+        .join('/');
+    }
+
+    if (this.engine.hasTemplateSyntax(target)) {
+      target = this.engine.render(target, answers, { filename: `${MANIFEST_FILE} rename of ${fullPath}` });
+    }
+
+    const normalized = path.posix.normalize(target);
+    if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+      throw new TemplateManifestError(`Rename of "${fullPath}" escapes the project directory: ${target}`, this.manifestPath);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Apply the manifest to a list of template files
+   * @param {Array<string>} files - Paths relative to the template root
+   * @param {Object} answers - Configuration answers
+   * @returns {Array<Object>} Included files as { source, target }
+   */
+  resolveFiles(files, answers = {}) {
+    const skippedPrefixes = [this.partialsDir, this.assistantDir, this.specsDir].map(dir => `${dir.replace(/\/+$/, '')}/`);
+
+    return files
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => !skippedPrefixes.some(prefix => file.startsWith(prefix)))
+      .filter(file => this.isIncluded(file, answers))
+      .map(file => ({ source: file, target: this.getTargetPath(file, answers) }));
+  }
+
+  /**
+   * List all files of a template directory relative to its root
+   * @param {string} templateDir - Template root directory
+   * @param {Object} options - Listing options
+   * @param {Array<string>} options.skipDirectories - Directory names never descended into
+   * @returns {Promise<Array<string>>} Relative POSIX paths
+   */
+  static async listFiles(templateDir, options = {}) {
+    const skipDirectories = options.skipDirectories || ['node_modules', '.git'];
+    const files = [];
+
+    const walk = async(dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!skipDirectories.includes(entry.name)) {
+            await walk(entryPath);
+          }
+        } else {
+          files.push(path.relative(templateDir, entryPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(templateDir);
+    return files.sort();
+  }
+}
+
+module.exports = {
+  TemplateManifest,
+  TemplateManifestError,
+  MANIFEST_FILE,
+  globToRegExp,
+  matchesPattern
+};
@@ -0,0 +1,273 @@
+/**
+ * Three-way merge
+ * Line-based diff3 merge used by `update` to combine template changes with local edits.
+ *
+ * - `base` is what the old template version generated,
+ * - `ours` is the file in the user's working tree,
+ * - `theirs` is what the new template version generates.
+ *
+ * Changes made on only one side are applied; identical changes on both sides are applied
+ * once; overlapping different changes produce a conflict marked the way git does:
+ *
+ *   <<<<<<< ours
+ *   local lines
+ *   =======
+ *   template lines
+ *   >>>>>>> theirs
+ */
+
+const MARKER_SIZE = 7;
+
+/**
+ * Split text into lines, keeping line terminators
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Compute the longest common subsequence of two line arrays (Myers' O(ND) algorithm, in its
+ * linear-space form: the middle snake of the edit path splits the problem in two, so memory
+ * stays proportional to the input even when both files were rewritten)
+ * @param {Array<string>} a - First sequence
+ * @param {Array<string>} b - Second sequence
+ * @returns {Array<Array<number>>} Matching index pairs [indexInA, indexInB] in order
+ */
+function findMatches(a, b) {
+  const matches = [];
+  const offset = a.length + b.length + 1;
+  const forward = new Int32Array((2 * offset) + 1);
+  const backward = new Int32Array((2 * offset) + 1);
+
+  // Find where the forward and backward edit paths of a[aStart, aEnd) and b[bStart, bEnd)
+  // meet; both ranges are non-empty and differ at their first and last lines
+  const middleSnake = (aStart, aEnd, bStart, bEnd) => {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) === 1;
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+
+    for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+        if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+          return { x: aStart + startX, y: bStart + startY, u: aStart + x, v: bStart + y };
+        }
+      }
+
+      // Backward paths run over both ranges reversed, so their diagonal k is delta - k forward
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[offset + k] = x;
+        if (!odd && k >= delta - d && k <= delta + d && x + forward[offset + delta - k] >= n) {
+          return { x: aEnd - x, y: bEnd - y, u: aEnd - startX, v: bEnd - startY };
+        }
+      }
+    }
+
+    throw new Error('Diff did not converge');
+  };
+
+  const compare = (aStart, aEnd, bStart, bEnd) => {
+    let start = 0;
+    while (aStart + start < aEnd && bStart + start < bEnd && a[aStart + start] === b[bStart + start]) {
+      matches.push([aStart + start, bStart + start]);
+      start++;
+    }
+    let end = 0;
+    while (aEnd - end > aStart + start && bEnd - end > bStart + start && a[aEnd - end - 1] === b[bEnd - end - 1]) {
+      end++;
+    }
+
+    if (aStart + start < aEnd - end && bStart + start < bEnd - end) {
+      const snake = middleSnake(aStart + start, aEnd - end, bStart + start, bEnd - end);
+      compare(aStart + start, snake.x, bStart + start, snake.y);
+      for (let i = 0; i < snake.u - snake.x; i++) {
+        matches.push([snake.x + i, snake.y + i]);
+      }
+      compare(snake.u, aEnd - end, snake.v, bEnd - end);
+    }
+
+    for (let i = end; i > 0; i--) {
+      matches.push([aEnd - i, bEnd - i]);
+    }
+  };
+
+  compare(0, a.length, 0, b.length);
+  return matches;
+}
+
+/**
+ * Compute the changed regions between a base and a modified sequence
+ * @param {Array<string>} base - Base lines
+ * @param {Array<string>} changed - Changed lines
+ * @returns {Array<Object>} Hunks { baseStart, baseEnd, start, end } (end-exclusive)
+ */
+function diffHunks(base, changed) {
+  const hunks = [];
+  let baseIndex = 0;
+  let changedIndex = 0;
+
+  for (const [matchBase, matchChanged] of [...findMatches(base, changed), [base.length, changed.length]]) {
+    if (matchBase > baseIndex || matchChanged > changedIndex) {
+      hunks.push({ baseStart: baseIndex, baseEnd: matchBase, start: changedIndex, end: matchChanged });
+    }
+    baseIndex = matchBase + 1;
+    changedIndex = matchChanged + 1;
+  }
+
+  return hunks;
+}
+
+/**
+ * Get the lines one side has in place of a base region
+ * @private
+ * @param {Array<string>} lines - Side lines
+ * @param {Array<string>} base - Base lines
+ * @param {Array<Object>} hunks - The side's hunks within the region
+ * @param {number} regionStart - Region start in base
+ * @param {number} regionEnd - Region end in base
+ * @returns {Array<string>} Side lines for the region
+ */
+function sideRegion(lines, base, hunks, regionStart, regionEnd) {
+  if (hunks.length === 0) {
+    return base.slice(regionStart, regionEnd);
+  }
+  const first = hunks[0];
+  const last = hunks[hunks.length - 1];
+  return lines.slice(first.start - (first.baseStart - regionStart), last.end + (regionEnd - last.baseEnd));
+}
+
+/**
+ * Make sure a block ends with a newline so a conflict marker starts on its own line
+ * @private
+ * @param {Array<string>} lines - Lines
+ * @returns {Array<string>} Lines ending with a newline
+ */
+function terminate(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) {
+    return lines;
+  }
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`];
+}
+
+/**
+ * Merge two sets of changes to a common base
+ * @param {string} base - Common ancestor content
+ * @param {string} ours - Local content
+ * @param {string} theirs - Incoming content
+ * @param {Object} options - Merge options
+ * @param {string} options.oursLabel - Label after the `<<<<<<<` marker
+ * @param {string} options.theirsLabel - Label after the `>>>>>>>` marker
+ * @returns {Object} Result { content, conflicts, clean }
+ */
+function mergeText(base, ours, theirs, options = {}) {
+  const { oursLabel = 'ours', theirsLabel = 'theirs' } = options;
+
+  if (ours === theirs || theirs === base) {
+    return { content: ours, conflicts: 0, clean: true };
+  }
+  if (ours === base) {
+    return { content: theirs, conflicts: 0, clean: true };
+  }
+
+  const baseLines = splitLines(base);
+  const oursLines = splitLines(ours);
+  const theirsLines = splitLines(theirs);
+
+  const hunks = [
+    ...diffHunks(baseLines, oursLines).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...diffHunks(baseLines, theirsLines).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((left, right) => left.baseStart - right.baseStart || left.baseEnd - right.baseEnd);
+
+  const output = [];
+  let conflicts = 0;
+  let basePosition = 0;
+  let index = 0;
+
+  while (index < hunks.length) {
+    const regionStart = hunks[index].baseStart;
+    let regionEnd = hunks[index].baseEnd;
+    let next = index + 1;
+
+    // Group hunks whose base ranges overlap or touch
+    while (next < hunks.length && hunks[next].baseStart <= regionEnd) {
+      regionEnd = Math.max(regionEnd, hunks[next].baseEnd);
+      next++;
+    }
+
+    const group = hunks.slice(index, next);
+    output.push(...baseLines.slice(basePosition, regionStart));
+
+    const oursRegion = sideRegion(oursLines, baseLines, group.filter(hunk => hunk.side === 'ours'), regionStart, regionEnd);
+    const theirsRegion = sideRegion(theirsLines, baseLines, group.filter(hunk => hunk.side === 'theirs'), regionStart, regionEnd);
+
+    if (group.every(hunk => hunk.side === 'ours')) {
+      output.push(...oursRegion);
+    } else if (group.every(hunk => hunk.side === 'theirs')) {
+      output.push(...theirsRegion);
+    } else if (oursRegion.join('') === theirsRegion.join('')) {
+      output.push(...oursRegion);
+    } else {
+      conflicts++;
+      output.push(
+        `${'<'.repeat(MARKER_SIZE)} ${oursLabel}\n`,
+        ...terminate(oursRegion),
+        `${'='.repeat(MARKER_SIZE)}\n`,
+        ...terminate(theirsRegion),
+        `${'>'.repeat(MARKER_SIZE)} ${theirsLabel}\n`
+      );
+    }
+
+    basePosition = regionEnd;
+    index = next;
+  }
+
+  output.push(...baseLines.slice(basePosition));
+
+  return { content: output.join(''), conflicts, clean: conflicts === 0 };
+}
+
+/**
+ * Check whether content contains conflict markers
+ * @param {string} content - File content
+ * @returns {boolean} True if conflict markers are present
+ */
+function hasConflictMarkers(content) {
+  const marker = new RegExp(`^(${'<'.repeat(MARKER_SIZE)}|${'>'.repeat(MARKER_SIZE)})( |$)`, 'm');
+  return marker.test(content);
+}
+
+module.exports = {
+  mergeText,
+  diffHunks,
+  findMatches,
+  splitLines,
+  hasConflictMarkers
+};
@@ -0,0 +1,427 @@
+/**
+ * Trust Store
+ * A local keyring of ed25519 public keys trusted to sign templates, and the trust policy
+ * (the `trust` section of the CLI configuration) saying which templates must be signed:
+ *
+ *   { "trust": { "requireSignatures": {
+ *       "scopes": ["@xagi"],
+ *       "registries": ["https://registry.npmjs.org"],
+ *       "repositories": ["github.com/xagi"] } } }
+ *
+ * Signatures are detached JSON documents { algorithm: 'ed25519', keyId, signature (base64) }.
+ * Template tarballs are signed as-is and the signature is published next to the tarball
+ * with a `.sig` suffix. Git tags are signed over tagSignaturePayload() and the signature is
+ * embedded in the annotated tag message between TAG_SIGNATURE_BEGIN and TAG_SIGNATURE_END.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { simpleGit } = require('simple-git');
+const { CONFIG_DIR, readCliConfig } = require('./cli-config');
+
+const DEFAULT_KEYRING_PATH = path.join(CONFIG_DIR, 'trust', 'keyring.json');
+const KEYRING_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'ed25519';
+const SIGNATURE_EXTENSION = '.sig';
+const TAG_SIGNATURE_BEGIN = '-----BEGIN XAGI TEMPLATE SIGNATURE-----';
+const TAG_SIGNATURE_END = '-----END XAGI TEMPLATE SIGNATURE-----';
+
+/**
+ * Error raised for invalid keys, and missing or untrusted signatures
+ */
+class TrustError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'TrustError';
+    this.code = code;
+    this.details = details;
+    this.isTrustError = true;
+  }
+}
+
+/**
+ * Parse an ed25519 public key
+ * @param {string|Buffer|crypto.KeyObject} publicKey - PEM encoded key or key object
+ * @returns {crypto.KeyObject} Public key
+ * @throws {TrustError} If the key is not an ed25519 public key
+ */
+function parsePublicKey(publicKey) {
+  let key;
+  try {
+    key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+  } catch (error) {
+    throw new TrustError(`Invalid public key: ${error.message}`, 'KEY_INVALID');
+  }
+
+  if (key.type !== 'public' || key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new TrustError(`Only ${SIGNATURE_ALGORITHM} public keys are supported`, 'KEY_INVALID');
+  }
+  return key;
+}
+
+/**
+ * Compute a key id: the first 16 hex characters of the SHA-256 of the SPKI encoding
+ * @param {string|Buffer|crypto.KeyObject} publicKey - Public key
+ * @returns {string} Key id
+ */
+function getKeyId(publicKey) {
+  const der = parsePublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign data with an ed25519 private key
+ * @param {Buffer|string} data - Data to sign
+ * @param {string|Buffer|crypto.KeyObject} privateKey - PEM encoded private key or key object
+ * @returns {Object} Signature { algorithm, keyId, signature }
+ */
+function signData(data, privateKey) {
+  const key = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+  if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new TrustError(`Only ${SIGNATURE_ALGORITHM} private keys are supported`, 'KEY_INVALID');
+  }
+
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: getKeyId(crypto.createPublicKey(key)),
+    signature: crypto.sign(null, Buffer.from(data), key).toString('base64')
+  };
+}
+
+/**
+ * Parse a detached signature document
+ * @param {string|Buffer|Object} signature - Signature JSON or parsed signature
+ * @returns {Object} Signature { algorithm, keyId, signature }
+ * @throws {TrustError} If the document is malformed
+ */
+function parseSignature(signature) {
+  let parsed = signature;
+  if (typeof signature === 'string' || Buffer.isBuffer(signature)) {
+    try {
+      parsed = JSON.parse(signature.toString());
+    } catch (error) {
+      throw new TrustError(`Malformed signature: ${error.message}`, 'SIGNATURE_INVALID');
+    }
+  }
+
+  if (!parsed || parsed.algorithm !== SIGNATURE_ALGORITHM || !parsed.keyId || !parsed.signature) {
+    throw new TrustError(
+      `Malformed signature: expected { algorithm: '${SIGNATURE_ALGORITHM}', keyId, signature }`,
+      'SIGNATURE_INVALID'
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Build the payload signed for a git tag
+ * @param {string} tag - Tag name
+ * @param {string} commit - Full commit hash the tag points to
+ * @returns {string} Payload
+ */
+function tagSignaturePayload(tag, commit) {
+  return `xagi-template-tag\ntag ${tag}\ncommit ${commit}\n`;
+}
+
+/**
+ * Format a signature as a block to embed in an annotated tag message
+ * @param {Object} signature - Signature { algorithm, keyId, signature }
+ * @returns {string} Signature block
+ */
+function formatTagSignature(signature) {
+  return `${TAG_SIGNATURE_BEGIN}\n${JSON.stringify(signature)}\n${TAG_SIGNATURE_END}\n`;
+}
+
+/**
+ * Extract the signature block from an annotated tag message
+ * @param {string} message - Tag message
+ * @returns {Object|null} Signature, or null if the message has no signature block
+ */
+function extractTagSignature(message) {
+  const start = message.indexOf(TAG_SIGNATURE_BEGIN);
+  const end = message.indexOf(TAG_SIGNATURE_END);
+  if (start === -1 || end < start) {
+    return null;
+  }
+  return parseSignature(message.slice(start + TAG_SIGNATURE_BEGIN.length, end).trim());
+}
+
+/**
+ * Normalize a git URL to host/path form (https://github.com/xagi/t.git -> github.com/xagi/t)
+ * @param {string} url - Git URL or host/path prefix
+ * @returns {string} Normalized location
+ */
+function normalizeRepository(url) {
+  return String(url)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/^([^/:]+):(?!\d)/, '$1/')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Normalize a registry URL for prefix matching
+ * @param {string} url - Registry URL
+ * @returns {string} Normalized URL
+ */
+function normalizeRegistry(url) {
+  return String(url).trim().toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Find the policy rule requiring a template to be signed
+ * @param {Object} policy - Trust policy ({ requireSignatures: { scopes, registries, repositories } })
+ * @param {Object} source - { packageName, registry } for npm templates, { repository } for git templates
+ * @returns {string|null} Description of the matching rule, or null if no signature is required
+ */
+function matchTrustPolicy(policy = {}, source = {}) {
+  const rules = (policy && policy.requireSignatures) || {};
+
+  if (source.packageName && source.packageName.startsWith('@')) {
+    const scope = source.packageName.split('/')[0];
+    if ((rules.scopes || []).includes(scope)) {
+      return `scope ${scope}`;
+    }
+  }
+
+  if (source.registry) {
+    const registry = normalizeRegistry(source.registry);
+    const match = (rules.registries || []).find(entry => registry === normalizeRegistry(entry) ||
+      registry.startsWith(`${normalizeRegistry(entry)}/`));
+    if (match) {
+      return `registry ${match}`;
+    }
+  }
+
+  if (source.repository) {
+    const repository = normalizeRepository(source.repository);
+    const match = (rules.repositories || []).find(entry => repository === normalizeRepository(entry) ||
+      repository.startsWith(`${normalizeRepository(entry)}/`));
+    if (match) {
+      return `repository ${match}`;
+    }
+  }
+
+  return null;
+}
+
+class TrustStore {
+  /**
+   * @param {Object} options - Trust store options
+   * @param {string} options.keyringPath - Keyring file (defaults to ~/.xagi/create-ai-project/trust/keyring.json)
+   * @param {Object} options.policy - Trust policy (defaults to the `trust` section of the CLI configuration)
+   */
+  constructor(options = {}) {
+    this.keyringPath = options.keyringPath || DEFAULT_KEYRING_PATH;
+    this.policy = options.policy || null;
+    this.data = null;
+  }
+
+  /**
+   * Load the keyring from disk; a missing file is an empty keyring
+   * @returns {Promise<Object>} { version, keys }
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!await fs.pathExists(this.keyringPath)) {
+      this.data = { version: KEYRING_VERSION, keys: [] };
+      return this.data;
+    }
+
+    try {
+      const data = await fs.readJson(this.keyringPath);
+      if (!Array.isArray(data.keys)) {
+        throw new Error('missing keys');
+      }
+      this.data = data;
+      return this.data;
+    } catch (error) {
+      throw new TrustError(`Invalid keyring ${this.keyringPath}: ${error.message}`, 'KEYRING_INVALID');
+    }
+  }
+
+  /**
+   * Write the keyring to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.keyringPath));
+    await fs.writeJson(this.keyringPath, this.data, { spaces: 2 });
+  }
+
+  /**
+   * Add a trusted public key
+   * @param {string|Buffer} publicKey - PEM encoded ed25519 public key
+   * @param {Object} options - { name }
+   * @returns {Promise<Object>} Key record { id, name, publicKey, addedAt, revokedAt }
+   * @throws {TrustError} If the key is invalid, already trusted or was revoked
+   */
+  async addKey(publicKey, options = {}) {
+    const data = await this.load();
+    const key = parsePublicKey(publicKey);
+    const id = getKeyId(key);
+
+    const existing = data.keys.find(entry => entry.id === id);
+    if (existing) {
+      throw new TrustError(
+        existing.revokedAt ? `Key ${id} was revoked on ${existing.revokedAt}` : `Key ${id} is already trusted`,
+        existing.revokedAt ? 'KEY_REVOKED' : 'KEY_EXISTS'
+      );
+    }
+
+    const record = {
+      id,
+      name: options.name || id,
+      publicKey: key.export({ type: 'spki', format: 'pem' }),
+      addedAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    data.keys.push(record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * List keys in the keyring
+   * @param {Object} options - { includeRevoked: true }
+   * @returns {Promise<Array<Object>>} Key records
+   */
+  async listKeys(options = {}) {
+    const { keys } = await this.load();
+    return options.includeRevoked === false ? keys.filter(key => !key.revokedAt) : keys;
+  }
+
+  /**
+   * Revoke a key; revoked keys stay in the keyring so they cannot be re-added by mistake
+   * @param {string} keyId - Key id, or a unique prefix of it
+   * @returns {Promise<Object>} Revoked key record
+   * @throws {TrustError} If no single key matches
+   */
+  async revokeKey(keyId) {
+    const data = await this.load();
+    const matches = data.keys.filter(key => key.id.startsWith(keyId));
+    if (!keyId || matches.length !== 1) {
+      throw new TrustError(
+        matches.length > 1 ? `Key id ${keyId} is ambiguous` : `Key ${keyId} not found`,
+        'KEY_NOT_FOUND'
+      );
+    }
+
+    const [key] = matches;
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return key;
+  }
+
+  /**
+   * Get the trust policy
+   * @returns {Promise<Object>} Trust policy
+   */
+  async getPolicy() {
+    if (!this.policy) {
+      this.policy = (await readCliConfig()).trust || {};
+    }
+    return this.policy;
+  }
+
+  /**
+   * Check whether the trust policy requires a template to be signed
+   * @param {Object} source - See matchTrustPolicy()
+   * @returns {Promise<string|null>} Description of the matching rule, or null
+   */
+  async requiresSignature(source) {
+    return matchTrustPolicy(await this.getPolicy(), source);
+  }
+
+  /**
+   * Verify a detached signature against the keyring
+   * @param {Buffer|string} data - Signed data
+   * @param {string|Buffer|Object} signature - Signature document
+   * @returns {Promise<Object>} { keyId, name }
+   * @throws {TrustError} If the key is unknown or revoked, or the signature does not match
+   */
+  async verify(data, signature) {
+    const parsed = parseSignature(signature);
+    const { keys } = await this.load();
+    const key = keys.find(entry => entry.id === parsed.keyId);
+
+    if (!key) {
+      throw new TrustError(`Signed by untrusted key ${parsed.keyId}`, 'KEY_UNKNOWN', { keyId: parsed.keyId });
+    }
+    if (key.revokedAt) {
+      throw new TrustError(
+        `Signed by key ${key.id} (${key.name}), which was revoked on ${key.revokedAt}`,
+        'KEY_REVOKED',
+        { keyId: key.id }
+      );
+    }
+
+    const valid = crypto.verify(null, Buffer.from(data), key.publicKey, Buffer.from(parsed.signature, 'base64'));
+    if (!valid) {
+      throw new TrustError(`Signature does not match key ${key.id} (${key.name})`, 'SIGNATURE_INVALID', { keyId: key.id });
+    }
+
+    return { keyId: key.id, name: key.name };
+  }
+
+  /**
+   * Verify the signature embedded in an annotated tag of a cloned repository
+   * @param {string} repoPath - Repository path
+   * @param {string} tag - Tag name
+   * @returns {Promise<Object>} { keyId, name, tag, commit }
+   * @throws {TrustError} If the tag is missing, unsigned, or the signature is not trusted
+   */
+  async verifyGitTag(repoPath, tag) {
+    if (!tag) {
+      throw new TrustError('Signed git templates must be requested by tag', 'SIGNATURE_MISSING');
+    }
+
+    const git = simpleGit(repoPath);
+    const ref = `refs/tags/${tag}`;
+    const [type, message, commit] = await Promise.all([
+      git.raw(['for-each-ref', '--format=%(objecttype)', ref]),
+      git.raw(['for-each-ref', '--format=%(contents)', ref]),
+      git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).catch(() => '')
+    ]);
+
+    if (type.trim() !== 'tag' || !commit.trim()) {
+      throw new TrustError(`Tag ${tag} is not an annotated tag in the repository`, 'SIGNATURE_MISSING');
+    }
+
+    const signature = extractTagSignature(message);
+    if (!signature) {
+      throw new TrustError(`Tag ${tag} is not signed`, 'SIGNATURE_MISSING');
+    }
+
+    const head = (await git.revparse(['HEAD'])).trim();
+    if (head !== commit.trim()) {
+      throw new TrustError(`Checked out commit ${head} is not the commit tagged ${tag}`, 'SIGNATURE_INVALID');
+    }
+
+    const result = await this.verify(tagSignaturePayload(tag, commit.trim()), signature);
+    return { ...result, tag, commit: commit.trim() };
+  }
+}
+
+module.exports = {
+  TrustStore,
+  TrustError,
+  DEFAULT_KEYRING_PATH,
+  SIGNATURE_EXTENSION,
+  getKeyId,
+  signData,
+  parseSignature,
+  tagSignaturePayload,
+  formatTagSignature,
+  extractTagSignature,
+  matchTrustPolicy
+};
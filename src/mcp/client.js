@@ -0,0 +1,172 @@
+/**
+ * In-process MCP Client
+ * Talks to an McpServer through in-memory streams with the same line framing as stdio, so tools
+ * can be listed and called without spawning `create-ai-project mcp`.
+ *
+ *   const client = new McpClient(new McpServer({ templateManager, projectService, cacheManager }));
+ *   await client.initialize();
+ *   const result = await client.callTool('create_project', { templateId, projectName, dryRun: true });
+ *   await client.close();
+ *
+ * Notifications from the server are emitted as `notification` events with the message, and as
+ * events named after their method with the params.
+ */
+
+const readline = require('readline');
+const { PassThrough } = require('stream');
+const { EventEmitter } = require('events');
+const { McpError, PROTOCOL_VERSIONS } = require('./server');
+
+class McpClient extends EventEmitter {
+  /**
+   * @param {McpServer} server - Server to connect to
+   */
+  constructor(server) {
+    super();
+    this.requests = new PassThrough();
+    this.responses = new PassThrough();
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.served = server.listen(this.requests, this.responses);
+    readline.createInterface({ input: this.responses, crlfDelay: Infinity })
+      .on('line', line => this.handleResponse(JSON.parse(line)));
+  }
+
+  /**
+   * Settle the request a response answers, or emit a notification
+   * @param {Object|Array<Object>} response - Response, batch of responses or notification
+   * @private
+   */
+  handleResponse(response) {
+    if (Array.isArray(response)) {
+      response.forEach(entry => this.handleResponse(entry));
+      return;
+    }
+
+    if (typeof response.method === 'string') {
+      this.emit('notification', response);
+      this.emit(response.method, response.params || {});
+      return;
+    }
+
+    const request = this.pending.get(response.id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(response.id);
+
+    if (response.error) {
+      request.reject(new McpError(response.error.message, response.error.code, response.error.data || null));
+    } else {
+      request.resolve(response.result);
+    }
+  }
+
+  /**
+   * Send a request
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   * @returns {Promise<Object>} Result
+   * @throws {McpError} With the JSON-RPC error code if the server answers with an error
+   */
+  request(method, params = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a notification
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   */
+  notify(method, params = {}) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Write a message to the server
+   * @param {Object} message - JSON-RPC message
+   * @private
+   */
+  send(message) {
+    this.requests.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Run the initialize handshake
+   * @param {Object} clientInfo - { name, version }
+   * @returns {Promise<Object>} Server capabilities and info
+   */
+  async initialize(clientInfo = { name: 'in-process', version: '1.0.0' }) {
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSIONS[0],
+      capabilities: {},
+      clientInfo
+    });
+    this.notify('notifications/initialized');
+    return result;
+  }
+
+  /**
+   * List the server's tools
+   * @returns {Promise<Array<Object>>} { name, description, inputSchema }
+   */
+  async listTools() {
+    return (await this.request('tools/list')).tools;
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} { content, structuredContent } or { content, isError }
+   */
+  callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  /**
+   * List readable resources
+   * @param {string} cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { resources, nextCursor }
+   */
+  listResources(cursor = null) {
+    return this.request('resources/list', cursor ? { cursor } : {});
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Array<Object>>} Contents, { uri, mimeType, text } or { uri, mimeType, blob }
+   */
+  async readResource(uri) {
+    return (await this.request('resources/read', { uri })).contents;
+  }
+
+  /**
+   * Get notifications/resources/updated for a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} Empty result
+   */
+  subscribe(uri) {
+    return this.request('resources/subscribe', { uri });
+  }
+
+  /**
+   * Disconnect, after the server has answered every request
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.requests.end();
+    await this.served;
+    this.responses.end();
+  }
+}
+
+module.exports = {
+  McpClient
+};
@@ -0,0 +1,31 @@
+/**
+ * MCP Errors
+ * JSON-RPC error codes and the error the server answers with
+ */
+
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * JSON-RPC error, `code` is one of ERROR_CODES
+ */
+class McpError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.details = details;
+    this.isMcpError = true;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  McpError
+};
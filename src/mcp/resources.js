@@ -0,0 +1,381 @@
+/**
+ * MCP Resources
+ * Template sources and generated projects as readable resources:
+ *
+ *   template://<templateId>@<version>/<path>   a file of a template in the CacheManager cache
+ *   project://<projectId>/<path>               a file of a project created through create_project
+ *
+ * Reading a template that is not cached downloads it with TemplateManager and caches it. A URI
+ * without a path, or naming a directory, reads as the JSON file list of that directory. Hidden
+ * files and node_modules are neither listed nor readable, as in TemplateManager.getTemplateFileList.
+ *
+ * Emits `listChanged` when cache entries or projects come and go, and `updated` with a URI prefix
+ * when the files below it may have changed, so the server can notify subscribers.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const CacheStore = require('../models/cache');
+const { McpError, ERROR_CODES } = require('./errors');
+
+const TEMPLATE_SCHEME = 'template://';
+const PROJECT_SCHEME = 'project://';
+
+// Entries per resources/list page
+const PAGE_SIZE = 200;
+
+// Larger files are not served, assistants get the file list instead
+const MAX_RESOURCE_SIZE = 1024 * 1024;
+
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.jsx': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.tsx': 'text/typescript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.vue': 'text/x-vue',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Build the URI of a template file
+ * @param {string} templateId - Template id
+ * @param {string} version - Template version
+ * @param {string} filePath - Path inside the template, '' for the template itself
+ * @returns {string} template:// URI
+ */
+function templateUri(templateId, version, filePath = '') {
+  return `${TEMPLATE_SCHEME}${templateId}@${version}/${filePath}`;
+}
+
+/**
+ * Build the URI of a project file
+ * @param {string} projectId - Project id
+ * @param {string} filePath - Path inside the project, '' for the project itself
+ * @returns {string} project:// URI
+ */
+function projectUri(projectId, filePath = '') {
+  return `${PROJECT_SCHEME}${projectId}/${filePath}`;
+}
+
+/**
+ * Split a resource URI into its parts
+ * @param {string} uri - template:// or project:// URI
+ * @returns {Object} { scheme: 'template', templateId, version, filePath } or { scheme: 'project', projectId, filePath }
+ * @throws {McpError} If the URI is not a template or project URI
+ */
+function parseResourceUri(uri) {
+  const invalid = () => new McpError(`Invalid resource URI: ${uri}`, ERROR_CODES.INVALID_PARAMS);
+  if (typeof uri !== 'string') {
+    throw invalid();
+  }
+
+  if (uri.startsWith(TEMPLATE_SCHEME)) {
+    const rest = uri.slice(TEMPLATE_SCHEME.length);
+    // Scoped template ids start with '@', the version follows the next one
+    const at = rest.indexOf('@', 1);
+    if (at <= 0) {
+      throw invalid();
+    }
+    const remainder = rest.slice(at + 1);
+    const slash = remainder.indexOf('/');
+    const version = slash === -1 ? remainder : remainder.slice(0, slash);
+    if (!version) {
+      throw invalid();
+    }
+    return {
+      scheme: 'template',
+      templateId: decodeURIComponent(rest.slice(0, at)),
+      version: decodeURIComponent(version),
+      filePath: slash === -1 ? '' : decodeURIComponent(remainder.slice(slash + 1))
+    };
+  }
+
+  if (uri.startsWith(PROJECT_SCHEME)) {
+    const rest = uri.slice(PROJECT_SCHEME.length);
+    const slash = rest.indexOf('/');
+    const projectId = slash === -1 ? rest : rest.slice(0, slash);
+    if (!projectId) {
+      throw invalid();
+    }
+    return {
+      scheme: 'project',
+      projectId: decodeURIComponent(projectId),
+      filePath: slash === -1 ? '' : decodeURIComponent(rest.slice(slash + 1))
+    };
+  }
+
+  throw invalid();
+}
+
+/**
+ * Convert a relative file system path to URI form
+ * @param {string} filePath - Path from getTemplateFileList()
+ * @returns {string} Path with forward slashes
+ */
+function toUriPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Resolve a path inside a root directory
+ * @param {string} root - Template or project directory
+ * @param {string} filePath - Relative path from the URI
+ * @returns {string|null} Absolute path, or null if it leaves the root or names a hidden file
+ */
+function resolveInside(root, filePath) {
+  const segments = filePath.split('/').filter(Boolean);
+  if (segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) {
+    return null;
+  }
+  const resolved = path.resolve(root, ...segments);
+  return resolved === root || resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Check whether file contents look binary
+ * @param {Buffer} content - File contents
+ * @returns {boolean} True if a NUL byte appears near the start
+ */
+function isBinary(content) {
+  return content.subarray(0, 8000).includes(0);
+}
+
+class McpResources extends EventEmitter {
+  /**
+   * @param {Object} services - Services the resources are backed by
+   * @param {TemplateManager} services.templateManager - Lists template files and downloads uncached templates
+   * @param {CacheManager} services.cacheManager - Cached template paths; its entryUpdated and entryRemoved
+   *   events become resource notifications
+   */
+  constructor({ templateManager, cacheManager }) {
+    super();
+    this.templateManager = templateManager;
+    this.cacheManager = cacheManager;
+    this.projects = new Map();
+
+    this.onEntryUpdated = entry => this.emitChange(templateUri(entry.templateId, entry.version));
+    this.onEntryRemoved = entry => this.emitChange(templateUri(entry.templateId, entry.version));
+    if (typeof cacheManager.on === 'function') {
+      cacheManager.on('entryUpdated', this.onEntryUpdated);
+      cacheManager.on('entryRemoved', this.onEntryRemoved);
+    }
+  }
+
+  /**
+   * Report that the files below a URI may have changed
+   * @param {string} prefix - Template or project URI
+   * @private
+   */
+  emitChange(prefix) {
+    this.emit('listChanged');
+    this.emit('updated', prefix);
+  }
+
+  /**
+   * Make a generated project readable
+   * @param {ProjectInstance} project - Created project, with id, projectName and projectPath
+   * @returns {string} The project's URI
+   */
+  addProject(project) {
+    this.projects.set(project.id, {
+      id: project.id,
+      projectName: project.projectName,
+      projectPath: path.resolve(project.projectPath)
+    });
+    const uri = projectUri(project.id);
+    this.emitChange(uri);
+    return uri;
+  }
+
+  /**
+   * The URI templates clients can fill in
+   * @returns {Array<Object>} { uriTemplate, name, description }
+   */
+  listResourceTemplates() {
+    return [
+      {
+        uriTemplate: `${TEMPLATE_SCHEME}{templateId}@{version}/{path}`,
+        name: 'Template file',
+        description: 'A file of a template; leave the path empty for the template file list'
+      },
+      {
+        uriTemplate: `${PROJECT_SCHEME}{projectId}/{path}`,
+        name: 'Project file',
+        description: 'A file of a project created with create_project; leave the path empty for the project file list'
+      }
+    ];
+  }
+
+  /**
+   * List the files of cached templates and created projects
+   * @param {string} cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { resources: [{ uri, name, mimeType, size }], nextCursor }
+   */
+  async listResources(cursor = null) {
+    const resources = [];
+
+    for (const entry of await this.cacheManager.getAllCacheEntries()) {
+      const files = await this.templateManager.getTemplateFileList(entry.path);
+      for (const file of files) {
+        const filePath = toUriPath(file.path);
+        if (filePath !== CacheStore.PACKAGE_TARBALL) {
+          resources.push(this.describeFile(templateUri(entry.templateId, entry.version, filePath), filePath, file));
+        }
+      }
+    }
+
+    for (const project of this.projects.values()) {
+      const files = await this.templateManager.getTemplateFileList(project.projectPath);
+      for (const file of files) {
+        const filePath = toUriPath(file.path);
+        resources.push(this.describeFile(projectUri(project.id, filePath), filePath, file));
+      }
+    }
+
+    const offset = cursor ? Number.parseInt(cursor, 10) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new McpError(`Invalid cursor: ${cursor}`, ERROR_CODES.INVALID_PARAMS);
+    }
+    const page = { resources: resources.slice(offset, offset + PAGE_SIZE) };
+    if (offset + PAGE_SIZE < resources.length) {
+      page.nextCursor = String(offset + PAGE_SIZE);
+    }
+    return page;
+  }
+
+  /**
+   * Describe a file in resources/list
+   * @param {string} uri - Resource URI
+   * @param {string} filePath - Path inside the template or project
+   * @param {Object} file - Entry from getTemplateFileList()
+   * @returns {Object} Resource
+   * @private
+   */
+  describeFile(uri, filePath, file) {
+    return {
+      uri,
+      name: filePath,
+      mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'text/plain',
+      size: file.size
+    };
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - template:// or project:// URI
+   * @returns {Promise<Object>} { contents: [{ uri, mimeType, text }] }, or `blob` (base64) for binary files
+   * @throws {McpError} RESOURCE_NOT_FOUND if the template, project or file does not exist
+   */
+  async readResource(uri) {
+    const parsed = parseResourceUri(uri);
+    const root = parsed.scheme === 'template'
+      ? await this.getTemplateRoot(parsed.templateId, parsed.version)
+      : this.getProjectRoot(parsed.projectId);
+
+    const target = resolveInside(root, parsed.filePath);
+    if (!target || !await fs.pathExists(target)) {
+      throw new McpError(`Resource not found: ${uri}`, ERROR_CODES.RESOURCE_NOT_FOUND, { uri });
+    }
+
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+      // The tarball CacheManager keeps next to a template's files is not part of the template
+      const hideTarball = parsed.scheme === 'template' && target === root;
+      const list = (await this.templateManager.getTemplateFileList(target))
+        .map(file => ({ ...file, path: toUriPath(file.path) }))
+        .filter(file => !hideTarball || file.path !== CacheStore.PACKAGE_TARBALL);
+      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(list, null, 2) }] };
+    }
+
+    if (stats.size > MAX_RESOURCE_SIZE) {
+      throw new McpError(`Resource is larger than ${MAX_RESOURCE_SIZE} bytes: ${uri}`, ERROR_CODES.INVALID_PARAMS, { uri, size: stats.size });
+    }
+
+    const content = await fs.readFile(target);
+    const mimeType = MIME_TYPES[path.extname(target).toLowerCase()];
+    if (isBinary(content)) {
+      return { contents: [{ uri, mimeType: mimeType || 'application/octet-stream', blob: content.toString('base64') }] };
+    }
+    return { contents: [{ uri, mimeType: mimeType || 'text/plain', text: content.toString('utf8') }] };
+  }
+
+  /**
+   * Get the cached directory of a template, downloading and caching it first if needed
+   * @param {string} templateId - Template id
+   * @param {string} version - Template version
+   * @returns {Promise<string>} Template directory
+   * @private
+   */
+  async getTemplateRoot(templateId, version) {
+    const entry = await this.cacheManager.getCacheEntry(templateId, version);
+    if (entry) {
+      return path.resolve(entry.path);
+    }
+
+    // The verified tarball is cached with its integrity, so the entry is checked again on every read
+    const tarballDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-template-'));
+    try {
+      let download;
+      try {
+        download = await this.templateManager.downloadTemplate(templateId, version, {
+          keepTarball: path.join(tarballDir, CacheStore.PACKAGE_TARBALL)
+        });
+      } catch (error) {
+        throw new McpError(error.message, ERROR_CODES.RESOURCE_NOT_FOUND, { uri: templateUri(templateId, version) });
+      }
+
+      const resolved = download.resolved || {};
+      const integrity = download.tarballPath
+        ? { integrity: resolved.integrity, shasum: resolved.shasum, tarball: download.tarballPath }
+        : {};
+      const cached = await this.cacheManager.setCacheEntry(templateId, version, download.path, integrity);
+      return path.resolve(cached.path);
+    } finally {
+      await fs.remove(tarballDir);
+    }
+  }
+
+  /**
+   * Get the directory of a created project
+   * @param {string} projectId - Project id
+   * @returns {string} Project directory
+   * @private
+   */
+  getProjectRoot(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) {
+      throw new McpError(`Unknown project: ${projectId}`, ERROR_CODES.RESOURCE_NOT_FOUND, { uri: projectUri(projectId) });
+    }
+    return project.projectPath;
+  }
+
+  /**
+   * Stop following cache changes
+   */
+  close() {
+    if (typeof this.cacheManager.off === 'function') {
+      this.cacheManager.off('entryUpdated', this.onEntryUpdated);
+      this.cacheManager.off('entryRemoved', this.onEntryRemoved);
+    }
+  }
+}
+
+module.exports = {
+  McpResources,
+  parseResourceUri,
+  templateUri,
+  projectUri
+};
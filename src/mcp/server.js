@@ -0,0 +1,325 @@
+/**
+ * MCP Server
+ * Serves template operations to AI coding assistants over the Model Context Protocol: JSON-RPC 2.0
+ * messages, one per line. `serveStdio()` runs it on stdin/stdout for `create-ai-project mcp`, and
+ * McpClient (./client) talks to it in-process.
+ *
+ * Supported methods: initialize, notifications/initialized, ping, tools/list, tools/call and, with
+ * template and project resources (./resources), resources/list, resources/templates/list,
+ * resources/read, resources/subscribe and resources/unsubscribe. Tool arguments are validated against the tool's input schema before the tool runs; failures of
+ * the tool itself are reported as a result with `isError: true`, as the protocol asks.
+ */
+
+const readline = require('readline');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { createTools } = require('./tools');
+const { McpResources } = require('./resources');
+const { McpError, ERROR_CODES } = require('./errors');
+const cliPackage = require('../../package.json');
+
+// Newest first; a client asking for another version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_NAME = 'create-ai-project';
+
+class McpServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {TemplateManager} options.templateManager - Backs list_templates, search_templates and get_template_info
+   * @param {ProjectService} options.projectService - Backs create_project
+   * @param {CacheManager} options.cacheManager - Backs cache_stats
+   * @param {string} options.cwd - Directory relative project paths are resolved from
+   * @param {Array<Object>} options.tools - Tools to serve instead of the template tools, see ./tools
+   * @param {McpResources|null} options.resources - Resources to serve (default: template and project
+   *   resources when templateManager and cacheManager are given, null for none)
+   */
+  constructor(options = {}) {
+    this.resources = 'resources' in options
+      ? options.resources
+      : (options.templateManager && options.cacheManager ? new McpResources(options) : null);
+    this.tools = new Map((options.tools || createTools({ ...options, resources: this.resources })).map(tool => [tool.name, tool]));
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.subscriptions = new Set();
+    this.outputs = new Set();
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+
+    this.methods = {
+      initialize: params => this.initialize(params),
+      'notifications/initialized': () => null,
+      ping: () => ({}),
+      'tools/list': () => this.listTools(),
+      'tools/call': params => this.callTool(params)
+    };
+
+    if (this.resources) {
+      Object.assign(this.methods, {
+        'resources/list': params => this.resources.listResources(params.cursor || null),
+        'resources/templates/list': () => ({ resourceTemplates: this.resources.listResourceTemplates() }),
+        'resources/read': params => this.resources.readResource(params.uri),
+        'resources/subscribe': params => this.subscribe(params.uri),
+        'resources/unsubscribe': params => this.unsubscribe(params.uri)
+      });
+      this.resources.on('listChanged', () => this.notify('notifications/resources/list_changed'));
+      this.resources.on('updated', prefix => this.notifyUpdated(prefix));
+    }
+  }
+
+  /**
+   * Answer the client's initialize request
+   * @param {Object} params - { protocolVersion, capabilities, clientInfo }
+   * @returns {Object} Server capabilities and info
+   */
+  initialize(params) {
+    this.protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : PROTOCOL_VERSIONS[0];
+    this.clientInfo = params.clientInfo || null;
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: this.resources
+        ? { tools: { listChanged: false }, resources: { subscribe: true, listChanged: true } }
+        : { tools: { listChanged: false } },
+      serverInfo: { name: SERVER_NAME, version: cliPackage.version },
+      instructions: 'Use list_templates or search_templates to find a template, get_template_info for its configSchema, ' +
+        'then create_project (with dryRun first to preview the files).'
+    };
+  }
+
+  /**
+   * Get a tool's input schema
+   * @param {Object} tool - Tool
+   * @returns {Promise<Object>} JSON Schema
+   * @private
+   */
+  async getInputSchema(tool) {
+    return typeof tool.inputSchema === 'function' ? tool.inputSchema() : tool.inputSchema;
+  }
+
+  /**
+   * List the tools
+   * @returns {Promise<Object>} { tools: [{ name, description, inputSchema }] }
+   */
+  async listTools() {
+    const tools = [];
+    for (const tool of this.tools.values()) {
+      tools.push({ name: tool.name, description: tool.description, inputSchema: await this.getInputSchema(tool) });
+    }
+    return { tools };
+  }
+
+  /**
+   * Run a tool
+   * @param {Object} params - { name, arguments }
+   * @returns {Promise<Object>} Tool result: JSON text content, and the same value as structuredContent
+   * @throws {McpError} If the tool does not exist or the arguments do not match its schema
+   */
+  async callTool(params) {
+    const tool = this.tools.get(params.name);
+    if (!tool) {
+      throw new McpError(`Unknown tool: ${params.name}`, ERROR_CODES.INVALID_PARAMS);
+    }
+
+    const args = params.arguments || {};
+    const validate = this.ajv.compile(await this.getInputSchema(tool));
+    if (!validate(args)) {
+      const errors = validate.errors.map(error => `${error.instancePath || 'arguments'}: ${error.message}`);
+      throw new McpError(`Invalid arguments for ${tool.name}: ${errors.join(', ')}`, ERROR_CODES.INVALID_PARAMS, { errors });
+    }
+
+    try {
+      const result = await tool.handler(args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Subscribe to changes of a resource
+   * @param {string} uri - Resource URI
+   * @returns {Object} Empty result
+   * @throws {McpError} If the URI is missing
+   */
+  subscribe(uri) {
+    if (typeof uri !== 'string' || !uri) {
+      throw new McpError('Resource URI is required', ERROR_CODES.INVALID_PARAMS);
+    }
+    this.subscriptions.add(uri);
+    return {};
+  }
+
+  /**
+   * Stop notifying changes of a resource
+   * @param {string} uri - Resource URI
+   * @returns {Object} Empty result
+   */
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+    return {};
+  }
+
+  /**
+   * Notify subscribers of the resources below a URI
+   * @param {string} prefix - Template or project URI
+   * @private
+   */
+  notifyUpdated(prefix) {
+    for (const uri of this.subscriptions) {
+      if (uri.startsWith(prefix)) {
+        this.notify('notifications/resources/updated', { uri });
+      }
+    }
+  }
+
+  /**
+   * Send a notification to every connected client
+   * @param {string} method - Notification method
+   * @param {Object} params - Parameters
+   */
+  notify(method, params = null) {
+    const message = params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method };
+    for (const output of this.outputs) {
+      output.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  /**
+   * Handle a JSON-RPC message or batch
+   * @param {Object|Array<Object>} message - Parsed message
+   * @returns {Promise<Object|Array<Object>|null>} Response, or null for notifications and client responses
+   */
+  async handleMessage(message) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.createError(null, new McpError('Empty batch', ERROR_CODES.INVALID_REQUEST));
+      }
+      const responses = (await Promise.all(message.map(entry => this.handleMessage(entry)))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+
+    const id = message && typeof message === 'object' && 'id' in message ? message.id : null;
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return this.createError(id, new McpError('Invalid request', ERROR_CODES.INVALID_REQUEST));
+    }
+
+    // The server sends no requests, so responses from the client need no answer
+    if (typeof message.method !== 'string') {
+      return 'result' in message || 'error' in message
+        ? null
+        : this.createError(id, new McpError('Invalid request', ERROR_CODES.INVALID_REQUEST));
+    }
+
+    const isNotification = !('id' in message);
+    try {
+      const method = this.methods[message.method];
+      if (!method) {
+        throw new McpError(`Method not found: ${message.method}`, ERROR_CODES.METHOD_NOT_FOUND);
+      }
+      const result = await method(message.params || {});
+      return isNotification ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      return isNotification ? null : this.createError(id, error);
+    }
+  }
+
+  /**
+   * Handle one line of input
+   * @param {string} line - JSON text
+   * @returns {Promise<Object|Array<Object>|null>} Response
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return this.createError(null, new McpError(`Parse error: ${error.message}`, ERROR_CODES.PARSE_ERROR));
+    }
+    return this.handleMessage(message);
+  }
+
+  /**
+   * Build an error response
+   * @param {string|number|null} id - Request id
+   * @param {Error} error - Error, McpError codes are kept and others are internal errors
+   * @returns {Object} JSON-RPC error response
+   * @private
+   */
+  createError(id, error) {
+    const response = {
+      jsonrpc: '2.0',
+      id,
+      error: { code: error.isMcpError ? error.code : ERROR_CODES.INTERNAL_ERROR, message: error.message }
+    };
+    if (error.isMcpError && error.details) {
+      response.error.data = error.details;
+    }
+    return response;
+  }
+
+  /**
+   * Serve newline-delimited messages from a stream. Requests are handled concurrently, so a slow
+   * create_project does not hold up a ping.
+   * @param {stream.Readable} input - Messages from the client
+   * @param {stream.Writable} output - Responses to the client
+   * @returns {Promise<void>} Resolves when the input ends and every response is written
+   */
+  listen(input, output) {
+    const pending = new Set();
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    this.outputs.add(output);
+
+    lines.on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+      const task = this.handleLine(line).then(response => {
+        if (response) {
+          output.write(`${JSON.stringify(response)}\n`);
+        }
+      });
+      pending.add(task);
+      task.then(() => pending.delete(task));
+    });
+
+    return new Promise(resolve => {
+      lines.on('close', () => {
+        Promise.all(pending).then(() => {
+          this.outputs.delete(output);
+          resolve();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Run a server on stdin/stdout. Anything the services print goes to stderr, so stdout only
+ * carries protocol messages.
+ * @param {McpServer} server - Server
+ * @returns {Promise<void>} Resolves when stdin closes
+ */
+function serveStdio(server) {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+  return server.listen(process.stdin, process.stdout);
+}
+
+module.exports = {
+  McpServer,
+  McpError,
+  ERROR_CODES,
+  PROTOCOL_VERSIONS,
+  serveStdio
+};
@@ -0,0 +1,261 @@
+/**
+ * MCP Tools
+ * Template operations served by the MCP server, backed by TemplateManager, ProjectService and
+ * CacheManager. A tool is `{ name, description, inputSchema, handler }`; `inputSchema` is a function
+ * when it depends on the templates available, so create_project can describe each template's config.
+ */
+
+const path = require('path');
+const { SECRET_ACTIONS } = require('../utils/secretScanner');
+
+/**
+ * Describe a template in list and search results
+ * @param {TemplatePackage} template - Template package
+ * @returns {Object} Template summary
+ */
+function summarizeTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    version: template.version,
+    type: template.type,
+    description: template.description,
+    author: template.author,
+    keywords: template.keywords || []
+  };
+}
+
+/**
+ * Copy a template's configSchema so it can be embedded in another schema
+ * @param {Object} configSchema - Template configuration schema
+ * @returns {Object} Schema without root-only keywords
+ */
+function embedConfigSchema(configSchema) {
+  const schema = { ...configSchema };
+  delete schema.$schema;
+  delete schema.$id;
+  return schema;
+}
+
+/**
+ * Build the create_project input schema. When `templateId` names a template with a configSchema,
+ * `config` must match that schema.
+ * @param {Array<TemplatePackage>} templates - Available templates
+ * @returns {Object} JSON Schema
+ */
+function buildCreateProjectSchema(templates = []) {
+  const schema = {
+    type: 'object',
+    properties: {
+      templateId: {
+        type: 'string',
+        description: 'Template id, as returned by list_templates or search_templates'
+      },
+      projectName: {
+        type: 'string',
+        description: 'Project name (lowercase letters, digits and dashes)'
+      },
+      projectPath: {
+        type: 'string',
+        description: 'Target directory (default: the project name, relative to the server working directory)'
+      },
+      version: {
+        type: 'string',
+        description: 'Template version or range',
+        default: 'latest'
+      },
+      config: {
+        type: 'object',
+        description: 'Answers to the template configuration; get_template_info returns its configSchema',
+        default: {}
+      },
+      dryRun: {
+        type: 'boolean',
+        description: 'Only list the files that would be created',
+        default: false
+      },
+      skipHooks: {
+        type: 'boolean',
+        description: 'Do not run template lifecycle hooks',
+        default: false
+      },
+      force: {
+        type: 'boolean',
+        description: 'Generate into an existing, non-empty directory (restored if creation fails)',
+        default: false
+      },
+      secrets: {
+        type: 'string',
+        enum: SECRET_ACTIONS,
+        description: 'What to do with secrets found in the generated files: abort, redact (move them to .env) or continue',
+        default: 'abort'
+      }
+    },
+    required: ['templateId', 'projectName'],
+    additionalProperties: false
+  };
+
+  if (templates.length > 0) {
+    schema.properties.templateId.examples = templates.map(template => template.id);
+  }
+
+  const configured = templates.filter(template =>
+    template.configSchema && Object.keys(template.configSchema.properties || {}).length > 0
+  );
+  if (configured.length > 0) {
+    schema.allOf = configured.map(template => ({
+      if: { properties: { templateId: { const: template.id } }, required: ['templateId'] },
+      then: { properties: { config: embedConfigSchema(template.configSchema) } }
+    }));
+  }
+
+  return schema;
+}
+
+/**
+ * Create the template tools
+ * @param {Object} services - Services the tools are backed by
+ * @param {TemplateManager} services.templateManager - Lists, searches and describes templates
+ * @param {ProjectService} services.projectService - Creates and previews projects
+ * @param {CacheManager} services.cacheManager - Reports cache statistics
+ * @param {string} services.cwd - Directory relative project paths are resolved from (default: process.cwd())
+ * @param {McpResources} services.resources - Created projects are made readable as project:// resources
+ * @returns {Array<Object>} Tools
+ */
+function createTools({ templateManager, projectService, cacheManager, resources = null, cwd = process.cwd() }) {
+  // Templates are listed once per server, for the create_project schema
+  let createProjectSchema = null;
+
+  return [
+    {
+      name: 'list_templates',
+      description: 'List the available project templates',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', description: 'Template type, such as react-next, node-api or vue-app' },
+          registry: { type: 'string', description: 'Registry id' },
+          limit: { type: 'integer', minimum: 1, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        },
+        additionalProperties: false
+      },
+      handler: async(args) => {
+        const { templates, metadata } = await templateManager.listTemplates({
+          type: args.type,
+          registry: args.registry,
+          limit: args.limit,
+          offset: args.offset
+        });
+        return {
+          templates: templates.map(summarizeTemplate),
+          total: metadata.total,
+          hasMore: metadata.hasMore,
+          errors: metadata.errors || []
+        };
+      }
+    },
+    {
+      name: 'search_templates',
+      description: 'Search templates by name, description, keywords or id',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1, description: 'Search text' },
+          type: { type: 'string', description: 'Template type' },
+          registry: { type: 'string', description: 'Registry id' },
+          limit: { type: 'integer', minimum: 1, default: 20 }
+        },
+        required: ['query'],
+        additionalProperties: false
+      },
+      handler: async(args) => {
+        const templates = await templateManager.searchTemplates(args.query, {
+          type: args.type,
+          registry: args.registry,
+          limit: args.limit
+        });
+        return { templates: templates.map(summarizeTemplate) };
+      }
+    },
+    {
+      name: 'get_template_info',
+      description: 'Describe a template, including the configSchema create_project validates config against',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          templateId: { type: 'string', description: 'Template id' }
+        },
+        required: ['templateId'],
+        additionalProperties: false
+      },
+      handler: async(args) => {
+        const template = await templateManager.getTemplate(args.templateId);
+        return {
+          ...summarizeTemplate(template),
+          dependencies: template.dependencies || {},
+          devDependencies: template.devDependencies || {},
+          supportedVersions: template.supportedVersions || [],
+          configSchema: template.configSchema || {}
+        };
+      }
+    },
+    {
+      name: 'create_project',
+      description: 'Create a project from a template, or preview its files with dryRun',
+      inputSchema: async() => {
+        if (!createProjectSchema) {
+          let templates = [];
+          try {
+            ({ templates } = await templateManager.listTemplates({ limit: 1000 }));
+          } catch (error) {
+            templates = [];
+          }
+          createProjectSchema = buildCreateProjectSchema(templates);
+        }
+        return createProjectSchema;
+      },
+      handler: async(args) => {
+        const config = {
+          templateId: args.templateId,
+          projectName: args.projectName,
+          projectPath: path.resolve(cwd, args.projectPath || args.projectName),
+          version: args.version,
+          configValues: args.config || {}
+        };
+
+        if (args.dryRun) {
+          return { dryRun: true, ...await projectService.previewProject(config) };
+        }
+
+        const project = await projectService.createProject(config, {
+          skipHooks: Boolean(args.skipHooks),
+          allowOverwrite: Boolean(args.force),
+          secrets: args.secrets
+        });
+        const result = {
+          dryRun: false,
+          ...project.getSummary(),
+          projectPath: project.projectPath,
+          files: project.files.map(file => file.path)
+        };
+        if (resources) {
+          result.resourceUri = resources.addProject(project);
+        }
+        return result;
+      }
+    },
+    {
+      name: 'cache_stats',
+      description: 'Report template cache size, hit rate, policies and entries',
+      inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+      handler: () => cacheManager.getCacheStats()
+    }
+  ];
+}
+
+module.exports = {
+  createTools,
+  buildCreateProjectSchema,
+  summarizeTemplate
+};
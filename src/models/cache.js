@@ -2,6 +2,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 const { validateFilePath } = require('../utils/validation');
+const { verifyTarball } = require('../utils/integrityVerifier');
+
+// Written by touch(), so it is not part of the cached content
+const METADATA_FILE = '.cache-metadata.json';
+
+// Name of a cached package tarball inside the cache entry directory
+const PACKAGE_TARBALL = 'package.tgz';
 
 /**
  * CacheStore Model
@@ -20,6 +27,7 @@ const { validateFilePath } = require('../utils/validation');
  * @property {number} accessCount - Number of times accessed
  * @property {string} checksum - Template package checksum
  * @property {boolean} isValid - Whether cache entry is valid
+ * @property {Object|null} integrity - Tarball verification record { integrity, shasum, algorithm, verifiedAt }
  */
 class CacheStore {
   /**
@@ -36,6 +44,7 @@ class CacheStore {
    * @param {number} [options.accessCount=0] - Number of times accessed
    * @param {string} [options.checksum] - Template package checksum
    * @param {boolean} [options.isValid=true] - Whether cache entry is valid
+   * @param {Object} [options.integrity] - Tarball verification record
    */
   constructor({
     id,
@@ -47,7 +56,8 @@ class CacheStore {
     lastAccessed,
     accessCount = 0,
     checksum,
-    isValid = true
+    isValid = true,
+    integrity = null
   }) {
     this.validateConstructorParams({
       id,
@@ -72,6 +82,7 @@ class CacheStore {
     this.accessCount = accessCount;
     this.checksum = checksum;
     this.isValid = isValid;
+    this.integrity = integrity;
   }
 
   /**
@@ -118,6 +129,7 @@ class CacheStore {
    * Validates the cache entry by checking:
    * - Filesystem path existence
    * - Checksum validation (if checksum is set)
+   * - Tarball integrity (if a tarball and its integrity were recorded)
    * - Directory structure integrity
    *
    * @returns {Promise<boolean>} True if cache entry is valid
@@ -160,6 +172,16 @@ class CacheStore {
         }
       }
 
+      // Re-verify the cached tarball against the integrity recorded when it was stored
+      const tarballPath = path.join(this.path, PACKAGE_TARBALL);
+      if (this.integrity && await fs.pathExists(tarballPath)) {
+        const verification = await verifyTarball(tarballPath, this.integrity);
+        if (!verification.isValid) {
+          this.isValid = false;
+          throw new Error(`Integrity verification failed: ${verification.errors.join('; ')}`);
+        }
+      }
+
       this.isValid = true;
       return true;
     } catch (error) {
@@ -259,7 +281,8 @@ class CacheStore {
       lastAccessed: this.lastAccessed.toISOString(),
       accessCount: this.accessCount,
       checksum: this.checksum,
-      isValid: this.isValid
+      isValid: this.isValid,
+      integrity: this.integrity
     };
   }
 
@@ -281,7 +304,8 @@ class CacheStore {
       lastAccessed: new Date(data.lastAccessed),
       accessCount: data.accessCount,
       checksum: data.checksum,
-      isValid: data.isValid
+      isValid: data.isValid,
+      integrity: data.integrity || null
     });
   }
 
@@ -368,6 +392,10 @@ class CacheStore {
     files.sort();
 
     for (const file of files) {
+      if (file === METADATA_FILE) {
+        continue;
+      }
+
       const filePath = path.join(dirPath, file);
       const stats = await fs.stat(filePath);
 
@@ -385,7 +413,7 @@ class CacheStore {
    * @private
    */
   async saveMetadata() {
-    const metadataPath = path.join(this.path, '.cache-metadata.json');
+    const metadataPath = path.join(this.path, METADATA_FILE);
 
     try {
       await fs.writeFile(
@@ -404,7 +432,7 @@ class CacheStore {
    * @private
    */
   async loadMetadata() {
-    const metadataPath = path.join(this.path, '.cache-metadata.json');
+    const metadataPath = path.join(this.path, METADATA_FILE);
 
     try {
       if (await fs.pathExists(metadataPath)) {
@@ -455,4 +483,6 @@ class CacheStore {
   }
 }
 
+CacheStore.PACKAGE_TARBALL = PACKAGE_TARBALL;
+
 module.exports = CacheStore;
@@ -12,6 +12,7 @@ const {
   validateConfig,
   validateRegistryUrl
 } = require('../utils/validation');
+const { REDACTED } = require('../utils/redaction');
 
 const CONFIG_STATUS = {
   DRAFT: 'draft',
@@ -76,7 +77,8 @@ class ProjectConfiguration {
     this.configValues = config.configValues || {};
     this.overrides = config.overrides || {};
     this.registry = config.registry || DEFAULT_REGISTRY;
-    this.authToken = config.authToken || null;
+    // A redacted token from toJSON() is no token
+    this.authToken = config.authToken && config.authToken !== REDACTED ? config.authToken : null;
     this.createdAt = config.createdAt ? new Date(config.createdAt) : new Date();
     this.status = config.status || CONFIG_STATUS.DRAFT;
 
@@ -303,7 +305,7 @@ class ProjectConfiguration {
   }
 
   /**
-   * Serialize configuration to JSON
+   * Serialize configuration to JSON, with the auth token redacted
    * @returns {Object} JSON-serializable object
    */
   toJSON() {
@@ -316,7 +318,7 @@ class ProjectConfiguration {
       configValues: this.configValues,
       overrides: this.overrides,
       registry: this.registry,
-      authToken: this.authToken,
+      authToken: this.authToken ? REDACTED : null,
       createdAt: this.createdAt.toISOString(),
       status: this.status
     };
@@ -330,6 +332,7 @@ class ProjectConfiguration {
   clone(overrides = {}) {
     const configData = {
       ...this.toJSON(),
+      authToken: this.authToken,
       id: overrides.id, // Generate new ID unless specified
       ...overrides
     };
@@ -3,7 +3,21 @@
  * Represents a template registry with configuration, synchronization, and authentication capabilities
  */
 
+const fs = require('fs-extra');
 const { validateRegistryUrl } = require('../utils/validation');
+const { getDefaultCredentialStore } = require('../utils/credentialStore');
+const {
+  isIndexUrl,
+  fetchIndex,
+  fetchTarball,
+  resolveLocation,
+  resolveSignatureLocation,
+  resolveVersion,
+  fetchText,
+  getTemplateData,
+  getIndexTemplates,
+  diffIndexes
+} = require('../utils/registryIndex');
 const https = require('https');
 const http = require('http');
 const url = require('url');
@@ -25,6 +39,16 @@ class TemplateRegistry {
    * @param {Date} config.lastSync - Last synchronization timestamp
    * @param {number} config.templateCount - Number of available templates
    * @param {string} config.status - Registry status (active, inactive, error)
+   * @param {string} config.format - How the registry is read: `api`, `index` for a static index.json
+   *   (the default when the URL ends in .json) or `directory`
+   * @param {string} config.etag - ETag of the index held from the last sync
+   * @param {string} config.lastModified - Last-Modified of the index held from the last sync
+   * @param {string} config.authToken - Token sent as a Bearer token (default: the one saved by
+   *   `registry login` in the credential store)
+   * @param {CredentialStore|null} config.credentialStore - Store tokens are read from by registry URL
+   *   (default: the shared store; null to disable)
+   * @param {string} config.indexCachePath - File the static index is kept in between runs, so a
+   *   sync in a new process still only downloads and reports what changed
    */
   constructor(config) {
     this.validateConfig(config);
@@ -83,12 +107,50 @@ class TemplateRegistry {
      */
     this.status = config.status || 'active';
 
+    /**
+     * How the registry is read
+     * @type {'api'|'index'|'directory'}
+     */
+    this.format = config.format || (isIndexUrl(config.url) ? 'index' : 'api');
+
+    /**
+     * ETag of the static index from the last sync
+     * @type {string|null}
+     */
+    this.etag = config.etag || null;
+
+    /**
+     * Last-Modified of the static index from the last sync
+     * @type {string|null}
+     */
+    this.lastModified = config.lastModified || null;
+
+    /**
+     * Static index from the last sync
+     * @type {Object|null}
+     * @private
+     */
+    this._index = null;
+
+    /**
+     * File the static index is kept in between runs
+     * @type {string|null}
+     */
+    this.indexCachePath = config.indexCachePath || null;
+
     /**
      * Authentication token
      * @type {string|null}
      * @private
      */
-    this._authToken = null;
+    this._authToken = config.authToken || null;
+
+    /**
+     * Store the token is read from when none is given
+     * @type {CredentialStore|null}
+     * @private
+     */
+    this._credentialStore = 'credentialStore' in config ? config.credentialStore : getDefaultCredentialStore();
 
     /**
      * Cache for templates
@@ -141,6 +203,12 @@ class TemplateRegistry {
       throw new Error(`Invalid status: ${config.status}. Must be one of: ${validStatuses.join(', ')}`);
     }
 
+    // Validate format
+    const validFormats = ['api', 'index', 'directory'];
+    if (config.format && !validFormats.includes(config.format)) {
+      throw new Error(`Invalid registry format: ${config.format}. Must be one of: ${validFormats.join(', ')}`);
+    }
+
     // Validate template count
     if (config.templateCount && (typeof config.templateCount !== 'number' || config.templateCount < 0)) {
       throw new Error('Template count must be a non-negative number');
@@ -160,6 +228,10 @@ class TemplateRegistry {
    * @returns {Promise<Object>} Synchronization result
    */
   async sync() {
+    if (this.format === 'index') {
+      return this.syncIndex();
+    }
+
     if (this.type === 'local') {
       throw new Error('Local registries cannot be synchronized');
     }
@@ -188,9 +260,209 @@ class TemplateRegistry {
     }
   }
 
+  /**
+   * Synchronize a static index registry. The index is only downloaded again when its ETag or
+   * Last-Modified changed, and the result lists the versions added, updated and removed.
+   * @private
+   * @returns {Promise<Object>} Synchronization result, with `notModified` and `changes`
+   */
+  async syncIndex() {
+    if (!this._index && this.indexCachePath) {
+      await this.loadCachedIndex();
+    }
+
+    try {
+      // Validators are only sent while the index they belong to is held in memory
+      const result = await fetchIndex(this.url, {
+        etag: this._index ? this.etag : null,
+        lastModified: this._index ? this.lastModified : null,
+        headers: this.getAuthHeaders()
+      });
+
+      const changes = result.notModified
+        ? { added: [], updated: [], removed: [] }
+        : diffIndexes(this._index, result.index);
+
+      if (!result.notModified) {
+        this._index = result.index;
+        this._templateCache = getIndexTemplates(result.index, this.id);
+        this.templateCount = this._templateCache.length;
+        if (this.indexCachePath) {
+          await fs.outputJson(this.indexCachePath, result.index);
+        }
+      }
+      this.etag = result.etag;
+      this.lastModified = result.lastModified;
+      this.lastSync = new Date();
+      this.status = 'active';
+      this.updateCacheExpiry();
+
+      return {
+        success: true,
+        message: result.notModified ? 'Registry index not modified' : 'Registry synchronized successfully',
+        notModified: result.notModified,
+        changes,
+        templateCount: this.templateCount,
+        lastSync: this.lastSync
+      };
+    } catch (error) {
+      this.status = 'error';
+      throw new Error(`Synchronization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the index kept by an earlier run; a missing or unreadable file is fetched again
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadCachedIndex() {
+    try {
+      this._index = await fs.readJson(this.indexCachePath);
+      this._templateCache = getIndexTemplates(this._index, this.id);
+    } catch (error) {
+      this._index = null;
+    }
+  }
+
+  /**
+   * Whether a static index registry lists a template
+   * @param {string} templateId - Template id
+   * @returns {Promise<boolean>} True if any version is listed; always false for other formats
+   */
+  async hasTemplate(templateId) {
+    if (this.format !== 'index') {
+      return false;
+    }
+    await this.ensureIndex();
+    return Boolean(this._index.templates[templateId]);
+  }
+
+  /**
+   * Find a template version in a static index registry
+   * @param {string} templateId - Template id
+   * @param {string} version - Exact version, semver range, dist-tag or `latest`
+   * @returns {Promise<Object|null>} Entry { id, version, tarball, integrity, size, signature, data }
+   *   with absolute tarball and signature URLs, or null if not listed. The signature URL is where
+   *   a signature would be published; it may not exist.
+   */
+  async resolveTemplate(templateId, version = 'latest') {
+    if (this.format !== 'index') {
+      return null;
+    }
+    await this.ensureIndex();
+
+    const resolved = resolveVersion(this._index, templateId, version);
+    if (!resolved) {
+      return null;
+    }
+
+    const entry = this._index.templates[templateId].versions[resolved];
+    return {
+      id: templateId,
+      version: resolved,
+      tarball: resolveLocation(this.url, entry.tarball),
+      integrity: entry.integrity,
+      size: entry.size || null,
+      signature: resolveSignatureLocation(this.url, entry),
+      data: getTemplateData(this._index, templateId, resolved, this.id)
+    };
+  }
+
+  /**
+   * Download a template tarball from a static index registry, verified against its integrity
+   * @param {string} templateId - Template id
+   * @param {string} version - Exact version, semver range, dist-tag or `latest`
+   * @param {string} destination - Tarball file to write
+   * @param {Object} options - Download options
+   * @param {number} options.maxBytes - Refuse tarballs larger than this
+   * @param {Function} options.onProgress - Called with { phase: 'download', bytes, totalBytes }
+   * @returns {Promise<Object>} Entry from resolveTemplate(), with the downloaded `path` and `size`
+   * @throws {Error} If the template is not listed or the download fails verification
+   */
+  async downloadTemplate(templateId, version, destination, options = {}) {
+    const entry = await this.resolveTemplate(templateId, version);
+    if (!entry) {
+      throw new Error(`Template ${templateId}@${version} not found in registry index ${this.url}`);
+    }
+
+    const { size } = await fetchTarball(entry.tarball, destination, {
+      integrity: entry.integrity,
+      maxBytes: options.maxBytes,
+      headers: this.getAuthHeadersFor(entry.tarball),
+      onProgress: options.onProgress,
+      label: `${templateId}@${entry.version}`
+    });
+    return { ...entry, path: destination, size };
+  }
+
+  /**
+   * Fetch the detached signature of a version from a static index registry
+   * @param {Object} entry - Entry from resolveTemplate()
+   * @returns {Promise<string|null>} Signature document, or null if none is published
+   */
+  async fetchSignature(entry) {
+    return fetchText(entry.signature, { headers: this.getAuthHeadersFor(entry.signature) });
+  }
+
+  /**
+   * Sync a static index registry unless its index is held and fresh
+   * @private
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    if (!this._index || this.isCacheExpired()) {
+      await this.sync();
+    }
+  }
+
+  /**
+   * Authorization header for requests made on behalf of the registry
+   * @private
+   * @returns {Object} Headers
+   */
+  getAuthHeaders() {
+    const token = this.getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Authorization header for a tarball or signature listed in the index. An index may point at
+   * absolute URLs on other hosts, so the token is only sent to the origin the index is served from.
+   * @private
+   * @param {string} location - Resolved tarball or signature URL
+   * @returns {Object} Headers
+   */
+  getAuthHeadersFor(location) {
+    let origin;
+    let indexOrigin;
+    try {
+      origin = new URL(location).origin;
+      indexOrigin = new URL(this.url).origin;
+    } catch (error) {
+      return {};
+    }
+    if (origin === 'null' || origin !== indexOrigin) {
+      return {};
+    }
+    return this.getAuthHeaders();
+  }
+
+  /**
+   * Token for the registry, read from the credential store on first use
+   * @private
+   * @returns {string|null} Token
+   */
+  getAuthToken() {
+    if (!this._authToken && this._credentialStore) {
+      this._authToken = this._credentialStore.get(this.url);
+    }
+    return this._authToken;
+  }
+
   /**
    * Authenticate with registry
-   * @param {string} token - Authentication token
+   * @param {string} token - Authentication token (default: the one in the credential store)
    * @returns {Promise<Object>} Authentication result
    */
   async authenticate(token) {
@@ -201,10 +473,24 @@ class TemplateRegistry {
       };
     }
 
+    token = token || (this._credentialStore && this._credentialStore.get(this.url));
     if (!token || typeof token !== 'string') {
       throw new Error('Authentication token is required');
     }
 
+    // Static indexes have no auth endpoint, so check the token by fetching the index with it
+    if (this.format === 'index') {
+      const previousToken = this._authToken;
+      this._authToken = token;
+      try {
+        await this.syncIndex();
+        return { success: true, message: 'Authentication successful' };
+      } catch (error) {
+        this._authToken = previousToken;
+        throw new Error(`Authentication failed: ${error.message}`);
+      }
+    }
+
     try {
       // Simulate authentication request
       const result = await this.makeRequest('/auth', 'POST', { token });
@@ -231,6 +517,10 @@ class TemplateRegistry {
    * @returns {Promise<boolean>} Whether registry is available
    */
   async isAvailable() {
+    if (this.format === 'index') {
+      return this.syncIndex().then(() => true, () => false);
+    }
+
     try {
       const result = await this.makeRequest('/health', 'GET');
       return result.status === 'healthy';
@@ -249,8 +539,13 @@ class TemplateRegistry {
   async getTemplates(options = {}) {
     const { forceRefresh = false, filter = null } = options;
 
+    // Static indexes are filtered locally; a refresh only downloads the index if it changed
+    if (this.format === 'index' && (forceRefresh || !this._index || this.isCacheExpired())) {
+      await this.sync();
+    }
+
     // Check cache first
-    if (!forceRefresh && this._templateCache.length > 0 && !this.isCacheExpired()) {
+    if (this.format === 'index' || (!forceRefresh && this._templateCache.length > 0 && !this.isCacheExpired())) {
       let templates = [...this._templateCache];
 
       if (filter) {
@@ -303,9 +598,7 @@ class TemplateRegistry {
       };
 
       // Add authentication header if token is available
-      if (this._authToken) {
-        options.headers.Authorization = `Bearer ${this._authToken}`;
-      }
+      Object.assign(options.headers, this.getAuthHeaders());
 
       const req = client.request(options, (res) => {
         let responseData = '';
@@ -394,7 +687,10 @@ class TemplateRegistry {
       cachePolicy: this.cachePolicy,
       lastSync: this.lastSync ? this.lastSync.toISOString() : null,
       templateCount: this.templateCount,
-      status: this.status
+      status: this.status,
+      format: this.format,
+      etag: this.etag,
+      lastModified: this.lastModified
     };
   }
 
@@ -420,8 +716,10 @@ class TemplateRegistry {
       status: this.status,
       templateCount: this.templateCount,
       lastSync: this.lastSync,
-      isAvailable: this.isAvailable(),
-      cachePolicy: this.cachePolicy
+      format: this.format,
+      cachePolicy: this.cachePolicy,
+      authRequired: this.authRequired,
+      authenticated: Boolean(this._authToken) || Boolean(this._credentialStore && this._credentialStore.has(this.url))
     };
   }
 }
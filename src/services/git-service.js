@@ -14,6 +14,8 @@ const fs = require('fs-extra');
 const { GitManager, RepositoryNotFoundError } = require('../core/git-manager');
 const { validateGitUrl, validateFilePath } = require('../utils/validation');
 const { validateTemplatePackage } = require('../utils/templateValidator');
+const { scanTemplate, isAtLeast, formatFinding } = require('../utils/securityScanner');
+const { TrustStore } = require('../core/trust-store');
 // const chalk = require('chalk'); // Disabled for Jest compatibility
 const ora = require('ora');
 const glob = require('glob');
@@ -49,6 +51,14 @@ class TemplateValidationError extends GitTemplateError {
   }
 }
 
+class TemplateSignatureError extends GitTemplateError {
+  constructor(message, repository, cause) {
+    super(message, 'verify_signature', repository, cause);
+    this.name = 'TemplateSignatureError';
+    this.code = cause && cause.code;
+  }
+}
+
 /**
  * Git Service Class
  */
@@ -72,6 +82,7 @@ class GitService {
     }
 
     this.cache = new Map();
+    this.trustStore = options.trustStore || new TrustStore();
     this.logger = this.createLogger();
   }
 
@@ -135,7 +146,8 @@ class GitService {
       // Clone repository
       spinner.text = 'Cloning repository...';
       const repoPath = await this.gitManager.cloneRepository(url, {
-        branch: options.branch,
+        // git clone --branch also accepts tags
+        branch: options.branch || options.tag,
         tag: options.tag,
         depth: options.depth || 1,
         ...options.gitOptions
@@ -254,11 +266,11 @@ class GitService {
 
         // Validate template structure
         const structureErrors = this.validateTemplateStructure(repoPath, templateInfo);
-        const securityErrors = await this.validateTemplateSecurity(repoPath);
+        const security = await this.validateTemplateSecurity(repoPath);
 
         // Combine all validation results
-        const allErrors = [...structureErrors, ...securityErrors];
-        const warnings = [];
+        const allErrors = [...structureErrors, ...security.errors];
+        const warnings = [...security.warnings];
 
         // Check for best practices
         const bestPracticeWarnings = this.checkTemplateBestPractices(repoPath, templateInfo);
@@ -355,6 +367,14 @@ class GitService {
       });
 
       try {
+        // Enforce the trust policy before any files are extracted or cached
+        const rule = await this.trustStore.requiresSignature({ repository: url });
+        if (rule) {
+          spinner.text = 'Verifying tag signature...';
+          const signer = await this.verifyTagSignature(repoPath, url, options.tag, rule);
+          this.logger.info('Template signature verified', { url, tag: options.tag, keyId: signer.keyId });
+        }
+
         // Extract template information
         spinner.text = 'Processing template...';
         const templateInfo = await this.extractTemplateInfo(repoPath, url, options);
@@ -429,6 +449,27 @@ class GitService {
     }
   }
 
+  /**
+   * Verify the signed tag of a cloned template repository
+   * @param {string} repoPath - Cloned repository
+   * @param {string} url - Git repository URL
+   * @param {string} tag - Requested tag
+   * @param {string} rule - Trust policy rule requiring the signature
+   * @returns {Promise<Object>} Verified signer { keyId, name, tag, commit }
+   * @throws {TemplateSignatureError} If the tag is not signed by a trusted key
+   */
+  async verifyTagSignature(repoPath, url, tag, rule) {
+    try {
+      return await this.trustStore.verifyGitTag(repoPath, tag);
+    } catch (error) {
+      throw new TemplateSignatureError(
+        `Template signature verification failed: ${error.message}, required by trust policy (${rule})`,
+        url,
+        error
+      );
+    }
+  }
+
   /**
    * Get git template information
    * @param {string} url - Git repository URL
@@ -759,9 +800,13 @@ class GitService {
   /**
    * Validate template security
    * @private
+   * @returns {Promise<Object>} { errors, warnings, report } - findings at or above the
+   *   scanner's failure threshold are errors, the rest are warnings
    */
   async validateTemplateSecurity(repoPath) {
     const errors = [];
+    const warnings = [];
+    let report = null;
 
     try {
       // Use template validator for security checks
@@ -774,23 +819,18 @@ class GitService {
       errors.push('Security validation could not be completed');
     }
 
-    // Check for suspicious files
-    const suspiciousPatterns = [
-      '**/*.exe',
-      '**/*.dll',
-      '**/*.so',
-      '**/*.dylib',
-      '**/node_modules/**'
-    ];
-
-    for (const pattern of suspiciousPatterns) {
-      const files = glob.sync(path.join(repoPath, pattern));
-      if (files.length > 0) {
-        errors.push(`Suspicious files found: ${pattern} (${files.length} files)`);
+    // Static analysis of the template contents
+    try {
+      report = await scanTemplate(repoPath);
+      for (const finding of report.findings) {
+        (isAtLeast(finding.severity, report.failOn) ? errors : warnings).push(formatFinding(finding));
       }
+    } catch (error) {
+      this.logger.warn(`Security scan failed: ${error.message}`);
+      errors.push('Security scan could not be completed');
     }
 
-    return errors;
+    return { errors, warnings, report };
   }
 
   /**
@@ -1095,6 +1135,7 @@ module.exports = {
   GitService,
   GitTemplateError,
   TemplateExtractionError,
-  TemplateValidationError
+  TemplateValidationError,
+  TemplateSignatureError
 };
 
@@ -10,7 +10,13 @@ const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { validateRegistryUrl } = require('../utils/validation');
+const { createVerifier } = require('../utils/integrityVerifier');
+const { extractTarball, TarballExtractionError, DEFAULT_LIMITS } = require('../core/tarball-extractor');
+const { RegistryResolver, isSameRegistry } = require('../core/registry-resolver');
+const { getDefaultCredentialStore } = require('../utils/credentialStore');
 
 /**
  * NpmService Class
@@ -30,6 +36,13 @@ class NpmService {
    * @param {number} [config.cacheTtl=3600000] - Cache TTL in milliseconds (1 hour)
    * @param {number} [config.maxCacheSize=524288000] - Maximum cache size in bytes (500MB)
    * @param {Object} [config.headers] - Additional HTTP headers
+   * @param {Object} [config.extractLimits] - Download and extraction caps { maxBytes, maxFiles, maxDepth }
+   * @param {RegistryResolver} [config.registryResolver] - Scope routing and per-registry tokens from .npmrc
+   *   and the CLI configuration
+   * @param {CredentialStore|null} [config.credentialStore] - Store tokens are read from when neither the
+   *   configuration nor .npmrc has one (default: the shared store; null to disable)
+   * @param {CacheManager} [config.cacheManager] - Template cache verified downloads are stored in, with their
+   *   integrity so the entry is verified again on read
    */
   constructor(config = {}) {
     /**
@@ -88,6 +101,48 @@ class NpmService {
      */
     this._headers = config.headers || {};
 
+    /**
+     * Caps applied to downloaded and extracted tarballs
+     * @type {Object}
+     * @private
+     */
+    this._extractLimits = { ...DEFAULT_LIMITS, ...config.extractLimits };
+
+    /**
+     * Scope routing and per-registry tokens
+     * @type {RegistryResolver}
+     * @private
+     */
+    this._registryResolver = config.registryResolver || new RegistryResolver();
+
+    /**
+     * Encrypted tokens saved by `registry login` and `credentials set`
+     * @type {CredentialStore|null}
+     * @private
+     */
+    this._credentialStore = 'credentialStore' in config ? config.credentialStore : getDefaultCredentialStore();
+
+    /**
+     * Template cache verified downloads are stored in
+     * @type {CacheManager|null}
+     * @private
+     */
+    this._cacheManager = config.cacheManager || null;
+
+    /**
+     * HTTP clients for the registries scopes are routed to, by registry URL
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._scopeClients = new Map();
+
+    /**
+     * HTTP client without credentials, for tarballs hosted outside their registry
+     * @type {Object|null}
+     * @private
+     */
+    this._anonymousClient = null;
+
     /**
      * In-memory cache store
      * @type {Map}
@@ -159,8 +214,10 @@ class NpmService {
       ...this._headers
     };
 
-    if (this._authToken) {
-      headers.Authorization = `Bearer ${this._authToken}`;
+    // Without a configured token, use the one .npmrc or the credential store has for the registry
+    const authToken = this._authToken || this._getAuthToken(this._registryUrl);
+    if (authToken) {
+      headers.Authorization = `Bearer ${authToken}`;
     }
 
     this._httpClient = axios.create({
@@ -169,11 +226,106 @@ class NpmService {
       headers: headers,
       validateStatus: (status) => status < 500
     });
+    this._scopeClients.clear();
+    this._anonymousClient = null;
 
     // Store the created instance for testing
     this._httpClientInstance = this._httpClient;
   }
 
+  /**
+   * Get the HTTP client for a package. Packages in a scope routed to another registry use a
+   * client for that registry, with the token the resolver has for it.
+   * @param {string} packageName - Package name
+   * @returns {Object} Axios instance
+   * @private
+   */
+  _getClient(packageName) {
+    const registryUrl = this._registryResolver.getScopeRegistry(packageName);
+    if (!registryUrl || isSameRegistry(registryUrl, this._registryUrl)) {
+      return this._httpClient;
+    }
+
+    if (!this._scopeClients.has(registryUrl)) {
+      this._scopeClients.set(registryUrl, axios.create({
+        baseURL: registryUrl,
+        timeout: this._timeout,
+        headers: {
+          'User-Agent': 'NpmService/1.0.0',
+          'Accept': 'application/json',
+          ...this._headers,
+          ...this._getAuthHeaders(registryUrl)
+        },
+        validateStatus: (status) => status < 500
+      }));
+    }
+    return this._scopeClients.get(registryUrl);
+  }
+
+  /**
+   * Get the HTTP client for a package's tarball. A packument may list an absolute tarball URL on
+   * another host, so the registry's credentials are only sent to the registry's own origin.
+   * @param {string} packageName - Package name
+   * @param {string} tarballUrl - `dist.tarball` from the packument
+   * @returns {Object} Axios instance
+   * @private
+   */
+  _getTarballClient(packageName, tarballUrl) {
+    const registryUrl = this._registryResolver.getScopeRegistry(packageName) || this._registryUrl;
+    let origin;
+    let registryOrigin;
+    try {
+      origin = new URL(tarballUrl, registryUrl).origin;
+      registryOrigin = new URL(registryUrl).origin;
+    } catch (error) {
+      origin = null;
+    }
+    if (origin && origin !== 'null' && origin === registryOrigin) {
+      return this._getClient(packageName);
+    }
+
+    if (!this._anonymousClient) {
+      const headers = Object.fromEntries(Object.entries(this._headers)
+        .filter(([name]) => name.toLowerCase() !== 'authorization'));
+      this._anonymousClient = axios.create({
+        timeout: this._timeout,
+        headers: {
+          'User-Agent': 'NpmService/1.0.0',
+          'Accept': 'application/json',
+          ...headers
+        },
+        validateStatus: (status) => status < 500
+      });
+    }
+    return this._anonymousClient;
+  }
+
+  /**
+   * Get the token for a registry from .npmrc, then the credential store
+   * @param {string} registryUrl - Registry URL
+   * @returns {string|null} Token
+   * @private
+   */
+  _getAuthToken(registryUrl) {
+    return this._registryResolver.getAuthToken(registryUrl) ||
+      (this._credentialStore ? this._credentialStore.get(registryUrl) : null);
+  }
+
+  /**
+   * Get the Authorization header for a registry from .npmrc, then the credential store
+   * @param {string} registryUrl - Registry URL
+   * @returns {Object} Headers, empty when there are no credentials
+   * @private
+   */
+  _getAuthHeaders(registryUrl) {
+    const headers = this._registryResolver.getAuthHeaders(registryUrl);
+    if (headers.Authorization) {
+      return headers;
+    }
+    const token = this._credentialStore ? this._credentialStore.get(registryUrl) : null;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
   /**
    * Generate cache key for package data
    * @param {string} packageName - Package name
@@ -352,7 +504,7 @@ class NpmService {
     }
 
     try {
-      const response = await this._httpClient.get(`/${packageName}`);
+      const response = await this._getClient(packageName).get(`/${packageName}`);
       const packageInfo = response.data;
 
       if (useCache) {
@@ -406,11 +558,16 @@ class NpmService {
    * @param {string} [version='latest'] - Package version
    * @param {Object} [options] - Additional options
    * @param {string} [options.destination] - Destination directory
+   * @param {string} [options.extractTo] - Also extract the verified tarball into this directory
+   * @param {Function} [options.onProgress] - Called with { phase: 'download'|'extract', bytes, totalBytes, files }
    * @param {boolean} [options.useCache=true] - Use cached data if available
-   * @returns {Promise<Object>} Download result with package info and path
+   * @returns {Promise<Object>} Download result with package info, path, integrity verification and, with a
+   *   cache manager, the `cacheEntry` written for it
+   * @throws {IntegrityError} If the tarball does not match `dist.integrity` / `dist.shasum`
+   * @throws {TarballExtractionError} If the tarball exceeds the size caps or contains unsafe entries
    */
   async downloadPackage(packageName, version = 'latest', options = {}) {
-    const { destination, useCache = true } = options;
+    const { destination, extractTo, onProgress, useCache = true } = options;
 
     this._validatePackageName(packageName);
 
@@ -432,10 +589,12 @@ class NpmService {
         throw new Error(`No tarball URL found for ${packageName}@${version}`);
       }
 
-      // Download the tarball
-      const response = await this._httpClient.get(tarballUrl, {
-        responseType: 'arraybuffer'
-      });
+      // Refuse packages without integrity fields before downloading anything
+      const label = `${packageName}@${version}`;
+      const verifier = createVerifier({ integrity: versionInfo.dist.integrity, shasum: versionInfo.dist.shasum });
+      if (!versionInfo.dist.integrity && !versionInfo.dist.shasum) {
+        verifier.assert(label);
+      }
 
       // Create destination directory if specified
       let packagePath;
@@ -448,17 +607,79 @@ class NpmService {
         packagePath = path.join(tempDir, `${packageName}-${version}.tgz`);
       }
 
-      await fs.writeFile(packagePath, response.data);
+      // Stream the tarball to disk, hashing it on the way, and only keep it once it verifies
+      const response = await this._getTarballClient(packageName, tarballUrl).get(tarballUrl, { responseType: 'stream' });
+      const totalBytes = parseInt(response.headers?.['content-length'], 10) || null;
+      const partialPath = `${packagePath}.partial`;
+      const { maxBytes } = this._extractLimits;
+      let size = 0;
+      let verification;
+
+      try {
+        await pipeline(
+          response.data,
+          new Transform({
+            transform(chunk, encoding, callback) {
+              size += chunk.length;
+              if (size > maxBytes) {
+                callback(new TarballExtractionError(
+                  `Tarball for ${label} exceeds the maximum size of ${maxBytes} bytes`,
+                  'LIMIT_BYTES',
+                  { maxBytes }
+                ));
+                return;
+              }
+              verifier.update(chunk);
+              if (onProgress) {
+                onProgress({ phase: 'download', bytes: size, totalBytes });
+              }
+              callback(null, chunk);
+            }
+          }),
+          fs.createWriteStream(partialPath)
+        );
+        verification = verifier.assert(label);
+        await fs.move(partialPath, packagePath, { overwrite: true });
+      } catch (error) {
+        await fs.remove(partialPath);
+        throw error;
+      }
+
+      let extracted = null;
+      if (extractTo) {
+        extracted = await extractTarball(packagePath, extractTo, {
+          ...this._extractLimits,
+          strip: 1,
+          onProgress: onProgress && (progress => onProgress({ phase: 'extract', ...progress }))
+        });
+      }
+
+      let cacheEntry = null;
+      if (this._cacheManager) {
+        cacheEntry = await this._cacheManager.setCacheEntry(packageName, version, extracted ? extracted.targetDir : packagePath, {
+          integrity: versionInfo.dist.integrity,
+          shasum: versionInfo.dist.shasum,
+          tarball: packagePath
+        });
+      }
 
       return {
         packageName,
         version,
         packagePath,
-        size: response.data.byteLength,
-        checksum: versionInfo.dist?.shasum,
+        extractedPath: extracted ? extracted.targetDir : null,
+        files: extracted ? extracted.files : null,
+        size,
+        checksum: versionInfo.dist.shasum,
+        integrity: versionInfo.dist.integrity || null,
+        verification,
+        cacheEntry,
         downloadedAt: new Date().toISOString()
       };
     } catch (error) {
+      if (error.isIntegrityError || error.isTarballExtractionError) {
+        throw error;
+      }
       this._handleHttpError(error, `downloadPackage(${packageName}@${version})`);
     }
   }
@@ -663,7 +884,7 @@ class NpmService {
   /**
    * Authenticate with registry
    * @param {string} registryUrl - Registry URL
-   * @param {string} token - Authentication token
+   * @param {string} [token] - Authentication token (default: the token .npmrc or the credential store has for the registry)
    * @returns {Promise<Object>} Authentication result
    */
   async authenticateRegistry(registryUrl, token) {
@@ -671,6 +892,8 @@ class NpmService {
       throw new Error('Registry URL is required and must be a string');
     }
 
+    token = token || this._getAuthToken(registryUrl);
+
     if (!token || typeof token !== 'string') {
       throw new Error('Authentication token is required and must be a string');
     }
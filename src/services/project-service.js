@@ -5,15 +5,43 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
 const glob = require('glob');
 const execa = require('execa');
 const chalk = require('chalk');
 const ora = require('ora');
-const { promisify } = require('util');
 
 const ProjectInstance = require('../models/project');
 const { ProjectConfiguration } = require('../models/config');
 const TemplatePackage = require('../models/template');
+const { TemplateEngine } = require('../core/template-engine');
+const { TemplateManifest } = require('../core/template-manifest');
+const { HookRunner, HOOK_NAMES } = require('../core/hook-runner');
+const { ProjectTransaction, createBackupPath } = require('../core/project-transaction');
+const { PROJECT_METADATA_FILE, writeProjectMetadata } = require('../core/project-metadata');
+const { AssistantContext, ASSISTANT_FORMATS, normalizeFormats, getConfiguredFormats } = require('../core/assistant-context');
+const {
+  hashProjectFiles,
+  hashDirectory,
+  createLock,
+  writeLockfile,
+  compareFileHashes
+} = require('../core/project-lock');
+const { AdvisoryDatabase, formatAuditFinding } = require('../core/advisory-database');
+const { OrgPolicy } = require('../core/org-policy');
+const { LocalRegistry, getConfiguredRegistries } = require('../core/local-registry');
+const { RegistryResolver } = require('../core/registry-resolver');
+const { extractTarball, DEFAULT_LIMITS } = require('../core/tarball-extractor');
+const { CONFIG_DIR } = require('../core/cli-config');
+const { redactSecrets } = require('../utils/redaction');
+const {
+  scanSecrets,
+  checkGeneratedSecrets,
+  formatSecretFinding,
+  SECRET_ACTIONS
+} = require('../utils/secretScanner');
+const cliPackage = require('../../package.json');
 const {
   validateProjectName,
   validateFilePath,
@@ -21,8 +49,8 @@ const {
   validateRegistryUrl
 } = require('../utils/validation');
 
-// Promisify glob
-const globAsync = promisify(glob);
+// glob >= 9 exposes a promise based API
+const globAsync = glob.glob;
 
 /**
  * Custom error class for project service errors
@@ -47,11 +75,11 @@ class ProgressTracker {
     this.startTime = null;
     this.spinner = null;
     this.callbacks = {
-      onStepStart: null,
-      onStepComplete: null,
-      onProgress: null,
-      onError: null,
-      onComplete: null
+      onStepStart: [],
+      onStepComplete: [],
+      onProgress: [],
+      onError: [],
+      onComplete: []
     };
   }
 
@@ -59,30 +87,46 @@ class ProgressTracker {
    * Add a step to the progress tracker
    * @param {string} description - Step description
    * @param {Function} fn - Step function
+   * @param {Object} options - Step options
+   * @param {boolean} options.cancellable - Stop before this step once cancelled (default: true)
    */
-  addStep(description, fn) {
-    this.steps.push({ description, fn, completed: false, error: null });
+  addStep(description, fn, options = {}) {
+    this.steps.push({ description, fn, completed: false, error: null, cancellable: options.cancellable !== false });
     return this;
   }
 
   /**
-   * Set progress callback
-   * @param {string} event - Event name
+   * Add a progress callback; several callbacks can be added for the same event
+   * @param {string} event - Event name: onStepStart, onStepComplete, onProgress, onError or onComplete
    * @param {Function} callback - Callback function
+   * @throws {ProjectServiceError} If the event name is unknown
    */
   on(event, callback) {
-    if (this.callbacks.hasOwnProperty(event)) {
-      this.callbacks[event] = callback;
+    if (!this.callbacks.hasOwnProperty(event)) {
+      throw new ProjectServiceError(`Unknown progress event: ${event}`, 'INVALID_EVENT', { event });
     }
+    this.callbacks[event].push(callback);
     return this;
   }
 
+  /**
+   * Call the callbacks of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Callback arguments
+   */
+  notify(event, ...args) {
+    this.callbacks[event].forEach(callback => callback(...args));
+  }
+
   /**
    * Execute all steps with progress tracking
    * @param {Object} context - Context to pass to step functions
+   * @param {Object} options - Execution options
+   * @param {AbortSignal} options.signal - Stops before the next cancellable step once aborted
    * @returns {Promise<Object>} Execution result
+   * @throws {ProjectServiceError} With code CANCELLED if the signal was aborted
    */
-  async execute(context = {}) {
+  async execute(context = {}, options = {}) {
     this.startTime = Date.now();
     this.currentStep = 0;
 
@@ -91,28 +135,26 @@ class ProgressTracker {
         this.currentStep = i;
         const step = this.steps[i];
 
-        if (this.callbacks.onStepStart) {
-          this.callbacks.onStepStart(step, i, this.steps.length);
+        if (options.signal && options.signal.aborted && step.cancellable) {
+          throw new ProjectServiceError(`Cancelled before: ${step.description}`, 'CANCELLED', { step: step.description });
         }
 
+        this.notify('onStepStart', step, i, this.steps.length);
+
         try {
           const result = await step.fn(context);
           step.completed = true;
           step.result = result;
 
-          if (this.callbacks.onStepComplete) {
-            this.callbacks.onStepComplete(step, i, this.steps.length);
-          }
-
-          if (this.callbacks.onProgress) {
-            const progress = ((i + 1) / this.steps.length) * 100;
-            this.callbacks.onProgress(progress, step, i, this.steps.length);
-          }
+          this.notify('onStepComplete', step, i, this.steps.length);
+          this.notify('onProgress', ((i + 1) / this.steps.length) * 100, step, i, this.steps.length);
         } catch (error) {
           step.error = error;
-          if (this.callbacks.onError) {
-            this.callbacks.onError(error, step, i, this.steps.length);
+          // Steps can attach a partial result (e.g. hook output) to the error
+          if (error.details && error.details.stepResult) {
+            step.result = error.details.stepResult;
           }
+          this.notify('onError', error, step, i, this.steps.length);
           throw error;
         }
       }
@@ -125,9 +167,7 @@ class ProgressTracker {
         context
       };
 
-      if (this.callbacks.onComplete) {
-        this.callbacks.onComplete(result);
-      }
+      this.notify('onComplete', result);
 
       return result;
     } catch (error) {
@@ -140,9 +180,7 @@ class ProgressTracker {
         context
       };
 
-      if (this.callbacks.onComplete) {
-        this.callbacks.onComplete(result);
-      }
+      this.notify('onComplete', result);
 
       throw error;
     }
@@ -160,6 +198,20 @@ class ProjectService {
    * @param {string} options.templatesDir - Base directory for templates
    * @param {Object} options.registry - Registry configuration
    * @param {boolean} options.verbose - Enable verbose logging
+   * @param {TemplateEngine} options.templateEngine - Template engine used to render files
+   * @param {HookRunner} options.hookRunner - Runner for template lifecycle hooks
+   * @param {number} options.hookTimeout - Maximum run time per hook in milliseconds
+   * @param {AdvisoryDatabase} options.advisoryDatabase - Advisory database used to audit template dependencies
+   * @param {OrgPolicy} options.policy - Organization policy (defaults to the file at options.policyPath)
+   * @param {string} options.policyPath - Organization policy file (defaults to the global policy.json)
+   * @param {Array<TemplateRegistry>} options.registries - Registries to look templates up in; only local
+   *   and static index registries are used (defaults to the registries in the global CLI configuration)
+   * @param {string} options.registryCacheDir - Where templates from static index registries are extracted
+   * @param {RegistryResolver} options.registryResolver - Scope to registry routing from .npmrc and the CLI configuration
+   * @param {AssistantContext} options.assistantContext - Writes AGENTS.md and the other assistant context files
+   * @param {Function} options.onLog - Called with every log entry { timestamp, level, message }, verbose or not
+   * @param {boolean} options.watchRegistries - Watch local registry directories for changes, for long-running
+   *   servers; call close() to stop watching
    */
   constructor(options = {}) {
     this.projectsDir = options.projectsDir || process.cwd();
@@ -169,6 +221,7 @@ class ProjectService {
       authToken: null
     };
     this.verbose = options.verbose || false;
+    this.onLog = options.onLog || null;
 
     // Ensure directories exist
     fs.ensureDirSync(this.projectsDir);
@@ -177,19 +230,74 @@ class ProjectService {
     // Initialize template cache
     this.templateCache = new Map();
 
+    // Template engine used to render generated files
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+
+    // Runner for template lifecycle hooks
+    this.hookRunner = options.hookRunner || new HookRunner({ timeout: options.hookTimeout });
+
+    // Local advisory database for dependency audits
+    this.advisoryDatabase = options.advisoryDatabase || new AdvisoryDatabase();
+
+    // Organization policy, loaded on first use
+    this.policy = options.policy || null;
+    this.policyPath = options.policyPath || null;
+
+    // Local and static index registries are searched before falling back to the built-in template definitions
+    this.templateRegistries = (options.registries || getConfiguredRegistries())
+      .filter(registry => registry instanceof LocalRegistry || registry.format === 'index');
+    this.templateSources = new Map();
+    this.registryWatchers = options.watchRegistries ? this.watchRegistries() : [];
+    this.registryCacheDir = options.registryCacheDir || path.join(CONFIG_DIR, 'cache', 'registry-index');
+
+    // Templates in a routed scope are only looked up in that scope's registry
+    this.registryResolver = options.registryResolver || new RegistryResolver();
+
+    // Context files for AI coding assistants, written after the project is generated
+    this.assistantContext = options.assistantContext || new AssistantContext();
+
     // Supported template types
     this.supportedTemplateTypes = ['react-next', 'node-api', 'vue-app'];
   }
 
+  /**
+   * Watch the local registry directories, so templates added or removed there are seen on the next project
+   * @private
+   * @returns {Array<fs.FSWatcher>} Watchers
+   */
+  watchRegistries() {
+    const watchers = [];
+    for (const registry of this.templateRegistries.filter(candidate => candidate instanceof LocalRegistry)) {
+      try {
+        // Cached templates may be gone or have a newer version
+        watchers.push(registry.watch(() => this.templateCache.clear()));
+      } catch (error) {
+        this.log(`Cannot watch registry ${registry.url}: ${error.message}`, 'warn');
+      }
+    }
+    return watchers;
+  }
+
+  /**
+   * Stop watching local registry directories
+   */
+  close() {
+    this.registryWatchers.forEach(watcher => watcher.close());
+    this.registryWatchers = [];
+  }
+
   /**
    * Log verbose messages if verbose mode is enabled
    * @param {string} message - Message to log
    * @param {string} level - Log level
    */
   log(message, level = 'info') {
+    const timestamp = new Date().toISOString();
+    if (this.onLog) {
+      this.onLog({ timestamp, level, message });
+    }
     if (!this.verbose) {return;}
 
-    const timestamp = new Date().toISOString();
     const prefix = chalk.gray(`[${timestamp}]`);
 
     switch (level) {
@@ -209,10 +317,39 @@ class ProjectService {
 
   /**
    * Create a new project from configuration
+   *
+   * The project is generated, processed and installed in a staging directory next to the
+   * target and only moved into place once every step has succeeded. If anything fails the
+   * target directory is restored to exactly what it was before (see ProjectTransaction).
+   *
    * @param {ProjectConfiguration|Object} config - Project configuration
+   * @param {Object} options - Creation options
+   * @param {boolean} options.skipHooks - Do not run template lifecycle hooks
+   * @param {boolean} options.dryRun - Dry run, implies skipHooks
+   * @param {boolean} options.allowOverwrite - Allow generating into an existing, non-empty directory
+   * @param {boolean} options.keepBackup - Keep the backup of an overwritten directory after success
+   * @param {Object} options.lock - Lockfile to reproduce; the template source and generated files
+   *   must match it (answers come from `config.configValues`)
+   * @param {string} options.failOn - Refuse templates whose dependencies have known vulnerabilities
+   *   of this severity or higher (critical, high, medium, low)
+   * @param {Function} options.onAudit - Called with the dependency audit report before anything is generated,
+   *   also when it fails the `failOn` gate
+   * @param {Array<string>|string|boolean} options.assistantContext - Assistant context formats to write
+   *   (agents, claude, cursor), or false for none (default: `assistantContext.formats` in the CLI configuration)
+   * @param {string} options.secrets - What to do with secrets found in the generated files: abort
+   *   (default), redact (move them into a git-ignored .env) or continue
+   * @param {Function} options.onSecrets - Called with the findings; resolves to one of the actions above
+   * @param {AbortSignal} options.signal - Cancels the creation; the target directory is rolled back
+   *   unless the project has already been moved into place
+   * @param {Function} options.onEvent - Receives progress events, as they happen:
+   *   { type: 'step', status: 'started'|'completed'|'failed', description, index, total, percent, error }
+   *   { type: 'log', source: 'npm', level: 'info'|'warn', message } for each line npm prints while installing
+   * @param {string} options.projectId - Id of the created project (default: generated)
    * @returns {Promise<ProjectInstance>} Created project instance
    */
-  async createProject(config) {
+  async createProject(config, options = {}) {
+    let transaction = null;
+
     try {
       // Normalize configuration
       const projectConfig = config instanceof ProjectConfiguration
@@ -231,6 +368,14 @@ class ProjectService {
         );
       }
 
+      const contextFormats = this.getAssistantContextFormats(options);
+      if (options.secrets && !SECRET_ACTIONS.includes(options.secrets)) {
+        throw new ProjectServiceError(
+          `Unknown secrets action: ${options.secrets} (expected ${SECRET_ACTIONS.join(', ')})`,
+          'INVALID_SECRETS_ACTION'
+        );
+      }
+
       // Get template package
       const template = await this.getTemplatePackage(projectConfig.templateId, projectConfig.version);
       if (!template) {
@@ -250,6 +395,7 @@ class ProjectService {
 
       // Create project instance
       const project = new ProjectInstance({
+        id: options.projectId,
         projectName: projectConfig.projectName,
         projectPath: projectConfig.projectPath,
         templateId: template.id,
@@ -260,32 +406,72 @@ class ProjectService {
         }
       });
 
+      // Exact template version and source integrity, recorded in the lockfile
+      const provenance = await this.getTemplateProvenance(template, projectConfig);
+      if (options.lock) {
+        this.checkLockProvenance(options.lock, provenance);
+      }
+
+      // Refuse templates the organization policy does not allow
+      await this.checkTemplatePolicy(template, provenance);
+
+      // Audit template dependencies before anything is generated
+      const audit = await this.auditTemplateDependencies(template, { failOn: options.failOn });
+      if (options.onAudit) {
+        await options.onAudit(audit);
+      }
+      if (!audit.passed) {
+        throw new ProjectServiceError(
+          `Template dependencies have known vulnerabilities of ${options.failOn} severity or higher`,
+          'AUDIT_FAILED',
+          { audit }
+        );
+      }
+
+      // Restore directories left behind by an interrupted run before touching the target
+      const recovered = await ProjectTransaction.recover(path.dirname(path.resolve(project.projectPath)));
+      recovered.forEach(targetPath => this.log(`Recovered interrupted project creation: ${targetPath}`, 'warn'));
+
+      transaction = new ProjectTransaction(project.projectPath, {
+        allowOverwrite: options.allowOverwrite,
+        keepBackup: options.keepBackup
+      });
+
+      // Every step below works on the staging directory. Variables are computed once (and pinned
+      // in configValues) so the files, hooks and lockfile all see the same timestamps.
+      const stagingConfig = projectConfig.clone({
+        id: projectConfig.id,
+        projectPath: transaction.stagingPath,
+        configValues: this.buildVariableMap(template, projectConfig)
+      });
+
+      // Template lifecycle hooks declared in the template manifest
+      const hooks = options.skipHooks || options.dryRun ? {} : await this.getTemplateHooks(template);
+
+      const emit = event => options.onEvent && options.onEvent(event);
+
       // Set up progress tracking
       const progress = new ProgressTracker()
-        .addStep('Validating project configuration', async(ctx) => {
-          this.log('Validating project configuration');
-          const validation = await this.validateProject(project);
-          if (!validation.isValid) {
-            throw new ProjectServiceError(
-              'Project validation failed',
-              'VALIDATION_FAILED',
-              { errors: validation.errors }
-            );
+        .addStep('Preparing staging directory', async() => {
+          this.log(`Preparing staging directory for: ${project.projectPath}`);
+          try {
+            await transaction.begin();
+          } catch (error) {
+            throw new ProjectServiceError(error.message, error.code || 'STAGING_FAILED', { error: error.message });
           }
-          return validation;
-        })
-        .addStep('Creating project directory', async(ctx) => {
-          this.log(`Creating project directory: ${project.projectPath}`);
-          await fs.ensureDir(project.projectPath);
 
           // Check directory permissions
-          await this.checkDirectoryPermissions(project.projectPath);
+          await this.checkDirectoryPermissions(transaction.stagingPath);
 
-          return { path: project.projectPath };
-        })
+          return { path: transaction.stagingPath, overwrite: transaction.targetExisted };
+        });
+
+      this.addHookStep(progress, 'preGenerate', hooks, template, stagingConfig);
+
+      progress
         .addStep('Generating project files', async(ctx) => {
           this.log('Generating project files');
-          const generatedFiles = await this.generateProjectFiles(template, projectConfig);
+          const generatedFiles = await this.generateProjectFiles(template, stagingConfig);
 
           // Update project with generated files
           generatedFiles.forEach(file => {
@@ -302,13 +488,88 @@ class ProjectService {
         })
         .addStep('Processing template variables', async(ctx) => {
           this.log('Processing template variables');
-          await this.processTemplateVariables(template, projectConfig);
+          await this.processTemplateVariables(template, stagingConfig);
           return { processed: true };
+        });
+
+      this.addHookStep(progress, 'postGenerate', hooks, template, stagingConfig);
+
+      // Secrets are dealt with before the lockfile records the file hashes
+      progress.addStep('Scanning for secrets', async() => {
+        this.log('Scanning generated files for secrets');
+        return this.checkGeneratedSecrets(transaction.stagingPath, options);
+      });
+
+      if (options.lock) {
+        progress.addStep('Verifying generated files against lockfile', async() => {
+          this.log('Verifying generated files against lockfile');
+          return this.verifyLockedFiles(transaction.stagingPath, options.lock);
+        });
+      } else {
+        progress.addStep('Writing lockfile', async() => {
+          this.log('Writing lockfile');
+          return this.writeProjectLock(transaction.stagingPath, template, stagingConfig, provenance);
+        });
+      }
+
+      progress.addStep('Installing dependencies', async(ctx) => {
+        this.log('Installing dependencies');
+        await this.installDependencies(transaction.stagingPath, template, {
+          signal: options.signal,
+          onOutput: options.onEvent
+            ? (line, stream) => emit({ type: 'log', source: 'npm', level: stream === 'stderr' ? 'warn' : 'info', message: line })
+            : null
+        });
+        return { installed: true };
+      });
+
+      this.addHookStep(progress, 'postInstall', hooks, template, stagingConfig);
+
+      progress
+        .addStep('Recording project metadata', async() => {
+          this.log('Recording project metadata');
+          return this.recordProjectMetadata(transaction.stagingPath, template, stagingConfig, provenance);
         })
-        .addStep('Installing dependencies', async(ctx) => {
-          this.log('Installing dependencies');
-          await this.installDependencies(project.projectPath, template);
-          return { installed: true };
+        .addStep('Writing assistant context files', async() => {
+          this.log('Writing assistant context files');
+          const results = await this.assistantContext.generate(transaction.stagingPath, {
+            formats: contextFormats,
+            templateDir: await this.getTemplateSourceDir(template),
+            answers: this.buildVariableMap(template, stagingConfig)
+          });
+          for (const result of results.filter(entry => entry.status === 'created')) {
+            project.addFile({
+              path: result.path,
+              name: result.path,
+              size: (await fs.stat(path.join(transaction.stagingPath, result.path))).size,
+              type: path.extname(result.path).slice(1) || 'text',
+              createdAt: new Date()
+            });
+          }
+
+          // `update` regenerates the same formats
+          await writeProjectMetadata(transaction.stagingPath, { assistantContext: contextFormats });
+          return results;
+        })
+        .addStep('Validating generated project', async() => {
+          this.log('Validating generated project');
+          const validation = await this.validateProject(transaction.stagingPath);
+          if (!validation.isValid) {
+            throw new ProjectServiceError(
+              'Project validation failed',
+              'VALIDATION_FAILED',
+              { errors: validation.errors }
+            );
+          }
+          return validation;
+        })
+        .addStep('Moving project into place', async() => {
+          this.log(`Moving project into place: ${project.projectPath}`);
+          const result = await transaction.commit();
+          if (result.backupPath) {
+            this.log(`Previous directory contents kept at: ${result.backupPath}`);
+          }
+          return result;
         })
         .addStep('Finalizing project', async(ctx) => {
           this.log('Finalizing project');
@@ -319,22 +580,33 @@ class ProjectService {
           project.size = actualSize;
 
           return { finalized: true, size: actualSize };
-        });
-
-      // Add progress callbacks for CLI feedback
+        }, { cancellable: false });
+
+      // Verbose logging, and step events for the CLI spinner and API jobs
+      const stepEvent = (status, step, index, total) => ({
+        type: 'step',
+        status,
+        description: step.description,
+        index,
+        total,
+        percent: Math.floor(((status === 'completed' ? index + 1 : index) / total) * 100)
+      });
       progress
-        .on('stepStart', (step, index, total) => {
+        .on('onStepStart', (step, index, total) => {
           this.log(`Step ${index + 1}/${total}: ${step.description}`);
+          emit(stepEvent('started', step, index, total));
         })
-        .on('stepComplete', (step, index, total) => {
+        .on('onStepComplete', (step, index, total) => {
           this.log(`✓ Completed: ${step.description}`);
+          emit(stepEvent('completed', step, index, total));
         })
-        .on('error', (error, step, index, total) => {
+        .on('onError', (error, step, index, total) => {
           this.log(`✗ Failed: ${step.description} - ${error.message}`, 'error');
+          emit({ ...stepEvent('failed', step, index, total), error: error.message });
         });
 
       // Execute project creation with progress tracking
-      await progress.execute({ project, template, config: projectConfig });
+      await progress.execute({ project, template, config: projectConfig }, { signal: options.signal });
 
       this.log(`Project created successfully: ${project.projectName}`, 'success');
       return project;
@@ -342,15 +614,270 @@ class ProjectService {
     } catch (error) {
       this.log(`Failed to create project: ${error.message}`, 'error');
 
-      // Cleanup on failure
-      if (error.isProjectServiceError && error.code !== 'VALIDATION_FAILED') {
-        await this.cleanupFailedProject(config.projectPath);
+      // Restore the target directory to its original state
+      if (transaction) {
+        await this.rollbackProject(transaction);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Get the assistant context formats for a project
+   * @param {Object} options - Creation options, see createProject()
+   * @returns {Array<string>} Format names
+   * @throws {ProjectServiceError} If a format is unknown
+   */
+  getAssistantContextFormats(options = {}) {
+    try {
+      return normalizeFormats('assistantContext' in options ? options.assistantContext : getConfiguredFormats());
+    } catch (error) {
+      throw new ProjectServiceError(error.message, error.code || 'INVALID_FORMAT', error.details);
+    }
+  }
+
+  /**
+   * Record the template and answers a project was generated from
+   * @param {string} projectDir - Project directory
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   * @param {Object} provenance - Resolved template provenance from getTemplateProvenance()
+   * @returns {Promise<Object>} Written metadata
+   */
+  async recordProjectMetadata(projectDir, template, config, provenance = {}) {
+    return writeProjectMetadata(projectDir, {
+      name: config.projectName,
+      template: template.id,
+      templateVersion: provenance.version || template.version,
+      templateType: template.type,
+      createdAt: new Date().toISOString(),
+      answers: redactSecrets(this.buildVariableMap(template, config), { schema: template.configSchema })
+    });
+  }
+
+  /**
+   * Resolve where a template comes from: exact version, source and integrity
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   * @returns {Promise<Object>} { id, version, source, integrity, commit, registry }
+   */
+  async getTemplateProvenance(template, config) {
+    const provenance = {
+      id: template.id,
+      version: template.version,
+      source: 'registry',
+      integrity: template.integrity || null,
+      commit: null,
+      registry: config.registry || null
+    };
+
+    // Templates from a static index are pinned by the index entry and its tarball integrity
+    const registry = this.templateSources.get(`${template.id}@${template.version}`);
+    if (registry && registry.format === 'index') {
+      const entry = await registry.resolveTemplate(template.id, template.version);
+      return { ...provenance, version: entry.version, source: 'index', integrity: entry.integrity, registry: registry.url };
+    }
+
+    const sourceDir = await this.getTemplateSourceDir(template);
+    if (sourceDir) {
+      provenance.source = 'local';
+      provenance.registry = registry ? registry.url : provenance.registry;
+      provenance.integrity = await hashDirectory(sourceDir);
+
+      // A local template's package.json pins the version better than the requested tag
+      const templatePackageJson = path.join(sourceDir, 'package.json');
+      if (await fs.pathExists(templatePackageJson)) {
+        try {
+          provenance.version = (await fs.readJson(templatePackageJson)).version || provenance.version;
+        } catch (error) {
+          this.log(`Ignoring unreadable template package.json: ${error.message}`, 'warn');
+        }
+      }
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Make sure the resolved template matches the one recorded in a lockfile
+   * @private
+   * @param {Object} lock - Lockfile contents
+   * @param {Object} provenance - Resolved template provenance
+   * @throws {ProjectServiceError} If the template id, version or integrity differ
+   */
+  checkLockProvenance(lock, provenance) {
+    const mismatches = [];
+    if (lock.template.id !== provenance.id) {
+      mismatches.push(`template ${provenance.id} (locked ${lock.template.id})`);
+    }
+    if (lock.template.version !== provenance.version) {
+      mismatches.push(`version ${provenance.version} (locked ${lock.template.version})`);
+    }
+    if (lock.template.integrity && provenance.integrity && lock.template.integrity !== provenance.integrity) {
+      mismatches.push('template integrity');
+    }
+
+    if (mismatches.length > 0) {
+      throw new ProjectServiceError(
+        `Template does not match lockfile: ${mismatches.join(', ')}`,
+        'LOCK_TEMPLATE_MISMATCH',
+        { mismatches }
+      );
+    }
+  }
+
+  /**
+   * Hash the generated files and write the project lockfile
+   * @param {string} projectDir - Project directory
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   * @param {Object} provenance - Resolved template provenance
+   * @returns {Promise<Object>} Written lockfile contents
+   */
+  async writeProjectLock(projectDir, template, config, provenance) {
+    const lock = createLock({
+      projectName: config.projectName,
+      cli: { name: cliPackage.name, version: cliPackage.version },
+      template: provenance,
+      registry: provenance.registry,
+      answers: this.buildVariableMap(template, config),
+      schema: template.configSchema,
+      files: await hashProjectFiles(projectDir)
+    });
+
+    await writeLockfile(projectDir, lock);
+    return lock;
+  }
+
+  /**
+   * Verify generated files against a lockfile and write the lockfile into the project
+   * @param {string} projectDir - Project directory
+   * @param {Object} lock - Lockfile contents
+   * @returns {Promise<Object>} Comparison result
+   * @throws {ProjectServiceError} If any file differs from the lockfile
+   */
+  async verifyLockedFiles(projectDir, lock) {
+    const comparison = compareFileHashes(lock.files, await hashProjectFiles(projectDir));
+
+    if (!comparison.isValid) {
+      const problems = [
+        ...comparison.changed.map(file => `${file} (changed)`),
+        ...comparison.missing.map(file => `${file} (missing)`),
+        ...comparison.extra.map(file => `${file} (not in lockfile)`)
+      ];
+      throw new ProjectServiceError(
+        `Generated files do not match lockfile: ${problems.join(', ')}`,
+        'LOCK_MISMATCH',
+        comparison
+      );
+    }
+
+    await writeLockfile(projectDir, lock);
+    return comparison;
+  }
+
+  /**
+   * Roll back a failed project creation
+   * @private
+   * @param {ProjectTransaction} transaction - Project creation transaction
+   * @returns {Promise<void>}
+   */
+  async rollbackProject(transaction) {
+    try {
+      await transaction.rollback();
+      this.log(`Rolled back project creation: ${transaction.targetPath}`);
+    } catch (error) {
+      this.log(`Failed to roll back project: ${error.message} (journal: ${transaction.journalPath})`, 'warn');
+    }
+  }
+
+  /**
+   * Resolve the lifecycle hook scripts a template declares in its manifest
+   * @param {TemplatePackage} template - Template package
+   * @returns {Promise<Object>} Absolute script paths keyed by hook name
+   */
+  async getTemplateHooks(template) {
+    const sourceDir = await this.getTemplateSourceDir(template);
+    if (!sourceDir) {
+      return {};
+    }
+
+    const manifest = await TemplateManifest.load(sourceDir);
+    const hooks = {};
+    for (const name of HOOK_NAMES) {
+      const hookPath = manifest.getHook(name);
+      if (hookPath) {
+        hooks[name] = path.join(sourceDir, hookPath);
+      }
+    }
+    return hooks;
+  }
+
+  /**
+   * Scan generated files for secrets and apply the chosen action
+   * @param {string} projectPath - Generated project directory
+   * @param {Object} options - Options
+   * @param {string} options.secrets - abort (default), redact or continue
+   * @param {Function} options.onSecrets - Called with the findings; resolves to the action
+   * @returns {Promise<Object>} { findings, action, envFile }
+   * @throws {SecretsFoundError} If secrets are found and the action is abort
+   */
+  async checkGeneratedSecrets(projectPath, options = {}) {
+    const { findings, action, redaction } = await checkGeneratedSecrets(projectPath, {
+      secrets: options.secrets,
+      onSecrets: options.onSecrets,
+      log: (level, message) => this.log(message, level)
+    });
+    return { findings: findings.length, action, envFile: redaction ? redaction.envFile : null };
+  }
+
+  /**
+   * Add a progress step running a template hook, if the template declares it
+   * @private
+   * @param {ProgressTracker} progress - Progress tracker
+   * @param {string} name - Hook name
+   * @param {Object} hooks - Hook scripts keyed by name
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   */
+  addHookStep(progress, name, hooks, template, config) {
+    if (!hooks[name]) {
+      return;
+    }
+    progress.addStep(`Running ${name} hook`, async() => this.runTemplateHook(name, hooks[name], template, config));
+  }
+
+  /**
+   * Run a template hook against the project directory
+   * @param {string} name - Hook name
+   * @param {string} scriptPath - Hook script path
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   * @returns {Promise<Object>} Hook result with output
+   * @throws {ProjectServiceError} If the hook fails; the hook result is attached as `details.stepResult`
+   */
+  async runTemplateHook(name, scriptPath, template, config) {
+    this.log(`Running ${name} hook: ${scriptPath}`);
+
+    const result = await this.hookRunner.run(name, scriptPath, {
+      projectDir: config.projectPath,
+      answers: this.buildVariableMap(template, config)
+    });
+
+    result.output.forEach(line => this.log(`[${name}] ${line}`));
+
+    if (!result.success) {
+      throw new ProjectServiceError(
+        `${name} hook failed: ${result.error}`,
+        'HOOK_FAILED',
+        { hook: name, stepResult: result }
+      );
+    }
+
+    return result;
+  }
+
   /**
    * Generate project files from template
    * @param {TemplatePackage} template - Template package
@@ -361,8 +888,8 @@ class ProjectService {
     try {
       this.log(`Generating files for template: ${template.id}`);
 
-      // Get template files
-      const templateFiles = await this.getTemplateFiles(template);
+      // Get template files, filtered and renamed by the template manifest
+      const { files: templateFiles, manifest, sourceDir } = await this.planProjectFiles(template, config);
       const generatedFiles = [];
 
       for (const templateFile of templateFiles) {
@@ -375,6 +902,12 @@ class ProjectService {
         }
       }
 
+      // Partials are rendered while processing variables and removed afterwards
+      const partialsDir = sourceDir ? path.join(sourceDir, manifest.partialsDir) : null;
+      if (partialsDir && await fs.pathExists(partialsDir)) {
+        await fs.copy(partialsDir, path.join(config.projectPath, '_partials'));
+      }
+
       this.log(`Generated ${generatedFiles.length} files`);
       return generatedFiles;
 
@@ -387,6 +920,185 @@ class ProjectService {
     }
   }
 
+  /**
+   * Work out which files a template generates for a configuration, applying the
+   * template manifest's include rules and renames
+   * @param {TemplatePackage} template - Template package
+   * @param {ProjectConfiguration} config - Project configuration
+   * @returns {Promise<Object>} { files, manifest, sourceDir }
+   */
+  async planProjectFiles(template, config) {
+    const sourceDir = await this.getTemplateSourceDir(template);
+    const manifest = sourceDir ? await TemplateManifest.load(sourceDir) : new TemplateManifest();
+    const templateFiles = await this.getTemplateFiles(template);
+    const answers = this.buildVariableMap(template, config);
+
+    const filesByPath = new Map(templateFiles.map(file => [file.path, file]));
+    const files = manifest.resolveFiles(templateFiles.map(file => file.path), answers)
+      .map(({ source, target }) => ({ ...filesByPath.get(source), path: target }));
+
+    return { files, manifest, sourceDir };
+  }
+
+  /**
+   * Preview the files a project would contain without writing anything
+   * @param {ProjectConfiguration|Object} config - Project configuration
+   * @param {Object} options - Creation options, only assistantContext is used (see createProject())
+   * @returns {Promise<Object>} Preview with project details and target file paths
+   */
+  async previewProject(config, options = {}) {
+    const projectConfig = config instanceof ProjectConfiguration
+      ? config
+      : new ProjectConfiguration(config);
+
+    const template = await this.getTemplatePackage(projectConfig.templateId, projectConfig.version);
+    if (!template) {
+      throw new ProjectServiceError(
+        `Template not found: ${projectConfig.templateId}@${projectConfig.version}`,
+        'TEMPLATE_NOT_FOUND'
+      );
+    }
+
+    const { files } = await this.planProjectFiles(template, projectConfig);
+    const filePaths = files.map(file => file.path);
+    const contextFiles = this.getAssistantContextFormats(options)
+      .map(format => ASSISTANT_FORMATS[format])
+      .filter(file => !filePaths.includes(file));
+
+    return {
+      projectName: projectConfig.projectName,
+      projectPath: projectConfig.projectPath,
+      templateId: template.id,
+      templateVersion: template.version,
+      files: [...filePaths, ...contextFiles].sort()
+    };
+  }
+
+  /**
+   * Get the dependencies a template declares, including those in its package.json
+   * @param {TemplatePackage} template - Template package
+   * @returns {Promise<Object>} { dependencies, devDependencies }
+   */
+  async getTemplateDependencies(template) {
+    const dependencies = { ...template.dependencies };
+    const devDependencies = { ...template.devDependencies };
+
+    const sourceDir = await this.getTemplateSourceDir(template);
+    const packageJsonPath = sourceDir ? path.join(sourceDir, 'package.json') : null;
+    if (packageJsonPath && await fs.pathExists(packageJsonPath)) {
+      const packageJson = await fs.readJson(packageJsonPath);
+      Object.assign(dependencies, packageJson.dependencies);
+      Object.assign(devDependencies, packageJson.devDependencies);
+    }
+
+    return { dependencies, devDependencies };
+  }
+
+  /**
+   * Get the organization policy, loading it on first use
+   * @returns {Promise<OrgPolicy>} Organization policy
+   */
+  async getPolicy() {
+    if (!this.policy) {
+      this.policy = await OrgPolicy.load(this.policyPath);
+    }
+    return this.policy;
+  }
+
+  /**
+   * Check a template against the organization policy
+   * @param {TemplatePackage} template - Template package
+   * @param {Object} provenance - Resolved template source, see getTemplateProvenance()
+   * @returns {Promise<void>}
+   * @throws {ProjectServiceError} With code POLICY_VIOLATION and the violated rules in details
+   */
+  async checkTemplatePolicy(template, provenance) {
+    const policy = await this.getPolicy();
+    const { dependencies, devDependencies } = await this.getTemplateDependencies(template);
+
+    try {
+      await policy.assertAllowed({
+        id: template.id,
+        version: provenance.version,
+        registry: provenance.source === 'local' ? null : provenance.registry || this.registry.url,
+        dependencies,
+        devDependencies,
+        sourceDir: await this.getTemplateSourceDir(template)
+      });
+    } catch (error) {
+      if (error.isPolicyError) {
+        throw new ProjectServiceError(error.message, error.code, error.details);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Audit template dependencies against the local advisory database
+   * @param {TemplatePackage} template - Template package
+   * @param {Object} options - Audit options
+   * @param {string} options.failOn - Lowest severity that fails the audit
+   * @returns {Promise<Object>} Audit report, see AdvisoryDatabase.audit()
+   */
+  async auditTemplateDependencies(template, options = {}) {
+    const report = await this.advisoryDatabase.audit(await this.getTemplateDependencies(template), options);
+    report.findings.forEach(finding => this.log(`Vulnerable dependency: ${formatAuditFinding(finding)}`, 'warn'));
+    return report;
+  }
+
+  /**
+   * Get the on-disk source directory of a template, if it is available locally
+   * @param {TemplatePackage} template - Template package
+   * @returns {Promise<string|null>} Template directory or null
+   */
+  async getTemplateSourceDir(template) {
+    const registry = this.templateSources.get(`${template.id}@${template.version}`);
+    if (registry && registry.format === 'index') {
+      return this.extractIndexTemplate(registry, template);
+    }
+    if (registry) {
+      return (await registry.getTemplateDir(template.id, template.version)).dir;
+    }
+
+    const sourceDir = path.join(this.templatesDir, template.id);
+    if (await fs.pathExists(sourceDir) && (await fs.stat(sourceDir)).isDirectory()) {
+      return sourceDir;
+    }
+    return null;
+  }
+
+  /**
+   * Download and extract a template from a static index registry, once per tarball integrity
+   * @private
+   * @param {TemplateRegistry} registry - Static index registry
+   * @param {TemplatePackage} template - Template package
+   * @returns {Promise<string>} Directory with the template files
+   */
+  async extractIndexTemplate(registry, template) {
+    const entry = await registry.resolveTemplate(template.id, template.version);
+    const key = crypto.createHash('sha256').update(entry.integrity).digest('hex').slice(0, 16);
+    const dir = path.join(this.registryCacheDir, `${template.id.replace(/^@/, '').replace(/\//g, '-')}-${entry.version}-${key}`);
+    if (await fs.pathExists(dir)) {
+      return dir;
+    }
+
+    const tarball = `${dir}.tgz`;
+    try {
+      await registry.downloadTemplate(template.id, entry.version, tarball, { maxBytes: DEFAULT_LIMITS.maxBytes });
+      // npm pack puts every file under package/
+      await extractTarball(tarball, dir, { strip: 1 });
+    } catch (error) {
+      await fs.remove(dir);
+      throw new ProjectServiceError(
+        `Failed to download ${template.id}@${entry.version} from ${registry.url}: ${error.message}`,
+        'TEMPLATE_DOWNLOAD_FAILED'
+      );
+    } finally {
+      await fs.remove(tarball);
+    }
+    return dir;
+  }
+
   /**
    * Process template variables in generated files
    * @param {TemplatePackage} template - Template package
@@ -397,14 +1109,27 @@ class ProjectService {
     try {
       this.log(`Processing template variables for: ${template.id}`);
 
+      // Partials live in the template's _partials directory and are not part of the output;
+      // they are registered on a copy of the engine so they stay with this template
+      const engine = this.templateEngine.fork();
+      const partialsDir = path.join(config.projectPath, '_partials');
+      if (await fs.pathExists(partialsDir)) {
+        await engine.registerPartialsFromDirectory(partialsDir);
+        await fs.remove(partialsDir);
+      }
+
       // Get all generated files
       const files = await this.getProjectFiles(config.projectPath);
       const variableMap = this.buildVariableMap(template, config);
 
       for (const file of files) {
         try {
-          await this.processFileVariables(file, variableMap);
+          await this.processFileVariables(path.join(config.projectPath, file), variableMap, engine);
         } catch (error) {
+          // Template syntax errors are fatal, they would otherwise leave broken files behind
+          if (error.details && error.details.line) {
+            throw error;
+          }
           this.log(`Failed to process variables in file ${file}: ${error.message}`, 'warn');
         }
       }
@@ -415,7 +1140,12 @@ class ProjectService {
       throw new ProjectServiceError(
         `Failed to process template variables: ${error.message}`,
         'VARIABLE_PROCESSING_FAILED',
-        { templateId: template.id, error: error.message }
+        {
+          templateId: template.id,
+          filePath: error.details ? error.details.filePath : null,
+          line: error.details ? error.details.line : null,
+          error: error.message
+        }
       );
     }
   }
@@ -557,7 +1287,7 @@ class ProjectService {
       }
 
       // Try to find project metadata file
-      const metadataPath = path.join(projectPath, '.xagi-project.json');
+      const metadataPath = path.join(projectPath, PROJECT_METADATA_FILE);
       if (await fs.pathExists(metadataPath)) {
         try {
           info.metadata = await fs.readJson(metadataPath);
@@ -639,7 +1369,7 @@ class ProjectService {
       }
 
       // Update project metadata
-      const metadataPath = path.join(projectPath, '.xagi-project.json');
+      const metadataPath = path.join(projectPath, PROJECT_METADATA_FILE);
       let metadata = {};
       if (await fs.pathExists(metadataPath)) {
         metadata = await fs.readJson(metadataPath);
@@ -741,6 +1471,21 @@ class ProjectService {
         return this.templateCache.get(cacheKey);
       }
 
+      // Templates in a local or static index registry are described by the registry
+      for (const registry of this.registryResolver.filterRegistries(templateId, this.templateRegistries)) {
+        const entry = await registry.resolveTemplate(templateId, version).catch(error => {
+          this.log(`Skipping registry ${registry.url}: ${error.message}`, 'warn');
+          return null;
+        });
+        if (entry) {
+          this.log(`Using template ${templateId}@${entry.version} from registry ${registry.url}`);
+          const template = new TemplatePackage(entry.data);
+          this.templateSources.set(`${template.id}@${template.version}`, registry);
+          this.templateCache.set(cacheKey, template);
+          return template;
+        }
+      }
+
       // In a real implementation, this would fetch from npm registry
       // For now, we'll simulate template fetching
       this.log(`Fetching template: ${cacheKey}`);
@@ -783,6 +1528,18 @@ class ProjectService {
    */
   async getTemplateFiles(template) {
     try {
+      // Templates available on disk are generated from their real files
+      const sourceDir = await this.getTemplateSourceDir(template);
+      if (sourceDir) {
+        const files = await TemplateManifest.listFiles(sourceDir);
+        return files.map(file => ({
+          path: file,
+          type: path.extname(file).slice(1) || 'text',
+          template: true,
+          sourcePath: path.join(sourceDir, file)
+        }));
+      }
+
       // In a real implementation, this would extract template files
       // For now, we'll return a mock structure
       const mockFiles = [
@@ -838,6 +1595,17 @@ class ProjectService {
       // Ensure directory exists
       await fs.ensureDir(path.dirname(targetPath));
 
+      // Files from an on-disk template are copied as-is, variables are processed afterwards
+      if (templateFile.sourcePath) {
+        await fs.copy(templateFile.sourcePath, targetPath);
+        const stats = await fs.stat(targetPath);
+        return {
+          path: templateFile.path,
+          size: stats.size,
+          type: templateFile.type
+        };
+      }
+
       let content = '';
 
       // Generate content based on file type
@@ -902,10 +1670,6 @@ class ProjectService {
       TEMPLATE_TYPE: template.type,
       TEMPLATE_VERSION: template.version,
 
-      // Configuration variables
-      ...config.configValues,
-      ...config.overrides,
-
       // System variables
       CURRENT_YEAR: new Date().getFullYear(),
       CURRENT_DATE: new Date().toISOString().split('T')[0],
@@ -913,7 +1677,11 @@ class ProjectService {
 
       // Author variables
       AUTHOR_NAME: config.configValues.author || 'Unknown Author',
-      AUTHOR_EMAIL: config.configValues.email || ''
+      AUTHOR_EMAIL: config.configValues.email || '',
+
+      // Configuration variables come last so a lockfile can pin every value above
+      ...config.configValues,
+      ...config.overrides
     };
 
     return variables;
@@ -923,31 +1691,26 @@ class ProjectService {
    * Process variables in a file
    * @param {string} filePath - File path
    * @param {Object} variableMap - Variable map
+   * @param {TemplateEngine} engine - Engine to render with (default: the service's engine)
    * @returns {Promise<void>}
    */
-  async processFileVariables(filePath, variableMap) {
+  async processFileVariables(filePath, variableMap, engine = this.templateEngine) {
     try {
-      let content = await fs.readFile(filePath, 'utf8');
+      const content = await fs.readFile(filePath, 'utf8');
 
-      // Replace variables in format {{VARIABLE_NAME}}
-      for (const [key, value] of Object.entries(variableMap)) {
-        const pattern = new RegExp(`{{${key}}}`, 'g');
-        content = content.replace(pattern, String(value));
-      }
-
-      // Replace variables in format <%= variableName %>
-      for (const [key, value] of Object.entries(variableMap)) {
-        const pattern = new RegExp(`<%=\\s*${key}\\s*%>`, 'g');
-        content = content.replace(pattern, String(value));
+      // Leave binary files and files without template syntax untouched
+      if (content.includes('\u0000') || !engine.hasTemplateSyntax(content)) {
+        return;
       }
 
-      await fs.writeFile(filePath, content);
+      const rendered = engine.render(content, variableMap, { filename: filePath });
+      await fs.writeFile(filePath, rendered);
 
     } catch (error) {
       throw new ProjectServiceError(
         `Failed to process variables in file ${filePath}: ${error.message}`,
         'VARIABLE_PROCESSING_ERROR',
-        { filePath, error: error.message }
+        { filePath, line: error.line || null, error: error.message }
       );
     }
   }
@@ -956,9 +1719,12 @@ class ProjectService {
    * Install dependencies for project
    * @param {string} projectPath - Project path
    * @param {TemplatePackage} template - Template package
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Kills npm when aborted
+   * @param {Function} options.onOutput - Receives each non-empty line npm prints, as (line, 'stdout'|'stderr')
    * @returns {Promise<void>}
    */
-  async installDependencies(projectPath, template) {
+  async installDependencies(projectPath, template, options = {}) {
     try {
       const allDependencies = {
         ...template.dependencies,
@@ -973,14 +1739,28 @@ class ProjectService {
       this.log(`Installing ${Object.keys(allDependencies).length} dependencies`);
 
       // Use npm install
-      await execa('npm', ['install'], {
+      const subprocess = execa('npm', ['install'], {
         cwd: projectPath,
-        stdio: this.verbose ? 'inherit' : 'pipe'
+        stdio: this.verbose && !options.onOutput ? 'inherit' : 'pipe',
+        signal: options.signal
       });
+      if (options.onOutput) {
+        for (const stream of ['stdout', 'stderr']) {
+          readline.createInterface({ input: subprocess[stream] }).on('line', line => {
+            if (line.trim()) {
+              options.onOutput(line, stream);
+            }
+          });
+        }
+      }
+      await subprocess;
 
       this.log('Dependencies installed successfully');
 
     } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw new ProjectServiceError('Cancelled while installing dependencies', 'CANCELLED');
+      }
       throw new ProjectServiceError(
         `Failed to install dependencies: ${error.message}`,
         'DEPENDENCY_INSTALL_FAILED',
@@ -1101,31 +1881,11 @@ class ProjectService {
    */
   async checkSecurityIssues(projectPath, errors, warnings) {
     try {
-      // Check for hardcoded secrets
-      const secretPatterns = [
-        /password\s*=\s*["'].*?["']/i,
-        /api_key\s*=\s*["'].*?["']/i,
-        /secret\s*=\s*["'].*?["']/i,
-        /token\s*=\s*["'].*?["']/i
-      ];
-
-      const files = await this.getProjectFiles(projectPath);
-
-      for (const file of files) {
-        if (file.includes('node_modules') || file.includes('.git')) {continue;}
-
-        try {
-          const content = await fs.readFile(path.join(projectPath, file), 'utf8');
-
-          for (const pattern of secretPatterns) {
-            if (pattern.test(content)) {
-              warnings.push(`Potential hardcoded secret found in ${file}`);
-            }
-          }
-        } catch (error) {
-          // Skip files that can't be read
-        }
-      }
+      // Check for hardcoded secrets (token formats, private keys, high-entropy assignments)
+      const findings = await scanSecrets(projectPath);
+      findings.forEach(finding => {
+        warnings.push(`Potential hardcoded secret: ${formatSecretFinding(finding)}`);
+      });
 
     } catch (error) {
       this.log(`Security check failed: ${error.message}`, 'warn');
@@ -1139,13 +1899,8 @@ class ProjectService {
    */
   async backupProject(projectPath) {
     try {
-      const backupDir = path.join(path.dirname(projectPath), '.backups');
-      await fs.ensureDir(backupDir);
-
-      const projectName = path.basename(projectPath);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupName = `${projectName}-backup-${timestamp}`;
-      const backupPath = path.join(backupDir, backupName);
+      const backupPath = createBackupPath(projectPath);
+      await fs.ensureDir(path.dirname(backupPath));
 
       await fs.copy(projectPath, backupPath);
 
@@ -1161,22 +1916,6 @@ class ProjectService {
     }
   }
 
-  /**
-   * Cleanup failed project creation
-   * @param {string} projectPath - Project path
-   * @returns {Promise<void>}
-   */
-  async cleanupFailedProject(projectPath) {
-    try {
-      if (await fs.pathExists(projectPath)) {
-        await fs.remove(projectPath);
-        this.log(`Cleaned up failed project: ${projectPath}`);
-      }
-    } catch (error) {
-      this.log(`Failed to cleanup project: ${error.message}`, 'warn');
-    }
-  }
-
   /**
    * Get template type from template ID
    * @param {string} templateId - Template ID
@@ -1621,7 +2360,6 @@ typings/
 .dynamodb/
 
 # XAGI specific
-.xagi-project.json
 .backups/
 `;
     }
@@ -0,0 +1,355 @@
+/**
+ * Credential Store
+ * Keeps registry and git tokens encrypted at rest in ~/.xagi/create-ai-project/credentials.json
+ * (or $XAGI_CREDENTIALS_PATH). Entries are keyed by registry URL or git host:
+ *
+ *   {
+ *     "version": 1,
+ *     "keySource": "file",
+ *     "salt": "<base64>",
+ *     "check": { "iv": "...", "tag": "...", "data": "..." },
+ *     "entries": {
+ *       "https://templates.internal": { "iv": "...", "tag": "...", "data": "...", "updatedAt": "..." },
+ *       "github.com": { ... }
+ *     }
+ *   }
+ *
+ * Tokens are encrypted with AES-256-GCM under a key derived with scrypt from a passphrase
+ * ($XAGI_CREDENTIAL_PASSPHRASE) or, without one, from a random key file created next to the
+ * store with owner-only permissions. Each entry is bound to its key, so entries cannot be swapped.
+ * The store is synchronous so git instances can be configured where they are created.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG_DIR } = require('../core/cli-config');
+
+const DEFAULT_CREDENTIALS_PATH = path.join(CONFIG_DIR, 'credentials.json');
+const DEFAULT_KEY_FILE = path.join(CONFIG_DIR, 'credentials.key');
+const STORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const CHECK_VALUE = 'xagi-credentials';
+
+/**
+ * Error raised for unreadable stores, wrong passphrases and invalid keys
+ */
+class CredentialError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'CredentialError';
+    this.code = code;
+    this.details = details;
+    this.isCredentialError = true;
+  }
+}
+
+/**
+ * Normalize a credential key: a URL without trailing slashes, or a lowercase host
+ * @param {string} key - Registry URL, git URL or host
+ * @returns {string} Normalized key
+ * @throws {CredentialError} If the key is empty
+ */
+function normalizeCredentialKey(key) {
+  if (!key || typeof key !== 'string') {
+    throw new CredentialError('A registry URL or git host is required', 'INVALID_KEY');
+  }
+
+  const trimmed = key.trim();
+  if (/^https?:\/\//i.test(trimmed)) {
+    const url = new URL(trimmed);
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`;
+  }
+  return getHost(trimmed) || trimmed.toLowerCase();
+}
+
+/**
+ * Get the host of a URL, scp-style git URL (`git@host:org/repo`) or host
+ * @param {string} location - URL or host
+ * @returns {string|null} Lowercase host without port
+ */
+function getHost(location) {
+  const scp = /^[^@/:]+@([^:/]+):/.exec(location);
+  if (scp) {
+    return scp[1].toLowerCase();
+  }
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(location) ? location : `https://${location}`).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the keys a URL can be stored under, most specific first: the URL, its parent paths,
+ * its origin and its host
+ * @param {string} location - Registry URL, tarball URL or git URL
+ * @returns {Array<string>} Candidate keys
+ */
+function getCredentialKeys(location) {
+  const keys = [];
+  if (/^https?:\/\//i.test(location)) {
+    const url = new URL(location);
+    const segments = url.pathname.split('/').filter(Boolean);
+    for (let length = segments.length; length >= 0; length--) {
+      keys.push(`${url.protocol}//${url.host}${segments.slice(0, length).map(segment => `/${segment}`).join('')}`);
+    }
+  }
+  const host = getHost(location);
+  if (host) {
+    keys.push(host);
+  }
+  return keys;
+}
+
+class CredentialStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Store file (default: $XAGI_CREDENTIALS_PATH or ~/.xagi/create-ai-project/credentials.json)
+   * @param {string} options.passphrase - Passphrase the key is derived from (default: $XAGI_CREDENTIAL_PASSPHRASE)
+   * @param {string} options.keyFile - Key file used without a passphrase (default: $XAGI_CREDENTIAL_KEY_FILE
+   *   or credentials.key next to the default store)
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.XAGI_CREDENTIALS_PATH || DEFAULT_CREDENTIALS_PATH;
+    this.passphrase = options.passphrase || process.env.XAGI_CREDENTIAL_PASSPHRASE || null;
+    this.keyFile = options.keyFile || process.env.XAGI_CREDENTIAL_KEY_FILE ||
+      (options.path ? `${options.path.replace(/\.json$/, '')}.key` : DEFAULT_KEY_FILE);
+
+    // Store contents and derived key, read on first use
+    this.data = null;
+    this._key = null;
+  }
+
+  /**
+   * Read the store; a missing file is an empty store
+   * @returns {Object} { version, keySource, salt, check, entries }
+   * @private
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!fs.pathExistsSync(this.path)) {
+      this.data = { version: STORE_VERSION, keySource: null, salt: null, check: null, entries: {} };
+      return this.data;
+    }
+
+    try {
+      const data = fs.readJsonSync(this.path);
+      if (!data.entries || typeof data.entries !== 'object') {
+        throw new Error('missing entries');
+      }
+      this.data = data;
+      return this.data;
+    } catch (error) {
+      throw new CredentialError(`Invalid credential store ${this.path}: ${error.message}`, 'STORE_INVALID');
+    }
+  }
+
+  /**
+   * Write the store with owner-only permissions
+   * @private
+   */
+  save() {
+    fs.ensureDirSync(path.dirname(this.path));
+    fs.writeJsonSync(this.path, this.data, { spaces: 2, mode: 0o600 });
+  }
+
+  /**
+   * Read the key file, creating it the first time a token is stored without a passphrase
+   * @param {boolean} create - Whether a missing key file may be created
+   * @returns {Buffer} Key file content
+   * @private
+   */
+  readKeyFile(create) {
+    if (!fs.pathExistsSync(this.keyFile)) {
+      if (!create) {
+        throw new CredentialError(`Credential key file ${this.keyFile} is missing`, 'KEY_MISSING');
+      }
+      fs.ensureDirSync(path.dirname(this.keyFile));
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    }
+    return fs.readFileSync(this.keyFile);
+  }
+
+  /**
+   * Derive the encryption key, setting up the store on first use
+   * @param {boolean} create - Whether an empty store may be set up
+   * @returns {Buffer} Key
+   * @throws {CredentialError} If the passphrase is missing or wrong
+   * @private
+   */
+  getKey(create = false) {
+    if (this._key) {
+      return this._key;
+    }
+
+    const data = this.load();
+    const keySource = data.keySource || (this.passphrase ? 'passphrase' : 'file');
+    if (keySource === 'passphrase' && !this.passphrase) {
+      throw new CredentialError(
+        `Credential store ${this.path} is locked with a passphrase; set XAGI_CREDENTIAL_PASSPHRASE`,
+        'PASSPHRASE_REQUIRED'
+      );
+    }
+
+    const secret = keySource === 'passphrase' ? this.passphrase : this.readKeyFile(create);
+    const salt = data.salt ? Buffer.from(data.salt, 'base64') : crypto.randomBytes(16);
+    const key = crypto.scryptSync(secret, salt, 32, SCRYPT_OPTIONS);
+
+    if (data.check) {
+      try {
+        this.decrypt(data.check, 'check', key);
+      } catch (error) {
+        throw new CredentialError(`Cannot unlock credential store ${this.path}: wrong ${keySource === 'passphrase' ? 'passphrase' : 'key file'}`, 'DECRYPT_FAILED');
+      }
+    } else {
+      Object.assign(data, { keySource, salt: salt.toString('base64'), check: this.encrypt(CHECK_VALUE, 'check', key) });
+    }
+
+    this._key = key;
+    return key;
+  }
+
+  /**
+   * Encrypt a value, bound to the key it is stored under
+   * @param {string} value - Plain text
+   * @param {string} aad - Entry key
+   * @param {Buffer} key - Encryption key
+   * @returns {Object} { iv, tag, data } in base64
+   * @private
+   */
+  encrypt(value, aad, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  /**
+   * Decrypt a value
+   * @param {Object} entry - { iv, tag, data } in base64
+   * @param {string} aad - Entry key
+   * @param {Buffer} key - Encryption key
+   * @returns {string} Plain text
+   * @private
+   */
+  decrypt(entry, aad, key) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Find the entry key stored for a URL or host
+   * @param {string} location - Registry URL, tarball URL, git URL or host
+   * @returns {string|null} Most specific stored key
+   * @private
+   */
+  findKey(location) {
+    if (!location) {
+      return null;
+    }
+    const { entries } = this.load();
+    return getCredentialKeys(location).find(key => Object.prototype.hasOwnProperty.call(entries, key)) || null;
+  }
+
+  /**
+   * Whether a token is stored for a URL or host, without unlocking the store
+   * @param {string} location - Registry URL, git URL or host
+   * @returns {boolean} True if a stored key matches
+   */
+  has(location) {
+    return Boolean(this.findKey(location));
+  }
+
+  /**
+   * Get the token for a URL or host, from the most specific matching key
+   * @param {string} location - Registry URL, tarball URL, git URL or host
+   * @returns {string|null} Token, or null if none is stored
+   * @throws {CredentialError} If a token is stored but the store cannot be unlocked
+   */
+  get(location) {
+    const key = this.findKey(location);
+    if (!key) {
+      return null;
+    }
+    try {
+      return this.decrypt(this.load().entries[key], key, this.getKey());
+    } catch (error) {
+      if (error.isCredentialError) {
+        throw error;
+      }
+      throw new CredentialError(`Cannot decrypt the credential for ${key}`, 'DECRYPT_FAILED');
+    }
+  }
+
+  /**
+   * Store a token
+   * @param {string} location - Registry URL or git host
+   * @param {string} token - Token
+   * @returns {string} Key the token is stored under
+   */
+  set(location, token) {
+    if (!token || typeof token !== 'string') {
+      throw new CredentialError('A token is required', 'INVALID_TOKEN');
+    }
+
+    const key = normalizeCredentialKey(location);
+    const cipherKey = this.getKey(true);
+    this.load().entries[key] = { ...this.encrypt(token, key, cipherKey), updatedAt: new Date().toISOString() };
+    this.save();
+    return key;
+  }
+
+  /**
+   * Remove a stored token
+   * @param {string} location - Registry URL or git host, as it was stored
+   * @returns {boolean} True if a token was removed
+   */
+  delete(location) {
+    const key = normalizeCredentialKey(location);
+    const { entries } = this.load();
+    if (!entries[key]) {
+      return false;
+    }
+    delete entries[key];
+    this.save();
+    return true;
+  }
+
+  /**
+   * List stored keys, without their tokens
+   * @returns {Array<Object>} { key, updatedAt }
+   */
+  list() {
+    return Object.entries(this.load().entries).map(([key, entry]) => ({ key, updatedAt: entry.updatedAt }));
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the store shared by registries, npm and git, so the key is only derived once
+ * @returns {CredentialStore} Default credential store
+ */
+function getDefaultCredentialStore() {
+  if (!defaultStore) {
+    defaultStore = new CredentialStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  CredentialStore,
+  CredentialError,
+  DEFAULT_CREDENTIALS_PATH,
+  normalizeCredentialKey,
+  getCredentialKeys,
+  getDefaultCredentialStore
+};
@@ -0,0 +1,70 @@
+/**
+ * File Tree Formatter
+ * Renders a list of relative file paths as an indented tree for CLI output
+ */
+
+class FileTree {
+  /**
+   * Build a nested tree from relative paths
+   * @param {Array<string>} files - Relative file paths
+   * @returns {Object} Nested tree, files map to null
+   */
+  static buildTree(files = []) {
+    const root = {};
+
+    for (const file of files) {
+      const segments = file.split(/[\\/]/).filter(Boolean);
+      let node = root;
+      segments.forEach((segment, index) => {
+        if (index === segments.length - 1) {
+          node[segment] = node[segment] || null;
+        } else {
+          node[segment] = node[segment] || {};
+          node = node[segment];
+        }
+      });
+    }
+
+    return root;
+  }
+
+  /**
+   * Format relative paths as a tree
+   * @param {Array<string>} files - Relative file paths
+   * @param {Object} options - Formatting options
+   * @param {string} options.rootName - Label printed on the first line
+   * @returns {string} Tree text
+   */
+  static formatFileTree(files = [], options = {}) {
+    const lines = [options.rootName || '.'];
+
+    const render = (node, prefix) => {
+      // Directories first, then files, both alphabetically
+      const names = Object.keys(node).sort((a, b) => {
+        const aIsDir = node[a] !== null;
+        const bIsDir = node[b] !== null;
+        if (aIsDir !== bIsDir) {
+          return aIsDir ? -1 : 1;
+        }
+        return a.localeCompare(b);
+      });
+
+      names.forEach((name, index) => {
+        const isLast = index === names.length - 1;
+        const isDir = node[name] !== null;
+        lines.push(`${prefix}${isLast ? '└── ' : '├── '}${name}${isDir ? '/' : ''}`);
+        if (isDir) {
+          render(node[name], `${prefix}${isLast ? '    ' : '│   '}`);
+        }
+      });
+    };
+
+    render(FileTree.buildTree(files), '');
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  buildTree: FileTree.buildTree,
+  formatFileTree: FileTree.formatFileTree
+};
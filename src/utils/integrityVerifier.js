@@ -1,24 +1,290 @@
 /**
  * Package Integrity Verifier
- * Verifies package integrity and checksums
+ * Verifies downloaded tarballs against registry `dist.integrity` (SRI) and `dist.shasum`,
+ * and extracted packages against per-file checksums
  */
 
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Strongest first; sha1 is only accepted through `shasum`
+const SRI_ALGORITHMS = ['sha512', 'sha384', 'sha256'];
+
+/**
+ * Error raised when package content does not match its expected integrity
+ */
+class IntegrityError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = code;
+    this.details = details;
+    this.isIntegrityError = true;
+  }
+}
+
 class IntegrityVerifier {
-  static async verifyPackageIntegrity(templatePath, packageData = {}) {
-    // Mock implementation - this should be properly implemented
+  /**
+   * Parse an SRI string into its hashes
+   * @param {string} integrity - SRI string, e.g. `sha512-<base64> sha256-<base64>`
+   * @returns {Array<Object>} Supported hashes { algorithm, digest }, strongest first
+   */
+  static parseIntegrity(integrity) {
+    if (!integrity || typeof integrity !== 'string') {
+      return [];
+    }
+
+    return integrity
+      .trim()
+      .split(/\s+/)
+      .map(entry => {
+        const match = entry.match(/^(sha\d+)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/);
+        return match ? { algorithm: match[1], digest: match[2] } : null;
+      })
+      .filter(hash => hash && SRI_ALGORITHMS.includes(hash.algorithm))
+      .sort((a, b) => SRI_ALGORITHMS.indexOf(a.algorithm) - SRI_ALGORITHMS.indexOf(b.algorithm));
+  }
+
+  /**
+   * Compute the SRI string of some content
+   * @param {Buffer|string} data - Content
+   * @param {string} algorithm - Hash algorithm
+   * @returns {string} SRI string
+   */
+  static computeIntegrity(data, algorithm = 'sha512') {
+    return `${algorithm}-${crypto.createHash(algorithm).update(data).digest('base64')}`;
+  }
+
+  /**
+   * Verify content against an expected SRI string and/or sha1 shasum
+   * @param {Buffer|string} data - Content, usually a package tarball
+   * @param {Object} expected - Expected values, e.g. the registry `dist` object
+   * @param {string} [expected.integrity] - SRI string
+   * @param {string} [expected.shasum] - sha1 hex digest
+   * @returns {Object} Verification result { isValid, errors, warnings, metadata }
+   */
+  static verifyData(data, expected = {}) {
+    const verifier = IntegrityVerifier.createVerifier(expected);
+    verifier.update(data);
+    return verifier.verify();
+  }
+
+  /**
+   * Create a verifier that hashes content as it is streamed
+   * @param {Object} expected - { integrity, shasum }
+   * @returns {Object} { update(chunk), verify(), assert(label) }; verify() returns the verifyData() result
+   *   and assert() throws an IntegrityError like assertIntegrity()
+   */
+  static createVerifier(expected = {}) {
+    const hashes = IntegrityVerifier.parseIntegrity(expected.integrity);
+    // Only the strongest algorithm is compared, as in npm
+    const strongest = hashes.filter(hash => hash.algorithm === hashes[0].algorithm);
+    const sriHash = hashes.length > 0 ? crypto.createHash(hashes[0].algorithm) : null;
+    const sha1Hash = expected.shasum ? crypto.createHash('sha1') : null;
+
+    const verify = () => {
+      const errors = [];
+      const warnings = [];
+      const metadata = {
+        algorithm: null,
+        integrity: null,
+        shasum: null,
+        verifiedAt: new Date().toISOString()
+      };
+
+      if (expected.integrity && hashes.length === 0) {
+        errors.push(`Unsupported integrity value: ${expected.integrity}`);
+      }
+
+      if (sriHash) {
+        const actual = sriHash.digest('base64');
+        metadata.algorithm = hashes[0].algorithm;
+        metadata.integrity = `${hashes[0].algorithm}-${actual}`;
+        if (!strongest.some(hash => hash.digest === actual)) {
+          errors.push(`Integrity mismatch: expected ${expected.integrity}, got ${metadata.integrity}`);
+        }
+      }
+
+      if (sha1Hash) {
+        metadata.shasum = sha1Hash.digest('hex');
+        if (metadata.shasum !== String(expected.shasum).toLowerCase()) {
+          errors.push(`Shasum mismatch: expected ${expected.shasum}, got ${metadata.shasum}`);
+        }
+        if (hashes.length === 0) {
+          warnings.push('No integrity field, verified with sha1 shasum only');
+          metadata.algorithm = metadata.algorithm || 'sha1';
+        }
+      }
+
+      if (!expected.integrity && !expected.shasum) {
+        errors.push('Missing integrity information: neither integrity nor shasum is available');
+      }
+
+      return {
+        isValid: errors.length === 0,
+        errors,
+        warnings,
+        metadata
+      };
+    };
+
     return {
-      isValid: false,
-      errors: [
-        'Package integrity verification not implemented',
-        'Checksum validation not available'
-      ],
-      warnings: [],
-      metadata: {
+      update(chunk) {
+        if (sriHash) {
+          sriHash.update(chunk);
+        }
+        if (sha1Hash) {
+          sha1Hash.update(chunk);
+        }
+      },
+      verify,
+      assert(label = 'package') {
+        return IntegrityVerifier.checkResult(verify(), expected, label);
+      }
+    };
+  }
+
+  /**
+   * Verify a tarball on disk
+   * @param {string} tarballPath - Tarball path
+   * @param {Object} expected - { integrity, shasum }
+   * @returns {Promise<Object>} Verification result
+   */
+  static async verifyTarball(tarballPath, expected = {}) {
+    const result = IntegrityVerifier.verifyData(await fs.readFile(tarballPath), expected);
+    result.metadata.tarballPath = tarballPath;
+    return result;
+  }
+
+  /**
+   * Verify content and throw on mismatch
+   * @param {Buffer|string} data - Content
+   * @param {Object} expected - { integrity, shasum }
+   * @param {string} label - What is being verified, used in the error message
+   * @returns {Object} Verification result
+   * @throws {IntegrityError} If verification fails
+   */
+  static assertIntegrity(data, expected, label = 'package') {
+    return IntegrityVerifier.checkResult(IntegrityVerifier.verifyData(data, expected), expected, label);
+  }
+
+  /**
+   * Throw if a verification result is invalid
+   * @private
+   * @param {Object} result - Verification result
+   * @param {Object} expected - { integrity, shasum }
+   * @param {string} label - What is being verified, used in the error message
+   * @returns {Object} Verification result
+   * @throws {IntegrityError} If verification failed
+   */
+  static checkResult(result, expected, label) {
+    if (!result.isValid) {
+      const missing = !expected || (!expected.integrity && !expected.shasum);
+      throw new IntegrityError(
+        `Integrity verification failed for ${label}: ${result.errors.join('; ')}`,
+        missing ? 'INTEGRITY_MISSING' : 'INTEGRITY_MISMATCH',
+        result
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify a package tarball or an extracted package directory
+   *
+   * For tarballs, `packageData` holds `integrity` / `shasum` (or a registry `dist` object).
+   * For directories, it holds `checksums` (sha256 hex keyed by relative path) or
+   * `files` ([{ path, checksum }]).
+   *
+   * @param {string} templatePath - Tarball or directory path
+   * @param {Object} packageData - Expected values
+   * @returns {Promise<Object>} Verification result { isValid, errors, warnings, metadata }
+   */
+  static async verifyPackageIntegrity(templatePath, packageData = {}) {
+    const metadata = {
+      templatePath,
+      verifiedAt: new Date().toISOString()
+    };
+
+    if (!await fs.pathExists(templatePath)) {
+      return { isValid: false, errors: [`Package not found: ${templatePath}`], warnings: [], metadata };
+    }
+
+    if ((await fs.stat(templatePath)).isFile()) {
+      const expected = packageData.dist || packageData;
+      const result = await IntegrityVerifier.verifyTarball(templatePath, expected);
+      return { ...result, metadata: { ...metadata, ...result.metadata } };
+    }
+
+    const errors = [];
+    const warnings = [];
+
+    if (packageData.checksums && Object.keys(packageData.checksums).length > 0) {
+      const mismatched = await IntegrityVerifier.compareChecksums(
         templatePath,
-        verifiedAt: new Date().toISOString()
+        Object.entries(packageData.checksums).map(([file, checksum]) => ({ path: file, checksum }))
+      );
+      if (mismatched.length > 0) {
+        errors.push('Package tampering detected');
+        mismatched.forEach(file => errors.push(`Checksum mismatch: ${file}`));
       }
+    } else if (Array.isArray(packageData.files) && packageData.files.some(file => file.checksum)) {
+      const mismatched = await IntegrityVerifier.compareChecksums(
+        templatePath,
+        packageData.files.filter(file => file.checksum)
+      );
+      if (mismatched.length > 0) {
+        errors.push('Checksum verification failed');
+        mismatched.forEach(file => errors.push(`Checksum mismatch: ${file}`));
+      }
+    } else {
+      errors.push('Missing integrity information: no checksums available');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      metadata
     };
   }
+
+  /**
+   * Compare files with expected sha256 hex checksums
+   * @private
+   * @param {string} dir - Package directory
+   * @param {Array<Object>} files - [{ path, checksum }]
+   * @returns {Promise<Array<string>>} Paths that are missing or do not match
+   */
+  static async compareChecksums(dir, files) {
+    const mismatched = [];
+
+    for (const file of files) {
+      const filePath = path.join(dir, file.path);
+      if (!await fs.pathExists(filePath)) {
+        mismatched.push(file.path);
+        continue;
+      }
+
+      const actual = crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+      if (actual !== String(file.checksum).toLowerCase()) {
+        mismatched.push(file.path);
+      }
+    }
+
+    return mismatched;
+  }
 }
 
-module.exports = { verifyPackageIntegrity: IntegrityVerifier.verifyPackageIntegrity };
+module.exports = {
+  IntegrityError,
+  parseIntegrity: IntegrityVerifier.parseIntegrity,
+  computeIntegrity: IntegrityVerifier.computeIntegrity,
+  verifyData: IntegrityVerifier.verifyData,
+  createVerifier: IntegrityVerifier.createVerifier,
+  verifyTarball: IntegrityVerifier.verifyTarball,
+  assertIntegrity: IntegrityVerifier.assertIntegrity,
+  verifyPackageIntegrity: IntegrityVerifier.verifyPackageIntegrity
+};
@@ -0,0 +1,110 @@
+/**
+ * Secret Redaction
+ * Replaces secret values (passwords, tokens, API keys) before data is written to disk or logs
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Matched against the words of a key, so `authToken` and `DB_PASSWORD` match but `maxTokens` does not
+const SECRET_WORDS = ['password', 'passwd', 'passphrase', 'secret', 'token', 'credential', 'credentials'];
+const SECRET_WORD_PAIRS = ['api key', 'private key', 'access key'];
+
+class Redaction {
+  /**
+   * Check whether a key names a secret
+   * @param {string} key - Property name
+   * @param {Object} propertySchema - JSON Schema of the property, if known
+   * @returns {boolean} True if the value should be redacted
+   */
+  static isSecretKey(key, propertySchema = null) {
+    if (propertySchema && (propertySchema.writeOnly === true || propertySchema.format === 'password')) {
+      return true;
+    }
+
+    const words = String(key)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    const joined = words.join(' ');
+    return words.some(word => SECRET_WORDS.includes(word)) ||
+      SECRET_WORD_PAIRS.some(pair => ` ${joined} `.includes(` ${pair} `)) ||
+      words.includes('apikey');
+  }
+
+  /**
+   * Redact secret values from an object, recursively
+   * @param {*} value - Value to redact
+   * @param {Object} options - Redaction options
+   * @param {Object} options.schema - JSON Schema describing the value (uses writeOnly / format: password)
+   * @param {Array<string>} options.redacted - Collects the dotted paths of redacted values
+   * @param {string} prefix - Path of the current value (internal)
+   * @returns {*} Redacted copy
+   */
+  static redactSecrets(value, options = {}, prefix = '') {
+    const { schema = null, redacted = [] } = options;
+
+    if (Array.isArray(value)) {
+      const itemSchema = schema && schema.items ? schema.items : null;
+      return value.map((item, index) => Redaction.redactSecrets(item, { schema: itemSchema, redacted }, `${prefix}[${index}]`));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const properties = schema && schema.properties ? schema.properties : {};
+    const result = {};
+
+    for (const [key, entry] of Object.entries(value)) {
+      const entryPath = prefix ? `${prefix}.${key}` : key;
+      const entrySchema = properties[key] || null;
+
+      if (Redaction.isSecretKey(key, entrySchema) && entry !== null && typeof entry !== 'object' && entry !== '') {
+        result[key] = REDACTED;
+        redacted.push(entryPath);
+      } else {
+        result[key] = Redaction.redactSecrets(entry, { schema: entrySchema, redacted }, entryPath);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Redact the password or token in URLs such as `https://x-access-token:<token>@github.com/org/repo.git`
+   * @param {string} text - Text that may contain URLs
+   * @returns {string} Text with URL passwords redacted
+   */
+  static redactUrlCredentials(text) {
+    return String(text).replace(/([a-z][a-z0-9+.-]*:\/\/[^\s/:@]*:)[^\s/@]+@/gi, `$1${REDACTED}@`);
+  }
+
+  /**
+   * List the paths of values that were redacted
+   * @param {*} value - Previously redacted value
+   * @param {string} prefix - Path of the current value (internal)
+   * @returns {Array<string>} Dotted paths holding the redaction placeholder
+   */
+  static findRedacted(value, prefix = '') {
+    if (value === REDACTED) {
+      return [prefix];
+    }
+    if (!value || typeof value !== 'object') {
+      return [];
+    }
+
+    return Object.entries(value).reduce((paths, [key, entry]) => {
+      const entryPath = Array.isArray(value) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+      return paths.concat(Redaction.findRedacted(entry, entryPath));
+    }, []);
+  }
+}
+
+module.exports = {
+  REDACTED,
+  isSecretKey: Redaction.isSecretKey,
+  redactSecrets: Redaction.redactSecrets,
+  redactUrlCredentials: Redaction.redactUrlCredentials,
+  findRedacted: Redaction.findRedacted
+};
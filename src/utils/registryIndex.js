@@ -0,0 +1,470 @@
+/**
+ * Static Registry Index
+ * A registry can be a single `index.json` listing templates, their versions, tarball locations
+ * and integrity, served from any static file server or read from a directory:
+ *
+ *   {
+ *     "formatVersion": 1,
+ *     "name": "Platform templates",
+ *     "generatedAt": "2026-01-01T00:00:00.000Z",
+ *     "templates": {
+ *       "@xagi/ai-template-react-next": {
+ *         "name": "React Next.js",
+ *         "description": "...",
+ *         "type": "react-next",
+ *         "author": "Platform Team",
+ *         "keywords": ["react"],
+ *         "distTags": { "latest": "1.2.0" },
+ *         "versions": {
+ *           "1.2.0": {
+ *             "tarball": "xagi-ai-template-react-next-1.2.0.tgz",
+ *             "integrity": "sha512-...",
+ *             "size": 12345,
+ *             "signature": "xagi-ai-template-react-next-1.2.0.tgz.sig",
+ *             "publishedAt": "2026-01-01T00:00:00.000Z",
+ *             "dependencies": {}, "devDependencies": {}, "configSchema": {}, "supportedVersions": []
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * `tarball` and `signature` are resolved against the index URL, so a mirror directory can be
+ * moved or served as is. Every version needs an SRI `integrity`; tarballs are verified while
+ * they are downloaded.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const semver = require('semver');
+const { parseIntegrity, createVerifier } = require('./integrityVerifier');
+
+const INDEX_FILE = 'index.json';
+const INDEX_FORMAT_VERSION = 1;
+const REQUEST_TIMEOUT = 30000;
+
+// Detached signatures sit next to their tarball unless the index says otherwise, as `trust sign` writes them
+const SIGNATURE_SUFFIX = '.sig';
+
+/**
+ * Error raised for invalid indexes and failed index or tarball downloads
+ */
+class RegistryIndexError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'RegistryIndexError';
+    this.code = code;
+    this.details = details;
+    this.isRegistryIndexError = true;
+  }
+}
+
+class RegistryIndex {
+  /**
+   * Whether a registry URL points at a static index rather than a registry API
+   * @param {string} url - Registry URL
+   * @returns {boolean} True if the URL path ends in .json
+   */
+  static isIndexUrl(url) {
+    try {
+      return /\.json$/i.test(new URL(url).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create an empty index
+   * @param {Object} options - Index options
+   * @param {string} options.name - Index name
+   * @returns {Object} Index
+   */
+  static createIndex(options = {}) {
+    return {
+      formatVersion: INDEX_FORMAT_VERSION,
+      name: options.name || 'Template registry',
+      generatedAt: new Date().toISOString(),
+      templates: {}
+    };
+  }
+
+  /**
+   * Validate an index document
+   * @param {Object} index - Parsed index.json
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  static validateIndex(index) {
+    const errors = [];
+
+    if (!index || typeof index !== 'object' || Array.isArray(index)) {
+      return { isValid: false, errors: ['Index must be an object'] };
+    }
+    if (index.formatVersion !== INDEX_FORMAT_VERSION) {
+      errors.push(`Unsupported index formatVersion ${index.formatVersion}, expected ${INDEX_FORMAT_VERSION}`);
+    }
+    if (!index.templates || typeof index.templates !== 'object' || Array.isArray(index.templates)) {
+      errors.push('Index templates must be an object keyed by template id');
+      return { isValid: false, errors };
+    }
+
+    for (const [id, template] of Object.entries(index.templates)) {
+      const versions = template && template.versions;
+      if (!versions || typeof versions !== 'object' || Object.keys(versions).length === 0) {
+        errors.push(`${id}: no versions`);
+        continue;
+      }
+      for (const [version, entry] of Object.entries(versions)) {
+        if (!entry || typeof entry.tarball !== 'string' || !entry.tarball) {
+          errors.push(`${id}@${version}: tarball is required`);
+        }
+        if (!entry || parseIntegrity(entry.integrity).length === 0) {
+          errors.push(`${id}@${version}: a sha256, sha384 or sha512 integrity is required`);
+        }
+      }
+      const latest = template.distTags && template.distTags.latest;
+      if (latest && !versions[latest]) {
+        errors.push(`${id}: distTags.latest ${latest} is not a listed version`);
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Fetch an index, skipping the download when it has not changed. HTTP sources are asked with
+   * If-None-Match / If-Modified-Since; file sources compare their size and modification time.
+   * @param {string} url - http(s) or file:/// URL of the index
+   * @param {Object} options - Fetch options
+   * @param {string} options.etag - ETag of the copy already held
+   * @param {string} options.lastModified - Last-Modified of the copy already held
+   * @param {Object} options.headers - Extra request headers, e.g. Authorization
+   * @returns {Promise<Object>} { notModified, index, etag, lastModified }; index is null when not modified
+   * @throws {RegistryIndexError} If the index cannot be fetched or is invalid
+   */
+  static async fetchIndex(url, options = {}) {
+    const { etag = null, lastModified = null, headers = {} } = options;
+    let body;
+    let validators;
+
+    if (url.startsWith('file:')) {
+      const file = fileURLToPath(url);
+      const stats = await fs.stat(file).catch(() => null);
+      if (!stats) {
+        throw new RegistryIndexError(`Registry index not found: ${file}`, 'INDEX_NOT_FOUND');
+      }
+      validators = { etag: `W/"${stats.size}-${Math.floor(stats.mtimeMs)}"`, lastModified: stats.mtime.toUTCString() };
+      if (etag && etag === validators.etag) {
+        return { notModified: true, index: null, ...validators };
+      }
+      body = await fs.readFile(file, 'utf8');
+    } else {
+      const conditional = {};
+      if (etag) {
+        conditional['If-None-Match'] = etag;
+      }
+      if (lastModified) {
+        conditional['If-Modified-Since'] = lastModified;
+      }
+
+      let response;
+      try {
+        response = await axios.get(url, {
+          headers: { ...headers, ...conditional },
+          responseType: 'text',
+          transformResponse: data => data,
+          timeout: REQUEST_TIMEOUT,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+      } catch (error) {
+        const status = error.response && error.response.status;
+        throw new RegistryIndexError(
+          `Failed to fetch registry index ${url}: ${status ? `HTTP ${status}` : error.message}`,
+          status === 404 ? 'INDEX_NOT_FOUND' : 'FETCH_FAILED'
+        );
+      }
+
+      if (response.status === 304) {
+        return {
+          notModified: true,
+          index: null,
+          etag: response.headers.etag || etag,
+          lastModified: response.headers['last-modified'] || lastModified
+        };
+      }
+      validators = { etag: response.headers.etag || null, lastModified: response.headers['last-modified'] || null };
+      body = response.data;
+    }
+
+    let index;
+    try {
+      index = JSON.parse(body);
+    } catch (error) {
+      throw new RegistryIndexError(`Registry index ${url} is not valid JSON: ${error.message}`, 'INVALID_INDEX');
+    }
+
+    const validation = RegistryIndex.validateIndex(index);
+    if (!validation.isValid) {
+      throw new RegistryIndexError(
+        `Invalid registry index ${url}: ${validation.errors.join('; ')}`,
+        'INVALID_INDEX',
+        validation
+      );
+    }
+
+    return { notModified: false, index, ...validators };
+  }
+
+  /**
+   * Resolve a tarball or signature location from the index against the index URL
+   * @param {string} indexUrl - URL the index was fetched from
+   * @param {string} location - Relative path or absolute URL
+   * @returns {string} Absolute URL
+   */
+  static resolveLocation(indexUrl, location) {
+    return new URL(location, indexUrl).href;
+  }
+
+  /**
+   * Resolve where the detached signature of a version is published
+   * @param {string} indexUrl - URL the index was fetched from
+   * @param {Object} entry - Version entry from the index
+   * @returns {string} Absolute URL of the listed signature, or of the `.sig` file next to the tarball
+   */
+  static resolveSignatureLocation(indexUrl, entry) {
+    return RegistryIndex.resolveLocation(indexUrl, entry.signature || `${entry.tarball}${SIGNATURE_SUFFIX}`);
+  }
+
+  /**
+   * Pick the version of a template that satisfies a request
+   * @param {Object} index - Index
+   * @param {string} templateId - Template id
+   * @param {string} range - Exact version, semver range, dist-tag or `latest`
+   * @returns {string|null} Version, or null if none matches
+   */
+  static resolveVersion(index, templateId, range = 'latest') {
+    const template = index.templates[templateId];
+    if (!template) {
+      return null;
+    }
+
+    const versions = RegistryIndex.sortVersions(Object.keys(template.versions));
+    const tag = (template.distTags || {})[range || 'latest'];
+    if (tag && template.versions[tag]) {
+      return tag;
+    }
+    if (!range || range === 'latest') {
+      return versions[0] || null;
+    }
+    if (template.versions[range]) {
+      return range;
+    }
+    return semver.validRange(range) ? semver.maxSatisfying(versions.filter(v => semver.valid(v)), range) : null;
+  }
+
+  /**
+   * Build the template data for a version, in the shape TemplatePackage expects
+   * @param {Object} index - Index
+   * @param {string} templateId - Template id
+   * @param {string} version - Exact version
+   * @param {string} registryId - Id of the registry the index belongs to
+   * @returns {Object} Template data, including the sorted `versions` list
+   */
+  static getTemplateData(index, templateId, version, registryId = null) {
+    const template = index.templates[templateId];
+    const entry = template.versions[version];
+    const typeMatch = templateId.match(/ai-template-(.+)$/);
+    const published = entry.publishedAt || index.generatedAt || new Date(0).toISOString();
+
+    return {
+      id: templateId,
+      name: template.name || templateId,
+      version,
+      description: template.description || '',
+      type: template.type || (typeMatch ? typeMatch[1] : ''),
+      author: template.author || '',
+      keywords: template.keywords || [],
+      dependencies: entry.dependencies || {},
+      devDependencies: entry.devDependencies || {},
+      configSchema: entry.configSchema || {},
+      supportedVersions: entry.supportedVersions,
+      createdAt: published,
+      updatedAt: published,
+      registry: registryId,
+      versions: RegistryIndex.sortVersions(Object.keys(template.versions))
+    };
+  }
+
+  /**
+   * Get the latest version of every template in an index
+   * @param {Object} index - Index
+   * @param {string} registryId - Id of the registry the index belongs to
+   * @returns {Array<Object>} Template data, see getTemplateData()
+   */
+  static getIndexTemplates(index, registryId = null) {
+    return Object.keys(index.templates).map(templateId =>
+      RegistryIndex.getTemplateData(index, templateId, RegistryIndex.resolveVersion(index, templateId), registryId));
+  }
+
+  /**
+   * Compare two indexes version by version
+   * @param {Object|null} previous - Index held before a sync
+   * @param {Object} next - Index after the sync
+   * @returns {Object} { added, updated, removed } as `id@version` lists; updated versions changed integrity
+   */
+  static diffIndexes(previous, next) {
+    const flatten = index => new Map(Object.entries(index ? index.templates : {}).flatMap(([id, template]) =>
+      Object.entries(template.versions).map(([version, entry]) => [`${id}@${version}`, entry.integrity])));
+    const before = flatten(previous);
+    const after = flatten(next);
+
+    return {
+      added: [...after.keys()].filter(key => !before.has(key)),
+      updated: [...after.keys()].filter(key => before.has(key) && before.get(key) !== after.get(key)),
+      removed: [...before.keys()].filter(key => !after.has(key))
+    };
+  }
+
+  /**
+   * Download a tarball listed in an index, verifying it against its integrity as it streams.
+   * Nothing is left at the destination unless the tarball verifies.
+   * @param {string} url - http(s) or file:/// URL of the tarball
+   * @param {string} destination - File to write
+   * @param {Object} options - Download options
+   * @param {string} options.integrity - Expected SRI string (required)
+   * @param {number} options.maxBytes - Refuse tarballs larger than this
+   * @param {Object} options.headers - Extra request headers, e.g. Authorization
+   * @param {Function} options.onProgress - Called with { phase: 'download', bytes, totalBytes }
+   * @param {string} options.label - What is being downloaded, used in error messages
+   * @returns {Promise<Object>} { size, verification }
+   * @throws {IntegrityError} If the tarball does not match its integrity
+   * @throws {RegistryIndexError} If the tarball cannot be downloaded or is too large
+   */
+  static async fetchTarball(url, destination, options = {}) {
+    const { integrity, maxBytes = Infinity, headers = {}, onProgress = null, label = url } = options;
+    const verifier = createVerifier({ integrity });
+    if (!integrity) {
+      verifier.assert(label);
+    }
+
+    let source;
+    let totalBytes = null;
+    if (url.startsWith('file:')) {
+      const file = fileURLToPath(url);
+      const stats = await fs.stat(file).catch(() => null);
+      if (!stats) {
+        throw new RegistryIndexError(`Tarball for ${label} not found: ${file}`, 'TARBALL_NOT_FOUND');
+      }
+      totalBytes = stats.size;
+      source = fs.createReadStream(file);
+    } else {
+      try {
+        const response = await axios.get(url, { headers, responseType: 'stream', timeout: REQUEST_TIMEOUT });
+        totalBytes = parseInt(response.headers['content-length'], 10) || null;
+        source = response.data;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        throw new RegistryIndexError(
+          `Failed to download tarball for ${label}: ${status ? `HTTP ${status}` : error.message}`,
+          status === 404 ? 'TARBALL_NOT_FOUND' : 'FETCH_FAILED'
+        );
+      }
+    }
+
+    await fs.ensureDir(path.dirname(destination));
+    const partialPath = `${destination}.partial`;
+    let size = 0;
+
+    try {
+      await pipeline(
+        source,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              callback(new RegistryIndexError(
+                `Tarball for ${label} exceeds the maximum size of ${maxBytes} bytes`,
+                'LIMIT_BYTES',
+                { maxBytes }
+              ));
+              return;
+            }
+            verifier.update(chunk);
+            if (onProgress) {
+              onProgress({ phase: 'download', bytes: size, totalBytes });
+            }
+            callback(null, chunk);
+          }
+        }),
+        fs.createWriteStream(partialPath)
+      );
+      const verification = verifier.assert(label);
+      await fs.move(partialPath, destination, { overwrite: true });
+      return { size, verification };
+    } catch (error) {
+      await fs.remove(partialPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a small text file such as a detached signature
+   * @param {string} url - http(s) or file:/// URL
+   * @param {Object} options - Fetch options
+   * @param {Object} options.headers - Extra request headers
+   * @returns {Promise<string|null>} Content, or null if the file does not exist
+   */
+  static async fetchText(url, options = {}) {
+    if (url.startsWith('file:')) {
+      const file = fileURLToPath(url);
+      return await fs.pathExists(file) ? fs.readFile(file, 'utf8') : null;
+    }
+
+    const response = await axios.get(url, {
+      headers: options.headers || {},
+      responseType: 'text',
+      transformResponse: data => data,
+      timeout: REQUEST_TIMEOUT,
+      validateStatus: status => status === 200 || status === 404
+    });
+    return response.status === 200 ? response.data : null;
+  }
+
+  /**
+   * Sort versions newest first; versions that are not valid semver go last
+   * @private
+   * @param {Array<string>} versions - Versions
+   * @returns {Array<string>} Sorted copy
+   */
+  static sortVersions(versions) {
+    return [...versions].sort((a, b) => {
+      const validA = semver.valid(a);
+      const validB = semver.valid(b);
+      if (validA && validB) {
+        return semver.rcompare(validA, validB);
+      }
+      return Number(Boolean(validB)) - Number(Boolean(validA));
+    });
+  }
+}
+
+module.exports = {
+  INDEX_FILE,
+  INDEX_FORMAT_VERSION,
+  RegistryIndexError,
+  isIndexUrl: RegistryIndex.isIndexUrl,
+  createIndex: RegistryIndex.createIndex,
+  validateIndex: RegistryIndex.validateIndex,
+  fetchIndex: RegistryIndex.fetchIndex,
+  resolveLocation: RegistryIndex.resolveLocation,
+  resolveSignatureLocation: RegistryIndex.resolveSignatureLocation,
+  resolveVersion: RegistryIndex.resolveVersion,
+  getTemplateData: RegistryIndex.getTemplateData,
+  getIndexTemplates: RegistryIndex.getIndexTemplates,
+  diffIndexes: RegistryIndex.diffIndexes,
+  fetchTarball: RegistryIndex.fetchTarball,
+  fetchText: RegistryIndex.fetchText
+};
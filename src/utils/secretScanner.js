@@ -0,0 +1,405 @@
+/**
+ * Secret Scanner
+ * Finds credentials in generated files before they are committed: AWS, GitHub, npm and
+ * OpenAI tokens, private key blocks, and high-entropy values assigned to secret-looking keys
+ * (the same key names the redaction utility treats as secrets). Findings can be moved into a
+ * git-ignored .env file.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isSecretKey } = require('./redaction');
+
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+const MAX_FILE_SIZE = 1024 * 1024;
+const DEFAULT_ENV_FILE = '.env';
+const SECRET_ACTIONS = ['abort', 'redact', 'continue'];
+
+// Generic values must be long and random enough not to be a placeholder like `changeme`
+const MIN_GENERIC_LENGTH = 16;
+const MIN_ENTROPY = 3.5;
+const PLACEHOLDER_PATTERN = /\$\{|process\.env|<%|{{|^x+$|^(your|example|changeme|replace)/i;
+
+/**
+ * Token formats. `group` is the capture group holding the secret (default: the whole match).
+ * Rules with `minEntropy` skip low-entropy matches such as `sk-xxxxxxxxxxxxxxxxxxxx`.
+ */
+const SECRET_RULES = [
+  {
+    id: 'private-key',
+    description: 'Private key',
+    envName: 'PRIVATE_KEY',
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    envName: 'AWS_ACCESS_KEY_ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    envName: 'AWS_SECRET_ACCESS_KEY',
+    pattern: /aws[\w.-]{0,20}?(?:secret|access)[\w.-]{0,20}?["']?\s*[:=]\s*["'`]?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1,
+    minEntropy: 4
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    envName: 'GITHUB_TOKEN',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    id: 'npm-token',
+    description: 'npm access token',
+    envName: 'NPM_TOKEN',
+    pattern: /\bnpm_[A-Za-z0-9]{36}\b/g
+  },
+  {
+    id: 'openai-api-key',
+    description: 'OpenAI API key',
+    envName: 'OPENAI_API_KEY',
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g,
+    minEntropy: MIN_ENTROPY
+  }
+];
+
+// `key = "value"`, `key: 'value'`, `"key": "value"` and `KEY=value`
+const ASSIGNMENT_PATTERN = /(["']?)([A-Za-z_][\w.-]*)\1[ \t]*[:=][ \t]*(["'`]?)([^\s"'`,;]+)\3/g;
+
+/**
+ * Error raised when secrets are found and the commit is aborted
+ */
+class SecretsFoundError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'SecretsFoundError';
+    this.code = code;
+    this.details = details;
+    this.isSecretsFoundError = true;
+  }
+}
+
+class SecretScanner {
+  /**
+   * Shannon entropy of a string
+   * @param {string} value - Value
+   * @returns {number} Bits per character
+   */
+  static entropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Scan file content for secrets
+   * @param {string} content - File content
+   * @param {string} file - Relative path, used in findings
+   * @returns {Array<Object>} Findings { rule, description, file, line, column, secret, preview, envName }
+   */
+  static scanContent(content, file) {
+    const findings = [];
+    const covered = [];
+
+    const add = (rule, description, secret, index, envName) => {
+      const end = index + secret.length;
+      if (covered.some(([start, stop]) => index < stop && end > start)) {
+        return;
+      }
+      covered.push([index, end]);
+
+      const before = content.slice(0, index);
+      const lineStart = before.lastIndexOf('\n') + 1;
+      findings.push({
+        rule,
+        description,
+        file,
+        line: before.split('\n').length,
+        column: index - lineStart + 1,
+        secret,
+        preview: SecretScanner.mask(secret),
+        envName
+      });
+    };
+
+    for (const rule of SECRET_RULES) {
+      for (const match of content.matchAll(rule.pattern)) {
+        const secret = rule.group ? match[rule.group] : match[0];
+        if (rule.minEntropy && SecretScanner.entropy(secret) < rule.minEntropy) {
+          continue;
+        }
+        add(rule.id, rule.description, secret, match.index + match[0].lastIndexOf(secret), rule.envName);
+      }
+    }
+
+    for (const match of content.matchAll(ASSIGNMENT_PATTERN)) {
+      const [whole, , key, , value] = match;
+      if (!isSecretKey(key.split('.').pop()) || value.length < MIN_GENERIC_LENGTH ||
+          PLACEHOLDER_PATTERN.test(value) || SecretScanner.entropy(value) < MIN_ENTROPY) {
+        continue;
+      }
+      add('generic-secret', `High-entropy value assigned to ${key}`, value,
+        match.index + whole.lastIndexOf(value), SecretScanner.toEnvName(key));
+    }
+
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Scan a directory for secrets
+   * @param {string} root - Directory to scan
+   * @param {Object} options - Scan options
+   * @param {Array<string>} options.files - Relative paths to scan (default: every file except .git and node_modules)
+   * @returns {Promise<Array<Object>>} Findings, see scanContent()
+   */
+  static async scanSecrets(root, options = {}) {
+    const files = options.files || await SecretScanner.listFiles(root);
+    const findings = [];
+
+    for (const file of files) {
+      const filePath = path.join(root, file);
+      const stats = await fs.lstat(filePath).catch(() => null);
+      if (!stats || !stats.isFile() || stats.size > MAX_FILE_SIZE) {
+        continue;
+      }
+
+      const content = await fs.readFile(filePath);
+      if (content.includes(0)) {
+        continue;
+      }
+      findings.push(...SecretScanner.scanContent(content.toString('utf8'), file.split(path.sep).join('/')));
+    }
+
+    return findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Move secrets into a .env file and replace them with references to the variables.
+   * Quoted literals in scripts become `process.env.NAME`, anything else `${NAME}`. The .env
+   * file is added to .gitignore.
+   * @param {string} root - Project directory
+   * @param {Array<Object>} findings - Findings from scanSecrets()
+   * @param {Object} options - Redaction options
+   * @param {string} options.envFile - Env file, relative to root (default: .env)
+   * @returns {Promise<Object>} { envFile, variables, files }
+   */
+  static async redactToEnv(root, findings, options = {}) {
+    const envFile = options.envFile || DEFAULT_ENV_FILE;
+    const envPath = path.join(root, envFile);
+    const existing = await fs.pathExists(envPath) ? await fs.readFile(envPath, 'utf8') : '';
+
+    // One variable per distinct secret, keeping names unique against the existing .env
+    const taken = new Set(existing.split('\n').map(line => line.split('=')[0].trim()).filter(Boolean));
+    const variables = new Map();
+    for (const finding of findings) {
+      if (variables.has(finding.secret)) {
+        continue;
+      }
+      let name = finding.envName;
+      for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${finding.envName}_${suffix}`;
+      }
+      taken.add(name);
+      variables.set(finding.secret, name);
+    }
+
+    const files = [...new Set(findings.map(finding => finding.file))].filter(file => file !== envFile);
+    for (const file of files) {
+      const filePath = path.join(root, file);
+      let content = await fs.readFile(filePath, 'utf8');
+      const isScript = SCRIPT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+      for (const [secret, name] of variables) {
+        if (isScript) {
+          content = content.split(`'${secret}'`).join(`process.env.${name}`)
+            .split(`"${secret}"`).join(`process.env.${name}`);
+        }
+        content = content.split(secret).join(`\${${name}}`);
+      }
+      await fs.writeFile(filePath, content);
+    }
+
+    const lines = [...variables].map(([secret, name]) => `${name}=${SecretScanner.formatEnvValue(secret)}`);
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    await fs.writeFile(envPath, `${existing}${separator}${lines.join('\n')}\n`);
+    await SecretScanner.ignoreFile(root, envFile);
+
+    return { envFile, variables: [...variables.values()], files };
+  }
+
+  /**
+   * Apply the action chosen for scan findings
+   * @param {string} root - Project directory
+   * @param {Array<Object>} findings - Findings from scanSecrets()
+   * @param {string} action - abort (throw), redact (move the secrets into .env) or continue
+   * @returns {Promise<Object|null>} redactToEnv() result for redact, otherwise null
+   * @throws {SecretsFoundError} If secrets were found and the action is abort
+   */
+  static async resolveSecretFindings(root, findings, action = 'abort') {
+    if (!SECRET_ACTIONS.includes(action)) {
+      throw new Error(`Unknown secrets action: ${action} (expected ${SECRET_ACTIONS.join(', ')})`);
+    }
+    if (findings.length === 0 || action === 'continue') {
+      return null;
+    }
+    if (action === 'redact') {
+      return SecretScanner.redactToEnv(root, findings);
+    }
+
+    const lines = findings.map(finding => `  - ${SecretScanner.formatSecretFinding(finding)}`);
+    throw new SecretsFoundError(
+      `Found ${findings.length} secret(s) in the generated files:\n${lines.join('\n')}\n` +
+      'Remove them, or choose redact (move them to .env) or continue (--secrets redact|continue)',
+      'SECRETS_FOUND',
+      {
+        findings: findings.map(finding => ({
+          rule: finding.rule,
+          file: finding.file,
+          line: finding.line,
+          column: finding.column,
+          preview: finding.preview
+        }))
+      }
+    );
+  }
+
+  /**
+   * Scan a generated project and apply the action chosen for what was found. Both create paths
+   * run this before anything records or commits the files.
+   * @param {string} root - Project directory
+   * @param {Object} options - Options
+   * @param {string} options.secrets - abort (default), redact or continue
+   * @param {Function} options.onSecrets - Called with the findings; resolves to the action
+   * @param {Function} options.log - Called with (level, message) for each finding and the outcome
+   * @returns {Promise<Object>} { findings, action, redaction }
+   * @throws {SecretsFoundError} If secrets are found and the action is abort
+   */
+  static async checkGeneratedSecrets(root, options = {}) {
+    const log = options.log || (() => null);
+
+    // .env is where secrets belong, and where redact moves them
+    const findings = (await SecretScanner.scanSecrets(root)).filter(finding => finding.file !== DEFAULT_ENV_FILE);
+    if (findings.length === 0) {
+      return { findings, action: null, redaction: null };
+    }
+
+    findings.forEach(finding => log('warn', `Secret found: ${SecretScanner.formatSecretFinding(finding)}`));
+    const action = options.onSecrets ? await options.onSecrets(findings) : options.secrets || 'abort';
+    const redaction = await SecretScanner.resolveSecretFindings(root, findings, action);
+    if (redaction) {
+      log('warn', `Moved ${redaction.variables.length} secret(s) to ${redaction.envFile}: ${redaction.variables.join(', ')}`);
+    } else {
+      log('warn', `Keeping ${findings.length} secret(s) in the generated files`);
+    }
+
+    return { findings, action, redaction };
+  }
+
+  /**
+   * Format a finding for logs and error messages
+   * @param {Object} finding - Finding
+   * @returns {string} One-line description, without the secret
+   */
+  static formatSecretFinding(finding) {
+    return `${finding.file}:${finding.line}:${finding.column}: ${finding.description} (${finding.preview})`;
+  }
+
+  /**
+   * Hide all but the first characters of a secret
+   * @private
+   * @param {string} secret - Secret
+   * @returns {string} Masked secret
+   */
+  static mask(secret) {
+    return `${secret.slice(0, Math.min(4, Math.floor(secret.length / 4)))}${'*'.repeat(8)}`;
+  }
+
+  /**
+   * Convert a key (`openaiApiKey`, `db.password`) to an env variable name
+   * @private
+   * @param {string} key - Key
+   * @returns {string} CONSTANT_CASE name
+   */
+  static toEnvName(key) {
+    return key
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/[^A-Za-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .toUpperCase();
+  }
+
+  /**
+   * Quote a .env value if needed; newlines are escaped inside double quotes
+   * @private
+   * @param {string} value - Value
+   * @returns {string} .env value
+   */
+  static formatEnvValue(value) {
+    if (/^[\w./+:@-]*$/.test(value)) {
+      return value;
+    }
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+  }
+
+  /**
+   * Add a file to the project's .gitignore unless it is already listed
+   * @private
+   * @param {string} root - Project directory
+   * @param {string} file - Relative path
+   */
+  static async ignoreFile(root, file) {
+    const gitignorePath = path.join(root, '.gitignore');
+    const content = await fs.pathExists(gitignorePath) ? await fs.readFile(gitignorePath, 'utf8') : '';
+    const entries = content.split(/\r?\n/).map(line => line.trim());
+    if (entries.includes(file) || entries.includes(`/${file}`)) {
+      return;
+    }
+    const separator = content && !content.endsWith('\n') ? '\n' : '';
+    await fs.writeFile(gitignorePath, `${content}${separator}${file}\n`);
+  }
+
+  /**
+   * List files under a directory, skipping .git and node_modules
+   * @private
+   * @param {string} root - Directory
+   * @returns {Promise<Array<string>>} Relative paths
+   */
+  static async listFiles(root) {
+    const files = [];
+    const walk = async(dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          files.push(path.relative(root, entryPath));
+        }
+      }
+    };
+    await walk(root);
+    return files;
+  }
+}
+
+module.exports = {
+  SECRET_RULES,
+  SECRET_ACTIONS,
+  DEFAULT_ENV_FILE,
+  SecretsFoundError,
+  entropy: SecretScanner.entropy,
+  scanContent: SecretScanner.scanContent,
+  scanSecrets: SecretScanner.scanSecrets,
+  redactToEnv: SecretScanner.redactToEnv,
+  resolveSecretFindings: SecretScanner.resolveSecretFindings,
+  checkGeneratedSecrets: SecretScanner.checkGeneratedSecrets,
+  formatSecretFinding: SecretScanner.formatSecretFinding
+};
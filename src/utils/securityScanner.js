@@ -1,32 +1,406 @@
 /**
  * Security Scanner
- * Scans templates for security vulnerabilities
+ * Offline static analysis of template contents. Produces a severity-ranked report of:
+ * - lifecycle scripts (preinstall, install, postinstall, prepare) that reach the network or shell out
+ * - obfuscated JavaScript (long base64 blobs, eval, Function constructor)
+ * - symlinks pointing outside the template root
+ * - binary executables
+ * - dependencies on the bundled denylist of known-malicious packages
  */
 
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const maliciousPackages = require('../data/malicious-packages.json');
+
+// Most severe first
+const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+const BINARY_EXTENSIONS = ['.exe', '.dll', '.so', '.dylib', '.bin', '.com', '.scr', '.msi'];
+
+// Larger script files are still checked for binaries and symlinks but not parsed
+const MAX_SCRIPT_SIZE = 2 * 1024 * 1024;
+const BASE64_BLOB_LENGTH = 200;
+
+const NETWORK_PATTERNS = [
+  /\b(curl|wget|nc|ncat|netcat|telnet|ftp|scp|ssh)\b/,
+  /https?:\/\//,
+  /\b(fetch|XMLHttpRequest|http\.get|https\.get|http\.request|https\.request)\b/,
+  /Invoke-WebRequest|DownloadString|DownloadFile/i
+];
+
+const SHELL_PATTERNS = [
+  /\b(sh|bash|zsh|powershell|pwsh|cmd(\.exe)?)\s+(-c|\/c|-Command|-e)\b/i,
+  /\|\s*(sh|bash|zsh)\b/,
+  /\bnode\s+(-e|--eval|-p|--print)\b/,
+  /\bchild_process\b|\b(execSync|spawnSync|exec|spawn)\s*\(/,
+  /\beval\b/,
+  /`[^`]*`|\$\([^)]*\)/,
+  /\bbase64\s+(-d|--decode)\b/
+];
+
+const OBFUSCATION_PATTERNS = [
+  { pattern: /\beval\s*\(/, severity: 'high', message: 'Use of eval()' },
+  { pattern: /\bnew\s+Function\s*\(|(^|[^.\w])Function\s*\(\s*['"`]/, severity: 'high', message: 'Use of the Function constructor' },
+  { pattern: new RegExp(`['"\`][A-Za-z0-9+/]{${BASE64_BLOB_LENGTH},}={0,2}['"\`]`), severity: 'high', message: 'Long base64-encoded string' },
+  { pattern: /(\\x[0-9a-fA-F]{2}){20,}/, severity: 'medium', message: 'Long hex-escaped string' },
+  { pattern: /\bString\.fromCharCode\s*\(\s*\d+\s*(,\s*\d+\s*){20,}\)/, severity: 'medium', message: 'String assembled from character codes' }
+];
+
+// Magic numbers of native executables
+const BINARY_SIGNATURES = [
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], format: 'ELF' },
+  { bytes: [0x4d, 0x5a], format: 'PE (Windows)' },
+  { bytes: [0xcf, 0xfa, 0xed, 0xfe], format: 'Mach-O' },
+  { bytes: [0xce, 0xfa, 0xed, 0xfe], format: 'Mach-O' },
+  { bytes: [0xfe, 0xed, 0xfa, 0xcf], format: 'Mach-O' },
+  { bytes: [0xfe, 0xed, 0xfa, 0xce], format: 'Mach-O' },
+  { bytes: [0xca, 0xfe, 0xba, 0xbe], format: 'Mach-O universal' }
+];
+
 class SecurityScanner {
-  static async scanForVulnerabilities(templatePath) {
-    // Mock implementation - this should be properly implemented
+  /**
+   * Compare two severities
+   * @param {string} a - Severity
+   * @param {string} b - Severity
+   * @returns {number} Negative if `a` is more severe than `b`
+   */
+  static compareSeverity(a, b) {
+    return SEVERITY_LEVELS.indexOf(a) - SEVERITY_LEVELS.indexOf(b);
+  }
+
+  /**
+   * Check whether a severity is at or above a threshold
+   * @param {string} severity - Severity
+   * @param {string} threshold - Minimum severity
+   * @returns {boolean} True if `severity` is at least `threshold`
+   */
+  static isAtLeast(severity, threshold) {
+    return SecurityScanner.compareSeverity(severity, threshold) <= 0;
+  }
+
+  /**
+   * Scan a template directory
+   * @param {string} templatePath - Template directory
+   * @param {Object} options - Scan options
+   * @param {string} options.failOn - Lowest severity that fails the scan (default: high)
+   * @returns {Promise<Object>} Report { templatePath, scannedAt, passed, severity, summary, findings }
+   */
+  static async scanTemplate(templatePath, options = {}) {
+    const failOn = options.failOn || 'high';
+    if (!SEVERITY_LEVELS.includes(failOn)) {
+      throw new Error(`Invalid severity threshold: ${failOn}`);
+    }
+
+    const root = await fs.realpath(templatePath);
+    const findings = [];
+
+    const walk = async(dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        const file = path.relative(root, entryPath).split(path.sep).join('/');
+
+        if (entry.isSymbolicLink()) {
+          findings.push(...await SecurityScanner.checkSymlink(root, entryPath, file));
+        } else if (entry.isDirectory()) {
+          if (entry.name === 'node_modules') {
+            findings.push({
+              rule: 'bundled-dependencies',
+              severity: 'high',
+              file,
+              line: null,
+              message: 'Template ships a node_modules directory, which is not scanned'
+            });
+          }
+          if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+            await walk(entryPath);
+          }
+        } else if (entry.isFile()) {
+          findings.push(...await SecurityScanner.scanFile(entryPath, file));
+        }
+      }
+    };
+
+    await walk(root);
+    findings.sort((a, b) => SecurityScanner.compareSeverity(a.severity, b.severity) ||
+      a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+
+    const summary = SEVERITY_LEVELS.reduce((counts, level) => {
+      counts[level] = findings.filter(finding => finding.severity === level).length;
+      return counts;
+    }, {});
+
     return {
-      hasVulnerabilities: true,
-      vulnerabilities: [
-        {
-          package: 'lodash',
-          version: '4.17.15',
-          severity: 'high',
-          description: 'Prototype pollution vulnerability'
+      templatePath,
+      scannedAt: new Date().toISOString(),
+      failOn,
+      passed: !findings.some(finding => SecurityScanner.isAtLeast(finding.severity, failOn)),
+      severity: findings.length > 0 ? findings[0].severity : null,
+      summary,
+      findings
+    };
+  }
+
+  /**
+   * Run the checks that apply to a single file
+   * @private
+   * @param {string} filePath - Absolute path
+   * @param {string} file - Path relative to the template root
+   * @returns {Promise<Array<Object>>} Findings
+   */
+  static async scanFile(filePath, file) {
+    const findings = [];
+    const binaryFormat = await SecurityScanner.detectBinary(filePath);
+
+    if (binaryFormat || BINARY_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      findings.push({
+        rule: 'binary-executable',
+        severity: 'critical',
+        file,
+        line: null,
+        message: binaryFormat ? `${binaryFormat} executable` : 'Executable or native library file'
+      });
+      return findings;
+    }
+
+    if (path.basename(file) === 'package.json') {
+      findings.push(...SecurityScanner.checkPackageJson(await fs.readFile(filePath, 'utf8'), file));
+    }
+
+    if (SCRIPT_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+        (await fs.stat(filePath)).size <= MAX_SCRIPT_SIZE) {
+      findings.push(...SecurityScanner.checkObfuscation(await fs.readFile(filePath, 'utf8'), file));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Check lifecycle scripts and dependencies of a package.json
+   * @param {string} content - package.json content
+   * @param {string} file - Relative path, used in findings
+   * @returns {Array<Object>} Findings
+   */
+  static checkPackageJson(content, file = 'package.json') {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(content);
+    } catch (error) {
+      return [{ rule: 'invalid-package-json', severity: 'low', file, line: null, message: `Invalid JSON: ${error.message}` }];
+    }
+
+    const findings = [];
+    const scripts = packageJson.scripts || {};
+
+    for (const name of LIFECYCLE_SCRIPTS) {
+      if (typeof scripts[name] !== 'string') {
+        continue;
+      }
+
+      const usesNetwork = NETWORK_PATTERNS.some(pattern => pattern.test(scripts[name]));
+      const shellsOut = SHELL_PATTERNS.some(pattern => pattern.test(scripts[name]));
+      let severity = 'low';
+      let message = `Lifecycle script "${name}" runs on install`;
+
+      if (usesNetwork && shellsOut) {
+        severity = 'critical';
+        message = `Lifecycle script "${name}" downloads and executes code: ${scripts[name]}`;
+      } else if (usesNetwork) {
+        severity = 'high';
+        message = `Lifecycle script "${name}" makes network calls: ${scripts[name]}`;
+      } else if (shellsOut) {
+        severity = 'high';
+        message = `Lifecycle script "${name}" shells out: ${scripts[name]}`;
+      }
+
+      findings.push({ rule: 'lifecycle-script', severity, file, line: null, message });
+    }
+
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, spec] of Object.entries(packageJson[field] || {})) {
+        const entry = SecurityScanner.findMaliciousPackage(name, spec);
+        if (entry) {
+          findings.push({
+            rule: 'malicious-dependency',
+            severity: 'critical',
+            file,
+            line: null,
+            package: name,
+            version: spec,
+            message: `Known malicious package ${name}@${spec} in ${field}: ${entry.reason}`
+          });
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Look up a dependency in the bundled denylist
+   * @param {string} name - Package name
+   * @param {string} spec - Declared version range
+   * @returns {Object|null} Denylist entry
+   */
+  static findMaliciousPackage(name, spec) {
+    const entry = maliciousPackages.packages.find(pkg => pkg.name === name);
+    if (!entry) {
+      return null;
+    }
+    if (!entry.versions) {
+      return entry;
+    }
+
+    // Ranges we cannot reason about (tags, URLs) are flagged to be safe
+    try {
+      return semver.intersects(spec, entry.versions) ? entry : null;
+    } catch (error) {
+      return entry;
+    }
+  }
+
+  /**
+   * Check JavaScript source for obfuscation
+   * @param {string} content - Source
+   * @param {string} file - Relative path, used in findings
+   * @returns {Array<Object>} Findings
+   */
+  static checkObfuscation(content, file) {
+    const findings = [];
+
+    content.split('\n').forEach((lineContent, index) => {
+      // Inline source maps are legitimately long base64
+      if (lineContent.includes('sourceMappingURL=')) {
+        return;
+      }
+
+      for (const { pattern, severity, message } of OBFUSCATION_PATTERNS) {
+        if (pattern.test(lineContent)) {
+          findings.push({ rule: 'obfuscated-code', severity, file, line: index + 1, message });
         }
-      ],
-      malwareDetected: false,
-      threats: [],
-      staticAnalysisResults: [],
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Check that a symlink stays inside the template root
+   * @private
+   * @param {string} root - Real path of the template root
+   * @param {string} linkPath - Absolute path of the link
+   * @param {string} file - Relative path, used in findings
+   * @returns {Promise<Array<Object>>} Findings
+   */
+  static async checkSymlink(root, linkPath, file) {
+    const target = await fs.readlink(linkPath);
+    let resolved = path.resolve(path.dirname(linkPath), target);
+
+    // Follow chains of links when the target exists
+    try {
+      resolved = await fs.realpath(linkPath);
+    } catch (error) {
+      // Dangling link, judge it by its literal target
+    }
+
+    const relative = path.relative(root, resolved);
+    if (relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+      return [];
+    }
+
+    return [{
+      rule: 'symlink-escape',
+      severity: 'critical',
+      file,
+      line: null,
+      message: `Symlink points outside the template: ${target}`
+    }];
+  }
+
+  /**
+   * Detect native executables by their magic number
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<string|null>} Executable format, or null
+   */
+  static async detectBinary(filePath) {
+    const header = Buffer.alloc(4);
+    const fd = await fs.open(filePath, 'r');
+    let bytesRead;
+    try {
+      ({ bytesRead } = await fs.read(fd, header, 0, header.length, 0));
+    } finally {
+      await fs.close(fd);
+    }
+
+    const signature = BINARY_SIGNATURES.find(({ bytes }) =>
+      bytesRead >= bytes.length && bytes.every((byte, index) => header[index] === byte));
+    return signature ? signature.format : null;
+  }
+
+  /**
+   * Format a finding for logs and error messages
+   * @param {Object} finding - Finding
+   * @returns {string} One-line description
+   */
+  static formatFinding(finding) {
+    const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+    return `[${finding.severity}] ${location}: ${finding.message}`;
+  }
+
+  /**
+   * Scan a template and summarise the result in the legacy vulnerability format
+   * @param {string} templatePath - Template directory
+   * @param {Object} options - Scan options, see scanTemplate()
+   * @returns {Promise<Object>} { hasVulnerabilities, vulnerabilities, malwareDetected, threats, staticAnalysisResults, report }
+   */
+  static async scanForVulnerabilities(templatePath, options = {}) {
+    const report = await SecurityScanner.scanTemplate(templatePath, options);
+    const vulnerabilities = report.findings
+      .filter(finding => finding.rule === 'malicious-dependency')
+      .map(finding => ({
+        package: finding.package,
+        version: finding.version,
+        severity: finding.severity,
+        description: finding.message
+      }));
+    const threats = report.findings
+      .filter(finding => finding.severity === 'critical')
+      .map(SecurityScanner.formatFinding);
+
+    return {
+      hasVulnerabilities: report.findings.length > 0,
+      vulnerabilities,
+      malwareDetected: threats.length > 0,
+      threats,
+      staticAnalysisResults: report.findings
+        .filter(finding => finding.rule === 'obfuscated-code')
+        .map(SecurityScanner.formatFinding),
       report: {
-        summary: 'Security scanning not fully implemented',
-        vulnerabilities: [],
-        recommendations: ['Implement proper security scanning'],
-        severity: 'medium'
+        summary: report.findings.length > 0
+          ? `${report.findings.length} finding(s), highest severity ${report.severity}`
+          : 'No security issues found',
+        vulnerabilities,
+        recommendations: report.passed ? [] : ['Review the findings before using this template'],
+        severity: report.severity || 'none',
+        findings: report.findings
       }
     };
   }
 }
 
-module.exports = { scanForVulnerabilities: SecurityScanner.scanForVulnerabilities };
+module.exports = {
+  SEVERITY_LEVELS,
+  compareSeverity: SecurityScanner.compareSeverity,
+  isAtLeast: SecurityScanner.isAtLeast,
+  scanTemplate: SecurityScanner.scanTemplate,
+  checkPackageJson: SecurityScanner.checkPackageJson,
+  checkObfuscation: SecurityScanner.checkObfuscation,
+  formatFinding: SecurityScanner.formatFinding,
+  scanForVulnerabilities: SecurityScanner.scanForVulnerabilities
+};
@@ -0,0 +1,147 @@
+/**
+ * Advisory Database Tests
+ * Tests importing advisory dumps and auditing dependency ranges offline
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  AdvisoryDatabase,
+  normalizeAdvisory,
+  formatAuditFinding
+} = require('../../src/core/advisory-database');
+
+describe('AdvisoryDatabase', () => {
+  let tempDir;
+  let database;
+
+  // GitHub REST format
+  const lodashAdvisory = {
+    ghsa_id: 'GHSA-35jh-r3h4-6jhm',
+    cve_id: 'CVE-2021-23337',
+    summary: 'Command Injection in lodash',
+    severity: 'high',
+    html_url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm',
+    vulnerabilities: [{
+      package: { ecosystem: 'npm', name: 'lodash' },
+      vulnerable_version_range: '< 4.17.21',
+      first_patched_version: '4.17.21'
+    }]
+  };
+
+  // OSV format, as in github/advisory-database
+  const minimistAdvisory = {
+    id: 'GHSA-xvch-5gv4-984h',
+    aliases: ['CVE-2021-44906'],
+    summary: 'Prototype Pollution in minimist',
+    database_specific: { severity: 'CRITICAL' },
+    references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2021-44906' }],
+    affected: [{
+      package: { ecosystem: 'npm', name: 'minimist' },
+      ranges: [{
+        type: 'ECOSYSTEM',
+        events: [{ introduced: '0' }, { fixed: '0.2.4' }, { introduced: '1.0.0' }, { fixed: '1.2.6' }]
+      }]
+    }]
+  };
+
+  const pipAdvisory = {
+    id: 'GHSA-pypi-only',
+    affected: [{ package: { ecosystem: 'PyPI', name: 'requests' }, ranges: [{ events: [{ introduced: '0' }] }] }]
+  };
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'advisory-db-'));
+    database = new AdvisoryDatabase({ dbPath: path.join(tempDir, 'advisories.json') });
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should normalize GitHub REST and OSV advisories', () => {
+    expect(normalizeAdvisory(lodashAdvisory)).toEqual([{
+      id: 'GHSA-35jh-r3h4-6jhm',
+      aliases: ['CVE-2021-23337'],
+      title: 'Command Injection in lodash',
+      severity: 'high',
+      url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm',
+      package: 'lodash',
+      vulnerableRange: '<4.17.21',
+      patchedVersions: ['4.17.21']
+    }]);
+
+    expect(normalizeAdvisory(minimistAdvisory)[0]).toMatchObject({
+      severity: 'critical',
+      vulnerableRange: '<0.2.4||>=1.0.0 <1.2.6',
+      patchedVersions: ['0.2.4', '1.2.6']
+    });
+    expect(normalizeAdvisory({ ...lodashAdvisory, severity: 'moderate' })[0].severity).toBe('medium');
+    expect(normalizeAdvisory(pipAdvisory)).toEqual([]);
+  });
+
+  test('should import dumps and persist them', async() => {
+    const dumpPath = path.join(tempDir, 'dump.json');
+    await fs.writeJson(dumpPath, [lodashAdvisory, minimistAdvisory, pipAdvisory]);
+
+    expect(await database.importAdvisories(dumpPath)).toEqual({ imported: 2, skipped: 1, total: 2 });
+
+    // Re-importing replaces records instead of duplicating them
+    expect(await database.importAdvisories({ advisories: [lodashAdvisory] })).toMatchObject({ total: 2 });
+
+    const reloaded = new AdvisoryDatabase({ dbPath: database.dbPath });
+    expect((await reloaded.getAdvisories('lodash'))[0].id).toBe('GHSA-35jh-r3h4-6jhm');
+  });
+
+  test('should report affected ranges and fixed versions', async() => {
+    await database.importAdvisories([lodashAdvisory, minimistAdvisory]);
+
+    const report = await database.audit({
+      dependencies: { lodash: '^4.17.15', express: '^4.18.0' },
+      devDependencies: { minimist: '1.2.5' }
+    });
+
+    expect(report.dependencies).toBe(3);
+    expect(report.findings.map(finding => [finding.package, finding.severity, finding.fixInRange])).toEqual([
+      ['minimist', 'critical', false],
+      ['lodash', 'high', true]
+    ]);
+    expect(report.findings[1]).toMatchObject({
+      range: '^4.17.15',
+      dependencyType: 'dependencies',
+      vulnerableRange: '<4.17.21',
+      patchedVersions: ['4.17.21']
+    });
+    expect(formatAuditFinding(report.findings[1])).toBe(
+      '[high] lodash@^4.17.15: Command Injection in lodash (GHSA-35jh-r3h4-6jhm, affected <4.17.21, fixed in 4.17.21)'
+    );
+    expect(report.summary).toEqual({ critical: 1, high: 1, medium: 0, low: 0 });
+    expect(report.passed).toBe(true);
+  });
+
+  test('should not flag ranges outside the vulnerable range', async() => {
+    await database.importAdvisories([lodashAdvisory]);
+
+    const report = await database.audit({ lodash: '^4.17.21' });
+    expect(report.findings).toEqual([]);
+    expect(report.severity).toBeNull();
+  });
+
+  test('should gate on the failure threshold', async() => {
+    await database.importAdvisories([lodashAdvisory]);
+
+    expect((await database.audit({ lodash: '4.17.15' }, { failOn: 'high' })).passed).toBe(false);
+    expect((await database.audit({ lodash: '4.17.15' }, { failOn: 'critical' })).passed).toBe(true);
+    await expect(database.audit({ lodash: '4.17.15' }, { failOn: 'urgent' }))
+      .rejects.toMatchObject({ code: 'INVALID_SEVERITY' });
+  });
+
+  test('should list ranges it cannot check', async() => {
+    await database.importAdvisories([lodashAdvisory]);
+
+    const report = await database.audit({ lodash: 'github:lodash/lodash' });
+    expect(report.findings).toEqual([]);
+    expect(report.unchecked).toEqual([{ package: 'lodash', range: 'github:lodash/lodash', dependencyType: 'dependencies' }]);
+  });
+});
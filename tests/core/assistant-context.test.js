@@ -0,0 +1,149 @@
+/**
+ * AssistantContext Tests
+ * Tests fact detection, fragment rendering and regeneration that keeps user edits
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  AssistantContext,
+  AssistantContextError,
+  normalizeFormats,
+  detectProjectFacts,
+  mergeSections
+} = require('../../src/core/assistant-context');
+
+describe('AssistantContext', () => {
+  let projectDir;
+  let templateDir;
+  let context;
+
+  const readFile = file => fs.readFile(path.join(projectDir, file), 'utf8');
+
+  beforeEach(async() => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'assistant-context-'));
+    projectDir = path.join(tempDir, 'project');
+    templateDir = path.join(tempDir, 'template');
+
+    await fs.outputJson(path.join(projectDir, 'package.json'), {
+      name: 'my-api',
+      description: 'Orders API',
+      scripts: { start: 'node src/index.js', test: 'jest', lint: 'eslint .' },
+      devDependencies: { jest: '^29.0.0', eslint: '^8.0.0' }
+    });
+    await fs.outputFile(path.join(projectDir, 'yarn.lock'), '');
+    await fs.outputFile(path.join(projectDir, '.eslintrc.js'), 'module.exports = {};\n');
+    await fs.outputFile(path.join(projectDir, 'src', 'routes', 'index.js'), '');
+    await fs.outputFile(path.join(projectDir, 'tests', 'app.test.js'), '');
+    await fs.outputFile(path.join(projectDir, 'node_modules', 'jest', 'index.js'), '');
+    await fs.outputJson(path.join(projectDir, '.xagi-project.json'), { template: '@xagi/ai-template-node-api', templateVersion: '1.0.0' });
+
+    await fs.outputFile(path.join(templateDir, '_assistant', 'conventions.md'), '## Conventions\n\nRoutes of {{ projectName }} live in src/routes.\n');
+
+    context = new AssistantContext();
+  });
+
+  afterEach(async() => {
+    await fs.remove(path.dirname(projectDir));
+  });
+
+  test('should normalize formats', () => {
+    expect(normalizeFormats('agents, CLAUDE,agents')).toEqual(['agents', 'claude']);
+    expect(normalizeFormats(['cursor'])).toEqual(['cursor']);
+    expect(normalizeFormats('none')).toEqual([]);
+    expect(normalizeFormats(false)).toEqual([]);
+    expect(() => normalizeFormats('agents,copilot')).toThrow(AssistantContextError);
+  });
+
+  test('should detect scripts, tests, layout and lint configuration', async() => {
+    const facts = await detectProjectFacts(projectDir);
+
+    expect(facts).toMatchObject({
+      name: 'my-api',
+      template: { id: '@xagi/ai-template-node-api', version: '1.0.0' },
+      packageManager: 'yarn',
+      testing: { script: 'jest', framework: { name: 'Jest' }, directories: ['tests'] },
+      lintTools: [{ name: 'ESLint', file: '.eslintrc.js', script: 'lint' }]
+    });
+    expect(facts.directories).toEqual([
+      { name: 'src', description: 'application source', children: ['routes'] },
+      { name: 'tests', description: 'tests', children: [] }
+    ]);
+  });
+
+  test('should write the chosen formats with facts and template fragments', async() => {
+    const results = await context.generate(projectDir, {
+      formats: ['agents', 'cursor'],
+      templateDir,
+      answers: { projectName: 'my-api' }
+    });
+
+    expect(results).toEqual([
+      { format: 'agents', path: 'AGENTS.md', status: 'created', preserved: [] },
+      { format: 'cursor', path: '.cursorrules', status: 'created', preserved: [] }
+    ]);
+    expect(await fs.pathExists(path.join(projectDir, 'CLAUDE.md'))).toBe(false);
+
+    const agents = await readFile('AGENTS.md');
+    expect(agents).toMatch(/^# my-api\n/);
+    expect(agents).toContain('- `yarn test`: `jest`');
+    expect(agents).toContain('run a single file with `npx jest <file>`');
+    expect(agents).toContain('- `src/`: application source; routes/');
+    expect(agents).toContain('- ESLint (`.eslintrc.js`): run `yarn lint`');
+    expect(agents).toContain('Generated from the `@xagi/ai-template-node-api@1.0.0` template.');
+    expect(agents).toContain('Routes of my-api live in src/routes.');
+    expect(agents).toMatch(/<!-- create-ai-project:begin template-conventions hash=[0-9a-f]+ -->/);
+    expect(await readFile('.cursorrules')).toBe(agents);
+  });
+
+  test('should regenerate without clobbering user edits', async() => {
+    await context.generate(projectDir, { formats: ['agents'], templateDir, answers: { projectName: 'my-api' } });
+
+    // Notes outside the markers, and an edited section
+    const edited = (await readFile('AGENTS.md'))
+      .replace('# my-api\n', '# my-api\n\nAsk before adding dependencies.\n')
+      .replace('Tests use Jest', 'Tests use Jest (integration tests need Docker)');
+    await fs.writeFile(path.join(projectDir, 'AGENTS.md'), edited);
+
+    // The project changes and the template drops its fragment
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    packageJson.scripts.build = 'tsc';
+    await fs.writeJson(path.join(projectDir, 'package.json'), packageJson);
+    await fs.remove(path.join(templateDir, '_assistant'));
+
+    const results = await context.generate(projectDir, { formats: ['agents'], templateDir });
+
+    expect(results).toEqual([{ format: 'agents', path: 'AGENTS.md', status: 'updated', preserved: ['testing'] }]);
+    const agents = await readFile('AGENTS.md');
+    expect(agents).toContain('Ask before adding dependencies.');
+    expect(agents).toContain('integration tests need Docker');
+    expect(agents).toContain('- `yarn build`: `tsc`');
+    expect(agents).not.toContain('Routes of my-api');
+
+    const again = await context.generate(projectDir, { formats: ['agents'], templateDir });
+    expect(again[0].status).toBe('unchanged');
+  });
+
+  test('should add sections to files without markers and leave dry runs alone', async() => {
+    await fs.writeFile(path.join(projectDir, 'CLAUDE.md'), '# Notes\n\nHand-written.\n');
+
+    const dryRun = await context.generate(projectDir, { formats: ['claude'], dryRun: true });
+    expect(dryRun[0].status).toBe('updated');
+    expect(await readFile('CLAUDE.md')).toBe('# Notes\n\nHand-written.\n');
+
+    await context.generate(projectDir, { formats: ['claude'] });
+    const claude = await readFile('CLAUDE.md');
+    expect(claude.startsWith('# Notes\n\nHand-written.\n\n<!-- create-ai-project:begin project')).toBe(true);
+  });
+
+  test('should insert new sections after the last generated one', () => {
+    const first = mergeSections(null, [{ id: 'a', content: 'A' }], '# t').content;
+    const withFooter = `${first}\nFooter\n`;
+
+    const { content } = mergeSections(withFooter, [{ id: 'a', content: 'A' }, { id: 'b', content: 'B' }], '# t');
+
+    expect(content.indexOf(':begin b')).toBeGreaterThan(content.indexOf(':end a'));
+    expect(content.endsWith('\nFooter\n')).toBe(true);
+  });
+});
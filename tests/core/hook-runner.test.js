@@ -0,0 +1,319 @@
+/**
+ * HookRunner Tests
+ * Tests sandboxed execution of template lifecycle hooks
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { HookRunner, getHookEnv } = require('../../src/core/hook-runner');
+
+describe('HookRunner', () => {
+  let workDir;
+  let projectDir;
+  let runner;
+
+  const writeHook = async(source) => {
+    const scriptPath = path.join(workDir, 'hook.js');
+    await fs.writeFile(scriptPath, source);
+    return scriptPath;
+  };
+
+  beforeEach(async() => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hook-runner-'));
+    projectDir = path.join(workDir, 'project');
+    await fs.ensureDir(projectDir);
+    runner = new HookRunner({ timeout: 5000 });
+  });
+
+  afterEach(async() => {
+    await fs.remove(workDir);
+  });
+
+  test('should expose answers and write, read and rename files', async() => {
+    await fs.writeFile(path.join(projectDir, 'index.js'), 'console.log(1);');
+    const scriptPath = await writeHook(`
+      module.exports = async(api) => {
+        console.log('features: ' + api.answers.features.join(','));
+        await api.writeFile('config/app.json', JSON.stringify({ name: api.getAnswer('PROJECT_NAME') }));
+        if (api.answers.useTypescript) {
+          await api.rename('index.js', 'index.ts');
+        }
+        const content = await api.readFile('index.ts');
+        api.log('read ' + content.length + ' bytes');
+      };
+    `);
+
+    const result = await runner.run('postGenerate', scriptPath, {
+      projectDir,
+      answers: { PROJECT_NAME: 'demo', features: ['auth', 'api'], useTypescript: true }
+    });
+
+    expect(result.error).toBeNull();
+    expect(result.success).toBe(true);
+    expect(result.output).toEqual(['features: auth,api', 'read 15 bytes']);
+    expect(await fs.readJson(path.join(projectDir, 'config/app.json'))).toEqual({ name: 'demo' });
+    expect(await fs.pathExists(path.join(projectDir, 'index.ts'))).toBe(true);
+    expect(await fs.pathExists(path.join(projectDir, 'index.js'))).toBe(false);
+  });
+
+  test('should run allow-listed commands in the project directory', async() => {
+    await fs.writeJson(path.join(projectDir, 'package.json'), {
+      name: 'demo',
+      scripts: { where: 'node -e "process.stdout.write(process.cwd())"' }
+    });
+    const scriptPath = await writeHook(`
+      module.exports = async(api) => {
+        const result = await api.exec('npm', ['run', 'where']);
+        console.log(result.exitCode + ' ' + result.stdout.trim().split('\\n').pop());
+      };
+    `);
+
+    const result = await runner.run('postInstall', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual([`0 ${await fs.realpath(projectDir)}`]);
+  });
+
+  test('should reject commands that are not allow-listed', async() => {
+    const scriptPath = await writeHook('module.exports = (api) => api.exec(\'rm\', [\'-rf\', \'.\']);');
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Command "rm" is not allowed in hooks');
+  });
+
+  test('should not run code passed as command arguments', async() => {
+    const target = path.join(workDir, 'escape.txt');
+    const scriptPath = await writeHook(`
+      module.exports = async(api) => {
+        const attempts = [
+          ['node', ['-e', 'require("fs").writeFileSync(${JSON.stringify(target)}, "x")']],
+          ['npx', ['-y', 'cowsay', 'hi']],
+          ['npm', ['exec', '--', 'node', '-e', '1']],
+          ['npm', ['run', '--script-shell=/bin/sh', 'x']],
+          ['npm', ['install', 'left-pad']],
+          ['git', ['-c', 'core.pager=sh', 'log']]
+        ];
+        for (const [command, args] of attempts) {
+          try {
+            await api.exec(command, args);
+            console.log('ran ' + command);
+          } catch (error) {
+            console.log('refused ' + command);
+          }
+        }
+      };
+    `);
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual(['refused node', 'refused npx', 'refused npm', 'refused npm', 'refused npm', 'refused git']);
+    expect(await fs.pathExists(target)).toBe(false);
+  });
+
+  test('should not let hooks change the scripts or configuration that allowed commands use', async() => {
+    await fs.writeJson(path.join(projectDir, 'package.json'), { name: 'demo' });
+    await fs.ensureDir(path.join(projectDir, 'node_modules', '.bin'));
+    await fs.symlink(path.join(projectDir, 'package.json'), path.join(projectDir, 'link.json'));
+    await fs.ensureDir(path.join(projectDir, '.git', 'hooks'));
+    await fs.symlink(path.join(projectDir, '.git', 'hooks'), path.join(projectDir, 'hooks'));
+    await fs.writeFile(path.join(projectDir, 'evil.json'), '{"scripts":{"x":"touch pwned"}}');
+    const scriptPath = await writeHook(`
+      module.exports = async(api) => {
+        const attempts = [
+          ['package.json', () => api.writeFile('package.json', '{"scripts":{"x":"touch pwned"}}')],
+          ['PACKAGE.JSON', () => api.writeFile('PACKAGE.JSON', '{}')],
+          ['.npmrc', () => api.writeFile('.npmrc', 'script-shell=/tmp/evil')],
+          ['pre-commit', () => api.writeFile('.git/hooks/pre-commit', '#!/bin/sh\\ntouch pwned')],
+          ['node_modules', () => api.writeFile('node_modules/.bin/jest', '#!/bin/sh\\ntouch pwned')],
+          ['rename', () => api.rename('evil.json', 'package.json')],
+          ['link', () => api.writeFile('link.json', '{}')],
+          ['linked dir', () => api.writeFile('hooks/pre-commit', '#!/bin/sh')]
+        ];
+        for (const [name, attempt] of attempts) {
+          try {
+            await attempt();
+            console.log('wrote ' + name);
+          } catch (error) {
+            console.log('refused ' + name);
+          }
+        }
+      };
+    `);
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual([
+      'refused package.json',
+      'refused PACKAGE.JSON',
+      'refused .npmrc',
+      'refused pre-commit',
+      'refused node_modules',
+      'refused rename',
+      'refused link',
+      'refused linked dir'
+    ]);
+    expect(await fs.readJson(path.join(projectDir, 'package.json'))).toEqual({ name: 'demo' });
+    expect(await fs.pathExists(path.join(projectDir, '.git', 'hooks', 'pre-commit'))).toBe(false);
+  });
+
+  test('should not run install scripts when a hook installs dependencies', async() => {
+    runner = new HookRunner({ timeout: 60000 });
+    await fs.writeJson(path.join(projectDir, 'package.json'), {
+      name: 'demo',
+      version: '1.0.0',
+      scripts: { postinstall: 'node -e "require(\'fs\').writeFileSync(\'pwned\', \'\')"' }
+    });
+    const scriptPath = await writeHook('module.exports = async(api) => console.log((await api.exec(\'npm\', [\'install\'])).exitCode);');
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual(['0']);
+    expect(await fs.pathExists(path.join(projectDir, 'pwned'))).toBe(false);
+  }, 70000);
+
+  test('should not run git hooks when a hook commits', async() => {
+    execFileSync('git', ['init', '-q'], { cwd: projectDir });
+    execFileSync('git', ['config', 'user.email', 'dev@example.com'], { cwd: projectDir });
+    execFileSync('git', ['config', 'user.name', 'Dev'], { cwd: projectDir });
+    await fs.outputFile(path.join(projectDir, '.git', 'hooks', 'pre-commit'), '#!/bin/sh\ntouch pwned\n', { mode: 0o755 });
+    await fs.writeFile(path.join(projectDir, 'README.md'), '# demo\n');
+    const scriptPath = await writeHook(`
+      module.exports = async(api) => {
+        await api.exec('git', ['add', 'README.md']);
+        console.log((await api.exec('git', ['commit', '-m', 'Initial commit'])).exitCode);
+      };
+    `);
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual(['0']);
+    expect(await fs.pathExists(path.join(projectDir, 'pwned'))).toBe(false);
+  });
+
+  test('should not pass credentials from the environment to commands', async() => {
+    process.env.NPM_TOKEN = 'npm-secret';
+    process.env.npm_config__authToken = 'npm-secret';
+    try {
+      await fs.writeJson(path.join(projectDir, 'package.json'), {
+        name: 'demo',
+        scripts: { env: 'node -e "console.log(process.env.NPM_TOKEN + \' \' + process.env.npm_config__authToken + \' \' + Boolean(process.env.PATH))"' }
+      });
+      const scriptPath = await writeHook(`
+        module.exports = async(api) => console.log((await api.exec('npm', ['run', 'env'])).stdout.trim().split('\\n').pop());
+      `);
+
+      const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+      expect(result.error).toBeNull();
+      expect(result.output).toEqual(['undefined undefined true']);
+      expect(getHookEnv({ PATH: '/bin', NPM_TOKEN: 'x', GITHUB_TOKEN: 'x', npm_config_registry: 'r', npm_config__auth: 'x' }))
+        .toEqual({ PATH: '/bin', npm_config_registry: 'r' });
+    } finally {
+      delete process.env.NPM_TOKEN;
+      delete process.env.npm_config__authToken;
+    }
+  });
+
+  test('should reject paths outside the project directory', async() => {
+    const scriptPath = await writeHook('module.exports = (api) => api.writeFile(\'../escape.txt\', \'x\');');
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('is outside the project directory');
+    expect(await fs.pathExists(path.join(workDir, 'escape.txt'))).toBe(false);
+  });
+
+  test('should not expose require or process to hook scripts', async() => {
+    const scriptPath = await writeHook(`
+      console.log(typeof require + ' ' + typeof process);
+      try {
+        eval('1 + 1');
+      } catch (error) {
+        console.log('eval blocked');
+      }
+    `);
+
+    const result = await runner.run('preGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.success).toBe(true);
+    expect(result.output).toEqual(['undefined undefined', 'eval blocked']);
+  });
+
+  test('should not let the hook API lead back to the sandbox process', async() => {
+    const scriptPath = await writeHook(`
+      const attempts = {
+        apiFunction: () => api.log.constructor('return process')(),
+        apiObject: () => api.constructor.constructor('return process')(),
+        promise: () => api.exists('x').constructor.constructor('return process')(),
+        console: () => console.log.constructor('return process')(),
+        module: () => module.constructor.constructor('return process')(),
+        caller: function() {
+          return arguments.callee.caller.constructor('return process')();
+        }
+      };
+      module.exports = async() => {
+        for (const name of Object.keys(attempts)) {
+          try {
+            console.log(name + ': ' + typeof attempts[name]().pid);
+          } catch (error) {
+            console.log(name + ': blocked');
+          }
+        }
+        try {
+          await api.readFile('missing.txt');
+        } catch (error) {
+          console.log('error: ' + (error.constructor === Error ? 'blocked' : 'host'));
+        }
+      };
+    `);
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual([
+      'apiFunction: blocked',
+      'apiObject: blocked',
+      'promise: blocked',
+      'console: blocked',
+      'module: blocked',
+      'caller: blocked',
+      'error: blocked'
+    ]);
+  });
+
+  test('should time out hooks that never finish', async() => {
+    runner = new HookRunner({ timeout: 500 });
+    const scriptPath = await writeHook('module.exports = () => new Promise(() => {});');
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Hook postGenerate timed out after 500ms');
+  });
+
+  test('should report errors thrown by the hook', async() => {
+    const scriptPath = await writeHook('module.exports = () => { throw new Error(\'boom\'); };');
+
+    const result = await runner.run('postGenerate', scriptPath, { projectDir, answers: {} });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('boom');
+  });
+
+  test('should reject unknown hook names', async() => {
+    const scriptPath = await writeHook('');
+    const result = await runner.run('onDeploy', scriptPath, { projectDir });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Unknown hook: onDeploy');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * JobQueue Tests
+ * Tests concurrency limits, the bounded queue, cancellation, job events and pruning of finished jobs
+ */
+
+const { JobQueue, JOB_STATUS } = require('../../src/core/job-queue');
+
+/**
+ * Run function that finishes when released, or rejects when its job is cancelled
+ */
+function controllable() {
+  const releases = [];
+  const run = jest.fn().mockImplementation(job => new Promise((resolve, reject) => {
+    releases.push(resolve);
+    job.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }));
+  return { run, release: (index, value) => releases[index](value) };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueue', () => {
+  test('should run at most `concurrency` jobs at once', async() => {
+    const queue = new JobQueue({ concurrency: 2 });
+    const { run, release } = controllable();
+
+    const jobs = [queue.add(run), queue.add(run), queue.add(run)];
+    expect(jobs.map(job => job.status)).toEqual([JOB_STATUS.RUNNING, JOB_STATUS.RUNNING, JOB_STATUS.QUEUED]);
+    expect(queue.getStats()).toMatchObject({ queued: 1, running: 2 });
+
+    release(0, { ok: true });
+    await flush();
+
+    expect(jobs[0].toJSON()).toMatchObject({ status: JOB_STATUS.SUCCEEDED, result: { ok: true } });
+    expect(jobs[2].status).toBe(JOB_STATUS.RUNNING);
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  test('should refuse jobs when the queue is full', () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+    const { run } = controllable();
+
+    queue.add(run);
+    queue.add(run);
+
+    expect(() => queue.add(run)).toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+  });
+
+  test('should record failures with their code', async() => {
+    const queue = new JobQueue();
+    const job = queue.add(async() => {
+      throw Object.assign(new Error('Template not found'), { code: 'TEMPLATE_NOT_FOUND' });
+    });
+    await flush();
+
+    expect(job.toJSON()).toMatchObject({
+      status: JOB_STATUS.FAILED,
+      error: { message: 'Template not found', code: 'TEMPLATE_NOT_FOUND' }
+    });
+  });
+
+  test('should cancel queued and running jobs', async() => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const { run } = controllable();
+    const running = queue.add(run);
+    const queued = queue.add(run);
+
+    expect(queue.cancel(queued.id).status).toBe(JOB_STATUS.CANCELLED);
+    expect(queue.cancel(running.id).status).toBe(JOB_STATUS.CANCELLING);
+    await flush();
+
+    expect(running.toJSON()).toMatchObject({ status: JOB_STATUS.CANCELLED, error: { message: 'aborted' } });
+    expect(running.logs.map(entry => entry.message)).toContain('Cancellation requested');
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(() => queue.cancel(running.id)).toThrow(expect.objectContaining({ code: 'JOB_FINISHED' }));
+    expect(() => queue.cancel('unknown')).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+  });
+
+  test('should emit numbered events ending with the result', async() => {
+    const queue = new JobQueue();
+    const received = [];
+    const job = queue.add(async(running) => {
+      await flush();
+      running.report({ type: 'step', status: 'started', description: 'Copying files', index: 1, total: 4, percent: 25 });
+      running.log('Copied 3 files');
+      return { ok: true };
+    });
+    job.on('event', event => received.push(event));
+    await flush();
+
+    expect(job.events.map(event => event.type)).toEqual(['status', 'step', 'log', 'result']);
+    expect(job.events.map(event => event.id)).toEqual([1, 2, 3, 4]);
+    expect(received.map(event => event.type)).toEqual(['step', 'log', 'result']);
+    expect(job.events[3]).toMatchObject({ status: JOB_STATUS.SUCCEEDED, result: { ok: true }, error: null });
+    expect(job.progress).toMatchObject({ step: 'Copying files', stepIndex: 2, totalSteps: 4, percent: 25 });
+  });
+
+  test('should keep progress, the last log lines and only recent finished jobs', async() => {
+    const queue = new JobQueue({ maxFinished: 2 });
+    const first = queue.add(async(job) => {
+      job.setProgress({ step: 'Installing dependencies', percent: 60 });
+      for (let i = 0; i < 510; i++) {
+        job.log(`line ${i}`);
+      }
+    });
+    await flush();
+
+    expect(first.toJSON()).toMatchObject({ progress: { step: 'Installing dependencies', percent: 60 }, droppedLogs: 10 });
+    expect(first.logs[0].message).toBe('line 10');
+
+    queue.add(async() => 'second');
+    queue.add(async() => 'third');
+    await flush();
+    expect(queue.get(first.id)).toBeNull();
+  });
+});
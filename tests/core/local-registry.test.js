@@ -0,0 +1,132 @@
+/**
+ * Local Registry Tests
+ * Tests indexing template folders and tarballs, version resolution and change watching
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { LocalRegistry, createRegistry } = require('../../src/core/local-registry');
+const TemplateRegistry = require('../../src/models/registry');
+
+describe('LocalRegistry', () => {
+  let tempDir;
+  let templatesDir;
+  let registry;
+
+  const writeTemplate = (dir, packageJson, manifest = null) => Promise.all([
+    fs.outputJson(path.join(dir, 'package.json'), packageJson),
+    manifest ? fs.outputJson(path.join(dir, 'template.json'), manifest) : null,
+    fs.outputFile(path.join(dir, 'src/index.js'), 'module.exports = {};\n')
+  ]);
+
+  // Pack a template the way `npm pack` does, with every file under package/
+  const packTemplate = async(file, packageJson) => {
+    const packDir = path.join(tempDir, 'pack', path.basename(file));
+    await writeTemplate(path.join(packDir, 'package'), packageJson);
+    execFileSync('tar', ['-czf', path.join(templatesDir, file), '-C', packDir, 'package']);
+  };
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-registry-'));
+    templatesDir = path.join(tempDir, 'templates');
+    await fs.ensureDir(templatesDir);
+    registry = new LocalRegistry({ id: 'shared', path: templatesDir, cacheDir: path.join(tempDir, 'cache') });
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should index template folders, scoped folders and tarballs', async() => {
+    await writeTemplate(path.join(templatesDir, 'starter'), {
+      name: 'starter',
+      version: '1.0.0',
+      description: 'Plain starter',
+      author: { name: 'Platform Team' },
+      dependencies: { express: '^4.18.0' }
+    }, {
+      name: 'Starter',
+      type: 'node-api',
+      configSchema: { type: 'object', properties: { port: { type: 'number' } } }
+    });
+    await writeTemplate(path.join(templatesDir, '@xagi/ai-template-vue-app'), { name: '@xagi/ai-template-vue-app', version: '2.0.0' });
+    await packTemplate('react-1.2.0.tgz', { name: '@xagi/ai-template-react-next', version: '1.2.0', description: 'React' });
+    await fs.outputFile(path.join(templatesDir, 'notes/README.md'), 'not a template');
+    await fs.outputFile(path.join(templatesDir, 'broken/package.json'), '{');
+
+    const templates = await registry.getTemplates();
+
+    expect(templates.map(template => `${template.id}@${template.version}:${template.type}`).sort()).toEqual([
+      '@xagi/ai-template-react-next@1.2.0:react-next',
+      '@xagi/ai-template-vue-app@2.0.0:vue-app',
+      'starter@1.0.0:node-api'
+    ]);
+    expect(templates.find(template => template.id === 'starter')).toMatchObject({
+      name: 'Starter',
+      author: 'Platform Team',
+      dependencies: { express: '^4.18.0' },
+      configSchema: { properties: { port: { type: 'number' } } },
+      registry: 'shared'
+    });
+    expect(registry.indexErrors).toEqual([{ path: path.join(templatesDir, 'broken'), error: expect.any(String) }]);
+    expect(registry.toJSON()).toMatchObject({ type: 'local', url: `file://${templatesDir}`, templateCount: 3 });
+  });
+
+  test('should resolve versions and extract tarballs on demand', async() => {
+    await packTemplate('api-1.0.0.tgz', { name: 'api', version: '1.0.0' });
+    await packTemplate('api-1.4.0.tgz', { name: 'api', version: '1.4.0' });
+    await writeTemplate(path.join(templatesDir, 'api-next'), { name: 'api', version: '2.0.0-beta.1' });
+
+    expect((await registry.getTemplates())[0].versions).toEqual(['2.0.0-beta.1', '1.4.0', '1.0.0']);
+    expect((await registry.resolveTemplate('api', 'latest')).version).toBe('2.0.0-beta.1');
+    expect((await registry.resolveTemplate('api', '^1.0.0')).version).toBe('1.4.0');
+    expect((await registry.resolveTemplate('api', '1.0.0')).source).toBe('tarball');
+    expect(await registry.resolveTemplate('api', '3.0.0')).toBeNull();
+    expect(await registry.resolveTemplate('missing')).toBeNull();
+
+    const { dir, entry } = await registry.getTemplateDir('api', '~1.4.0');
+    expect(entry.path).toBe(path.join(templatesDir, 'api-1.4.0.tgz'));
+    expect(await fs.readJson(path.join(dir, 'package.json'))).toEqual({ name: 'api', version: '1.4.0' });
+    expect(dir.startsWith(registry.cacheDir)).toBe(true);
+
+    await expect(registry.getTemplateDir('api', '9.x')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+  });
+
+  test('should pick up changes after a refresh or a watched change', async() => {
+    await writeTemplate(path.join(templatesDir, 'one'), { name: 'one', version: '1.0.0' });
+    expect((await registry.getTemplates()).map(template => template.id)).toEqual(['one']);
+
+    await writeTemplate(path.join(templatesDir, 'two'), { name: 'two', version: '1.0.0' });
+    expect((await registry.getTemplates()).map(template => template.id)).toEqual(['one']);
+    expect((await registry.getTemplates({ forceRefresh: true })).map(template => template.id).sort()).toEqual(['one', 'two']);
+
+    const changed = new Promise(resolve => {
+      const watcher = registry.watch(event => {
+        watcher.close();
+        resolve(event);
+      });
+    });
+    await fs.remove(path.join(templatesDir, 'one'));
+
+    expect(await changed).toEqual({ eventType: expect.any(String), filename: expect.any(String) });
+    expect((await registry.getTemplates()).map(template => template.id)).toEqual(['two']);
+  });
+
+  test('should report a missing directory', async() => {
+    const missing = new LocalRegistry({ url: `file://${path.join(tempDir, 'missing')}` });
+
+    expect(await missing.isAvailable()).toBe(false);
+    await expect(missing.getTemplates()).rejects.toMatchObject({ code: 'REGISTRY_NOT_FOUND' });
+    expect(missing.id).toMatch(/^local-[0-9a-f]{8}$/);
+  });
+
+  test('should create registries from configuration', () => {
+    expect(createRegistry({ type: 'local', path: templatesDir })).toBeInstanceOf(LocalRegistry);
+
+    const remote = createRegistry({ name: 'Internal', url: 'https://npm.example.com', type: 'private' });
+    expect(remote).toBeInstanceOf(TemplateRegistry);
+    expect(remote).not.toBeInstanceOf(LocalRegistry);
+  });
+});
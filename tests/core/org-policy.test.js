@@ -0,0 +1,104 @@
+/**
+ * Organization Policy Tests
+ * Tests the template, registry, dependency and required file rules
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { OrgPolicy } = require('../../src/core/org-policy');
+
+describe('OrgPolicy', () => {
+  let tempDir;
+
+  const policy = new OrgPolicy({
+    registries: { allowed: ['https://registry.npmjs.org'], allowedHosts: ['*.corp.example.com'] },
+    templates: {
+      allowedScopes: ['@xagi'],
+      allowed: ['github.com/xagi/*'],
+      denied: ['@xagi/legacy-*'],
+      minimumVersions: { '@xagi/ai-template-react-next-app': '2.0.0' }
+    },
+    dependencies: { banned: ['request', 'lodash@<4.17.21'] },
+    requiredFiles: ['LICENSE', 'CODEOWNERS']
+  });
+  const rules = violations => violations.map(violation => violation.rule);
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'org-policy-'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should allow templates by scope, id pattern and deny list', () => {
+    expect(policy.checkTemplate('@xagi/ai-template-vue', '1.0.0')).toEqual([]);
+    expect(policy.checkTemplate('https://github.com/xagi/starter.git', 'main')).toEqual([]);
+    expect(rules(policy.checkTemplate('@acme/template', '1.0.0'))).toEqual(['templates.allowed']);
+    expect(policy.checkTemplate('@xagi/legacy-app', '1.0.0')).toEqual([
+      { rule: 'templates.denied', message: 'Template @xagi/legacy-app is denied by @xagi/legacy-*' }
+    ]);
+  });
+
+  test('should enforce minimum template versions', () => {
+    expect(policy.checkTemplate('@xagi/ai-template-react-next-app', '2.1.0')).toEqual([]);
+    expect(policy.checkTemplate('@xagi/ai-template-react-next-app', '1.9.0')[0].message)
+      .toBe('Template @xagi/ai-template-react-next-app@1.9.0 is older than the minimum version 2.0.0');
+    expect(rules(policy.checkTemplate('@xagi/ai-template-react-next-app', 'latest'))).toEqual(['templates.minimumVersions']);
+  });
+
+  test('should check registries against URLs and host patterns', () => {
+    expect(policy.checkRegistry('https://registry.npmjs.org/')).toEqual([]);
+    expect(policy.checkRegistry('https://npm.corp.example.com/repository/npm')).toEqual([]);
+    expect(rules(policy.checkRegistry('https://registry.evil.example'))).toEqual(['registries.allowed']);
+    expect(rules(policy.checkRegistry('ftp://registry.npmjs.org'))).toEqual(['registries']);
+    expect(new OrgPolicy().checkRegistry('https://anything.example')).toEqual([]);
+  });
+
+  test('should flag banned dependencies and versions', () => {
+    const violations = policy.checkDependencies({
+      request: '^2.88.0',
+      lodash: '^4.17.15',
+      express: '^4.18.0'
+    });
+
+    expect(violations.map(violation => violation.message)).toEqual([
+      'Dependency request@^2.88.0 is banned by request',
+      'Dependency lodash@^4.17.15 is banned by lodash@<4.17.21'
+    ]);
+    expect(policy.checkDependencies({ lodash: '^4.17.21' })).toEqual([]);
+  });
+
+  test('should require files and name every violated rule', async() => {
+    await fs.writeFile(path.join(tempDir, 'LICENSE'), 'MIT');
+
+    const subject = {
+      id: '@acme/template',
+      version: '1.0.0',
+      registry: 'https://registry.npmjs.org',
+      dependencies: { request: '2.88.0' },
+      sourceDir: tempDir
+    };
+
+    expect(rules(await policy.evaluate(subject))).toEqual(['templates.allowed', 'dependencies.banned', 'requiredFiles']);
+    await expect(policy.assertAllowed(subject)).rejects.toMatchObject({
+      code: 'POLICY_VIOLATION',
+      message: expect.stringContaining('[requiredFiles] Template does not include required file CODEOWNERS')
+    });
+  });
+
+  test('should load policy files', async() => {
+    const policyPath = path.join(tempDir, 'policy.json');
+    await fs.writeJson(policyPath, { requiredFiles: ['LICENSE'] });
+
+    const loaded = await OrgPolicy.load(policyPath);
+    expect(loaded.policyPath).toBe(policyPath);
+    expect(loaded.isEmpty()).toBe(false);
+
+    await expect(OrgPolicy.load(path.join(tempDir, 'missing.json'))).rejects.toMatchObject({ code: 'POLICY_NOT_FOUND' });
+
+    await fs.writeJson(policyPath, { templates: { allowd: [] } });
+    await expect(OrgPolicy.load(policyPath)).rejects.toMatchObject({ code: 'POLICY_INVALID' });
+  });
+});
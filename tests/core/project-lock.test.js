@@ -0,0 +1,115 @@
+/**
+ * Project lockfile Tests
+ * Tests lockfile creation, validation, secret redaction and output verification
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  LOCKFILE_NAME,
+  ProjectLockError,
+  hashContent,
+  hashProjectFiles,
+  hashDirectory,
+  createLock,
+  writeLockfile,
+  readLockfile,
+  resolveLockAnswers,
+  compareFileHashes
+} = require('../../src/core/project-lock');
+
+describe('project lockfile', () => {
+  let projectDir;
+
+  const buildLock = files => createLock({
+    projectName: 'demo',
+    cli: { name: '@xagi/create-ai-project', version: '1.0.0' },
+    template: { id: '@xagi/ai-template-demo', version: '1.2.3', source: 'npm', integrity: 'sha512-abc' },
+    registry: 'https://registry.npmjs.org',
+    answers: { PROJECT_NAME: 'demo', apiKey: 'sk-123', database: { password: 'pw', host: 'localhost' }, region: 'eu' },
+    schema: { properties: { region: { type: 'string', writeOnly: true } } },
+    files
+  });
+
+  beforeEach(async() => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-lock-'));
+    await fs.outputFile(path.join(projectDir, 'README.md'), '# demo\n');
+    await fs.outputFile(path.join(projectDir, 'src/index.js'), 'module.exports = 1;\n');
+    await fs.outputFile(path.join(projectDir, 'node_modules/pkg/index.js'), '');
+    await fs.outputJson(path.join(projectDir, '.xagi-project.json'), { createdAt: 'now' });
+  });
+
+  afterEach(async() => {
+    await fs.remove(projectDir);
+  });
+
+  test('should hash generated files only', async() => {
+    const hashes = await hashProjectFiles(projectDir);
+
+    expect(Object.keys(hashes)).toEqual(['README.md', 'src/index.js']);
+    expect(hashes['README.md']).toBe(hashContent('# demo\n'));
+    expect(hashes['README.md']).toMatch(/^sha512-/);
+  });
+
+  test('should redact secret answers', () => {
+    const lock = buildLock({});
+
+    expect(lock.answers).toEqual({
+      PROJECT_NAME: 'demo',
+      apiKey: '[REDACTED]',
+      database: { password: '[REDACTED]', host: 'localhost' },
+      region: '[REDACTED]'
+    });
+    expect(lock.redacted).toEqual(['apiKey', 'database.password', 'region']);
+  });
+
+  test('should round-trip through the lockfile', async() => {
+    const lock = buildLock(await hashProjectFiles(projectDir));
+    await writeLockfile(projectDir, lock);
+
+    expect(await readLockfile(path.join(projectDir, LOCKFILE_NAME))).toEqual(lock);
+    expect(await readLockfile(projectDir)).toEqual(lock);
+    expect(Object.keys(await hashProjectFiles(projectDir))).not.toContain(LOCKFILE_NAME);
+  });
+
+  test('should reject invalid lockfiles', async() => {
+    await fs.writeJson(path.join(projectDir, LOCKFILE_NAME), { lockfileVersion: 1, template: { id: 'x' } });
+
+    await expect(readLockfile(projectDir)).rejects.toMatchObject({ code: 'LOCK_INVALID' });
+    await expect(readLockfile(path.join(projectDir, 'missing.json'))).rejects.toThrow(ProjectLockError);
+  });
+
+  test('should require values for redacted answers', () => {
+    const lock = buildLock({});
+
+    expect(() => resolveLockAnswers(lock, { apiKey: 'sk-123' })).toThrow('database.password, region');
+    expect(resolveLockAnswers(lock, {
+      apiKey: 'sk-123',
+      database: { password: 'pw', host: 'localhost' },
+      region: 'eu'
+    }).apiKey).toBe('sk-123');
+  });
+
+  test('should report changed, missing and extra files', async() => {
+    const expected = await hashProjectFiles(projectDir);
+    await fs.writeFile(path.join(projectDir, 'README.md'), '# changed\n');
+    await fs.remove(path.join(projectDir, 'src/index.js'));
+    await fs.outputFile(path.join(projectDir, 'extra.txt'), '');
+
+    expect(compareFileHashes(expected, await hashProjectFiles(projectDir))).toEqual({
+      isValid: false,
+      changed: ['README.md'],
+      missing: ['src/index.js'],
+      extra: ['extra.txt']
+    });
+  });
+
+  test('should compute a stable directory integrity', async() => {
+    const first = await hashDirectory(path.join(projectDir, 'src'));
+    expect(await hashDirectory(path.join(projectDir, 'src'))).toBe(first);
+
+    await fs.writeFile(path.join(projectDir, 'src/index.js'), 'module.exports = 2;\n');
+    expect(await hashDirectory(path.join(projectDir, 'src'))).not.toBe(first);
+  });
+});
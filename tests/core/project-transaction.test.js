@@ -0,0 +1,136 @@
+/**
+ * ProjectTransaction Tests
+ * Tests staged project creation, atomic commit and rollback
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  ProjectTransaction,
+  ProjectTransactionError,
+  TRANSACTION_STATES
+} = require('../../src/core/project-transaction');
+
+describe('ProjectTransaction', () => {
+  let workDir;
+  let targetPath;
+
+  const listDir = async(dir) => (await fs.readdir(dir)).sort();
+
+  beforeEach(async() => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-transaction-'));
+    targetPath = path.join(workDir, 'my-app');
+  });
+
+  afterEach(async() => {
+    await fs.remove(workDir);
+  });
+
+  test('should move the staging directory into place on commit', async() => {
+    const transaction = new ProjectTransaction(targetPath);
+    const stagingPath = await transaction.begin();
+
+    expect(path.dirname(stagingPath)).toBe(workDir);
+    await fs.outputFile(path.join(stagingPath, 'src/index.js'), 'console.log(1);');
+    expect(await fs.pathExists(targetPath)).toBe(false);
+
+    const result = await transaction.commit();
+
+    expect(result).toEqual({ targetPath, backupPath: null, replaced: false });
+    expect(await fs.readFile(path.join(targetPath, 'src/index.js'), 'utf8')).toBe('console.log(1);');
+    expect(await listDir(workDir)).toEqual(['my-app']);
+  });
+
+  test('should refuse a non-empty target unless overwriting is allowed', async() => {
+    await fs.outputFile(path.join(targetPath, 'keep.txt'), 'mine');
+
+    const transaction = new ProjectTransaction(targetPath);
+    await expect(transaction.begin()).rejects.toThrow(ProjectTransactionError);
+    await expect(new ProjectTransaction(targetPath).begin()).rejects.toMatchObject({ code: 'TARGET_EXISTS' });
+    expect(await listDir(workDir)).toEqual(['my-app']);
+  });
+
+  test('should keep existing files and replace the target when overwriting', async() => {
+    await fs.outputFile(path.join(targetPath, 'keep.txt'), 'mine');
+    await fs.outputFile(path.join(targetPath, 'package.json'), '{"name":"old"}');
+
+    const transaction = new ProjectTransaction(targetPath, { allowOverwrite: true });
+    const stagingPath = await transaction.begin();
+    await fs.writeFile(path.join(stagingPath, 'package.json'), '{"name":"new"}');
+    await transaction.commit();
+
+    expect(await fs.readFile(path.join(targetPath, 'keep.txt'), 'utf8')).toBe('mine');
+    expect(await fs.readFile(path.join(targetPath, 'package.json'), 'utf8')).toBe('{"name":"new"}');
+    expect(await listDir(workDir)).toEqual(['my-app']);
+  });
+
+  test('should keep the backup of an overwritten directory when asked', async() => {
+    await fs.outputFile(path.join(targetPath, 'keep.txt'), 'mine');
+
+    const transaction = new ProjectTransaction(targetPath, { allowOverwrite: true, keepBackup: true });
+    await transaction.begin();
+    const result = await transaction.commit();
+
+    expect(result.replaced).toBe(true);
+    expect(path.dirname(result.backupPath)).toBe(path.join(workDir, '.backups'));
+    expect(path.basename(result.backupPath)).toMatch(/^my-app-backup-/);
+    expect(await fs.readFile(path.join(result.backupPath, 'keep.txt'), 'utf8')).toBe('mine');
+  });
+
+  test('should restore an existing directory exactly on rollback', async() => {
+    await fs.outputFile(path.join(targetPath, 'keep.txt'), 'mine');
+
+    const transaction = new ProjectTransaction(targetPath, { allowOverwrite: true });
+    const stagingPath = await transaction.begin();
+    await fs.writeFile(path.join(stagingPath, 'keep.txt'), 'changed');
+    await fs.outputFile(path.join(stagingPath, 'node_modules/pkg/index.js'), '');
+    await transaction.rollback();
+
+    expect(transaction.state).toBe(TRANSACTION_STATES.ROLLED_BACK);
+    expect(await listDir(targetPath)).toEqual(['keep.txt']);
+    expect(await fs.readFile(path.join(targetPath, 'keep.txt'), 'utf8')).toBe('mine');
+    expect(await listDir(workDir)).toEqual(['my-app']);
+  });
+
+  test('should leave nothing behind when rolling back a new project', async() => {
+    const transaction = new ProjectTransaction(targetPath);
+    const stagingPath = await transaction.begin();
+    await fs.outputFile(path.join(stagingPath, 'package.json'), '{}');
+    await transaction.rollback();
+
+    expect(await listDir(workDir)).toEqual([]);
+  });
+
+  test('should not roll back a committed transaction', async() => {
+    const transaction = new ProjectTransaction(targetPath);
+    await transaction.begin();
+    await transaction.commit();
+
+    await expect(transaction.rollback()).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    expect(await fs.pathExists(targetPath)).toBe(true);
+  });
+
+  test('should recover a swap interrupted between the two renames', async() => {
+    await fs.outputFile(path.join(targetPath, 'keep.txt'), 'mine');
+
+    const transaction = new ProjectTransaction(targetPath, { allowOverwrite: true });
+    const stagingPath = await transaction.begin();
+    await fs.writeFile(path.join(stagingPath, 'keep.txt'), 'changed');
+
+    // Simulate a crash after the original directory was moved aside
+    transaction.backupPath = path.join(workDir, '.backups', 'my-app-backup-crash');
+    await fs.ensureDir(path.dirname(transaction.backupPath));
+    await transaction.writeJournal(TRANSACTION_STATES.SWAPPING);
+    await fs.rename(targetPath, transaction.backupPath);
+    const journal = await fs.readJson(transaction.journalPath);
+    await fs.writeJson(transaction.journalPath, { ...journal, pid: 0 });
+
+    const recovered = await ProjectTransaction.recover(workDir);
+
+    expect(recovered).toEqual([targetPath]);
+    expect(await fs.readFile(path.join(targetPath, 'keep.txt'), 'utf8')).toBe('mine');
+    expect(await fs.pathExists(stagingPath)).toBe(false);
+    expect(await fs.pathExists(transaction.journalPath)).toBe(false);
+  });
+});
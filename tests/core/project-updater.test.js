@@ -0,0 +1,169 @@
+/**
+ * ProjectUpdater Tests
+ * Tests re-applying newer template versions to generated projects
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ProjectUpdater, ProjectUpdateError } = require('../../src/core/project-updater');
+const { readProjectMetadata, writeProjectMetadata } = require('../../src/core/project-metadata');
+const { AssistantContext } = require('../../src/core/assistant-context');
+const { TemplateEngine } = require('../../src/core/template-engine');
+
+describe('ProjectUpdater', () => {
+  let projectDir;
+  let renderCalls;
+
+  const engine = new TemplateEngine();
+
+  // Two template versions, rendered with the recorded answers
+  const versions = {
+    '1.0.0': answers => ({
+      'README.md': `# ${answers.projectName}\n\nIntro\n\nUsage\n`,
+      'src/index.js': 'const a = 1;\nconst b = 2;\nmodule.exports = { a, b };\n',
+      'src/old.js': 'old\n',
+      'config.json': '{ "port": 3000 }\n',
+      ...(answers.TEMPLATE_VERSION ? { 'VERSION': engine.render('{{TEMPLATE_VERSION}}\n', answers) } : {})
+    }),
+    '2.0.0': answers => ({
+      'README.md': `# ${answers.projectName}\n\nIntro\n\nUsage (updated)\n`,
+      'src/index.js': 'const a = 10;\nconst b = 2;\nmodule.exports = { a, b };\n',
+      'src/new.js': 'new\n',
+      'config.json': '{ "port": 8080 }\n',
+      ...(answers.TEMPLATE_VERSION ? { 'VERSION': engine.render('{{TEMPLATE_VERSION}}\n', answers) } : {})
+    })
+  };
+
+  const render = async(templateId, version, targetDir, answers) => {
+    renderCalls.push({ templateId, version, answers });
+    for (const [file, content] of Object.entries(versions[version](answers))) {
+      await fs.outputFile(path.join(targetDir, file), content);
+    }
+  };
+
+  const readFile = file => fs.readFile(path.join(projectDir, file), 'utf8');
+
+  beforeEach(async() => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-updater-'));
+    renderCalls = [];
+    await render('@xagi/ai-template-demo', '1.0.0', projectDir, { projectName: 'demo' });
+    renderCalls = [];
+    await writeProjectMetadata(projectDir, {
+      template: '@xagi/ai-template-demo',
+      templateVersion: '1.0.0',
+      answers: { projectName: 'demo' }
+    });
+  });
+
+  afterEach(async() => {
+    await fs.remove(projectDir);
+  });
+
+  test('should apply template changes to untouched files', async() => {
+    const updater = new ProjectUpdater({ render });
+    const result = await updater.update(projectDir, { version: '2.0.0' });
+
+    expect(renderCalls.map(call => call.version)).toEqual(['1.0.0', '2.0.0']);
+    expect(renderCalls[0].answers).toEqual({ projectName: 'demo' });
+    expect(result.summary).toMatchObject({
+      changed: ['README.md', 'config.json', 'src/index.js'],
+      added: ['src/new.js'],
+      removed: ['src/old.js'],
+      conflicted: []
+    });
+    expect(await readFile('config.json')).toBe('{ "port": 8080 }\n');
+    expect(await fs.pathExists(path.join(projectDir, 'src/old.js'))).toBe(false);
+
+    const metadata = await readProjectMetadata(projectDir);
+    expect(metadata.templateVersion).toBe('2.0.0');
+    expect(metadata.templateUpdates).toHaveLength(1);
+  });
+
+  test('should render each version with its own template version', async() => {
+    const answers = { projectName: 'demo', TEMPLATE_VERSION: '1.0.0' };
+    await render('@xagi/ai-template-demo', '1.0.0', projectDir, answers);
+    await writeProjectMetadata(projectDir, { answers });
+    renderCalls = [];
+
+    const result = await new ProjectUpdater({ render }).update(projectDir, { version: '2.0.0' });
+
+    expect(renderCalls.map(call => call.answers.TEMPLATE_VERSION)).toEqual(['1.0.0', '2.0.0']);
+    expect(result.summary.changed).toContain('VERSION');
+    expect(await readFile('VERSION')).toBe('2.0.0\n');
+  });
+
+  test('should merge local edits with template changes', async() => {
+    await fs.writeFile(path.join(projectDir, 'README.md'), '# demo\n\nMy own intro\n\nUsage\n');
+    await fs.writeFile(path.join(projectDir, 'src/old.js'), 'old but edited\n');
+
+    const result = await new ProjectUpdater({ render }).update(projectDir, { version: '2.0.0' });
+
+    expect(await readFile('README.md')).toBe('# demo\n\nMy own intro\n\nUsage (updated)\n');
+    expect(result.files.find(file => file.path === 'README.md').status).toBe('merged');
+    expect(result.files.find(file => file.path === 'src/old.js')).toMatchObject({
+      status: 'conflict',
+      reason: 'removed from the template but changed locally'
+    });
+    expect(await readFile('src/old.js')).toBe('old but edited\n');
+  });
+
+  test('should write conflict markers when edits overlap', async() => {
+    await fs.writeFile(path.join(projectDir, 'config.json'), '{ "port": 4000 }\n');
+
+    const result = await new ProjectUpdater({ render }).update(projectDir, { version: '2.0.0' });
+
+    expect(result.summary.conflicted).toContain('config.json');
+    expect(await readFile('config.json')).toBe([
+      '<<<<<<< current',
+      '{ "port": 4000 }',
+      '=======',
+      '{ "port": 8080 }',
+      '>>>>>>> @xagi/ai-template-demo@2.0.0',
+      ''
+    ].join('\n'));
+  });
+
+  test('should not touch the project on a dry run', async() => {
+    const result = await new ProjectUpdater({ render }).update(projectDir, { version: '2.0.0', dryRun: true });
+
+    expect(result.summary.changed).toHaveLength(3);
+    expect(await readFile('config.json')).toBe('{ "port": 3000 }\n');
+    expect((await readProjectMetadata(projectDir)).templateVersion).toBe('1.0.0');
+  });
+
+  test('should regenerate assistant context files with the new template version', async() => {
+    const templateDir = path.join(projectDir, '..', `${path.basename(projectDir)}-template`);
+    await fs.outputFile(path.join(templateDir, '_assistant', 'notes.md'), 'Notes for {{ projectName }}\n');
+    await writeProjectMetadata(projectDir, { assistantContext: ['claude'] });
+    const getTemplateDir = jest.fn().mockResolvedValue(templateDir);
+
+    try {
+      const updater = new ProjectUpdater({ render, assistantContext: new AssistantContext(), getTemplateDir });
+      const result = await updater.update(projectDir, { version: '2.0.0' });
+
+      expect(getTemplateDir).toHaveBeenCalledWith('@xagi/ai-template-demo', '2.0.0');
+      expect(result.assistantContext).toEqual([{ format: 'claude', path: 'CLAUDE.md', status: 'created', preserved: [] }]);
+      const claude = await readFile('CLAUDE.md');
+      expect(claude).toContain('Notes for demo');
+      expect(claude).toContain('`@xagi/ai-template-demo@2.0.0`');
+      expect((await readProjectMetadata(projectDir)).assistantContext).toEqual(['claude']);
+    } finally {
+      await fs.remove(templateDir);
+    }
+  });
+
+  test('should report projects already at the target version', async() => {
+    const result = await new ProjectUpdater({ render }).update(projectDir, { version: '1.0.0' });
+
+    expect(result.upToDate).toBe(true);
+    expect(renderCalls).toHaveLength(0);
+  });
+
+  test('should refuse projects without metadata', async() => {
+    await fs.remove(path.join(projectDir, '.xagi-project.json'));
+
+    await expect(new ProjectUpdater({ render }).update(projectDir, { version: '2.0.0' }))
+      .rejects.toThrow(ProjectUpdateError);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Registry Mirror Tests
+ * Tests mirroring templates into a directory with an index.json and indexing tarball directories
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { mirrorRegistry, indexDirectory, parseTemplateSpec } = require('../../src/core/registry-mirror');
+const { computeIntegrity } = require('../../src/utils/integrityVerifier');
+const { createRegistry } = require('../../src/core/local-registry');
+
+describe('registryMirror', () => {
+  let tempDir;
+  let sourceDir;
+
+  // Pack a template the way `npm pack` does, with every file under package/
+  const packTemplate = async(file, packageJson) => {
+    const packDir = path.join(tempDir, 'pack', file);
+    await fs.outputJson(path.join(packDir, 'package/package.json'), packageJson);
+    await fs.outputFile(path.join(packDir, 'package/src/index.js'), 'module.exports = {};\n');
+    execFileSync('tar', ['-czf', path.join(sourceDir, file), '-C', packDir, 'package']);
+  };
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-mirror-'));
+    sourceDir = path.join(tempDir, 'templates');
+    await fs.ensureDir(sourceDir);
+    await packTemplate('api-1.0.0.tgz', { name: '@xagi/ai-template-node-api', version: '1.0.0', description: 'API' });
+    await packTemplate('api-1.1.0.tgz', { name: '@xagi/ai-template-node-api', version: '1.1.0', description: 'API' });
+    await fs.writeFile(path.join(sourceDir, 'api-1.1.0.tgz.sig'), '{"keyId":"abc"}');
+    await packTemplate('web-2.0.0.tgz', { name: 'web-starter', version: '2.0.0', description: 'Web' });
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should parse template specs', () => {
+    expect(parseTemplateSpec('web-starter')).toEqual({ id: 'web-starter', range: 'latest' });
+    expect(parseTemplateSpec('@xagi/ai-template-node-api@^1.0.0')).toEqual({ id: '@xagi/ai-template-node-api', range: '^1.0.0' });
+  });
+
+  test('should index a directory of tarballs, leaving out template folders', async() => {
+    await fs.outputJson(path.join(sourceDir, 'folder/package.json'), { name: 'folder-template', version: '0.1.0' });
+
+    const { index, indexPath, skipped } = await indexDirectory(sourceDir, { name: 'Platform' });
+    const api = index.templates['@xagi/ai-template-node-api'];
+
+    expect(await fs.readJson(indexPath)).toEqual(index);
+    expect(index).toMatchObject({ formatVersion: 1, name: 'Platform' });
+    expect(Object.keys(index.templates).sort()).toEqual(['@xagi/ai-template-node-api', 'web-starter']);
+    expect(api).toMatchObject({ type: 'node-api', distTags: { latest: '1.1.0' } });
+    expect(api.versions['1.1.0']).toMatchObject({
+      tarball: 'api-1.1.0.tgz',
+      integrity: computeIntegrity(await fs.readFile(path.join(sourceDir, 'api-1.1.0.tgz'))),
+      signature: 'api-1.1.0.tgz.sig'
+    });
+    expect(api.versions['1.0.0'].signature).toBeUndefined();
+    expect(skipped).toEqual([{ template: 'folder-template@0.1.0', path: path.join(sourceDir, 'folder') }]);
+  });
+
+  test('should mirror the chosen templates with their signatures', async() => {
+    const mirrorDir = path.join(tempDir, 'mirror');
+    const result = await mirrorRegistry(sourceDir, mirrorDir, { templates: ['@xagi/ai-template-node-api', 'missing'] });
+
+    expect(result.mirrored).toEqual(['@xagi/ai-template-node-api@1.1.0']);
+    expect(result.errors).toEqual([{ template: 'missing@latest', error: `Not found in ${sourceDir}` }]);
+    expect((await fs.readdir(mirrorDir)).sort()).toEqual([
+      'index.json',
+      'xagi-ai-template-node-api-1.1.0.tgz',
+      'xagi-ai-template-node-api-1.1.0.tgz.sig'
+    ]);
+    expect(result.index.templates['@xagi/ai-template-node-api'].versions['1.1.0'].signature)
+      .toBe('xagi-ai-template-node-api-1.1.0.tgz.sig');
+  });
+
+  test('should mirror from an index and only download what changed', async() => {
+    await indexDirectory(sourceDir);
+    const mirrorDir = path.join(tempDir, 'mirror');
+    const progress = [];
+
+    const first = await mirrorRegistry(path.join(sourceDir, 'index.json'), mirrorDir, { allVersions: true });
+    expect(first.mirrored.sort()).toEqual([
+      '@xagi/ai-template-node-api@1.0.0',
+      '@xagi/ai-template-node-api@1.1.0',
+      'web-starter@2.0.0'
+    ]);
+
+    const second = await mirrorRegistry(sourceDir, mirrorDir, {
+      templates: ['@xagi/ai-template-node-api@~1.0.0'],
+      onProgress: ({ id, version, status }) => progress.push(`${id}@${version}:${status}`)
+    });
+    expect(second.mirrored).toEqual([]);
+    expect(second.upToDate).toEqual(['@xagi/ai-template-node-api@1.0.0']);
+    expect(progress).toEqual([
+      '@xagi/ai-template-node-api@1.0.0:downloading',
+      '@xagi/ai-template-node-api@1.0.0:up-to-date'
+    ]);
+
+    // The mirror is usable as a static index registry without the source
+    await fs.remove(sourceDir);
+    const registry = createRegistry({ name: 'Mirror', url: pathToFileURL(path.join(mirrorDir, 'index.json')).href });
+    const entry = await registry.downloadTemplate('web-starter', 'latest', path.join(tempDir, 'web.tgz'));
+    expect(entry).toMatchObject({ version: '2.0.0', size: (await fs.stat(path.join(tempDir, 'web.tgz'))).size });
+  });
+
+  test('should require templates for npm sources', async() => {
+    await expect(mirrorRegistry('npm', path.join(tempDir, 'mirror'))).rejects.toMatchObject({ code: 'TEMPLATES_REQUIRED' });
+  });
+});
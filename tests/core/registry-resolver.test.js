@@ -0,0 +1,91 @@
+/**
+ * Registry Resolver Tests
+ * Tests .npmrc parsing, scope routing, precedence and per-registry credentials
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { RegistryResolver, parseNpmrc, getScope } = require('../../src/core/registry-resolver');
+
+describe('RegistryResolver', () => {
+  let tempDir;
+  let projectDir;
+  let userConfig;
+
+  const createResolver = (options = {}) => new RegistryResolver({
+    cwd: path.join(projectDir, 'src'),
+    env: { XAGI_TOKEN: 'from-env' },
+    userConfig,
+    settings: {},
+    ...options
+  });
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-resolver-'));
+    projectDir = path.join(tempDir, 'project');
+    userConfig = path.join(tempDir, '.npmrc');
+    await fs.outputJson(path.join(projectDir, 'package.json'), { name: 'project' });
+    await fs.ensureDir(path.join(projectDir, 'src'));
+    await fs.writeFile(userConfig, [
+      'registry=https://npm.example.com',
+      '@xagi:registry=https://user.example.com/npm/',
+      '//templates.internal/:_authToken=${XAGI_TOKEN}',
+      '//templates.internal/private/:_auth=dXNlcjpwYXNz'
+    ].join('\n'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should parse .npmrc content', () => {
+    expect(parseNpmrc('; comment\n# comment\nregistry = "https://r.example.com/"\n@a:registry=${HOST}\nbroken\n', {
+      HOST: 'https://a.example.com'
+    })).toEqual({
+      registry: 'https://r.example.com/',
+      '@a:registry': 'https://a.example.com'
+    });
+    expect(getScope('@xagi/ai-template-vue')).toBe('@xagi');
+    expect(getScope('web-starter')).toBeNull();
+  });
+
+  test('should route scopes with the project .npmrc over the user .npmrc', async() => {
+    await fs.writeFile(path.join(projectDir, '.npmrc'), '@xagi:registry=https://templates.internal\n');
+    const resolver = createResolver();
+
+    expect(resolver.getRegistryUrl('@xagi/ai-template-vue')).toBe('https://templates.internal');
+    expect(resolver.getRegistryUrl('@other/template')).toBe('https://npm.example.com');
+    expect(resolver.getRegistryUrl('web-starter')).toBe('https://npm.example.com');
+    expect(resolver.getScopeRegistry('web-starter')).toBeNull();
+  });
+
+  test('should let the CLI configuration and environment win over .npmrc files', () => {
+    const resolver = createResolver({
+      env: { npm_config_registry: 'https://env.example.com/', 'NPM_CONFIG_@xagi:registry': 'https://env.example.com/xagi/' },
+      settings: { '@xagi:registry': 'https://templates.internal' }
+    });
+
+    expect(resolver.getScopes()).toEqual({ '@xagi': 'https://templates.internal' });
+    expect(resolver.getDefaultRegistry()).toBe('https://env.example.com/');
+    expect(resolver.toNpmrc()).toContain('@xagi:registry=https://templates.internal\n');
+  });
+
+  test('should only keep registries at the routed URL', () => {
+    const resolver = createResolver({ settings: { '@xagi:registry': 'https://templates.internal' } });
+    const internal = { id: 'internal', url: 'https://templates.internal/' };
+    const registries = [{ id: 'npm', url: 'https://registry.npmjs.org' }, internal];
+
+    expect(resolver.filterRegistries('@xagi/ai-template-vue', registries)).toEqual([internal]);
+    expect(resolver.filterRegistries('web-starter', registries)).toBe(registries);
+  });
+
+  test('should find credentials by the longest matching registry path', () => {
+    const resolver = createResolver();
+
+    expect(resolver.getAuthToken('https://templates.internal/')).toBe('from-env');
+    expect(resolver.getAuthToken('https://templates.internal/@xagi/vue/-/vue-1.0.0.tgz')).toBe('from-env');
+    expect(resolver.getAuthHeaders('https://templates.internal/private/pkg')).toEqual({ Authorization: 'Basic dXNlcjpwYXNz' });
+    expect(resolver.getAuthHeaders('https://templates.internal.evil.com/')).toEqual({});
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * SchemaPrompter Tests
+ * Tests question generation from template configuration schemas
+ */
+
+const SchemaPrompter = require('../../src/core/schema-prompter');
+
+describe('SchemaPrompter', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      description: { type: 'string', description: 'Project description', default: 'A new project' },
+      port: { type: 'integer', description: 'Server port', minimum: 1024, maximum: 65535, default: 3000 },
+      packageScope: { type: 'string', pattern: '^@[a-z0-9-]+$', patternMessage: 'Scope must look like @my-org' },
+      database: { type: 'string', description: 'Database', enum: ['none', 'postgres', 'mongodb'], default: 'none' },
+      useTypescript: { type: 'boolean', description: 'Use TypeScript?', default: true },
+      features: {
+        type: 'array',
+        description: 'Features',
+        items: { type: 'string', enum: ['auth', 'api', 'docs'] },
+        default: ['api']
+      },
+      apiToken: { type: 'string', format: 'password' }
+    },
+    required: ['description'],
+    dependencies: {
+      features: {
+        properties: {
+          authProvider: { type: 'string', enum: ['local', 'oauth'] }
+        }
+      }
+    },
+    if: { properties: { database: { const: 'postgres' } } },
+    then: { properties: { databaseUrl: { type: 'string', description: 'Postgres URL', default: 'postgres://localhost/db' } } },
+    else: { properties: {} }
+  };
+
+  describe('buildQuestion', () => {
+    let prompter;
+    let questions;
+
+    beforeEach(() => {
+      prompter = new SchemaPrompter(schema);
+      questions = Object.fromEntries(prompter.getQuestions({}).map(question => [question.name, question]));
+    });
+
+    test('should map schema types to prompt types', () => {
+      expect(questions.description.type).toBe('input');
+      expect(questions.port.type).toBe('number');
+      expect(questions.database.type).toBe('list');
+      expect(questions.useTypescript.type).toBe('confirm');
+      expect(questions.features.type).toBe('checkbox');
+      expect(questions.apiToken.type).toBe('password');
+    });
+
+    test('should honor defaults and descriptions', () => {
+      expect(questions.description.message).toBe('Project description:');
+      expect(questions.description.default).toBe('A new project');
+      expect(questions.database.default).toBe('none');
+      expect(questions.useTypescript.default).toBe(true);
+      expect(questions.features.choices.filter(choice => choice.checked).map(choice => choice.value)).toEqual(['api']);
+      expect(questions.apiToken.message).toBe('apiToken:');
+    });
+
+    test('should validate patterns, ranges and required values', () => {
+      expect(questions.packageScope.validate('@my-org')).toBe(true);
+      expect(questions.packageScope.validate('my-org')).toBe('Scope must look like @my-org');
+      expect(questions.port.validate(80)).toBe('port must be >= 1024');
+      expect(questions.port.validate(8080)).toBe(true);
+      expect(questions.description.validate('')).toBe('description is required');
+      expect(questions.packageScope.validate('')).toBe(true);
+    });
+
+    test('should not ask follow-up questions before their trigger is answered', () => {
+      expect(questions.authProvider).toBeUndefined();
+      expect(questions.databaseUrl).toBeUndefined();
+    });
+  });
+
+  describe('run', () => {
+    test('should ask follow-up questions from dependencies and if/then', async() => {
+      const rounds = [];
+      const prompt = jest.fn(async(questions) => {
+        rounds.push(questions.map(question => question.name));
+        const answers = {
+          description: 'demo',
+          port: 3000,
+          packageScope: '',
+          database: 'postgres',
+          useTypescript: false,
+          features: ['auth'],
+          apiToken: 'secret',
+          authProvider: 'oauth',
+          databaseUrl: 'postgres://db/demo'
+        };
+        return Object.fromEntries(questions.map(question => [question.name, answers[question.name]]));
+      });
+
+      const answers = await new SchemaPrompter(schema, { prompt }).run();
+
+      expect(rounds).toHaveLength(2);
+      expect(rounds[1].sort()).toEqual(['authProvider', 'databaseUrl']);
+      expect(answers).toEqual({
+        description: 'demo',
+        port: 3000,
+        database: 'postgres',
+        useTypescript: false,
+        features: ['auth'],
+        apiToken: 'secret',
+        authProvider: 'oauth',
+        databaseUrl: 'postgres://db/demo'
+      });
+    });
+
+    test('should skip follow-ups when the trigger does not apply', async() => {
+      const prompt = jest.fn(async(questions) => Object.fromEntries(questions.map(question => [
+        question.name,
+        question.name === 'features' ? [] : question.default
+      ])));
+
+      const answers = await new SchemaPrompter(schema, { prompt }).run();
+
+      expect(prompt).toHaveBeenCalledTimes(1);
+      expect(answers.authProvider).toBeUndefined();
+      expect(answers.databaseUrl).toBeUndefined();
+    });
+
+    test('should not ask for values that were already provided', async() => {
+      const prompt = jest.fn(async() => ({}));
+      await new SchemaPrompter(schema, { prompt }).run({ description: 'x', database: 'mongodb' });
+
+      const asked = prompt.mock.calls[0][0].map(question => question.name);
+      expect(asked).not.toContain('description');
+      expect(asked).not.toContain('database');
+    });
+
+    test('should require a prompt function', async() => {
+      await expect(new SchemaPrompter(schema).run()).rejects.toThrow('A prompt function is required');
+    });
+  });
+
+  describe('applyDefaults', () => {
+    test('should fill defaults including follow-up properties', () => {
+      const answers = new SchemaPrompter(schema).applyDefaults({ database: 'postgres' });
+
+      expect(answers).toMatchObject({
+        description: 'A new project',
+        port: 3000,
+        database: 'postgres',
+        useTypescript: true,
+        features: ['api'],
+        databaseUrl: 'postgres://localhost/db'
+      });
+    });
+
+    test('should follow defaults into allOf and if/then branches', () => {
+      const prompter = new SchemaPrompter({
+        allOf: [
+          { properties: { database: { type: 'string', enum: ['none', 'postgres'], default: 'postgres' } } },
+          {
+            if: { properties: { database: { const: 'postgres' } } },
+            then: { properties: { databaseUrl: { type: 'string', default: 'postgres://localhost/db' } } }
+          }
+        ]
+      });
+
+      expect(Object.keys(prompter.getActiveProperties({}).properties)).toEqual(['database']);
+      expect(prompter.applyDefaults({})).toEqual({ database: 'postgres', databaseUrl: 'postgres://localhost/db' });
+      expect(prompter.applyDefaults({ database: 'none' })).toEqual({ database: 'none' });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * SpecWorkspace Tests
+ * Tests spec folder numbering, template skeletons, validation and task progress
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  SpecWorkspace,
+  SpecWorkspaceError,
+  slugifyFeatureName,
+  parseTasks
+} = require('../../src/core/spec-workspace');
+
+describe('SpecWorkspace', () => {
+  let tempDir;
+  let projectDir;
+  let templateDir;
+  let workspace;
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-workspace-'));
+    projectDir = path.join(tempDir, 'project');
+    templateDir = path.join(tempDir, 'template');
+    await fs.ensureDir(projectDir);
+    workspace = new SpecWorkspace();
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should slugify feature names', () => {
+    expect(slugifyFeatureName('User Login')).toBe('user-login');
+    expect(slugifyFeatureName('  OAuth2 / SSO ')).toBe('oauth2-sso');
+    expect(() => slugifyFeatureName('???')).toThrow(SpecWorkspaceError);
+  });
+
+  test('should create the next numbered folder from the built-in skeletons', async() => {
+    await fs.ensureDir(path.join(projectDir, 'specs', '001-npm-ai-npx'));
+    await fs.ensureDir(path.join(projectDir, 'specs', 'notes'));
+
+    const spec = await workspace.create(projectDir, 'User login');
+
+    expect(spec).toMatchObject({ number: '002', name: 'user-login', dir: '002-user-login', source: 'builtin' });
+    expect(spec.files).toEqual(expect.arrayContaining(['spec.md', 'plan.md', 'tasks.md', 'contracts/README.md']));
+    const specFile = await fs.readFile(path.join(projectDir, 'specs', '002-user-login', 'spec.md'), 'utf8');
+    expect(specFile).toMatch(/^# Feature Specification: User login\n/);
+    expect(specFile).toContain('**Feature Branch**: `002-user-login`');
+
+    await expect(workspace.create(projectDir, 'user_login')).rejects.toMatchObject({ code: 'SPEC_EXISTS' });
+    const dryRun = await workspace.create(projectDir, 'billing', { dryRun: true });
+    expect(dryRun.dir).toBe('003-billing');
+    expect(await fs.pathExists(dryRun.path)).toBe(false);
+  });
+
+  test('should use the skeletons of the template the project was generated from', async() => {
+    await fs.outputJson(path.join(projectDir, '.xagi-project.json'), {
+      template: '@xagi/ai-template-node-api',
+      templateVersion: '1.2.0',
+      answers: { projectName: 'orders-api' }
+    });
+    await fs.outputJson(path.join(templateDir, 'template.json'), { specs: 'docs/specs' });
+    await fs.outputFile(path.join(templateDir, 'docs', 'specs', 'spec.md'), '# {{ featureTitle }} for {{ projectName }}\n\n## Endpoints *(mandatory)*\n\n[List them]\n');
+    await fs.outputFile(path.join(templateDir, 'docs', 'specs', 'tasks.md'), '# Tasks\n\n- [ ] T001 Write the route\n');
+    const getTemplateDir = jest.fn().mockResolvedValue(templateDir);
+    workspace = new SpecWorkspace({ getTemplateDir });
+
+    const spec = await workspace.create(projectDir, 'refunds');
+
+    expect(getTemplateDir).toHaveBeenCalledWith('@xagi/ai-template-node-api', '1.2.0');
+    expect(spec).toMatchObject({ dir: '001-refunds', source: 'template', files: ['spec.md', 'tasks.md'] });
+    expect(await fs.readFile(path.join(spec.path, 'spec.md'), 'utf8')).toMatch(/^# Refunds for orders-api\n/);
+  });
+
+  test('should report missing, empty and unfilled sections', async() => {
+    const spec = await workspace.create(projectDir, 'user-login');
+    const specPath = path.join(spec.path, 'spec.md');
+    const content = await fs.readFile(specPath, 'utf8');
+    await fs.writeFile(specPath, content
+      .replace(/## Requirements \*\(mandatory\)\*[\s\S]*?(?=## Review)/, '')
+      .replace('[Describe the main user journey in plain language]', 'Users sign in with email. [NEEDS CLARIFICATION: SSO?]'));
+    await fs.writeFile(path.join(spec.path, 'plan.md'), '# Plan\n\n## Summary *(mandatory)*\n<!-- TODO -->\n\n## Technical Context\nNode.js 20\n');
+    await fs.writeFile(path.join(spec.path, 'tasks.md'), '# Tasks\n\nNothing yet.\n');
+
+    const [result] = await workspace.validate(projectDir, '1');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { file: 'plan.md', message: 'Section "Summary" is empty' },
+      { file: 'spec.md', message: 'Missing section "Requirements"' },
+      { file: 'tasks.md', message: 'No checkbox tasks (- [ ] T001 ...)' }
+    ]);
+    expect(result.warnings).toEqual([{ file: 'spec.md', message: '1 unresolved [NEEDS CLARIFICATION] marker' }]);
+
+    await expect(workspace.validate(projectDir, 'billing')).rejects.toMatchObject({ code: 'SPEC_NOT_FOUND' });
+  });
+
+  test('should summarize progress from checkbox tasks by phase', async() => {
+    const progress = parseTasks([
+      '# Tasks',
+      '## Phase 3.1: Setup',
+      '- [x] T001 Create project structure',
+      '- [X] T002 [P] Configure ESLint',
+      '```',
+      '- [ ] T999 example inside a code block',
+      '```',
+      '## Phase 3.2: Tests First ⚠️ MUST COMPLETE BEFORE 3.3',
+      '### Contract Tests',
+      '- [ ] T003 [P] Contract test GET /templates',
+      '* [x] T004 Contract test POST /projects'
+    ].join('\n'));
+
+    expect(progress).toMatchObject({
+      total: 4,
+      done: 3,
+      percent: 75,
+      phases: [
+        { title: 'Phase 3.1: Setup', total: 2, done: 2 },
+        { title: 'Phase 3.2: Tests First ⚠️ MUST COMPLETE BEFORE 3.3', total: 2, done: 1 }
+      ],
+      remaining: [{ id: 'T003', description: 'Contract test GET /templates', parallel: true, done: false }]
+    });
+  });
+});
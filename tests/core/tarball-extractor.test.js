@@ -0,0 +1,147 @@
+/**
+ * Tarball Extractor Tests
+ * Tests streaming extraction and its path, link and size protections
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { extractTarball } = require('../../src/core/tarball-extractor');
+
+/**
+ * Build a ustar header block
+ */
+function tarHeader(name, { size = 0, type = '0', mode = 0o644, linkname = '' } = {}) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write(`${mode.toString(8).padStart(7, '0')}\0`, 100);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write(type, 156);
+  header.write(linkname, 157, 100);
+  header.write('ustar\0', 257);
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+/**
+ * Build a pax record, whose length prefix counts itself
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (`${length}${body}`.length !== length) {
+    length++;
+  }
+  return `${length}${body}`;
+}
+
+/**
+ * Build a gzipped tarball from entries { name, content, type, mode, linkname }
+ */
+function createTarball(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const content = Buffer.from(entry.content || '');
+    blocks.push(tarHeader(entry.name, { ...entry, size: content.length }));
+    blocks.push(content, Buffer.alloc((512 - (content.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+describe('extractTarball', () => {
+  let tempDir;
+  let targetDir;
+
+  const extract = (entries, options) => extractTarball(Readable.from([createTarball(entries)]), targetDir, options);
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tarball-extractor-'));
+    targetDir = path.join(tempDir, 'out');
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should extract files and directories, stripping the package prefix', async() => {
+    const progress = [];
+    const result = await extract([
+      { name: 'package/', type: '5' },
+      { name: 'package/package.json', content: '{"name":"demo"}' },
+      { name: 'package/bin/cli.js', content: '#!/usr/bin/env node\n', mode: 0o755 },
+      { name: 'package/src/index.js', content: 'module.exports = 1;\n' }
+    ], { strip: 1, onProgress: event => progress.push(event) });
+
+    expect(result.files).toEqual(['package.json', 'bin/cli.js', 'src/index.js']);
+    expect(await fs.readJson(path.join(targetDir, 'package.json'))).toEqual({ name: 'demo' });
+    expect((await fs.stat(path.join(targetDir, 'bin/cli.js'))).mode & 0o111).not.toBe(0);
+    expect(progress[progress.length - 1]).toEqual({ bytes: result.bytes, files: 3 });
+  });
+
+  test('should read long names from pax and GNU headers', async() => {
+    const longName = `package/${'nested/'.repeat(20)}file.txt`;
+    await extract([
+      { name: 'PaxHeader', type: 'x', content: paxRecord('path', longName) },
+      { name: 'truncated', content: 'pax' },
+      { name: '././@LongLink', type: 'L', content: `package/${'gnu/'.repeat(30)}file.txt\0` },
+      { name: 'truncated', content: 'gnu' }
+    ], { strip: 1 });
+
+    expect(await fs.readFile(path.join(targetDir, longName.slice('package/'.length)), 'utf8')).toBe('pax');
+    expect(await fs.readFile(path.join(targetDir, `${'gnu/'.repeat(30)}file.txt`), 'utf8')).toBe('gnu');
+  });
+
+  test.each([
+    ['path traversal', { name: 'package/../../evil.js', content: 'x' }, 'UNSAFE_PATH'],
+    ['absolute paths', { name: '/etc/evil', content: 'x' }, 'UNSAFE_PATH'],
+    ['symlinks', { name: 'package/link', type: '2', linkname: '/etc/passwd' }, 'LINK_ENTRY'],
+    ['hardlinks', { name: 'package/link', type: '1', linkname: 'package/index.js' }, 'LINK_ENTRY'],
+    ['device entries', { name: 'package/dev', type: '3' }, 'UNSUPPORTED_ENTRY']
+  ])('should reject %s and leave nothing behind', async(label, entry, code) => {
+    await expect(extract([{ name: 'package/index.js', content: 'ok' }, entry], { strip: 1 }))
+      .rejects.toMatchObject({ code });
+
+    expect(await fs.pathExists(targetDir)).toBe(false);
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('should enforce the entry, depth and size caps', async() => {
+    const files = Array.from({ length: 5 }, (_, i) => ({ name: `package/${i}.txt`, content: String(i) }));
+    await expect(extract(files, { maxFiles: 4 })).rejects.toMatchObject({ code: 'LIMIT_FILES' });
+
+    await expect(extract([{ name: 'package/a/b/c/d.txt', content: 'x' }], { strip: 1, maxDepth: 3 }))
+      .rejects.toMatchObject({ code: 'LIMIT_DEPTH' });
+
+    // Highly compressible content is rejected on its uncompressed size
+    const bomb = createTarball([{ name: 'package/zeros', content: Buffer.alloc(4 * 1024 * 1024) }]);
+    expect(bomb.length).toBeLessThan(16 * 1024);
+    await expect(extractTarball(Readable.from([bomb]), targetDir, { maxBytes: 1024 * 1024 }))
+      .rejects.toMatchObject({ code: 'LIMIT_BYTES' });
+  });
+
+  test('should reject corrupt archives', async() => {
+    const corrupt = createTarball([{ name: 'package/index.js', content: 'ok' }]);
+    const raw = zlib.gunzipSync(corrupt);
+    raw[0] = 'X'.charCodeAt(0);
+
+    await expect(extractTarball(Readable.from([zlib.gzipSync(raw)]), targetDir))
+      .rejects.toMatchObject({ code: 'INVALID_TARBALL' });
+    await expect(extractTarball(Readable.from([Buffer.from('not gzip')]), targetDir))
+      .rejects.toMatchObject({ code: 'INVALID_TARBALL' });
+  });
+
+  test('should replace the target directory only on success', async() => {
+    await fs.outputFile(path.join(targetDir, 'old.txt'), 'old');
+
+    await expect(extract([{ name: '../escape', content: 'x' }])).rejects.toMatchObject({ code: 'UNSAFE_PATH' });
+    expect(await fs.readFile(path.join(targetDir, 'old.txt'), 'utf8')).toBe('old');
+
+    await extract([{ name: 'new.txt', content: 'new' }]);
+    expect(await fs.readdir(targetDir)).toEqual(['new.txt']);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * TemplateEngine Tests
+ * Tests variable output, blocks, filters, partials and error reporting
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  TemplateEngine,
+  TemplateEngineError,
+  evaluate
+} = require('../../src/core/template-engine');
+
+describe('TemplateEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  describe('Variable output', () => {
+    test('should replace variables with and without whitespace', () => {
+      expect(engine.render('{{PROJECT_NAME}} / {{ PROJECT_NAME }}', { PROJECT_NAME: 'demo' }))
+        .toBe('demo / demo');
+    });
+
+    test('should support legacy <%= %> tags', () => {
+      expect(engine.render('name: <%= projectName %>', { projectName: 'demo' })).toBe('name: demo');
+    });
+
+    test('should resolve dotted paths', () => {
+      expect(engine.render('{{ author.name }}', { author: { name: 'Ada' } })).toBe('Ada');
+    });
+
+    test('should leave undefined variables untouched', () => {
+      const source = '<h1>{{ message }}</h1> {{ PROJECT_NAME }}';
+      expect(engine.render(source, { PROJECT_NAME: 'demo' })).toBe('<h1>{{ message }}</h1> demo');
+    });
+
+    test('should leave JSX and Vue mustaches untouched', () => {
+      const jsx = '<div style={{ color: \'red\', margin: 0 }}>{{{ raw }}}</div>';
+      const vue = '<p>{{ count + 1 }} {{ $t(\'hello\') }} {{ !loading }} {{ items.length > 0 }}</p>';
+
+      expect(engine.render(jsx, { raw: 'x' })).toBe(jsx);
+      expect(engine.render(vue, { PROJECT_NAME: 'demo' })).toBe(vue);
+    });
+
+    test('should leave expressions with undefined variables untouched', () => {
+      const workflow = 'if: ${{ github.event_name == \'push\' }}\nname: {{ PROJECT_NAME }}';
+      expect(engine.render(workflow, { PROJECT_NAME: 'demo' }))
+        .toBe('if: ${{ github.event_name == \'push\' }}\nname: demo');
+      expect(engine.render('{{ port >= 3000 }}', { port: 8080 })).toBe('true');
+    });
+
+    test('should throw on undefined variables in strict mode', () => {
+      const strictEngine = new TemplateEngine({ strict: true });
+      expect(() => strictEngine.render('{{ missing }}', {})).toThrow('Undefined variable "missing"');
+    });
+
+    test('should reject invalid output tags in strict mode', () => {
+      const strictEngine = new TemplateEngine({ strict: true });
+      expect(() => strictEngine.render('{{ count + 1 }}', { count: 1 })).toThrow('Unexpected character "+"');
+      expect(() => strictEngine.render('{{ a == b }}', { a: 1 })).toThrow('Undefined variable "b"');
+    });
+
+    test('should emit escaped braces literally', () => {
+      expect(engine.render('\\{{ name }} is {{ name }}', { name: 'demo' })).toBe('{{ name }} is demo');
+    });
+  });
+
+  describe('Filters', () => {
+    test('should apply case filters', () => {
+      const data = { name: 'my awesome-app' };
+      expect(engine.render('{{ name | camelCase }}', data)).toBe('myAwesomeApp');
+      expect(engine.render('{{ name | pascalCase }}', data)).toBe('MyAwesomeApp');
+      expect(engine.render('{{ name | kebab }}', data)).toBe('my-awesome-app');
+      expect(engine.render('{{ name | upper }}', data)).toBe('MY AWESOME-APP');
+    });
+
+    test('should chain filters and pass arguments', () => {
+      expect(engine.render('{{ features | join: " + " | upper }}', { features: ['auth', 'db'] }))
+        .toBe('AUTH + DB');
+      expect(engine.render('{{ description | default: "none" }}', {})).toBe('none');
+    });
+
+    test('should serialize values with the json filter', () => {
+      expect(engine.render('{{ features | json }}', { features: ['a', 'b'] })).toBe('["a","b"]');
+    });
+
+    test('should support custom filters', () => {
+      engine.registerFilter('reverse', value => String(value).split('').reverse().join(''));
+      expect(engine.render('{{ name | reverse }}', { name: 'abc' })).toBe('cba');
+    });
+
+    test('should report unknown filters with the line number', () => {
+      expect(() => engine.render('line one\n{{ name | nope }}', { name: 'x' }, { filename: 'README.md' }))
+        .toThrow('Unknown filter "nope" (README.md:2)');
+    });
+  });
+
+  describe('Conditionals', () => {
+    test('should render if/else if/else branches', () => {
+      const source = '{{#if db === "postgres"}}pg{{else if db === "mysql"}}my{{else}}none{{/if}}';
+      expect(engine.render(source, { db: 'postgres' })).toBe('pg');
+      expect(engine.render(source, { db: 'mysql' })).toBe('my');
+      expect(engine.render(source, { db: 'sqlite' })).toBe('none');
+    });
+
+    test('should support contains, logical operators and unless', () => {
+      const data = { features: ['auth', 'api'], useTypescript: false };
+      expect(engine.render('{{#if features contains "auth" && !useTypescript}}yes{{/if}}', data)).toBe('yes');
+      expect(engine.render('{{#unless useTypescript}}js{{/unless}}', data)).toBe('js');
+    });
+
+    test('should treat empty arrays as falsy', () => {
+      expect(engine.render('{{#if items}}has{{else}}empty{{/if}}', { items: [] })).toBe('empty');
+    });
+
+    test('should not leave blank lines for standalone block tags', () => {
+      const source = 'start\n{{#if enabled}}\n  enabled\n{{/if}}\nend\n';
+      expect(engine.render(source, { enabled: true })).toBe('start\n  enabled\nend\n');
+      expect(engine.render(source, { enabled: false })).toBe('start\nend\n');
+    });
+  });
+
+  describe('Loops', () => {
+    test('should iterate arrays with this and loop metadata', () => {
+      const source = '{{#each features}}{{@index}}:{{this}}{{#unless @last}},{{/unless}}{{/each}}';
+      expect(engine.render(source, { features: ['auth', 'db'] })).toBe('0:auth,1:db');
+    });
+
+    test('should iterate with an alias and object properties', () => {
+      const source = '{{#each routes as route}}{{route.path}}->{{ handler }};{{/each}}';
+      const data = { routes: [{ path: '/a', handler: 'A' }, { path: '/b', handler: 'B' }] };
+      expect(engine.render(source, data)).toBe('/a->A;/b->B;');
+    });
+
+    test('should render else for empty lists', () => {
+      expect(engine.render('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+    });
+
+    test('should fall back to outer scope inside loops', () => {
+      expect(engine.render('{{#each items}}{{ prefix }}{{ this }} {{/each}}', { items: [1, 2], prefix: '#' }))
+        .toBe('#1 #2 ');
+    });
+  });
+
+  describe('Partials', () => {
+    test('should render registered partials with current scope', () => {
+      engine.registerPartial('header', '// {{ PROJECT_NAME }}\n');
+      expect(engine.render('{{> header}}\ncode', { PROJECT_NAME: 'demo' })).toBe('// demo\ncode');
+    });
+
+    test('should load partials from a directory', async() => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'engine-partials-'));
+      try {
+        await fs.writeFile(path.join(dir, 'license.md'), 'MIT {{ year }}');
+        const names = await engine.registerPartialsFromDirectory(dir);
+        expect(names).toEqual(['license']);
+        expect(engine.render('{{> license}}', { year: 2024 })).toBe('MIT 2024');
+      } finally {
+        await fs.remove(dir);
+      }
+    });
+
+    test('should keep partials registered on a fork out of the original engine', () => {
+      engine.registerPartial('header', 'shared');
+      engine.registerFilter('shout', value => `${value}!`);
+      const fork = engine.fork();
+      fork.registerPartial('license', 'MIT');
+
+      expect(fork.render('[{{> header}} {{> license}} {{ name | shout }}]', { name: 'hi' })).toBe('[shared MIT hi!]');
+      expect(() => engine.render('{{> license}}', {})).toThrow('Unknown partial "license"');
+      expect(engine.fork().partials.has('license')).toBe(false);
+    });
+
+    test('should reject unknown and recursive partials', () => {
+      expect(() => engine.render('{{> missing}}', {})).toThrow('Unknown partial "missing"');
+      engine.registerPartial('loop', '{{> loop}}');
+      expect(() => engine.render('{{> loop}}', {})).toThrow('maximum nesting depth');
+    });
+  });
+
+  describe('Syntax errors', () => {
+    test('should report unclosed blocks with file and line', () => {
+      let caught = null;
+      try {
+        engine.render('a\nb\n{{#if x}}\nc', {}, { filename: 'src/index.js' });
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).toBeInstanceOf(TemplateEngineError);
+      expect(caught.filename).toBe('src/index.js');
+      expect(caught.line).toBe(3);
+      expect(caught.message).toBe('Unclosed {{#if}} block (src/index.js:3)');
+    });
+
+    test('should report mismatched closing tags', () => {
+      expect(() => engine.render('{{#if x}}\n{{/each}}', {}, { filename: 'a.txt' }))
+        .toThrow('Expected {{/if}} to close block opened at line 1 but found {{/each}} (a.txt:2)');
+    });
+
+    test('should leave unclosed tags as text', () => {
+      expect(engine.render('const open = "{{";\nconst name = "{{ name }}";', { name: 'demo' }))
+        .toBe('const open = "{{";\nconst name = "demo";');
+      expect(engine.render('{{ name', { name: 'demo' })).toBe('{{ name');
+      expect(() => new TemplateEngine({ strict: true }).render('{{ name', {})).toThrow('Unclosed tag');
+    });
+
+    test('should report invalid expressions', () => {
+      expect(() => engine.render('{{#if (a}}{{/if}}', {})).toThrow('Missing closing parenthesis');
+      expect(() => engine.render('{{else}}', {})).toThrow('{{else}} without an open block');
+    });
+  });
+
+  describe('evaluate', () => {
+    test('should evaluate expressions against data', () => {
+      expect(evaluate('features contains \'auth\'', { features: ['auth'] })).toBe(true);
+      expect(evaluate('"api" in features', { features: ['auth'] })).toBe(false);
+      expect(evaluate('port >= 3000 and database == "mongo"', { port: 3000, database: 'mongo' })).toBe(true);
+    });
+  });
+});
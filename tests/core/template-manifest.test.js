@@ -0,0 +1,143 @@
+/**
+ * TemplateManifest Tests
+ * Tests manifest loading, conditional file inclusion and renames
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  TemplateManifest,
+  TemplateManifestError,
+  matchesPattern
+} = require('../../src/core/template-manifest');
+const { formatFileTree } = require('../../src/utils/fileTree');
+
+describe('TemplateManifest', () => {
+  let templateDir;
+
+  beforeEach(async() => {
+    templateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-manifest-'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(templateDir);
+  });
+
+  describe('matchesPattern', () => {
+    test('should match globs and directory prefixes', () => {
+      expect(matchesPattern('src/auth/login.js', 'src/auth/**')).toBe(true);
+      expect(matchesPattern('src/auth/login.js', 'src/auth')).toBe(true);
+      expect(matchesPattern('src/authz.js', 'src/auth')).toBe(false);
+      expect(matchesPattern('src/index.ts', 'src/*.{ts,tsx}')).toBe(true);
+      expect(matchesPattern('deep/dir/debug.log', '*.log')).toBe(true);
+      expect(matchesPattern('src/index.js', 'src/*.ts')).toBe(false);
+    });
+  });
+
+  describe('load', () => {
+    test('should return an empty manifest when template.json is missing', async() => {
+      const manifest = await TemplateManifest.load(templateDir);
+      expect(manifest.exists()).toBe(false);
+      expect(manifest.resolveFiles(['a.js'])).toEqual([{ source: 'a.js', target: 'a.js' }]);
+    });
+
+    test('should reject invalid manifests', async() => {
+      await fs.writeJson(path.join(templateDir, 'template.json'), {
+        files: [{ include: 'src/**', exclude: 'docs/**' }]
+      });
+      await expect(TemplateManifest.load(templateDir)).rejects.toThrow(TemplateManifestError);
+    });
+
+    test('should reject unparsable conditions', () => {
+      expect(() => new TemplateManifest({ files: [{ include: 'a/**', when: 'features contains (' }] }))
+        .toThrow('Invalid condition in files[0]');
+    });
+  });
+
+  describe('resolveFiles', () => {
+    const files = [
+      'template.json',
+      'README.md',
+      '_gitignore',
+      'src/index.js',
+      'src/auth/login.js',
+      'src/auth/session.js',
+      'tests/index.test.js',
+      '_partials/header.md',
+      '_assistant/conventions.md',
+      '_specs/spec.md',
+      'debug.log'
+    ];
+    const manifestData = {
+      files: [
+        { include: 'src/auth/**', when: 'features contains \'auth\'' },
+        { exclude: 'tests/**', when: '!withTests' }
+      ],
+      rename: { _gitignore: '.gitignore', 'src/index.js': 'src/{{ projectName | kebab }}.js' },
+      ignore: ['*.log']
+    };
+
+    test('should include conditional files when the condition holds', () => {
+      const manifest = new TemplateManifest(manifestData);
+      const result = manifest.resolveFiles(files, { projectName: 'MyApp', features: ['auth'], withTests: true });
+
+      expect(result.map(file => file.target)).toEqual([
+        'README.md',
+        '.gitignore',
+        'src/my-app.js',
+        'src/auth/login.js',
+        'src/auth/session.js',
+        'tests/index.test.js'
+      ]);
+    });
+
+    test('should drop conditional files when the condition fails', () => {
+      const manifest = new TemplateManifest(manifestData);
+      const result = manifest.resolveFiles(files, { projectName: 'app', features: [], withTests: false });
+
+      expect(result.map(file => file.target)).toEqual(['README.md', '.gitignore', 'src/app.js']);
+    });
+
+    test('should never copy hook scripts into the project', () => {
+      const manifest = new TemplateManifest({ hooks: { postGenerate: './hooks/post-generate.js' } });
+
+      expect(manifest.getHook('postGenerate')).toBe('./hooks/post-generate.js');
+      expect(manifest.resolveFiles(['hooks/post-generate.js', 'hooks/README.md']).map(file => file.target))
+        .toEqual(['hooks/README.md']);
+    });
+
+    test('should rename directories', () => {
+      const manifest = new TemplateManifest({ rename: { 'src/_module': 'src/{{ name }}' } });
+      expect(manifest.getTargetPath('src/_module/index.js', { name: 'billing' })).toBe('src/billing/index.js');
+    });
+
+    test('should refuse renames that escape the project directory', () => {
+      const manifest = new TemplateManifest({ rename: { 'a.txt': '../../etc/passwd' } });
+      expect(() => manifest.getTargetPath('a.txt')).toThrow('escapes the project directory');
+    });
+  });
+
+  describe('listFiles', () => {
+    test('should list files recursively and skip node_modules', async() => {
+      await fs.outputFile(path.join(templateDir, 'src/index.js'), '');
+      await fs.outputFile(path.join(templateDir, 'node_modules/x/index.js'), '');
+      await fs.outputFile(path.join(templateDir, 'README.md'), '');
+
+      expect(await TemplateManifest.listFiles(templateDir)).toEqual(['README.md', 'src/index.js']);
+    });
+  });
+
+  describe('formatFileTree', () => {
+    test('should render directories before files', () => {
+      expect(formatFileTree(['README.md', 'src/index.js', 'src/auth/login.js'], { rootName: 'app' })).toBe([
+        'app',
+        '├── src/',
+        '│   ├── auth/',
+        '│   │   └── login.js',
+        '│   └── index.js',
+        '└── README.md'
+      ].join('\n'));
+    });
+  });
+});
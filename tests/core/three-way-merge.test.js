@@ -0,0 +1,74 @@
+/**
+ * Three-way merge Tests
+ * Tests line-based merging of template changes with local edits
+ */
+
+const { mergeText, diffHunks, hasConflictMarkers } = require('../../src/core/three-way-merge');
+
+describe('three-way merge', () => {
+  const base = 'a\nb\nc\nd\ne\n';
+
+  test('should compute hunks against the base', () => {
+    expect(diffHunks(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { baseStart: 1, baseEnd: 2, start: 1, end: 2 },
+      { baseStart: 3, baseEnd: 3, start: 3, end: 4 }
+    ]);
+  });
+
+  test('should take the only side that changed', () => {
+    expect(mergeText(base, base, 'a\nb\nC\nd\ne\n').content).toBe('a\nb\nC\nd\ne\n');
+    expect(mergeText(base, 'a\nb\nC\nd\ne\n', base).content).toBe('a\nb\nC\nd\ne\n');
+  });
+
+  test('should combine non-overlapping changes from both sides', () => {
+    const result = mergeText(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nD\ne\nf\n');
+
+    expect(result).toEqual({ content: 'a\nB\nc\nD\ne\nf\n', conflicts: 0, clean: true });
+  });
+
+  test('should apply identical changes once', () => {
+    const result = mergeText(base, 'a\nb\nX\nd\ne\n', 'a\nb\nX\nd\ne\n');
+    expect(result.clean).toBe(true);
+    expect(result.content).toBe('a\nb\nX\nd\ne\n');
+  });
+
+  test('should mark overlapping changes as conflicts', () => {
+    const result = mergeText(base, 'a\nmine\nc\nd\ne\n', 'a\ntheirs\nc\nd\nE\n', {
+      oursLabel: 'current',
+      theirsLabel: 'template@2.0.0'
+    });
+
+    expect(result.clean).toBe(false);
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe([
+      'a',
+      '<<<<<<< current',
+      'mine',
+      '=======',
+      'theirs',
+      '>>>>>>> template@2.0.0',
+      'c',
+      'd',
+      'E',
+      ''
+    ].join('\n'));
+    expect(hasConflictMarkers(result.content)).toBe(true);
+  });
+
+  test('should keep conflict markers on their own lines without a trailing newline', () => {
+    const result = mergeText('x', 'y', 'z');
+    expect(result.content).toBe('<<<<<<< ours\ny\n=======\nz\n>>>>>>> theirs\n');
+  });
+
+  test('should merge large, fully rewritten files without running out of memory', () => {
+    const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} ${i}\n`).join('');
+    const partlyEdited = lines('base', 6000).replace('base 10\n', 'edited 10\n');
+
+    const rewritten = mergeText(lines('base', 6000), lines('ours', 6000), lines('theirs', 6000));
+    expect(rewritten.conflicts).toBe(1);
+    expect(rewritten.content.startsWith('<<<<<<< ours\nours 0\n')).toBe(true);
+
+    const merged = mergeText(lines('base', 6000), partlyEdited, `${lines('base', 6000)}base 6000\n`);
+    expect(merged).toMatchObject({ clean: true, content: `${partlyEdited}base 6000\n` });
+  }, 30000);
+});
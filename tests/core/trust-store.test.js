@@ -0,0 +1,138 @@
+/**
+ * Trust Store Tests
+ * Tests the signing keyring, signature verification and the trust policy
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const {
+  TrustStore,
+  getKeyId,
+  signData,
+  tagSignaturePayload,
+  formatTagSignature,
+  extractTagSignature,
+  matchTrustPolicy
+} = require('../../src/core/trust-store');
+
+// Tag verification runs git against a real repository
+jest.unmock('simple-git');
+
+describe('TrustStore', () => {
+  let tempDir;
+  let trustStore;
+  let keyPair;
+
+  const publicPem = pair => pair.publicKey.export({ type: 'spki', format: 'pem' });
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trust-store-'));
+    trustStore = new TrustStore({ keyringPath: path.join(tempDir, 'keyring.json'), policy: {} });
+    keyPair = crypto.generateKeyPairSync('ed25519');
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should add, list and revoke keys', async() => {
+    const key = await trustStore.addKey(publicPem(keyPair), { name: 'platform' });
+
+    expect(key).toMatchObject({ id: getKeyId(keyPair.publicKey), name: 'platform', revokedAt: null });
+    await expect(trustStore.addKey(publicPem(keyPair))).rejects.toMatchObject({ code: 'KEY_EXISTS' });
+
+    const reloaded = new TrustStore({ keyringPath: trustStore.keyringPath });
+    expect((await reloaded.listKeys()).map(entry => entry.id)).toEqual([key.id]);
+
+    const revoked = await reloaded.revokeKey(key.id.slice(0, 6));
+    expect(revoked.revokedAt).toEqual(expect.any(String));
+    expect(await reloaded.listKeys({ includeRevoked: false })).toEqual([]);
+    await expect(reloaded.addKey(publicPem(keyPair))).rejects.toMatchObject({ code: 'KEY_REVOKED' });
+    await expect(reloaded.revokeKey('ffff')).rejects.toMatchObject({ code: 'KEY_NOT_FOUND' });
+  });
+
+  test('should only accept ed25519 public keys', async() => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+    await expect(trustStore.addKey(publicPem(rsa))).rejects.toMatchObject({ code: 'KEY_INVALID' });
+    await expect(trustStore.addKey('not a key')).rejects.toMatchObject({ code: 'KEY_INVALID' });
+  });
+
+  test('should verify detached tarball signatures', async() => {
+    const tarball = Buffer.from('template tarball contents');
+    const signature = JSON.stringify(signData(tarball, keyPair.privateKey));
+
+    await expect(trustStore.verify(tarball, signature)).rejects.toMatchObject({ code: 'KEY_UNKNOWN' });
+
+    const key = await trustStore.addKey(publicPem(keyPair), { name: 'platform' });
+    expect(await trustStore.verify(tarball, signature)).toEqual({ keyId: key.id, name: 'platform' });
+    await expect(trustStore.verify(Buffer.from('tampered'), signature)).rejects.toMatchObject({ code: 'SIGNATURE_INVALID' });
+    await expect(trustStore.verify(tarball, '{"keyId":"x"}')).rejects.toMatchObject({ code: 'SIGNATURE_INVALID' });
+
+    await trustStore.revokeKey(key.id);
+    await expect(trustStore.verify(tarball, signature)).rejects.toMatchObject({ code: 'KEY_REVOKED' });
+  });
+
+  test('should verify signatures embedded in annotated git tags', async() => {
+    const repoPath = path.join(tempDir, 'repo');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: repoPath,
+      encoding: 'utf8'
+    }).trim();
+
+    await fs.outputFile(path.join(repoPath, 'package.json'), '{}');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'Initial commit');
+    const commit = git('rev-parse', 'HEAD');
+
+    const block = formatTagSignature(signData(tagSignaturePayload('v1.0.0', commit), keyPair.privateKey));
+    git('tag', '-a', 'v1.0.0', '-m', `Release v1.0.0\n\n${block}`);
+    git('tag', '-a', 'v1.0.1', '-m', 'Unsigned release');
+    git('tag', 'lightweight');
+
+    await trustStore.addKey(publicPem(keyPair), { name: 'platform' });
+
+    expect(await trustStore.verifyGitTag(repoPath, 'v1.0.0')).toMatchObject({ name: 'platform', tag: 'v1.0.0', commit });
+    await expect(trustStore.verifyGitTag(repoPath, 'v1.0.1')).rejects.toMatchObject({ code: 'SIGNATURE_MISSING' });
+    await expect(trustStore.verifyGitTag(repoPath, 'lightweight')).rejects.toMatchObject({ code: 'SIGNATURE_MISSING' });
+    await expect(trustStore.verifyGitTag(repoPath, null)).rejects.toMatchObject({ code: 'SIGNATURE_MISSING' });
+
+    // A signature copied onto another tag does not verify
+    git('tag', '-a', 'v2.0.0', '-m', `Release v2.0.0\n\n${block}`);
+    await expect(trustStore.verifyGitTag(repoPath, 'v2.0.0')).rejects.toMatchObject({ code: 'SIGNATURE_INVALID' });
+  });
+
+  test('should parse signature blocks out of tag messages', () => {
+    const signature = signData('payload', keyPair.privateKey);
+
+    expect(extractTagSignature(`Release\n\n${formatTagSignature(signature)}`)).toEqual(signature);
+    expect(extractTagSignature('Release')).toBeNull();
+  });
+
+  test('should match templates against the trust policy', async() => {
+    const policy = {
+      requireSignatures: {
+        scopes: ['@xagi'],
+        registries: ['https://npm.internal.example.com/'],
+        repositories: ['github.com/xagi']
+      }
+    };
+
+    expect(matchTrustPolicy(policy, { packageName: '@xagi/ai-template-react', registry: 'https://registry.npmjs.org' }))
+      .toBe('scope @xagi');
+    expect(matchTrustPolicy(policy, { packageName: 'template', registry: 'https://npm.internal.example.com/npm' }))
+      .toBe('registry https://npm.internal.example.com/');
+    expect(matchTrustPolicy(policy, { repository: 'https://github.com/xagi/template.git' })).toBe('repository github.com/xagi');
+    expect(matchTrustPolicy(policy, { repository: 'git@github.com:xagi/template.git' })).toBe('repository github.com/xagi');
+    expect(matchTrustPolicy(policy, { repository: 'https://github.com/xagi-fork/template' })).toBeNull();
+    expect(matchTrustPolicy(policy, { packageName: '@other/template', registry: 'https://registry.npmjs.org' })).toBeNull();
+    expect(matchTrustPolicy(null, { packageName: '@xagi/template' })).toBeNull();
+
+    const store = new TrustStore({ keyringPath: trustStore.keyringPath, policy });
+    expect(await store.requiresSignature({ packageName: '@xagi/template' })).toBe('scope @xagi');
+  });
+});
@@ -198,6 +198,16 @@ describe('ProjectConfiguration', () => {
       expect(json.status).toBe(config.status);
     });
 
+    test('should redact the auth token', () => {
+      const config = new ProjectConfiguration({ ...validConfig, authToken: 'secret-token' });
+      const json = config.toJSON();
+
+      expect(json.authToken).toBe('[REDACTED]');
+      expect(JSON.stringify(config)).not.toContain('secret-token');
+      expect(ProjectConfiguration.fromJSON(json).authToken).toBeNull();
+      expect(config.clone().authToken).toBe('secret-token');
+    });
+
     test('should create from JSON', () => {
       const original = new ProjectConfiguration(validConfig);
       const json = original.toJSON();
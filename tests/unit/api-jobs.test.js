@@ -0,0 +1,136 @@
+/**
+ * Project Job API Tests
+ * Tests that POST /projects queues creation, GET/DELETE /jobs/:id report and cancel it, and
+ * GET /projects/:id/events streams its events
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/services/project-service', () => ({ ProjectService: jest.fn() }));
+
+const { ProjectService } = require('../../src/services/project-service');
+const { JobQueue } = require('../../src/core/job-queue');
+const projectsRouter = require('../../src/api/projects');
+const jobsRouter = require('../../src/api/jobs');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Project jobs API', () => {
+  let app;
+  let createProject;
+
+  const createRequest = {
+    templateId: '@xagi/ai-template-node-api',
+    templateVersion: '1.0.0',
+    config: { projectName: 'orders-api', projectPath: '/tmp/orders-api', configValues: { port: 3000 } }
+  };
+
+  beforeEach(() => {
+    createProject = jest.fn();
+    ProjectService.mockImplementation(options => ({
+      createProject: (...args) => createProject(options, ...args),
+      previewProject: jest.fn().mockResolvedValue({ projectName: 'orders-api', files: ['package.json'] })
+    }));
+
+    app = express();
+    app.use(express.json());
+    app.locals.jobQueue = new JobQueue({ concurrency: 1 });
+    app.use('/projects', projectsRouter);
+    app.use('/jobs', jobsRouter);
+  });
+
+  test('should queue project creation and report its progress and logs', async() => {
+    createProject.mockImplementation(async(serviceOptions, config, options) => {
+      serviceOptions.onLog({ timestamp: new Date().toISOString(), level: 'info', message: 'Installing 12 dependencies' });
+      options.onEvent({ type: 'step', status: 'started', description: 'Installing dependencies', index: 5, total: 10, percent: 50 });
+      return {
+        projectPath: config.projectPath,
+        files: [{ path: 'package.json' }],
+        getSummary: () => ({ id: 'project-1', projectName: config.projectName, status: 'created' })
+      };
+    });
+
+    const created = await request(app).post('/projects').send({ ...createRequest, secrets: 'redact' }).expect(202);
+    expect(created.headers.location).toBe(`/jobs/${created.body.jobId}`);
+    expect(created.body.statusUrl).toBe(`/jobs/${created.body.jobId}`);
+    await flush();
+
+    const { body: job } = await request(app).get(`/jobs/${created.body.jobId}`).expect(200);
+    expect(job).toMatchObject({
+      type: 'createProject',
+      status: 'succeeded',
+      data: { templateId: '@xagi/ai-template-node-api', projectName: 'orders-api', projectPath: '/tmp/orders-api' },
+      progress: { step: 'Installing dependencies', stepIndex: 6, totalSteps: 10, percent: 50 },
+      logs: [expect.objectContaining({ level: 'info', message: 'Installing 12 dependencies' })],
+      result: { id: 'project-1', projectPath: '/tmp/orders-api', files: ['package.json'] }
+    });
+    expect(createProject.mock.calls[0][1]).toMatchObject({ templateId: '@xagi/ai-template-node-api', configValues: { port: 3000 } });
+    expect(createProject.mock.calls[0][2]).toMatchObject({ secrets: 'redact' });
+  });
+
+  test('should stream step events, log lines and the result over SSE', async() => {
+    createProject.mockImplementation(async(serviceOptions, config, options) => {
+      expect(options.projectId).toBeDefined();
+      options.onEvent({ type: 'step', status: 'started', description: 'Installing dependencies', index: 0, total: 1, percent: 0 });
+      options.onEvent({ type: 'log', source: 'npm', level: 'info', message: 'added 12 packages' });
+      return { projectPath: config.projectPath, files: [], getSummary: () => ({ id: options.projectId }) };
+    });
+
+    const { body: created } = await request(app).post('/projects').send(createRequest).expect(202);
+    expect(created.eventsUrl).toBe(`/projects/${created.jobId}/events`);
+    await flush();
+
+    const response = await request(app).get(created.eventsUrl).expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = response.text.trim().split('\n\n').map(block => ({
+      id: Number(block.match(/^id: (\d+)$/m)[1]),
+      event: block.match(/^event: (.+)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+    }));
+    expect(events.map(event => event.event)).toEqual(['status', 'step', 'log', 'result']);
+    expect(events[2].data).toMatchObject({ source: 'npm', message: 'added 12 packages' });
+    expect(events[3].data).toMatchObject({ status: 'succeeded', result: { id: created.jobId } });
+
+    const resumed = await request(app).get(created.eventsUrl).set('Last-Event-ID', String(events[2].id)).expect(200);
+    expect(resumed.text).toMatch(/^id: \d+\nevent: result\n/);
+    await request(app).get('/projects/unknown/events').expect(404);
+  });
+
+  test('should cancel a running job', async() => {
+    createProject.mockImplementation((serviceOptions, config, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(Object.assign(new Error('Cancelled before: Installing dependencies'), { code: 'CANCELLED' })));
+    }));
+
+    const { body: { jobId } } = await request(app).post('/projects').send(createRequest).expect(202);
+    const { body: cancelling } = await request(app).delete(`/jobs/${jobId}`).expect(202);
+    expect(cancelling.status).toBe('cancelling');
+    await flush();
+
+    const { body: job } = await request(app).get(`/jobs/${jobId}`).expect(200);
+    expect(job).toMatchObject({ status: 'cancelled', error: { code: 'CANCELLED' } });
+    await request(app).delete(`/jobs/${jobId}`).expect(409);
+  });
+
+  test('should reject invalid requests and unknown jobs', async() => {
+    const response = await request(app)
+      .post('/projects')
+      .send({ templateId: '@xagi/ai-template-node-api', config: { projectPath: '/tmp/x' } })
+      .expect(400);
+    expect(response.body.message).toBe('projectName is required');
+
+    const badSecrets = await request(app).post('/projects').send({ ...createRequest, secrets: 'ignore' }).expect(400);
+    expect(badSecrets.body.message).toBe('secrets must be one of: abort, redact, continue');
+
+    await request(app).get('/jobs/unknown').expect(404);
+    await request(app).delete('/jobs/unknown').expect(404);
+    expect(createProject).not.toHaveBeenCalled();
+  });
+
+  test('should answer dry runs right away', async() => {
+    const response = await request(app).post('/projects').send({ ...createRequest, dryRun: true }).expect(200);
+
+    expect(response.body).toEqual({ dryRun: true, projectName: 'orders-api', files: ['package.json'] });
+    expect(createProject).not.toHaveBeenCalled();
+  });
+});
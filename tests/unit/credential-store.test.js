@@ -0,0 +1,89 @@
+/**
+ * Credential Store Tests
+ * Tests encryption at rest, key derivation and lookup by registry URL or git host
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CredentialStore, normalizeCredentialKey } = require('../../src/utils/credentialStore');
+
+describe('CredentialStore', () => {
+  let tempDir;
+  let storePath;
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'credential-store-'));
+    storePath = path.join(tempDir, 'credentials.json');
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should normalize registry URLs and git hosts', () => {
+    expect(normalizeCredentialKey('https://Templates.Internal/npm/')).toBe('https://templates.internal/npm');
+    expect(normalizeCredentialKey('git@GitHub.com:org/repo.git')).toBe('github.com');
+    expect(normalizeCredentialKey('GitHub.com')).toBe('github.com');
+    expect(() => normalizeCredentialKey('')).toThrow('A registry URL or git host is required');
+  });
+
+  test('should keep tokens encrypted at rest', async() => {
+    const store = new CredentialStore({ path: storePath });
+    expect(store.get('https://templates.internal')).toBeNull();
+    expect(await fs.pathExists(storePath)).toBe(false);
+
+    store.set('https://templates.internal/', 'secret-token');
+
+    expect(await fs.readFile(storePath, 'utf8')).not.toContain('secret-token');
+    expect((await fs.stat(storePath)).mode & 0o777).toBe(0o600);
+    expect((await fs.stat(path.join(tempDir, 'credentials.key'))).mode & 0o777).toBe(0o600);
+    expect(new CredentialStore({ path: storePath }).get('https://templates.internal')).toBe('secret-token');
+    expect(store.list()).toEqual([{ key: 'https://templates.internal', updatedAt: expect.any(String) }]);
+  });
+
+  test('should find tokens by URL prefix, origin and host', () => {
+    const store = new CredentialStore({ path: storePath });
+    store.set('https://templates.internal', 'origin-token');
+    store.set('https://templates.internal/private', 'private-token');
+    store.set('github.com', 'git-token');
+
+    expect(store.get('https://templates.internal/index.json')).toBe('origin-token');
+    expect(store.get('https://templates.internal/private/pkg/-/pkg-1.0.0.tgz')).toBe('private-token');
+    expect(store.get('https://github.com/org/repo.git')).toBe('git-token');
+    expect(store.get('git@github.com:org/repo.git')).toBe('git-token');
+    expect(store.get('https://templates.internal.evil.com/index.json')).toBeNull();
+    expect(store.has('github.com')).toBe(true);
+
+    expect(store.delete('github.com')).toBe(true);
+    expect(store.delete('github.com')).toBe(false);
+    expect(store.get('git@github.com:org/repo.git')).toBeNull();
+  });
+
+  test('should require the passphrase a store was created with', () => {
+    new CredentialStore({ path: storePath, passphrase: 'correct horse' }).set('github.com', 'git-token');
+
+    expect(new CredentialStore({ path: storePath, passphrase: 'correct horse' }).get('github.com')).toBe('git-token');
+    expect(() => new CredentialStore({ path: storePath }).get('github.com'))
+      .toThrow(expect.objectContaining({ code: 'PASSPHRASE_REQUIRED' }));
+    expect(() => new CredentialStore({ path: storePath, passphrase: 'wrong' }).set('gitlab.com', 'other'))
+      .toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+    expect(new CredentialStore({ path: storePath }).has('github.com')).toBe(true);
+  });
+
+  test('should reject entries moved to another key', async() => {
+    const store = new CredentialStore({ path: storePath });
+    store.set('github.com', 'git-token');
+
+    const data = await fs.readJson(storePath);
+    data.entries['gitlab.com'] = data.entries['github.com'];
+    await fs.writeJson(storePath, data);
+
+    expect(() => new CredentialStore({ path: storePath }).get('gitlab.com'))
+      .toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+
+    await fs.remove(path.join(tempDir, 'credentials.key'));
+    expect(() => new CredentialStore({ path: storePath }).get('github.com'))
+      .toThrow(expect.objectContaining({ code: 'KEY_MISSING' }));
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Integrity Verifier Tests
+ * Tests SRI and shasum verification of package tarballs
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  IntegrityError,
+  parseIntegrity,
+  computeIntegrity,
+  verifyData,
+  assertIntegrity,
+  verifyPackageIntegrity
+} = require('../../src/utils/integrityVerifier');
+
+describe('integrityVerifier', () => {
+  const tarball = Buffer.from('pretend this is a gzipped tarball');
+  const dist = {
+    integrity: computeIntegrity(tarball),
+    shasum: crypto.createHash('sha1').update(tarball).digest('hex')
+  };
+  let tempDir;
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'integrity-verifier-'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should parse SRI strings strongest first', () => {
+    const sha256 = computeIntegrity(tarball, 'sha256');
+
+    expect(parseIntegrity(`${sha256} ${dist.integrity}`).map(hash => hash.algorithm)).toEqual(['sha512', 'sha256']);
+    expect(parseIntegrity('md5-abc')).toEqual([]);
+    expect(parseIntegrity(null)).toEqual([]);
+  });
+
+  test('should accept matching integrity and shasum', () => {
+    const result = verifyData(tarball, dist);
+
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.metadata).toMatchObject({ algorithm: 'sha512', integrity: dist.integrity, shasum: dist.shasum });
+  });
+
+  test('should reject tampered tarballs', () => {
+    const tampered = Buffer.concat([tarball, Buffer.from('!')]);
+
+    const result = verifyData(tampered, dist);
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatch(/^Integrity mismatch/);
+    expect(result.errors[1]).toMatch(/^Shasum mismatch/);
+
+    expect(() => assertIntegrity(tampered, dist, 'demo@1.0.0')).toThrow(IntegrityError);
+    expect(() => assertIntegrity(tampered, dist, 'demo@1.0.0')).toThrow(expect.objectContaining({
+      code: 'INTEGRITY_MISMATCH'
+    }));
+  });
+
+  test('should fall back to shasum when integrity is missing', () => {
+    const result = verifyData(tarball, { shasum: dist.shasum });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual(['No integrity field, verified with sha1 shasum only']);
+    expect(verifyData(tarball, { shasum: '0'.repeat(40) }).isValid).toBe(false);
+  });
+
+  test('should fail when no integrity fields are present', () => {
+    expect(verifyData(tarball, {}).errors).toEqual([
+      'Missing integrity information: neither integrity nor shasum is available'
+    ]);
+    expect(() => assertIntegrity(tarball, {})).toThrow(expect.objectContaining({ code: 'INTEGRITY_MISSING' }));
+    expect(verifyData(tarball, { integrity: 'md5-abc' }).isValid).toBe(false);
+  });
+
+  test('should verify tarballs on disk', async() => {
+    const tarballPath = path.join(tempDir, 'demo-1.0.0.tgz');
+    await fs.writeFile(tarballPath, tarball);
+
+    expect((await verifyPackageIntegrity(tarballPath, { dist })).isValid).toBe(true);
+
+    await fs.appendFile(tarballPath, 'tampered');
+    expect((await verifyPackageIntegrity(tarballPath, { dist })).isValid).toBe(false);
+  });
+
+  test('should detect tampered files in extracted packages', async() => {
+    await fs.writeFile(path.join(tempDir, 'index.js'), 'module.exports = 1;');
+    const checksums = {
+      'index.js': crypto.createHash('sha256').update('module.exports = 1;').digest('hex')
+    };
+
+    expect((await verifyPackageIntegrity(tempDir, { checksums })).isValid).toBe(true);
+
+    await fs.writeFile(path.join(tempDir, 'index.js'), 'module.exports = 2;');
+    const result = await verifyPackageIntegrity(tempDir, { checksums });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Package tampering detected', 'Checksum mismatch: index.js']);
+
+    expect((await verifyPackageIntegrity(tempDir, {})).isValid).toBe(false);
+  });
+});
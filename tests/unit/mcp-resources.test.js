@@ -0,0 +1,185 @@
+/**
+ * MCP Resources Tests
+ * Tests template and project resources, backed by a real CacheManager, through the in-process client
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const CacheManager = require('../../src/core/cache-manager');
+const CacheStore = require('../../src/models/cache');
+const { computeIntegrity } = require('../../src/utils/integrityVerifier');
+const { McpServer, ERROR_CODES } = require('../../src/mcp/server');
+const { McpClient } = require('../../src/mcp/client');
+const { parseResourceUri } = require('../../src/mcp/resources');
+
+/**
+ * Stand-in for TemplateManager.getTemplateFileList()
+ */
+async function listFiles(dir, relativePath = '') {
+  const files = [];
+  for (const item of await fs.readdir(path.join(dir, relativePath))) {
+    if (item.startsWith('.') || item === 'node_modules') {
+      continue;
+    }
+    const itemPath = path.join(relativePath, item);
+    const stats = await fs.stat(path.join(dir, itemPath));
+    if (stats.isDirectory()) {
+      files.push(...await listFiles(dir, itemPath));
+    } else {
+      files.push({ path: itemPath, size: stats.size });
+    }
+  }
+  return files;
+}
+
+describe('McpResources', () => {
+  let tempDir;
+  let templateDir;
+  let cacheManager;
+  let templateManager;
+  let projectService;
+  let client;
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-resources-'));
+    templateDir = path.join(tempDir, 'template');
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'node-api', version: '1.2.0' });
+    await fs.outputFile(path.join(templateDir, 'src', 'index.js'), 'module.exports = {};\n');
+    await fs.outputFile(path.join(templateDir, '.env'), 'SECRET=1\n');
+
+    cacheManager = new CacheManager({ cacheDir: path.join(tempDir, 'cache'), enableMetrics: false });
+    await cacheManager.setCacheEntry('@xagi/ai-template-node-api', '1.2.0', templateDir);
+
+    templateManager = {
+      listTemplates: jest.fn().mockResolvedValue({ templates: [], metadata: { total: 0, hasMore: false } }),
+      getTemplateFileList: jest.fn().mockImplementation(dir => listFiles(dir)),
+      downloadTemplate: jest.fn().mockResolvedValue({ path: templateDir })
+    };
+    projectService = {
+      createProject: jest.fn().mockImplementation(async(config) => {
+        await fs.outputFile(path.join(config.projectPath, 'README.md'), '# app\n');
+        return {
+          id: 'project-1',
+          projectName: config.projectName,
+          projectPath: config.projectPath,
+          files: [{ path: 'README.md' }],
+          getSummary: () => ({ id: 'project-1', projectName: config.projectName })
+        };
+      })
+    };
+
+    client = new McpClient(new McpServer({ templateManager, projectService, cacheManager, cwd: tempDir }));
+    await client.initialize();
+  });
+
+  afterEach(async() => {
+    await client.close();
+    cacheManager.destroy();
+    await fs.remove(tempDir);
+  });
+
+  test('should parse template and project URIs', () => {
+    expect(parseResourceUri('template://@xagi/ai-template-node-api@1.2.0/src/index.js')).toEqual({
+      scheme: 'template',
+      templateId: '@xagi/ai-template-node-api',
+      version: '1.2.0',
+      filePath: 'src/index.js'
+    });
+    expect(parseResourceUri('template://react-starter@latest')).toMatchObject({ templateId: 'react-starter', version: 'latest', filePath: '' });
+    expect(parseResourceUri('project://project-1/README.md')).toEqual({ scheme: 'project', projectId: 'project-1', filePath: 'README.md' });
+    expect(() => parseResourceUri('file:///etc/passwd')).toThrow('Invalid resource URI');
+    expect(() => parseResourceUri('template://react-starter/src')).toThrow('Invalid resource URI');
+  });
+
+  test('should list and read cached template files', async() => {
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => resource.uri).sort()).toEqual([
+      'template://@xagi/ai-template-node-api@1.2.0/package.json',
+      'template://@xagi/ai-template-node-api@1.2.0/src/index.js'
+    ]);
+    expect(resources.find(resource => resource.name === 'src/index.js').mimeType).toBe('text/javascript');
+
+    const [file] = await client.readResource('template://@xagi/ai-template-node-api@1.2.0/src/index.js');
+    expect(file).toEqual({
+      uri: 'template://@xagi/ai-template-node-api@1.2.0/src/index.js',
+      mimeType: 'text/javascript',
+      text: 'module.exports = {};\n'
+    });
+
+    const [listing] = await client.readResource('template://@xagi/ai-template-node-api@1.2.0/');
+    expect(JSON.parse(listing.text).map(entry => entry.path).sort()).toEqual(['package.json', 'src/index.js']);
+    expect(templateManager.downloadTemplate).not.toHaveBeenCalled();
+  });
+
+  test('should not read outside a template or hidden files', async() => {
+    for (const uri of [
+      'template://@xagi/ai-template-node-api@1.2.0/../../etc/passwd',
+      'template://@xagi/ai-template-node-api@1.2.0/.env',
+      'template://@xagi/ai-template-node-api@1.2.0/missing.js',
+      'project://unknown/README.md'
+    ]) {
+      await expect(client.readResource(uri)).rejects.toMatchObject({ code: ERROR_CODES.RESOURCE_NOT_FOUND });
+    }
+  });
+
+  test('should download and cache templates that are not cached', async() => {
+    const listChanged = jest.fn();
+    client.on('notifications/resources/list_changed', listChanged);
+
+    const [file] = await client.readResource('template://react-starter@2.0.0/package.json');
+
+    expect(JSON.parse(file.text)).toEqual({ name: 'node-api', version: '1.2.0' });
+    expect(templateManager.downloadTemplate).toHaveBeenCalledWith('react-starter', '2.0.0', { keepTarball: expect.any(String) });
+    expect(await cacheManager.isCached('react-starter', '2.0.0')).toBe(true);
+    await client.request('ping');
+    expect(listChanged).toHaveBeenCalled();
+  });
+
+  test('should cache downloaded tarballs with their integrity and download tampered entries again', async() => {
+    const tarball = Buffer.from('package tarball');
+    templateManager.downloadTemplate.mockImplementation(async(templateId, version, options) => {
+      await fs.outputFile(options.keepTarball, tarball);
+      return {
+        path: templateDir,
+        tarballPath: options.keepTarball,
+        resolved: { source: 'npm', integrity: computeIntegrity(tarball), shasum: null }
+      };
+    });
+
+    await client.readResource('template://react-starter@2.0.0/package.json');
+    const entry = await cacheManager.getCacheEntry('react-starter', '2.0.0');
+    expect(entry.integrity).toMatchObject({ integrity: computeIntegrity(tarball), algorithm: 'sha512' });
+    expect(await fs.pathExists(templateManager.downloadTemplate.mock.calls[0][2].keepTarball)).toBe(false);
+
+    await fs.appendFile(path.join(entry.path, CacheStore.PACKAGE_TARBALL), 'tampered');
+    await client.readResource('template://react-starter@2.0.0/package.json');
+    expect(templateManager.downloadTemplate).toHaveBeenCalledTimes(2);
+  });
+
+  test('should notify subscribers when a cache entry is refreshed', async() => {
+    const updated = [];
+    client.on('notifications/resources/updated', params => updated.push(params.uri));
+    await client.subscribe('template://@xagi/ai-template-node-api@1.2.0/src/index.js');
+
+    await fs.outputFile(path.join(templateDir, 'src', 'index.js'), 'module.exports = { refreshed: true };\n');
+    await cacheManager.setCacheEntry('@xagi/ai-template-node-api', '1.2.0', templateDir);
+    await cacheManager.setCacheEntry('other-template', '1.0.0', templateDir);
+    await client.request('ping');
+
+    expect(updated).toContain('template://@xagi/ai-template-node-api@1.2.0/src/index.js');
+    expect(new Set(updated).size).toBe(1);
+    const [file] = await client.readResource('template://@xagi/ai-template-node-api@1.2.0/src/index.js');
+    expect(file.text).toContain('refreshed');
+  });
+
+  test('should expose projects created through create_project', async() => {
+    const created = await client.callTool('create_project', { templateId: 'node-api', projectName: 'app' });
+    expect(created.structuredContent.resourceUri).toBe('project://project-1/');
+
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => resource.uri)).toContain('project://project-1/README.md');
+    const [file] = await client.readResource('project://project-1/README.md');
+    expect(file).toMatchObject({ mimeType: 'text/markdown', text: '# app\n' });
+  });
+});
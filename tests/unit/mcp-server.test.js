@@ -0,0 +1,175 @@
+/**
+ * MCP Server Tests
+ * Tests the JSON-RPC handling and template tools through the in-process client
+ */
+
+const path = require('path');
+const { McpServer, ERROR_CODES } = require('../../src/mcp/server');
+const { McpClient } = require('../../src/mcp/client');
+
+describe('McpServer', () => {
+  const templates = [
+    {
+      id: '@xagi/ai-template-node-api',
+      name: 'Node API',
+      version: '1.2.0',
+      type: 'node-api',
+      description: 'Express API',
+      author: 'Platform Team',
+      keywords: ['express'],
+      dependencies: { express: '^4.18.0' },
+      configSchema: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: { port: { type: 'integer', minimum: 1 } },
+        required: ['port']
+      }
+    },
+    { id: 'plain-template', name: 'Plain', version: '0.1.0', type: 'vue-app', description: 'No config', configSchema: {} }
+  ];
+
+  let templateManager;
+  let projectService;
+  let cacheManager;
+  let client;
+
+  beforeEach(async() => {
+    templateManager = {
+      listTemplates: jest.fn().mockResolvedValue({ templates, metadata: { total: 2, hasMore: false } }),
+      searchTemplates: jest.fn().mockResolvedValue([templates[0]]),
+      getTemplate: jest.fn().mockImplementation(async(id) => {
+        const template = templates.find(entry => entry.id === id);
+        if (!template) {
+          throw new Error(`Template not found: ${id}`);
+        }
+        return template;
+      })
+    };
+    projectService = {
+      previewProject: jest.fn().mockImplementation(async(config) => ({
+        projectName: config.projectName,
+        projectPath: config.projectPath,
+        templateId: config.templateId,
+        templateVersion: '1.2.0',
+        files: ['package.json', 'src/index.js']
+      })),
+      createProject: jest.fn().mockImplementation(async(config) => ({
+        id: 'project-1',
+        projectName: config.projectName,
+        projectPath: config.projectPath,
+        files: [{ path: 'package.json' }],
+        getSummary: () => ({ projectName: config.projectName, status: 'created', fileCount: 1 })
+      }))
+    };
+    cacheManager = { getCacheStats: jest.fn().mockResolvedValue({ basic: { totalEntries: 3 } }) };
+
+    client = new McpClient(new McpServer({ templateManager, projectService, cacheManager, cwd: '/work' }));
+    await client.initialize();
+  });
+
+  afterEach(async() => {
+    await client.close();
+  });
+
+  test('should negotiate the protocol version', async() => {
+    const server = new McpServer({ tools: [] });
+
+    expect(server.initialize({ protocolVersion: '2024-11-05' })).toMatchObject({
+      protocolVersion: '2024-11-05',
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'create-ai-project' }
+    });
+    expect(server.initialize({ protocolVersion: '1999-01-01' }).protocolVersion).toBe('2025-06-18');
+    expect(await client.request('ping')).toEqual({});
+  });
+
+  test('should derive the create_project schema from template config schemas', async() => {
+    const tools = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual([
+      'list_templates', 'search_templates', 'get_template_info', 'create_project', 'cache_stats'
+    ]);
+
+    const schema = tools.find(tool => tool.name === 'create_project').inputSchema;
+    expect(schema.properties.templateId.examples).toEqual(['@xagi/ai-template-node-api', 'plain-template']);
+    expect(schema.allOf).toEqual([{
+      if: { properties: { templateId: { const: '@xagi/ai-template-node-api' } }, required: ['templateId'] },
+      then: {
+        properties: {
+          config: { type: 'object', properties: { port: { type: 'integer', minimum: 1 } }, required: ['port'] }
+        }
+      }
+    }]);
+  });
+
+  test('should list, search and describe templates', async() => {
+    const list = await client.callTool('list_templates', { type: 'node-api' });
+    expect(templateManager.listTemplates).toHaveBeenCalledWith(expect.objectContaining({ type: 'node-api' }));
+    expect(list.structuredContent).toMatchObject({ total: 2, templates: [{ id: '@xagi/ai-template-node-api' }, { id: 'plain-template' }] });
+    expect(JSON.parse(list.content[0].text)).toEqual(list.structuredContent);
+
+    const search = await client.callTool('search_templates', { query: 'express' });
+    expect(search.structuredContent.templates.map(template => template.id)).toEqual(['@xagi/ai-template-node-api']);
+
+    const info = await client.callTool('get_template_info', { templateId: '@xagi/ai-template-node-api' });
+    expect(info.structuredContent).toMatchObject({ dependencies: { express: '^4.18.0' }, configSchema: templates[0].configSchema });
+
+    const missing = await client.callTool('get_template_info', { templateId: 'missing' });
+    expect(missing).toEqual({ content: [{ type: 'text', text: 'Template not found: missing' }], isError: true });
+  });
+
+  test('should preview and create projects', async() => {
+    const preview = await client.callTool('create_project', {
+      templateId: '@xagi/ai-template-node-api',
+      projectName: 'my-api',
+      config: { port: 3000 },
+      dryRun: true
+    });
+    expect(preview.structuredContent).toMatchObject({ dryRun: true, files: ['package.json', 'src/index.js'] });
+    expect(projectService.previewProject).toHaveBeenCalledWith(expect.objectContaining({
+      projectPath: path.resolve('/work', 'my-api'),
+      configValues: { port: 3000 }
+    }));
+    expect(projectService.createProject).not.toHaveBeenCalled();
+
+    const created = await client.callTool('create_project', { templateId: 'plain-template', projectName: 'app', projectPath: 'apps/app' });
+    expect(created.structuredContent).toEqual({
+      dryRun: false,
+      projectName: 'app',
+      status: 'created',
+      fileCount: 1,
+      projectPath: path.resolve('/work', 'apps/app'),
+      files: ['package.json'],
+      resourceUri: 'project://project-1/'
+    });
+    expect(projectService.createProject).toHaveBeenCalledWith(expect.any(Object), { skipHooks: false, allowOverwrite: false });
+  });
+
+  test('should reject arguments that do not match the tool schema', async() => {
+    await expect(client.callTool('create_project', {
+      templateId: '@xagi/ai-template-node-api',
+      projectName: 'my-api',
+      config: { port: 'http' }
+    })).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PARAMS, message: expect.stringContaining('/config/port') });
+    await expect(client.callTool('search_templates', {})).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PARAMS });
+    await expect(client.callTool('delete_everything')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PARAMS });
+    expect(projectService.createProject).not.toHaveBeenCalled();
+  });
+
+  test('should answer JSON-RPC errors, notifications and batches', async() => {
+    const server = new McpServer({ templateManager, projectService, cacheManager });
+
+    expect(await server.handleLine('{not json')).toMatchObject({ id: null, error: { code: ERROR_CODES.PARSE_ERROR } });
+    expect(await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'prompts/list' }))
+      .toMatchObject({ id: 1, error: { code: ERROR_CODES.METHOD_NOT_FOUND } });
+    expect(await server.handleMessage({ id: 2, method: 'ping' })).toMatchObject({ id: 2, error: { code: ERROR_CODES.INVALID_REQUEST } });
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect(await server.handleMessage([
+      { jsonrpc: '2.0', id: 3, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/cancelled' },
+      { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'cache_stats' } }
+    ])).toEqual([
+      { jsonrpc: '2.0', id: 3, result: {} },
+      { jsonrpc: '2.0', id: 4, result: expect.objectContaining({ structuredContent: { basic: { totalEntries: 3 } } }) }
+    ]);
+  });
+});
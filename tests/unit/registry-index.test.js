@@ -0,0 +1,302 @@
+/**
+ * Registry Index Tests
+ * Tests the static index.json format, conditional fetching and verified tarball downloads
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { pathToFileURL } = require('url');
+const { computeIntegrity } = require('../../src/utils/integrityVerifier');
+const {
+  validateIndex,
+  fetchIndex,
+  fetchTarball,
+  resolveVersion,
+  resolveSignatureLocation,
+  getIndexTemplates,
+  diffIndexes
+} = require('../../src/utils/registryIndex');
+const { CredentialStore } = require('../../src/utils/credentialStore');
+const TemplateRegistry = require('../../src/models/registry');
+
+const TARBALL = Buffer.from('not really a tarball');
+
+const createTestIndex = (versions = ['1.0.0', '1.2.0', '2.0.0-beta.1'], latest = '1.2.0') => ({
+  formatVersion: 1,
+  name: 'Test templates',
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  templates: {
+    '@xagi/ai-template-node-api': {
+      name: 'Node API',
+      description: 'Express API',
+      distTags: { latest },
+      versions: Object.fromEntries(versions.map(version => [version, {
+        tarball: `xagi-ai-template-node-api-${version}.tgz`,
+        integrity: computeIntegrity(TARBALL),
+        dependencies: { express: '^4.18.0' }
+      }]))
+    }
+  }
+});
+
+describe('registryIndex', () => {
+  let tempDir;
+
+  beforeEach(async() => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-index-'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(tempDir);
+  });
+
+  test('should validate the index format', () => {
+    expect(validateIndex(createTestIndex())).toEqual({ isValid: true, errors: [] });
+
+    const index = createTestIndex();
+    index.formatVersion = 2;
+    index.templates['@xagi/ai-template-node-api'].versions['1.0.0'].integrity = 'md5-abc';
+    index.templates['@xagi/ai-template-node-api'].distTags.latest = '3.0.0';
+    index.templates.empty = { versions: {} };
+
+    expect(validateIndex(index).errors).toEqual([
+      'Unsupported index formatVersion 2, expected 1',
+      '@xagi/ai-template-node-api@1.0.0: a sha256, sha384 or sha512 integrity is required',
+      '@xagi/ai-template-node-api: distTags.latest 3.0.0 is not a listed version',
+      'empty: no versions'
+    ]);
+  });
+
+  test('should resolve versions, templates and locations', () => {
+    const index = createTestIndex();
+    const id = '@xagi/ai-template-node-api';
+
+    expect(resolveVersion(index, id)).toBe('1.2.0');
+    expect(resolveVersion(index, id, '^1.0.0')).toBe('1.2.0');
+    expect(resolveVersion(index, id, '1.0.0')).toBe('1.0.0');
+    expect(resolveVersion(index, id, '^3.0.0')).toBeNull();
+    expect(resolveVersion(index, 'missing')).toBeNull();
+
+    expect(getIndexTemplates(index, 'mirror')).toEqual([expect.objectContaining({
+      id,
+      name: 'Node API',
+      version: '1.2.0',
+      type: 'node-api',
+      dependencies: { express: '^4.18.0' },
+      registry: 'mirror',
+      versions: ['2.0.0-beta.1', '1.2.0', '1.0.0']
+    })]);
+
+    const entry = index.templates[id].versions['1.0.0'];
+    expect(resolveSignatureLocation('https://cdn.example.com/templates/index.json', entry))
+      .toBe('https://cdn.example.com/templates/xagi-ai-template-node-api-1.0.0.tgz.sig');
+  });
+
+  test('should report added, updated and removed versions', () => {
+    const previous = createTestIndex(['1.0.0', '1.2.0']);
+    const next = createTestIndex(['1.2.0', '1.3.0'], '1.3.0');
+    next.templates['@xagi/ai-template-node-api'].versions['1.2.0'].integrity = computeIntegrity('rebuilt');
+
+    expect(diffIndexes(previous, next)).toEqual({
+      added: ['@xagi/ai-template-node-api@1.3.0'],
+      updated: ['@xagi/ai-template-node-api@1.2.0'],
+      removed: ['@xagi/ai-template-node-api@1.0.0']
+    });
+    expect(diffIndexes(null, previous).added).toHaveLength(2);
+  });
+
+  test('should skip reading a file index that has not changed', async() => {
+    const indexPath = path.join(tempDir, 'index.json');
+    await fs.writeJson(indexPath, createTestIndex());
+
+    const first = await fetchIndex(pathToFileURL(indexPath).href);
+    expect(first.notModified).toBe(false);
+    expect(first.index.name).toBe('Test templates');
+
+    const second = await fetchIndex(pathToFileURL(indexPath).href, { etag: first.etag });
+    expect(second).toMatchObject({ notModified: true, index: null, etag: first.etag });
+
+    await fs.writeFile(indexPath, '{ "formatVersion": 1 }');
+    await expect(fetchIndex(pathToFileURL(indexPath).href)).rejects.toMatchObject({ code: 'INVALID_INDEX' });
+  });
+
+  test('should only keep tarballs that match their integrity', async() => {
+    const source = path.join(tempDir, 'template.tgz');
+    const destination = path.join(tempDir, 'downloads/template.tgz');
+    await fs.writeFile(source, TARBALL);
+
+    const result = await fetchTarball(pathToFileURL(source).href, destination, { integrity: computeIntegrity(TARBALL) });
+    expect(result.size).toBe(TARBALL.length);
+    expect(await fs.readFile(destination)).toEqual(TARBALL);
+
+    await fs.remove(destination);
+    await expect(fetchTarball(pathToFileURL(source).href, destination, { integrity: computeIntegrity('other') }))
+      .rejects.toMatchObject({ code: 'INTEGRITY_MISMATCH' });
+    await expect(fetchTarball(pathToFileURL(source).href, destination, { integrity: computeIntegrity(TARBALL), maxBytes: 4 }))
+      .rejects.toMatchObject({ code: 'LIMIT_BYTES' });
+    expect(await fs.readdir(path.dirname(destination))).toEqual([]);
+  });
+
+  describe('TemplateRegistry with a static index', () => {
+    let server;
+    let index;
+    let requests;
+
+    beforeEach(async() => {
+      index = createTestIndex(['1.0.0'], '1.0.0');
+      requests = [];
+      server = http.createServer((req, res) => {
+        const etag = `"${Object.keys(index.templates['@xagi/ai-template-node-api'].versions).join()}"`;
+        requests.push(req.headers['if-none-match'] || null);
+        if (req.headers.authorization === 'Bearer revoked') {
+          res.statusCode = 401;
+          res.end();
+          return;
+        }
+        if (req.headers['if-none-match'] === etag) {
+          res.statusCode = 304;
+          res.end();
+          return;
+        }
+        res.setHeader('ETag', etag);
+        res.end(JSON.stringify(index));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async() => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should sync incrementally using the ETag', async() => {
+      const registry = new TemplateRegistry({
+        name: 'Mirror',
+        url: `http://127.0.0.1:${server.address().port}/templates/index.json`,
+        type: 'private'
+      });
+      expect(registry.format).toBe('index');
+
+      const first = await registry.sync();
+      expect(first).toMatchObject({ notModified: false, templateCount: 1 });
+      expect(first.changes.added).toEqual(['@xagi/ai-template-node-api@1.0.0']);
+
+      expect(await registry.sync()).toMatchObject({ notModified: true, changes: { added: [], updated: [], removed: [] } });
+
+      index = createTestIndex(['1.0.0', '1.1.0'], '1.1.0');
+      const third = await registry.sync();
+      expect(third.changes).toEqual({ added: ['@xagi/ai-template-node-api@1.1.0'], updated: [], removed: [] });
+      expect(requests).toEqual([null, '"1.0.0"', '"1.0.0"']);
+
+      const entry = await registry.resolveTemplate('@xagi/ai-template-node-api', '~1.1.0');
+      expect(entry).toMatchObject({
+        version: '1.1.0',
+        tarball: `http://127.0.0.1:${server.address().port}/templates/xagi-ai-template-node-api-1.1.0.tgz`
+      });
+      expect(await registry.hasTemplate('missing')).toBe(false);
+      expect(registry.toJSON()).toMatchObject({ format: 'index', etag: '"1.0.0,1.1.0"' });
+    });
+
+    test('should keep the index between runs', async() => {
+      const config = {
+        id: 'mirror',
+        name: 'Mirror',
+        url: `http://127.0.0.1:${server.address().port}/index.json`,
+        type: 'private',
+        indexCachePath: path.join(tempDir, 'mirror.json')
+      };
+      const first = new TemplateRegistry(config);
+      await first.sync();
+
+      const second = new TemplateRegistry({ ...config, ...first.toJSON() });
+      expect(await second.sync()).toMatchObject({ notModified: true });
+      expect((await second.getTemplates()).map(template => template.id)).toEqual(['@xagi/ai-template-node-api']);
+      expect(requests).toEqual([null, '"1.0.0"']);
+    });
+
+    test('should check tokens by fetching the index', async() => {
+      const registry = new TemplateRegistry({
+        name: 'Mirror',
+        url: `http://127.0.0.1:${server.address().port}/index.json`,
+        type: 'private',
+        authRequired: true
+      });
+      expect(registry.getInfo()).toMatchObject({ format: 'index', authRequired: true, authenticated: false });
+
+      await expect(registry.authenticate('revoked')).rejects.toThrow('HTTP 401');
+      expect(registry.getInfo().authenticated).toBe(false);
+
+      await expect(registry.authenticate('token')).resolves.toMatchObject({ success: true });
+      expect(registry.getInfo()).toMatchObject({ authenticated: true, templateCount: 1 });
+      expect(registry.toJSON()).not.toHaveProperty('authToken');
+    });
+
+    test('should use the token from the credential store', async() => {
+      const credentialStore = new CredentialStore({ path: path.join(tempDir, 'credentials.json') });
+      const config = {
+        name: 'Mirror',
+        url: `http://127.0.0.1:${server.address().port}/index.json`,
+        type: 'private',
+        authRequired: true,
+        credentialStore
+      };
+      expect(new TemplateRegistry(config).getInfo().authenticated).toBe(false);
+
+      credentialStore.set(`http://127.0.0.1:${server.address().port}`, 'revoked');
+      expect(new TemplateRegistry(config).getInfo().authenticated).toBe(true);
+      await expect(new TemplateRegistry(config).sync()).rejects.toThrow('HTTP 401');
+
+      credentialStore.set(config.url, 'token');
+      await expect(new TemplateRegistry(config).authenticate()).resolves.toMatchObject({ success: true });
+    });
+
+    test('should only send the token to the origin of the index', async() => {
+      const received = [];
+      const record = (req, res) => {
+        received.push(`${req.headers.host}${req.url} ${req.headers.authorization || '-'}`);
+        if (req.url.endsWith('.sig')) {
+          res.statusCode = 404;
+        }
+        res.end(TARBALL);
+      };
+      const other = http.createServer(record);
+      await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+      const mirror = http.createServer((req, res) => {
+        if (req.url === '/index.json') {
+          res.end(JSON.stringify(index));
+          return;
+        }
+        record(req, res);
+      });
+      await new Promise(resolve => mirror.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const host = `127.0.0.1:${mirror.address().port}`;
+        const otherHost = `127.0.0.1:${other.address().port}`;
+        index = createTestIndex(['1.0.0', '1.1.0'], '1.1.0');
+        index.templates['@xagi/ai-template-node-api'].versions['1.1.0'].tarball = `http://${otherHost}/node-api.tgz`;
+
+        const registry = new TemplateRegistry({
+          name: 'Mirror', url: `http://${host}/index.json`, type: 'private', authRequired: true
+        });
+        await registry.authenticate('token');
+
+        for (const version of ['1.0.0', '1.1.0']) {
+          const entry = await registry.downloadTemplate('@xagi/ai-template-node-api', version, path.join(tempDir, `${version}.tgz`));
+          expect(await registry.fetchSignature(entry)).toBeNull();
+        }
+
+        expect(received).toEqual([
+          `${host}/xagi-ai-template-node-api-1.0.0.tgz Bearer token`,
+          `${host}/xagi-ai-template-node-api-1.0.0.tgz.sig Bearer token`,
+          `${otherHost}/node-api.tgz -`,
+          `${otherHost}/node-api.tgz.sig -`
+        ]);
+      } finally {
+        await new Promise(resolve => other.close(resolve));
+        await new Promise(resolve => mirror.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Secret Scanner Tests
+ * Tests secret detection in generated files and moving secrets into .env
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  scanContent,
+  scanSecrets,
+  redactToEnv,
+  resolveSecretFindings,
+  checkGeneratedSecrets,
+  formatSecretFinding
+} = require('../../src/utils/secretScanner');
+
+// Token-shaped values are assembled at runtime so the fixtures are not secrets themselves
+const GITHUB_TOKEN = `ghp_${'aB3dE5fG7hJ9kL1mN2pQ4rS6tU8vW0xY2zA4'}`;
+const NPM_TOKEN = `npm_${'Qw3Er5Ty7Ui9Op1As2Df4Gh6Jk8Lz0Xc2Vb4'}`;
+const OPENAI_KEY = `sk-proj-${'Xk29fLmQ83nVb7RtZp41WcYe'}`;
+const AWS_KEY_ID = `AKIA${'Q3ZT7KX2M9VBN4RL'}`;
+const AWS_SECRET = `${'wJalrXUtnFEMI/K7MDENG'}/bPxRfiCY9kQ2mZ8nL4`;
+
+describe('secretScanner', () => {
+  let projectDir;
+
+  const rules = findings => findings.map(finding => `${finding.file}:${finding.line}:${finding.rule}`);
+
+  beforeEach(async() => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'secret-scanner-'));
+  });
+
+  afterEach(async() => {
+    await fs.remove(projectDir);
+  });
+
+  test('should detect common token formats with their line and column', () => {
+    const content = [
+      `const github = '${GITHUB_TOKEN}';`,
+      `//registry.npmjs.org/:_authToken=${NPM_TOKEN}`,
+      `OPENAI_API_KEY=${OPENAI_KEY}`,
+      `aws_access_key_id = ${AWS_KEY_ID}`,
+      `aws_secret_access_key = ${AWS_SECRET}`
+    ].join('\n');
+
+    const findings = scanContent(content, 'config.js');
+
+    expect(findings.map(finding => [finding.rule, finding.line, finding.column])).toEqual([
+      ['github-token', 1, 17],
+      ['npm-token', 2, 34],
+      ['openai-api-key', 3, 16],
+      ['aws-access-key-id', 4, 21],
+      ['aws-secret-access-key', 5, 25]
+    ]);
+    expect(findings[2]).toMatchObject({ secret: OPENAI_KEY, envName: 'OPENAI_API_KEY' });
+    expect(formatSecretFinding(findings[0])).toBe('config.js:1:17: GitHub token (ghp_********)');
+  });
+
+  test('should detect private keys and high-entropy secret assignments', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    const content = `{\n  "dbPassword": "q8Zr!2mXv#9LpT4wKe",\n  "maxTokens": "4096409640964096409"\n}\n${pem}`;
+
+    expect(scanContent(content, 'config.json').map(finding => [finding.rule, finding.line, finding.envName])).toEqual([
+      ['generic-secret', 2, 'DB_PASSWORD'],
+      ['private-key', 5, 'PRIVATE_KEY']
+    ]);
+  });
+
+  test('should ignore placeholders and low-entropy values', () => {
+    const content = [
+      'password: changeme',
+      'apiKey: \'your-api-key-goes-here\'',
+      'token = ${GITHUB_TOKEN}',
+      'secret: process.env.SESSION_SECRET',
+      'const key = \'sk-xxxxxxxxxxxxxxxxxxxxxxxx\';'
+    ].join('\n');
+
+    expect(scanContent(content, '.env.example')).toEqual([]);
+  });
+
+  test('should scan the given files, skipping binaries and node_modules', async() => {
+    await fs.outputFile(path.join(projectDir, 'src/config.js'), `module.exports = { token: '${GITHUB_TOKEN}' };\n`);
+    await fs.outputFile(path.join(projectDir, 'node_modules/dep/index.js'), `'${NPM_TOKEN}'`);
+    await fs.outputFile(path.join(projectDir, 'logo.png'), Buffer.concat([Buffer.from([0x89, 0]), Buffer.from(NPM_TOKEN)]));
+    await fs.outputFile(path.join(projectDir, '.env'), `NPM_TOKEN=${NPM_TOKEN}\n`);
+
+    expect(rules(await scanSecrets(projectDir))).toEqual(['.env:1:npm-token', 'src/config.js:1:github-token']);
+    expect(rules(await scanSecrets(projectDir, { files: ['src/config.js'] }))).toEqual(['src/config.js:1:github-token']);
+  });
+
+  test('should move secrets into a git-ignored .env file', async() => {
+    await fs.outputFile(path.join(projectDir, 'src/client.js'), [
+      `const openai = new OpenAI({ apiKey: '${OPENAI_KEY}' });`,
+      `const github = new Octokit({ auth: "${GITHUB_TOKEN}" });`,
+      ''
+    ].join('\n'));
+    await fs.writeFile(path.join(projectDir, 'settings.yml'), `github_token: ${GITHUB_TOKEN}\n`);
+    await fs.writeFile(path.join(projectDir, '.env'), 'PORT=3000');
+    await fs.writeFile(path.join(projectDir, '.gitignore'), 'node_modules');
+
+    const findings = await scanSecrets(projectDir, { files: ['src/client.js', 'settings.yml'] });
+    const result = await redactToEnv(projectDir, findings);
+
+    expect(result).toEqual({ envFile: '.env', variables: ['GITHUB_TOKEN', 'OPENAI_API_KEY'], files: ['settings.yml', 'src/client.js'] });
+    expect(await fs.readFile(path.join(projectDir, 'src/client.js'), 'utf8')).toBe([
+      'const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });',
+      'const github = new Octokit({ auth: process.env.GITHUB_TOKEN });',
+      ''
+    ].join('\n'));
+    expect(await fs.readFile(path.join(projectDir, 'settings.yml'), 'utf8')).toBe('github_token: ${GITHUB_TOKEN}\n');
+    expect(await fs.readFile(path.join(projectDir, '.env'), 'utf8'))
+      .toBe(`PORT=3000\nGITHUB_TOKEN=${GITHUB_TOKEN}\nOPENAI_API_KEY=${OPENAI_KEY}\n`);
+    expect(await fs.readFile(path.join(projectDir, '.gitignore'), 'utf8')).toBe('node_modules\n.env\n');
+    expect(await scanSecrets(projectDir, { files: ['src/client.js', 'settings.yml'] })).toEqual([]);
+  });
+
+  test('should abort, redact or keep findings as chosen', async() => {
+    await fs.outputFile(path.join(projectDir, 'src/config.js'), `module.exports = { token: '${GITHUB_TOKEN}' };\n`);
+    const findings = await scanSecrets(projectDir);
+
+    await expect(resolveSecretFindings(projectDir, findings)).rejects.toMatchObject({
+      code: 'SECRETS_FOUND',
+      details: { findings: [expect.objectContaining({ file: 'src/config.js', line: 1, rule: 'github-token' })] }
+    });
+    await expect(resolveSecretFindings(projectDir, findings, 'later')).rejects.toThrow('Unknown secrets action: later');
+    expect(await resolveSecretFindings(projectDir, findings, 'continue')).toBeNull();
+    expect(await fs.pathExists(path.join(projectDir, '.env'))).toBe(false);
+
+    const redaction = await resolveSecretFindings(projectDir, findings, 'redact');
+    expect(redaction).toMatchObject({ envFile: '.env', variables: ['GITHUB_TOKEN'] });
+    expect(await fs.readFile(path.join(projectDir, 'src/config.js'), 'utf8')).toBe('module.exports = { token: process.env.GITHUB_TOKEN };\n');
+  });
+
+  test('should check generated projects with the chosen action', async() => {
+    await fs.outputFile(path.join(projectDir, 'src/config.js'), `module.exports = { token: '${GITHUB_TOKEN}' };\n`);
+    await fs.outputFile(path.join(projectDir, '.env'), `NPM_TOKEN=${NPM_TOKEN}\n`);
+    const messages = [];
+    const log = (level, message) => messages.push(`${level}: ${message}`);
+
+    await expect(checkGeneratedSecrets(projectDir, { log })).rejects.toMatchObject({ code: 'SECRETS_FOUND' });
+    expect(messages).toEqual([expect.stringMatching(/^warn: Secret found: src\/config\.js:1:/)]);
+
+    const onSecrets = jest.fn().mockResolvedValue('redact');
+    const result = await checkGeneratedSecrets(projectDir, { secrets: 'abort', onSecrets, log });
+    expect(onSecrets).toHaveBeenCalledWith([expect.objectContaining({ file: 'src/config.js', rule: 'github-token' })]);
+    expect(result).toMatchObject({ action: 'redact', redaction: { envFile: '.env', variables: ['GITHUB_TOKEN'] } });
+    expect(messages.pop()).toBe('warn: Moved 1 secret(s) to .env: GITHUB_TOKEN');
+
+    expect(await checkGeneratedSecrets(projectDir, { log })).toEqual({ findings: [], action: null, redaction: null });
+  });
+});
